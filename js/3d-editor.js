@@ -5,8 +5,11 @@
  */
 
 import * as THREE from 'three';
-import { state, updateState, loadPanelSettings, addPanelItem, removePanelItem } from './state.js';
-import { modelConfig } from './texture-mapper.js';
+import { state, updateState, subscribe, loadPanelSettings, addPanelItem, removePanelItem } from './state.js';
+import { modelConfig, getPrintArea, getDPIThresholds, CM_PER_INCH } from './texture-mapper.js';
+import { getEffectiveResolution } from './upscaling.js';
+import { FONT_FILE_EXTENSIONS, getFontGroups, getFontWeights, hasItalicFace, resolveFontFace, loadFont, addCustomFont, registerCustomFonts, getEmbeddedFonts } from './fonts.js';
+import { SHAPE_TYPES, DEFAULT_POLYGON_SIDES, DEFAULT_STAR_POINTS, DEFAULT_STAR_INNER_RADIUS, getShapePath, getShapeAspect, getShapeDash, getShapeOverhang, measurePathData, parseSVGShape } from './shapes.js';
 import { Logger, Performance, debounce } from './utils.js';
 import { showToast } from './ui.js';
 import { updateShirtColor } from './scene.js';
@@ -15,7 +18,8 @@ import { updateShirtColor } from './scene.js';
 let scene, camera, renderer, raycaster, mouse;
 let shirtMesh, textureCanvas;
 let selectedObject = null;
-let transformMode = 'none'; // none, move, rotate, scale
+let selectedObjects = []; // Every selected object, selectedObject is the one transforms apply to
+let transformMode = 'none'; // none, move, rotate, scale, marquee
 let startPoint = new THREE.Vector2();
 let currentPoint = new THREE.Vector2();
 let transformControls = {
@@ -40,6 +44,14 @@ let stateChanged = false; // Add this variable to track state changes for histor
 let isEditingLocked = false;
 let currentLockedView = null;
 
+// Snapping guides shown while an object is moved
+let snapGuides = [];
+let snappingSuspended = false; // Alt is held, the object moves freely
+
+// Multi-selection: the rest of the selection moving along and the marquee being dragged
+let moveGroup = [];
+let marquee = null;
+
 // References to canvas and other objects
 let canvasData = {
     canvas: null,
@@ -78,18 +90,7 @@ const historyStack = {
     // Save current state to history
     saveState() {
         // Create a deep copy of the current objects
-        const currentState = JSON.stringify(canvasData.objects.map(obj => {
-            // Create a copy without circular references
-            const copy = { ...obj };
-
-            // For image objects, store the source instead of the image object
-            if (obj.type === 'image' && obj.img) {
-                copy.imgSrc = obj.img.src;
-                delete copy.img;
-            }
-
-            return copy;
-        }));
+        const currentState = JSON.stringify(canvasData.objects.map(serializeObject));
 
         // Push to undo stack
         this.undoStack.push(currentState);
@@ -101,9 +102,37 @@ const historyStack = {
         if (this.undoStack.length > this.maxStackSize) {
             this.undoStack.shift();
         }
+
+        notifyLayersChanged();
     }
 };
 
+/**
+ * Let the layers panel know objects were added, removed, reordered or changed
+ */
+function notifyLayersChanged() {
+    window.dispatchEvent(new CustomEvent('editor-layers-changed'));
+}
+
+/**
+ * Copy of an object without circular references, for the history
+ * @param {Object} obj - The object
+ * @returns {Object} Image objects store their source instead of the image, groups their children likewise
+ */
+function serializeObject(obj) {
+    const copy = { ...obj };
+
+    if (obj.type === 'image' && obj.img) {
+        copy.imgSrc = obj.img.src;
+        delete copy.img;
+    }
+    if (obj.type === 'group' && obj.children) {
+        copy.children = obj.children.map(serializeObject);
+    }
+
+    return copy;
+}
+
 /**
  * Initialize the 3D editor
  * @param {THREE.Scene} threeScene - The Three.js scene
@@ -130,6 +159,29 @@ export function init3DEditor(threeScene, threeCamera, threeRenderer, targetMesh)
     // Initial texture update
     updateShirt3DTexture();
 
+    // Printed sizes and resolution badges depend on the garment size and the units shown
+    subscribe('garmentSize', () => updateShirt3DTexture());
+    subscribe('measurementUnit', () => updateShirt3DTexture());
+    subscribe('showGrid', () => updateShirt3DTexture());
+    subscribe('showRulers', () => updateShirt3DTexture());
+
+    // Blended objects mix with the garment color
+    subscribe('color', () => {
+        if (canvasData.objects.some(obj => obj.blendMode && obj.blendMode !== 'normal')) {
+            updateShirt3DTexture();
+        }
+    });
+
+    // Text drawn before its font finished loading was measured and drawn with a fallback font
+    document.fonts.addEventListener('loadingdone', (event) => {
+        const families = new Set(event.fontfaces.map(face => face.family.replace(/["']/g, '')));
+        const texts = canvasData.objects.filter(obj => obj.type === 'text' && families.has(obj.font));
+        if (texts.length === 0) return;
+
+        texts.forEach(fitTextObject);
+        updateShirt3DTexture();
+    });
+
     // Initialize history stack
     historyStack.undoStack = [];
     historyStack.redoStack = [];
@@ -211,6 +263,16 @@ function setupEventListeners() {
     if (addShapeBtn) {
         addShapeBtn.addEventListener('click', handleAddShape);
     }
+
+    // Align and distribute buttons for multi-selections
+    document.querySelectorAll('#arrange-toolbar [data-align]').forEach(button => {
+        button.addEventListener('click', () => alignSelectedObjects(button.dataset.align));
+    });
+    document.querySelectorAll('#arrange-toolbar [data-distribute]').forEach(button => {
+        button.addEventListener('click', () => distributeSelectedObjects(button.dataset.distribute));
+    });
+    document.getElementById('group-objects')?.addEventListener('click', groupSelectedObjects);
+    document.getElementById('ungroup-objects')?.addEventListener('click', ungroupSelectedObjects);
 }
 
 /**
@@ -246,6 +308,24 @@ function onMouseDown(event) {
             
             // Don't lock to view unless actually editing - only lock when touching a decal or control
             const clickedObject = detectObjectClick();
+
+            // Shift adds to the selection: clicking toggles an object, dragging on empty space draws a marquee
+            if (event.shiftKey) {
+                lockToView(hitView);
+                if (clickedObject) {
+                    toggleObjectSelection(clickedObject);
+                } else {
+                    marquee = {
+                        view: hitView,
+                        startX: uv.x * canvasData.width,
+                        startY: uv.y * canvasData.height,
+                        endX: uv.x * canvasData.width,
+                        endY: uv.y * canvasData.height
+                    };
+                    transformMode = 'marquee';
+                }
+                return;
+            }
             
             // Check if we clicked on a transform handle of a selected object first
             if (selectedObject) {
@@ -312,12 +392,20 @@ function onMouseMove(event) {
     // Update mouse position
     updateMousePosition(event);
 
+    // Holding Alt turns snapping off while moving
+    snappingSuspended = event.altKey;
+
     // If we're not in a transform mode, check for hover effects
     if (transformMode === 'none') {
         updateHoverState();
         return;
     }
 
+    if (transformMode === 'marquee') {
+        updateMarquee();
+        return;
+    }
+
     // Only proceed with transformation if we have a selected object
     if (selectedObject) {
         // Store current point for transformations
@@ -459,6 +547,11 @@ function onMouseUp(event) {
     // Only re-enable camera controls if we're not in editing mode or 
     // if we're done with a transformation
     if (transformMode !== 'none') {
+        // Select what the marquee covers
+        if (transformMode === 'marquee') {
+            finishMarquee();
+        }
+
         // If we were rotating, clean up the rotation variables
         if (transformMode === 'rotate' && selectedObject) {
             // Clean up rotation tracking variables but keep the final angle
@@ -477,6 +570,8 @@ function onMouseUp(event) {
         // Reset moving state variables when operation is complete
         if (transformMode === 'move' && selectedObject) {
             delete selectedObject._moveData;
+            snapGuides = [];
+            moveGroup = [];
         }
         
         // Done with transformation, but still in edit mode
@@ -523,7 +618,8 @@ function updateMousePosition(event) {
  * @returns {string|null} Action name or null if no handle was clicked
  */
 function detectTransformHandleClick() {
-    if (!selectedObject) return null;
+    // A multi-selection has no control buttons
+    if (!selectedObject || selectedObjects.length > 1) return null;
 
     // Get object from the collection
     const object = selectedObject;
@@ -746,8 +842,9 @@ function detectObjectClick() {
         const uv = intersects[0].uv;
         console.log('UV coordinates:', uv);
 
-        // Find which element is at this UV position
-        for (const obj of canvasData.objects) {
+        // Find which element is at this UV position, topmost first, hidden and locked objects can't be picked
+        for (const obj of [...canvasData.objects].reverse()) {
+            if (obj.hidden || obj.locked) continue;
             if (isPointInObject(uv, obj)) {
                 console.log('Found object:', obj);
                 return obj;
@@ -767,14 +864,34 @@ function detectObjectClick() {
  */
 function isPointInObject(uv, object) {
     // Convert UV to object space
-    const x = uv.x * canvasData.width;
-    const y = uv.y * canvasData.height;
+    return isPointInObjectAt(uv.x * canvasData.width, uv.y * canvasData.height, object);
+}
 
+/**
+ * Check if a canvas point is inside an object
+ * @param {number} x - X in canvas pixels, or in the group's coordinates for children
+ * @param {number} y - Y in canvas pixels, or in the group's coordinates for children
+ * @param {Object} object - The object to check
+ * @returns {boolean}
+ */
+function isPointInObjectAt(x, y, object) {
     // Check if point is inside object bounds
     const left = object.left;
     const top = object.top;
     const right = left + object.width;
     const bottom = top + object.height;
+
+    // Groups are hit where one of their children is
+    if (object.type === 'group' && object.children) {
+        const angle = (object.angle || 0) * Math.PI / 180;
+        const relX = x - (left + object.width / 2);
+        const relY = y - (top + object.height / 2);
+        const localX = (relX * Math.cos(-angle) - relY * Math.sin(-angle)) * object.viewBox.width / object.width;
+        const localY = (relX * Math.sin(-angle) + relY * Math.cos(-angle)) * object.viewBox.height / object.height;
+        return object.children.some(child =>
+            isPointInObjectAt(localX + object.viewBox.width / 2, localY + object.viewBox.height / 2, child)
+        );
+    }
     
     // Handle non-rotated objects simply
     if (!object.angle || object.angle === 0) {
@@ -828,11 +945,17 @@ function detectObjectIntersection(object) {
  * @param {Object} object 
  */
 function selectObject(object) {
+    selectedObjects.forEach(obj => {
+        obj.active = false;
+    });
     selectedObject = object;
+    selectedObjects = [object];
     transformControls.visible = true;
 
     // Set the object as active
     object.active = true;
+    updateArrangeToolbar();
+    notifyLayersChanged();
 
     // Update the texture to show selection overlay
     updateShirt3DTexture();
@@ -844,6 +967,13 @@ function selectObject(object) {
  * Deselect current object
  */
 function deselectObject() {
+    selectedObjects.forEach(obj => {
+        obj.active = false;
+    });
+    selectedObjects = [];
+    updateArrangeToolbar();
+    notifyLayersChanged();
+
     if (selectedObject) {
         selectedObject.active = false;
         selectedObject = null;
@@ -946,6 +1076,11 @@ function moveObject(object, deltaX, deltaY) {
             // For interpolation
             current: { left: object.left, top: object.top }
         };
+
+        // The rest of a multi-selection moves along
+        moveGroup = selectedObjects
+            .filter(obj => obj !== object)
+            .map(obj => ({ object: obj, left: obj.left, top: obj.top }));
         return;
     }
     
@@ -999,7 +1134,7 @@ function moveObject(object, deltaX, deltaY) {
     // Apply position to the object
     object.left = object._moveData.current.left;
     object.top = object._moveData.current.top;
-    
+
     // Store current position for next velocity calculation
     object._moveData.lastX = x;
     object._moveData.lastY = y;
@@ -1036,6 +1171,29 @@ function moveObject(object, deltaX, deltaY) {
         object._moveData.current.top = maxY - object.height;
         object._moveData.velocity.y = 0;
     }
+
+    // Line it up with nearby edges and centers, once it's inside the view
+    snapObject(object, state.cameraView);
+
+    // Move the rest of the selection by as much, as far as all of it stays inside the view
+    if (moveGroup.length > 0) {
+        let offsetX = object.left - object._moveData.startLeft;
+        let offsetY = object.top - object._moveData.startTop;
+        moveGroup.forEach(({ object: member, left, top }) => {
+            offsetX = Math.min(Math.max(offsetX, minX - left), maxX - member.width - left);
+            offsetY = Math.min(Math.max(offsetY, minY - top), maxY - member.height - top);
+        });
+
+        object.left = object._moveData.current.left = object._moveData.startLeft + offsetX;
+        object.top = object._moveData.current.top = object._moveData.startTop + offsetY;
+        moveGroup.forEach(({ object: member, left, top }) => {
+            member.left = left + offsetX;
+            member.top = top + offsetY;
+        });
+    }
+
+    // The rest of the selection may have held the object back from where it snapped
+    pruneSnapGuides(object);
     
     // Immediately update visual representation for maximum responsiveness
     updateTransformControlsPosition();
@@ -1198,23 +1356,21 @@ function scaleObject(object, deltaX, deltaY) {
     newHeight = Math.max(minDimension, Math.min(maxDimension, newHeight));
     
     // Special handling for text objects
-    if (object.type === 'text') {
+    if (object.type === 'text' && object.autoFit) {
+        // Auto-fit text keeps the scaled box and gets the font size that fills it
+        object.fontSize = getFittedFontSize(object, newWidth, newHeight);
+    } else if (object.type === 'text') {
         // Scale the font size proportionally
         const newFontSize = Math.max(12, object._initialFontSize * scaleFactor);
         object.fontSize = newFontSize;
         
-        // For text objects, measure the new dimensions based on the scaled font size
-        const tempCanvas = document.createElement('canvas');
-        const tempCtx = tempCanvas.getContext('2d');
-        tempCtx.font = `bold ${newFontSize}px "${object.font || 'Arial'}"`;
-        const textMetrics = tempCtx.measureText(object.text);
-        
-        // Update dimensions based on the new font size
-        newWidth = textMetrics.width || newWidth;
-        newHeight = newFontSize * 1.2; // Approximation for text height
+        // For text objects, measure the new dimensions based on the scaled font size and layout
+        const textSize = measureTextObject(object);
+        newWidth = textSize.width || newWidth;
+        newHeight = textSize.height;
     }
     // Normal aspect ratio handling for non-text objects
-    else if ((object.type === 'image' && object.preserveAspectRatio !== false)) {
+    else if (['image', 'vector', 'group'].includes(object.type) && object.preserveAspectRatio !== false) {
         const originalAspect = object.metadata?.originalWidth / object.metadata?.originalHeight || 
                              object._initialWidth / object._initialHeight;
         
@@ -1499,13 +1655,26 @@ export function updateShirt3DTexture() {
     // Draw editable area if in editing mode and we have a current area
     if (isEditingMode && currentEditableArea) {
         highlightEditableArea(currentEditableArea);
+
+        // Flag pictures that would print blurry, only while editing so the preview and screenshots stay clean
+        drawResolutionBadges();
     }
 
     // Draw selection if we have a selected object
-    if (selectedObject) {
+    if (selectedObjects.length > 1) {
+        drawMultiSelectionOverlay();
+    } else if (selectedObject) {
         drawSelectionOverlay(selectedObject);
     }
 
+    // Draw the marquee being dragged
+    if (marquee) {
+        drawMarquee();
+    }
+
+    // Draw the guides a moved object snapped to
+    drawSnapGuides();
+
     // Create a texture from the canvas
     const canvasTexture = new THREE.CanvasTexture(canvasData.canvas);
     
@@ -1529,9 +1698,17 @@ export function updateShirt3DTexture() {
 /**
  * Draw an object to the canvas
  * @param {Object} object 
+ * @param {CanvasRenderingContext2D} ctx - Context to draw on (default: the design texture)
  */
-function drawObjectToCanvas(object) {
-    const ctx = canvasData.ctx;
+function drawObjectToCanvas(object, ctx = canvasData.ctx) {
+    // Hidden in the layers panel
+    if (object.hidden) return;
+
+    // See-through and blended objects are drawn on their own first, then composited
+    if ((object.opacity ?? 1) < 1 || (object.blendMode && object.blendMode !== 'normal')) {
+        drawObjectWithEffects(object, ctx);
+        return;
+    }
 
     // Save context state
     ctx.save();
@@ -1630,20 +1807,16 @@ function drawObjectToCanvas(object) {
         }
     } else if (object.type === 'text') {
         // Load and apply the font
-        const fontFamily = object.font || 'Arial';
         const fontSize = object.fontSize || 80; // Increased default font size from 50 to 80
         
-        // Create a temporary canvas to measure text
-        const tempCanvas = document.createElement('canvas');
-        const tempCtx = tempCanvas.getContext('2d');
-        tempCtx.font = `bold ${fontSize}px "${fontFamily}"`;
-        const textMetrics = tempCtx.measureText(object.text);
-        
         // Set the main canvas font
-        ctx.font = `bold ${fontSize}px "${fontFamily}"`;
+        ctx.font = getTextFont(object);
         ctx.fillStyle = object.color || '#000000';
-        ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
+
+        // Lines, words or characters placed by the text's alignment, spacing and layout
+        const layout = layoutText(object);
+        const drawText = (method, dx, dy) => drawTextLayout(ctx, layout, method, dx, dy);
         
         // Only apply shadow if it's enabled for this text object
         if (object.shadow) {
@@ -1700,10 +1873,10 @@ function drawObjectToCanvas(object) {
                     
                     // Draw the outline (4 times for all directions)
                     ctx.fillStyle = '#000000';
-                    ctx.fillText(object.text, -1, -1);
-                    ctx.fillText(object.text, 1, -1);
-                    ctx.fillText(object.text, -1, 1);
-                    ctx.fillText(object.text, 1, 1);
+                    drawText('fillText', -1, -1);
+                    drawText('fillText', 1, -1);
+                    drawText('fillText', -1, 1);
+                    drawText('fillText', 1, 1);
                     
                     // Restore to original state
                     ctx.restore();
@@ -1745,8 +1918,11 @@ function drawObjectToCanvas(object) {
             ctx.shadowOffsetY = 0;
         }
         
-        // Draw the stroke with increased width for better visibility
-        if (object.stroke !== false) {
+        // Stacked outlines take the place of the contrast stroke
+        if (object.outlines?.length > 0) {
+            drawTextOutlines(ctx, object, drawText);
+        } else if (object.stroke !== false) {
+            // Draw the stroke with increased width for better visibility
             // Don't apply stroke if using outline shadow type
             const isOutlineShadow = object.shadowConfig && object.shadowConfig.type === 'outline';
             
@@ -1772,12 +1948,16 @@ function drawObjectToCanvas(object) {
                 }
                 
                 ctx.lineWidth = fontSize / 8; // Increased stroke width
-                ctx.strokeText(object.text, 0, 0);
+                drawText('strokeText');
             }
         }
         
         // Draw the main text
-        ctx.fillText(object.text, 0, 0);
+        if (object.fillType && object.fillType !== 'solid') {
+            drawTextFill(ctx, object, layout);
+        } else {
+            drawText('fillText');
+        }
         
         // Reset shadow after drawing
         ctx.shadowColor = 'transparent';
@@ -1785,4747 +1965,8365 @@ function drawObjectToCanvas(object) {
         ctx.shadowOffsetX = 0;
         ctx.shadowOffsetY = 0;
     } else if (object.type === 'shape') {
-        if (object.shapeType === 'rectangle') {
-            ctx.fillStyle = object.color || '#000000';
-            ctx.strokeStyle = object.color || '#000000';
-            ctx.lineWidth = 1;
-            
-            // Draw rectangle with proper dimensions
-            ctx.fillRect(-object.width / 2, -object.height / 2, object.width, object.height);
-            ctx.strokeRect(-object.width / 2, -object.height / 2, object.width, object.height);
-        } else if (object.shapeType === 'circle') {
-            ctx.fillStyle = object.color || '#000000';
-            ctx.strokeStyle = object.color || '#000000';
-            ctx.lineWidth = 1;
-            
-            // Draw circle with proper radius
-            ctx.beginPath();
-            ctx.arc(0, 0, object.width / 2, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.stroke();
-        } else if (object.shapeType === 'triangle') {
-            ctx.fillStyle = object.color || '#000000';
-            ctx.strokeStyle = object.color || '#000000';
-            ctx.lineWidth = 1;
-            
-            // Draw triangle
-            ctx.beginPath();
-            ctx.moveTo(0, -object.height / 2); // Top point
-            ctx.lineTo(object.width / 2, object.height / 2); // Bottom right
-            ctx.lineTo(-object.width / 2, object.height / 2); // Bottom left
-            ctx.closePath();
-            ctx.fill();
-            ctx.stroke();
-        } else if (object.shapeType === 'star') {
+        const path = getShapePath(object);
+
+        if (object.filled !== false) {
             ctx.fillStyle = object.color || '#000000';
-            ctx.strokeStyle = object.color || '#000000';
-            ctx.lineWidth = 1;
-            
-            // Draw 5-pointed star
-            const radius = object.width / 2;
-            const innerRadius = radius * 0.4; // Inner radius for star points
-            
-            ctx.beginPath();
-            for (let i = 0; i < 5; i++) {
-                const angle = (i * 4 * Math.PI) / 5 - Math.PI / 2;
-                const x = radius * Math.cos(angle);
-                const y = radius * Math.sin(angle);
-                
-                if (i === 0) {
-                    ctx.moveTo(x, y);
-                } else {
-                    ctx.lineTo(x, y);
-                }
-                
-                // Inner points
-                const innerAngle = angle + Math.PI / 5;
-                const innerX = innerRadius * Math.cos(innerAngle);
-                const innerY = innerRadius * Math.sin(innerAngle);
-                ctx.lineTo(innerX, innerY);
-            }
-            ctx.closePath();
-            ctx.fill();
-            ctx.stroke();
+            ctx.fill(path);
         }
+
+        if (object.strokeWidth > 0) {
+            ctx.strokeStyle = object.strokeColor || '#000000';
+            ctx.lineWidth = object.strokeWidth;
+            ctx.lineJoin = 'miter';
+            ctx.miterLimit = 4;
+            ctx.lineCap = object.strokeDash === 'dotted' ? 'round' : 'butt';
+            ctx.setLineDash(getShapeDash(object.strokeDash, object.strokeWidth));
+            ctx.stroke(path);
+        }
+    } else if (object.type === 'vector' && object.paths) {
+        // Paths are in the traced picture's coordinates, scaling them keeps every size crisp
+        ctx.scale(object.width / object.viewBox.width, object.height / object.viewBox.height);
+        ctx.translate(-object.viewBox.width / 2, -object.viewBox.height / 2);
+        ctx.lineWidth = object.trapWidth || 0;
+        ctx.lineJoin = 'round';
+
+        object.paths.forEach(path => {
+            ctx.fillStyle = path.fill;
+            ctx.strokeStyle = path.fill;
+            ctx.fill(getPath2D(path));
+            if (ctx.lineWidth > 0) ctx.stroke(getPath2D(path));
+        });
+    } else if (object.type === 'group' && object.children) {
+        // Children keep the coordinates they had when grouped, the group's size and rotation apply to all of them
+        ctx.scale(object.width / object.viewBox.width, object.height / object.viewBox.height);
+        ctx.translate(-object.viewBox.width / 2, -object.viewBox.height / 2);
+        object.children.forEach(child => drawObjectToCanvas(child, ctx));
     }
 
     // Restore context state
     ctx.restore();
 }
 
+// Parsed vector paths, kept outside the objects so history and saved designs only hold the path data
+const path2DCache = new WeakMap();
+
+function getPath2D(path) {
+    if (!path2DCache.has(path)) {
+        path2DCache.set(path, new Path2D(path.d));
+    }
+    return path2DCache.get(path);
+}
+
+// Blend modes offered in the edit panels, applied as canvas composite operations
+export const BLEND_MODES = [
+    { value: 'normal', label: 'Normal' },
+    { value: 'multiply', label: 'Multiply' },
+    { value: 'screen', label: 'Screen' },
+    { value: 'overlay', label: 'Overlay' },
+    { value: 'soft-light', label: 'Soft Light' },
+    { value: 'hard-light', label: 'Hard Light' },
+    { value: 'darken', label: 'Darken' },
+    { value: 'lighten', label: 'Lighten' },
+    { value: 'color-burn', label: 'Color Burn' },
+    { value: 'color-dodge', label: 'Color Dodge' },
+    { value: 'difference', label: 'Difference' },
+    { value: 'exclusion', label: 'Exclusion' },
+    { value: 'hue', label: 'Hue' },
+    { value: 'saturation', label: 'Saturation' },
+    { value: 'color', label: 'Color' },
+    { value: 'luminosity', label: 'Luminosity' }
+];
+
+// Extra room around an object's box for text shadows and outlines, in canvas pixels
+const EFFECT_PADDING = 40;
+
 /**
- * Draw selection overlay for selected object
- * @param {Object} object 
+ * Draw an object with its opacity and blend mode. On the shirt the object blends with the garment
+ * color as well as the artwork beneath it, in print files and thumbnails only with the artwork.
+ * @param {Object} object - The object
+ * @param {CanvasRenderingContext2D} ctx - The context to draw to
  */
-function drawSelectionOverlay(object) {
-    if (!object) return;
-
-    const ctx = canvasData.ctx;
+function drawObjectWithEffects(object, ctx) {
+    const opacity = Math.max(0, Math.min(1, object.opacity ?? 1));
+    const mode = object.blendMode && object.blendMode !== 'normal' ? object.blendMode : null;
+    if (opacity === 0) return;
+
+    // The part of the canvas the object covers
+    const transform = ctx.getTransform();
+    const bounds = getRotatedBoundingBox(object);
+    const corners = [[bounds.left, bounds.top], [bounds.right, bounds.top], [bounds.left, bounds.bottom], [bounds.right, bounds.bottom]]
+        .map(([x, y]) => transform.transformPoint(new DOMPoint(x, y)));
+    // Text outlines and shape strokes can reach further out than the shadows the padding allows for
+    const overhang = object.type === 'text' ? getTextOutlineReach(object) : object.type === 'shape' ? getShapeOverhang(object) : 0;
+    const padding = EFFECT_PADDING + overhang * Math.hypot(transform.a, transform.b);
+    const left = Math.max(0, Math.floor(Math.min(...corners.map(p => p.x)) - padding));
+    const top = Math.max(0, Math.floor(Math.min(...corners.map(p => p.y)) - padding));
+    const right = Math.min(ctx.canvas.width, Math.ceil(Math.max(...corners.map(p => p.x)) + padding));
+    const bottom = Math.min(ctx.canvas.height, Math.ceil(Math.max(...corners.map(p => p.y)) + padding));
+    if (right <= left || bottom <= top) return;
+
+    // The object on its own
+    const layer = document.createElement('canvas');
+    layer.width = right - left;
+    layer.height = bottom - top;
+    const layerCtx = layer.getContext('2d');
+    layerCtx.setTransform(transform.a, transform.b, transform.c, transform.d, transform.e - left, transform.f - top);
+    drawObjectToCanvas({ ...object, opacity: 1, blendMode: 'normal' }, layerCtx);
 
-    // Save context state
     ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.filter = 'none';
+    ctx.globalAlpha = opacity;
+
+    if (mode && ctx === canvasData.ctx) {
+        // The texture is transparent where the garment shows, so the garment color goes under the backdrop
+        const blended = document.createElement('canvas');
+        blended.width = layer.width;
+        blended.height = layer.height;
+        const blendedCtx = blended.getContext('2d');
+        blendedCtx.fillStyle = state.color || '#FFFFFF';
+        blendedCtx.fillRect(0, 0, blended.width, blended.height);
+        blendedCtx.drawImage(ctx.canvas, left, top, blended.width, blended.height, 0, 0, blended.width, blended.height);
+        blendedCtx.globalCompositeOperation = mode;
+        blendedCtx.drawImage(layer, 0, 0);
+
+        // Cut the result back to the object's shape
+        blendedCtx.globalCompositeOperation = 'destination-in';
+        blendedCtx.drawImage(layer, 0, 0);
+        ctx.drawImage(blended, left, top);
+    } else {
+        ctx.globalCompositeOperation = mode || 'source-over';
+        ctx.drawImage(layer, left, top);
+    }
 
-    // Apply transformations for position (center of object)
-    ctx.translate(object.left + object.width / 2, object.top + object.height / 2);
+    ctx.restore();
+}
 
-    // Calculate the rotated bounding box dimensions
-    let borderWidth = object.width;
-    let borderHeight = object.height;
-    let borderOffsetX = 0;
-    let borderOffsetY = 0;
+// Layouts text can follow
+export const TEXT_LAYOUTS = [
+    { value: 'straight', label: 'Straight' },
+    { value: 'arc-up', label: 'Arch' },
+    { value: 'arc-down', label: 'Arch Down' },
+    { value: 'circle', label: 'Circle' },
+    { value: 'wave', label: 'Wave' },
+    { value: 'path', label: 'Custom Path' }
+];
 
-    if (object.angle && Math.abs(object.angle) > 0.1) {
-        const angleRad = object.angle * Math.PI / 180;
-        const halfWidth = object.width / 2;
-        const halfHeight = object.height / 2;
+// Arc and circle radius, wave height and wave length are in font sizes, so they scale with the text
+const DEFAULT_TEXT_RADIUS = 5;
+const DEFAULT_WAVE_AMPLITUDE = 0.4;
+const WAVE_LENGTH = 5;
+const DEFAULT_TEXT_PATH = 'M0,60 C40,0 110,0 150,60';
 
-        // Calculate the four corners of the unrotated box
-        const corners = [
-            { x: -halfWidth, y: -halfHeight },  // Top-left
-            { x: halfWidth, y: -halfHeight },   // Top-right
-            { x: halfWidth, y: halfHeight },    // Bottom-right
-            { x: -halfWidth, y: halfHeight }    // Bottom-left
-        ];
+// Height of a line of text in font sizes
+const TEXT_LINE_HEIGHT = 1.2;
 
-        // Rotate each corner and find the extreme points
-        let minRotX = Number.MAX_VALUE;
-        let maxRotX = -Number.MAX_VALUE;
-        let minRotY = Number.MAX_VALUE;
-        let maxRotY = -Number.MAX_VALUE;
+let textMeasureContext = null;
+let textPathElement = null;
 
-        corners.forEach(corner => {
-            // Apply rotation transformation
-            const rotX = corner.x * Math.cos(angleRad) - corner.y * Math.sin(angleRad);
-            const rotY = corner.x * Math.sin(angleRad) + corner.y * Math.cos(angleRad);
+/**
+ * Canvas font of a text object, bold unless another weight was picked, in the closest face its font has
+ * @param {Object} object - Text object
+ * @param {number} fontSize - Font size to use (default: the object's)
+ * @returns {string}
+ */
+function getTextFont(object, fontSize = object.fontSize || 80) {
+    const family = object.font || 'Arial';
+    const face = resolveFontFace(family, object.fontWeight || 'bold', object.fontStyle || 'normal');
+    return `${face.style} ${face.weight} ${fontSize}px "${family}"`;
+}
 
-            // Update extreme points
-            minRotX = Math.min(minRotX, rotX);
-            maxRotX = Math.max(maxRotX, rotX);
-            minRotY = Math.min(minRotY, rotY);
-            maxRotY = Math.max(maxRotY, rotY);
-        });
+/**
+ * Canvas context set to an object's font, for measuring text
+ * @param {Object} object - Text object
+ * @returns {CanvasRenderingContext2D}
+ */
+function getTextMeasureContext(object) {
+    if (!textMeasureContext) {
+        textMeasureContext = document.createElement('canvas').getContext('2d');
+    }
+    textMeasureContext.font = getTextFont(object);
+    return textMeasureContext;
+}
 
-        // Calculate the new border dimensions
-        borderWidth = maxRotX - minRotX;
-        borderHeight = maxRotY - minRotY;
-        borderOffsetX = (minRotX + maxRotX) / 2;
-        borderOffsetY = (minRotY + maxRotY) / 2;
+/**
+ * SVG path element for measuring a custom text path. It lives in a hidden SVG, as some browsers
+ * can't measure paths outside the document.
+ * @param {string} pathData - SVG path data
+ * @returns {SVGPathElement|null} Null when the path data is invalid or empty
+ */
+function getTextPathElement(pathData) {
+    if (!textPathElement) {
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('aria-hidden', 'true');
+        svg.style.cssText = 'position: absolute; width: 0; height: 0; visibility: hidden;';
+        textPathElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        svg.appendChild(textPathElement);
+        document.body.appendChild(svg);
     }
 
-    // Draw selection outline - non-rotating rectangular boundary
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
-    ctx.lineWidth = 2;
-    ctx.setLineDash([6, 6]);
-    
-    // Use padding for better visibility
-    const padding = 4;
-    
-    // Draw a rectangular boundary that doesn't rotate, just like the control buttons
-    ctx.strokeRect(
-        borderOffsetX - borderWidth/2 - padding,
-        borderOffsetY - borderHeight/2 - padding,
-        borderWidth + padding * 2,
-        borderHeight + padding * 2
-    );
-    
-    // Draw center point for reference (if object is rotated)
-    if (object.angle && Math.abs(object.angle) > 0.1) {
-        ctx.setLineDash([]);
-        ctx.beginPath();
-        ctx.arc(0, 0, 4, 0, Math.PI * 2);
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
-        ctx.fill();
+    textPathElement.setAttribute('d', pathData);
+    try {
+        return textPathElement.getTotalLength() > 0 ? textPathElement : null;
+    } catch (error) {
+        return null;
     }
-    
-    // Draw modern control buttons
-    const buttonRadius = 12;
-    const buttonPadding = 5;
-    
-    // Get current view's UV boundaries from config for constraining controls
-    const viewConfig = modelConfig[state.currentModel].views[state.cameraView];
-    const constrainControls = viewConfig && viewConfig.uvRect;
-    
-    // Calculate boundaries in canvas space
-    let minX, maxX, minY, maxY;
-    
-    if (constrainControls) {
-        const uvRect = viewConfig.uvRect;
-        minX = Math.min(uvRect.u1, uvRect.u2) * canvasData.width;
-        maxX = Math.max(uvRect.u1, uvRect.u2) * canvasData.width;
-        minY = Math.min(uvRect.v1, uvRect.v2) * canvasData.height;
-        maxY = Math.max(uvRect.v1, uvRect.v2) * canvasData.height;
-        
-        // Convert boundaries to object-relative coordinates
-        minX = minX - (object.left + object.width / 2);
-        maxX = maxX - (object.left + object.width / 2);
-        minY = minY - (object.top + object.height / 2);
-        maxY = maxY - (object.top + object.height / 2);
-    }
-    
-    // Function to constrain button position within boundaries
-    const constrainButtonPosition = (x, y) => {
-        if (!constrainControls) return { x, y };
-        
-        // Add a small margin to keep buttons fully visible
-        const margin = buttonRadius + 2;
-        
-        // Constrain X
-        let constrainedX = x;
-        if (x < minX + margin) constrainedX = minX + margin;
-        if (x > maxX - margin) constrainedX = maxX - margin;
-        
-        // Constrain Y
-        let constrainedY = y;
-        if (y < minY + margin) constrainedY = minY + margin;
-        if (y > maxY - margin) constrainedY = maxY - margin;
-        
-        return { x: constrainedX, y: constrainedY };
-    };
-    
-    // Function to draw a control button with improved colors
-    const drawControlButton = (x, y, icon, color = '#000000', backgroundColor = '#FFFFFF', rotation = 0, content = null) => {
-        // Constrain button within editable area
-        const constrainedPos = constrainButtonPosition(x, y);
-        
-        ctx.save();
-        ctx.beginPath();
-        ctx.arc(constrainedPos.x, constrainedPos.y, buttonRadius, 0, Math.PI * 2);
-        ctx.fillStyle = backgroundColor;
-        ctx.fill();
-        ctx.lineWidth = 2;
-        ctx.strokeStyle = color;
-        ctx.stroke();
-        
-        // Apply rotation if specified
-        if (rotation !== 0) {
-            ctx.translate(constrainedPos.x, constrainedPos.y);
-            ctx.rotate(rotation * Math.PI / 180);
-            ctx.translate(-constrainedPos.x, -constrainedPos.y);
-        }
-        
-        // Draw icon with improved contrast
-        ctx.fillStyle = color;
-        ctx.font = '14px FontAwesome';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(content || icon, constrainedPos.x, constrainedPos.y);
-        ctx.restore();
-    };
-
-    // Initialize icon pin states if they don't exist
-    if (!object.iconStates) {
-        object.iconStates = {
-            delete: false,
-            layers: false,
-            scale: false,
-            pin: false,
-            rotate: false,
-            duplicate: false
-        };
-    }
-    
-    // Track if mouse is being held down
-    if (!object.mouseDown) {
-        object.mouseDown = {
-            scale: false,
-            rotate: false,
-            duplicate: false,
-            delete: false,
-            layers: false
-        };
+}
+
+/**
+ * The line a text layout follows
+ * @param {Object} object - Text object
+ * @param {number} length - Length of the text along the line
+ * @param {number} fontSize - Font size of the text
+ * @returns {Function} Position and direction { x, y, angle } at a distance along the line
+ */
+function getTextCurve(object, length, fontSize) {
+    const radius = (object.textRadius || DEFAULT_TEXT_RADIUS) * fontSize;
+
+    switch (object.textLayout) {
+        case 'arc-up':
+        case 'arc-down': {
+            // Never more than a full turn
+            const arcRadius = Math.max(radius, length / (2 * Math.PI));
+            const direction = object.textLayout === 'arc-up' ? 1 : -1;
+            return (distance) => {
+                const angle = (distance - length / 2) / arcRadius;
+                return { x: arcRadius * Math.sin(angle), y: -direction * arcRadius * Math.cos(angle), angle: direction * angle };
+            };
+        }
+        case 'circle': {
+            // The text is spread around the whole circle, centered at the top
+            const circleRadius = Math.max(radius, length / (2 * Math.PI));
+            return (distance) => {
+                const angle = (distance / length - 0.5) * 2 * Math.PI;
+                return { x: circleRadius * Math.sin(angle), y: -circleRadius * Math.cos(angle), angle };
+            };
+        }
+        case 'wave': {
+            const amplitude = (object.waveAmplitude ?? DEFAULT_WAVE_AMPLITUDE) * fontSize;
+            const frequency = 2 * Math.PI / (WAVE_LENGTH * fontSize);
+            return (distance) => ({
+                x: distance - length / 2,
+                y: amplitude * Math.sin(frequency * distance),
+                angle: Math.atan(amplitude * frequency * Math.cos(frequency * distance))
+            });
+        }
+        case 'path': {
+            // The path is scaled so the text fits it exactly
+            const path = getTextPathElement(object.textPath || DEFAULT_TEXT_PATH);
+            if (!path) break;
+
+            const pathLength = path.getTotalLength();
+            const scale = length / pathLength;
+            return (distance) => {
+                const at = distance / scale;
+                const point = path.getPointAtLength(at);
+                const before = path.getPointAtLength(Math.max(0, at - 0.5));
+                const after = path.getPointAtLength(Math.min(pathLength, at + 0.5));
+                return { x: point.x * scale, y: point.y * scale, angle: Math.atan2(after.y - before.y, after.x - before.x) };
+            };
+        }
     }
 
-    // Check if we should show the layers button (when there are overlapping decals)
-    const hasOverlappingDecals = canvasData.objects.some(otherObj => 
-        otherObj !== object && 
-        isObjectsOverlapping(object, otherObj)
-    );
-    
-    // Special handler for trash icon with color effect
-    const drawTrashIcon = () => {
-        const x = -borderWidth / 2 - buttonRadius - buttonPadding + borderOffsetX;
-        const y = borderHeight / 2 + buttonRadius + buttonPadding + borderOffsetY;
-        
-        // Constrain within boundaries
-        const constrainedPos = constrainButtonPosition(x, y);
-        
-        // Draw button background
-        ctx.beginPath();
-        ctx.arc(constrainedPos.x, constrainedPos.y, buttonRadius * 1.1, 0, Math.PI * 2);
-        ctx.fillStyle = object.mouseDown.delete ? '#c8c8c8' : '#E3F2FD';  // Dark black when clicked
-        ctx.fill();
-        
-        // Draw border
-        ctx.lineWidth = 1.5;
-        ctx.strokeStyle = '#000000';
-        ctx.stroke();
-        
-        // Draw the trash can
-        ctx.save();
-        ctx.translate(constrainedPos.x, constrainedPos.y);
-        ctx.scale(1.2, 1.2);  // Make the icon 20% larger
-        
-        // Use black color for icon
-        const iconColor = '#000000';
-        
-        // Draw trash can handle
-        ctx.beginPath();
-        ctx.moveTo(-4, -5);
-        ctx.lineTo(4, -5);
-        ctx.lineWidth = 1.5;
-        ctx.lineCap = 'round';
-        ctx.strokeStyle = iconColor;
-        ctx.stroke();
-        
-        // Draw trash can lid
-        ctx.beginPath();
-        ctx.moveTo(-5, -3);
-        ctx.lineTo(5, -3);
-        ctx.lineTo(4, -1);
-        ctx.lineTo(-4, -1);
-        ctx.closePath();
-        ctx.fillStyle = iconColor;
-        ctx.fill();
-        
-        // Draw trash can body
-        ctx.beginPath();
-        ctx.moveTo(-4, -1);
-        ctx.lineTo(-4, 5);
-        ctx.lineTo(-3, 6);
-        ctx.lineTo(3, 6);
-        ctx.lineTo(4, 5);
-        ctx.lineTo(4, -1);
-        ctx.closePath();
-        ctx.fillStyle = iconColor;
-        ctx.fill();
-        
-        // Draw lines on trash can
-        ctx.beginPath();
-        ctx.moveTo(-2, 0);
-        ctx.lineTo(-2, 4.5);
-        ctx.moveTo(0, 0);
-        ctx.lineTo(0, 4.5);
-        ctx.moveTo(2, 0);
-        ctx.lineTo(2, 4.5);
-        ctx.strokeStyle = '#ffffff';
-        ctx.lineWidth = 1;
-        ctx.stroke();
-        
-        ctx.restore();
-    };
-    
-    // Draw delete button (bottom left) with custom approach
-    drawTrashIcon();
-    
-    // Draw layers button (top center, only if there are overlapping decals)
-    if (hasOverlappingDecals) {
-        drawControlButton(
-            borderOffsetX,
-            -borderHeight / 2 - buttonRadius - buttonPadding + borderOffsetY,
-            '⿻',
-            '#000000',
-            object.mouseDown.layers ? '#c8c8c8' : '#E3F2FD'  // Dark black when held
-        );
-    }
-    
-    // Draw resize button (bottom right)
-    drawControlButton(
-        borderWidth / 2 + buttonRadius + buttonPadding + borderOffsetX,
-        borderHeight / 2 + buttonRadius + buttonPadding + borderOffsetY,
-        '↔',
-        '#000000',
-        object.mouseDown.scale ? '#c8c8c8' : '#E3F2FD',  // Dark black when held
-        45
-    );
-    
-    // Draw pin button (top left)
-    drawControlButton(
-        -borderWidth / 2 - buttonRadius - buttonPadding + borderOffsetX,
-        -borderHeight / 2 - buttonRadius - buttonPadding + borderOffsetY,
-        '📌',
-        '#000000',
-        object.iconStates.pin ? '#c8c8c8' : '#E3F2FD',  // Dark black when pinned
-        object.iconStates.pin ? 0 : 45
-    );
-    
-    // Draw rotate button (top right)
-    drawControlButton(
-        borderWidth / 2 + buttonRadius + buttonPadding + borderOffsetX,
-        -borderHeight / 2 - buttonRadius - buttonPadding + borderOffsetY,
-        '↺',
-        '#000000',
-        object.mouseDown.rotate ? '#c8c8c8' : '#E3F2FD'  // Dark black when held
-    );
-    
-    // Draw duplicate button (bottom center)
-    drawControlButton(
-        borderOffsetX,
-        borderHeight / 2 + buttonRadius + buttonPadding + borderOffsetY,
-        'x2',
-        '#000000',
-        object.mouseDown.duplicate ? '#c8c8c8' : '#E3F2FD'  // Dark black when held
-    );
-    
-    // Restore context state
-    ctx.restore();
+    return (distance) => ({ x: distance - length / 2, y: 0, angle: 0 });
 }
 
-// Helper function to check if two objects are overlapping
-function isObjectsOverlapping(obj1, obj2) {
-    // Get the bounding boxes of both objects
-    const rect1 = getRotatedBoundingBox(obj1);
-    const rect2 = getRotatedBoundingBox(obj2);
-    
-    // Check for overlap with a small tolerance
-    const tolerance = 2; // 2 pixels tolerance
-    
-    // Check if any edge of obj1 touches or overlaps with obj2
-    return !(rect1.right + tolerance < rect2.left || 
-             rect1.left - tolerance > rect2.right || 
-             rect1.bottom + tolerance < rect2.top || 
-             rect1.top - tolerance > rect2.bottom);
+/**
+ * Whether a text object is laid out in lines rather than along a curve
+ * @param {Object} object - Text object
+ * @returns {boolean}
+ */
+function isStraightText(object) {
+    return !object.textLayout || object.textLayout === 'straight';
 }
 
-// Helper function to get rotated bounding box
-function getRotatedBoundingBox(obj) {
-    if (!obj.angle || Math.abs(obj.angle) < 0.1) {
-        return {
-            left: obj.left,
-            right: obj.left + obj.width,
-            top: obj.top,
-            bottom: obj.top + obj.height
-        };
-    }
-
-    const angleRad = obj.angle * Math.PI / 180;
-    const centerX = obj.left + obj.width / 2;
-    const centerY = obj.top + obj.height / 2;
-    const halfWidth = obj.width / 2;
-    const halfHeight = obj.height / 2;
-
-    // Calculate corners
-    const corners = [
-        { x: -halfWidth, y: -halfHeight },
-        { x: halfWidth, y: -halfHeight },
-        { x: halfWidth, y: halfHeight },
-        { x: -halfWidth, y: halfHeight }
-    ];
+/**
+ * Load the face a text object draws with, for the characters it uses
+ * @param {Object} object - Text object, or the font, style and text of a text being added
+ * @returns {Promise<void>}
+ */
+function loadTextFont(object) {
+    return loadFont(getTextFont(object), getTextLines(object).join(''));
+}
 
-    // Rotate corners
-    const rotatedCorners = corners.map(corner => ({
-        x: centerX + (corner.x * Math.cos(angleRad) - corner.y * Math.sin(angleRad)),
-        y: centerY + (corner.x * Math.sin(angleRad) + corner.y * Math.cos(angleRad))
-    }));
+/**
+ * Lines of a text object, after its case transform
+ * @param {Object} object - Text object
+ * @returns {Array<string>}
+ */
+function getTextLines(object) {
+    const text = object.text || '';
+    return (object.textTransform === 'uppercase' ? text.toUpperCase() : text).split('\n');
+}
 
-    // Find bounds
-    return {
-        left: Math.min(...rotatedCorners.map(c => c.x)),
-        right: Math.max(...rotatedCorners.map(c => c.x)),
-        top: Math.min(...rotatedCorners.map(c => c.y)),
-        bottom: Math.max(...rotatedCorners.map(c => c.y))
-    };
+/**
+ * Place the text of an object as pieces drawn one fillText() each
+ * @param {Object} object - Text object
+ * @returns {Object} { runs, align, width, height }. Runs are { text, x, y, angle } relative to the center
+ *   of the text's box, drawn with the given canvas textAlign. Width and height are the text's natural size.
+ */
+function layoutText(object) {
+    return isStraightText(object) ? layoutTextLines(object) : layoutTextGlyphs(object);
 }
 
 /**
- * Add a new object to the canvas
- * @param {Object} object - The object to add
+ * Lay out straight text: one run per line, per word for justified lines, per character with letter spacing
+ * @param {Object} object - Text object
+ * @returns {Object} See layoutText()
  */
-export function addObject(object) {
-    // Add object to the canvas data
-    canvasData.objects.push(object);
+function layoutTextLines(object) {
+    const fontSize = object.fontSize || 80;
+    const ctx = getTextMeasureContext(object);
+    const spacing = (object.letterSpacing || 0) * fontSize;
+    const lineHeight = fontSize * (object.lineHeight || TEXT_LINE_HEIGHT);
+    const align = object.textAlign || 'center';
+
+    const measure = (text) => ctx.measureText(text).width + spacing * Math.max(0, [...text].length - 1);
+    const lines = getTextLines(object).map(text => ({ text, width: measure(text) }));
+    const width = Math.max(...lines.map(line => line.width));
+
+    // Auto-fit text is aligned within its box, which its natural size was fitted into
+    const boxWidth = object.autoFit ? Math.max(width, object.width || 0) : width;
+
+    const runs = [];
+    const addRun = (text, x, y) => {
+        if (!spacing) {
+            runs.push({ text, x, y });
+            return;
+        }
+        [...text].forEach(char => {
+            runs.push({ text: char, x, y });
+            x += ctx.measureText(char).width + spacing;
+        });
+    };
 
-    // Update the texture
-    updateShirt3DTexture();
+    lines.forEach((line, i) => {
+        const y = (i - (lines.length - 1) / 2) * lineHeight;
+        const words = line.text.trim().split(/\s+/);
+
+        // Justified lines stretch their word gaps to the box, the last line stays as it is
+        if (align === 'justify' && i < lines.length - 1 && words.length > 1) {
+            const wordWidths = words.map(measure);
+            const gap = (boxWidth - wordWidths.reduce((sum, w) => sum + w, 0)) / (words.length - 1);
+            let x = -boxWidth / 2;
+            words.forEach((word, w) => {
+                addRun(word, x, y);
+                x += wordWidths[w] + gap;
+            });
+            return;
+        }
 
-    // Return the added object
-    return object;
+        let x = -boxWidth / 2;
+        if (align === 'center') {
+            x = -line.width / 2;
+        } else if (align === 'right') {
+            x = boxWidth / 2 - line.width;
+        }
+        addRun(line.text, x, y);
+    });
+
+    return { runs, align: 'left', width, height: lines.length * lineHeight };
 }
 
 /**
- * Remove an object from the canvas
- * @param {Object} object - The object to remove
+ * Place every character of a curved text object along its line. Lines are joined with spaces.
+ * @param {Object} object - Text object
+ * @returns {Object} See layoutText()
  */
-export function removeObject(object) {
-    // Find object index
-    const index = canvasData.objects.indexOf(object);
+function layoutTextGlyphs(object) {
+    const fontSize = object.fontSize || 80;
+    const ctx = getTextMeasureContext(object);
+    const spacing = (object.letterSpacing || 0) * fontSize;
+    const chars = [...getTextLines(object).join(' ')];
+    const advances = chars.map(char => ctx.measureText(char).width + spacing);
+    const length = advances.reduce((sum, advance) => sum + advance, 0);
+    const cellHeight = fontSize * (object.lineHeight || TEXT_LINE_HEIGHT);
+
+    if (length <= 0) {
+        return { runs: [], align: 'center', width: 0, height: cellHeight };
+    }
 
-    // Remove if found
-    if (index !== -1) {
-        canvasData.objects.splice(index, 1);
+    const curve = getTextCurve(object, length, fontSize);
+    let distance = 0;
+    const glyphs = chars.map((char, i) => {
+        const glyph = { text: char, width: advances[i], ...curve(distance + advances[i] / 2) };
+        distance += advances[i];
+        return glyph;
+    });
 
-        // Update the texture
-        updateShirt3DTexture();
+    // Box around every character's rotated cell
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    glyphs.forEach(glyph => {
+        const cos = Math.abs(Math.cos(glyph.angle));
+        const sin = Math.abs(Math.sin(glyph.angle));
+        const extentX = glyph.width / 2 * cos + cellHeight / 2 * sin;
+        const extentY = glyph.width / 2 * sin + cellHeight / 2 * cos;
+        minX = Math.min(minX, glyph.x - extentX);
+        maxX = Math.max(maxX, glyph.x + extentX);
+        minY = Math.min(minY, glyph.y - extentY);
+        maxY = Math.max(maxY, glyph.y + extentY);
+    });
 
-        return true;
+    const centerX = (minX + maxX) / 2;
+    const centerY = (minY + maxY) / 2;
+    glyphs.forEach(glyph => {
+        glyph.x -= centerX;
+        glyph.y -= centerY;
+    });
+
+    return { runs: glyphs, align: 'center', width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Natural size of a text object's box for its text, font, spacing and layout
+ * @param {Object} object - Text object
+ * @returns {Object} { width, height }
+ */
+export function measureTextObject(object) {
+    const { width, height } = layoutText(object);
+    return { width, height };
+}
+
+/**
+ * Font size at which a text object's text fills a box
+ * @param {Object} object - Text object
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @returns {number}
+ */
+function getFittedFontSize(object, width, height) {
+    const fontSize = object.fontSize || 80;
+    const natural = measureTextObject(object);
+    if (!natural.width || !natural.height) return fontSize;
+
+    // Every measurement is proportional to the font size
+    return Math.max(4, fontSize * Math.min(width / natural.width, height / natural.height));
+}
+
+/**
+ * Fit a text object to its text, keeping its center in place. Auto-fit text keeps its box
+ * and gets the font size that fills it, other text gets a box the size of the text.
+ * @param {Object} object - Text object
+ */
+function fitTextObject(object) {
+    if (object.autoFit) {
+        object.fontSize = getFittedFontSize(object, object.width, object.height);
+        return;
     }
 
-    return false;
+    const { width, height } = measureTextObject(object);
+    const centerX = object.left + object.width / 2;
+    const centerY = object.top + object.height / 2;
+
+    object.width = width || object.width;
+    object.height = height;
+    object.left = centerX - object.width / 2;
+    object.top = centerY - object.height / 2;
 }
 
 /**
- * Add an image to the canvas
- * @param {string} imageUrl - URL of the image to add
- * @param {Object} options - Options for positioning and sizing
- * @returns {Promise<Object>} The added image object
+ * Fill or stroke laid out text
+ * @param {CanvasRenderingContext2D} ctx - Context with the font set and the origin at the text's center
+ * @param {Object} layout - Layout from layoutText()
+ * @param {string} method - 'fillText' or 'strokeText'
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
  */
-export function addImage(imageUrl, options = {}) {
-    return new Promise((resolve, reject) => {
-        // Get current view
-        const targetView = options.view || state.cameraView;
-        
-        // Create new image with high quality settings
-        const img = new Image();
-        img.crossOrigin = 'anonymous';
-        
-        // Set image quality settings
-        img.imageSmoothingEnabled = true;
-        img.imageSmoothingQuality = 'high';
-        
-        // When the image loads
-        img.onload = () => {
-            // Calculate optimal dimensions while maintaining aspect ratio
-            const aspectRatio = img.width / img.height;
-            
-            // Default width based on canvas size, or user-specified width
-            const defaultWidth = canvasData.width * 0.2;
-            
-            // Calculate height based on aspect ratio
-            const defaultHeight = defaultWidth / aspectRatio;
-            
-            // Get view configuration for correct placement
-            const viewConfig = modelConfig[state.currentModel]?.views?.[targetView];
-            if (!viewConfig) {
-                reject(new Error(`Invalid view configuration for ${targetView}`));
-                return;
-            }
-            
-            // Get the position based on options or calculate a default position
-            let left, top;
-            if (options.left !== undefined && options.top !== undefined) {
-                // Use provided position
-                left = options.left;
-                top = options.top;
-            } else {
-                // Always center the image in the view for consistent placement
-                const uvRect = viewConfig.uvRect;
-                const centerX = (uvRect.u1 + uvRect.u2) / 2 * canvasData.width;
-                const centerY = (uvRect.v1 + uvRect.v2) / 2 * canvasData.height;
-                left = centerX - defaultWidth / 2;
-                top = centerY - defaultHeight / 2;
-            }
-            
-            // Check if this is a decal type image
-            let hasTransparency = false;
-            const isDecalType = /\.(png|webp|gif)$/i.test(imageUrl) || 
-                                imageUrl.includes("data:image/png") || 
-                                imageUrl.includes("data:image/webp") ||
-                                options.isDecal || 
-                                options.removeColor;
-            
-            try {
-                // Create a temporary canvas to check for transparency
-                const tempCanvas = document.createElement('canvas');
-                const tempCtx = tempCanvas.getContext('2d');
-                tempCanvas.width = img.width; // Use original image dimensions
-                tempCanvas.height = img.height;
-                tempCtx.drawImage(img, 0, 0, tempCanvas.width, tempCanvas.height);
-                
-                // Sample pixels to check for transparency
-                const pixels = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height).data;
-                
-                // Check a reasonable number of pixels for transparency
-                for (let i = 3; i < pixels.length; i += 4) {
-                    if (pixels[i] < 240) { // Alpha channel less than 240 (not fully opaque)
-                        hasTransparency = true;
-                        break;
-                    }
-                }
-                
-                // If we detected transparency or it's a common decal format, mark as decal
-                if (hasTransparency || isDecalType) {
-                    options.isDecal = true;
-                }
-            } catch (e) {
-                console.warn('Error checking image transparency:', e);
-                // If we can't check, fall back to file extension check
-                options.isDecal = isDecalType;
-            }
-            
-            const uvRect = viewConfig.uvRect;
-            
-            // Calculate safe placement area (with padding)
-            const minX = uvRect.u1 * canvasData.width;
-            const minY = uvRect.v1 * canvasData.height;
-            const maxX = uvRect.u2 * canvasData.width;
-            const maxY = uvRect.v2 * canvasData.height;
-            
-            // Ensure the image position is within valid UV bounds
-            left = Math.max(minX, Math.min(maxX - defaultWidth / 2, left));
-            top = Math.max(minY, Math.min(maxY - defaultHeight / 2, top));
-            
-            // Create the object with improved default properties for decals
-            const obj = {
-                id: 'img_' + Date.now() + '_' + Math.floor(Math.random() * 1000),
-                type: 'image',
-                img: img,
-                src: imageUrl,
-                left: left,
-                top: top,
-                width: options.width || defaultWidth,
-                height: options.height || defaultHeight,
-                angle: options.angle || 0,
-                isDecal: options.isDecal || false,
-                isAIGenerated: options.isAIGenerated || false,
-                removeColor: options.removeColor || false,
-                view: targetView,
-                // Apply default enhancement filters to make decals more vibrant
-                currentFilters: options.currentFilters || 'contrast(120%) saturate(130%) brightness(105%)',
-                metadata: {
-                    originalWidth: img.width,
-                    originalHeight: img.height,
-                    hasTransparency: hasTransparency
-                }
-            };
+function drawTextLayout(ctx, layout, method, dx = 0, dy = 0) {
+    ctx.textAlign = layout.align;
 
-            // Add object to collection
-            canvasData.objects.push(obj);
-            
-            // Save state for undo
-            historyStack.saveState();
-            
-            // Save to panel settings if it's a decal
-            if (obj.isDecal) {
-                if (obj.isAIGenerated) {
-                    addPanelItem('ai', obj);
-                } else {
-                    addPanelItem('photo', obj);
-                }
-            }
-            
-            // Update the 3D texture
-            updateShirt3DTexture();
-            
-            // Resolve with the created object
-            resolve(obj);
-            
-            // Log success but with additional decal information
-            Logger.log(`Added image${obj.isDecal ? ' (decal)' : ''}: ${imageUrl.substring(0, 50)}...`);
-        };
+    layout.runs.forEach(run => {
+        if (!run.angle) {
+            ctx[method](run.text, run.x + dx, run.y + dy);
+            return;
+        }
 
-        // Set source to start loading
-        img.src = imageUrl;
+        ctx.save();
+        ctx.translate(run.x + dx, run.y + dy);
+        ctx.rotate(run.angle);
+        ctx[method](run.text, 0, 0);
+        ctx.restore();
     });
 }
 
-// Define text colors
-const TEXT_COLORS = [
-    '#000000', // Black
-    '#FFFFFF', // White
-    '#FF0000', // Red
-    '#00FF00', // Green
-    '#0000FF', // Blue
-    '#FFFF00', // Yellow
-    '#FF00FF', // Magenta
-    '#00FFFF', // Cyan
-    '#FFA500', // Orange
-    '#800080', // Purple
-    '#A52A2A', // Brown
-    '#808080', // Gray
-    '#FFB6C1', // Pink
-    '#90EE90', // Light Green
-    '#ADD8E6', // Light Blue
-    '#D3D3D3'  // Light Gray
+// Fills text can have instead of its solid color
+export const TEXT_FILLS = [
+    { value: 'solid', label: 'Solid Color' },
+    { value: 'linear', label: 'Linear Gradient' },
+    { value: 'radial', label: 'Radial Gradient' },
+    { value: 'pattern', label: 'Pattern' },
+    { value: 'image', label: 'Image' }
 ];
 
-// Define available fonts
-const AVAILABLE_FONTS = [
-    { name: 'Arial', value: 'Arial' },
-    { name: 'Times New Roman', value: 'Times New Roman' },
-    { name: 'Helvetica', value: 'Helvetica' },
-    { name: 'Verdana', value: 'Verdana' },
-    { name: 'Georgia', value: 'Georgia' },
-    { name: 'Courier New', value: 'Courier New' },
-    { name: 'Tahoma', value: 'Tahoma' },
-    { name: 'Trebuchet MS', value: 'Trebuchet MS' },
-    { name: 'Impact', value: 'Impact' },
-    { name: 'Comic Sans MS', value: 'Comic Sans MS' }
+// Patterns drawn with the fill's two colors
+export const TEXT_PATTERNS = [
+    { value: 'stripes', label: 'Stripes' },
+    { value: 'dots', label: 'Dots' },
+    { value: 'checks', label: 'Checks' }
 ];
 
-function createTextEditOverlay(existingText = '', existingColor = '#000000', existingFont = 'Arial') {
-    // Create a floating panel
-    const panel = document.createElement('div');
-    panel.className = 'floating-panel';
-    panel.id = 'text-edit-panel';
-    
-    // Add panel header
-    const header = document.createElement('div');
-    header.className = 'panel-header';
-    
-    const headerTitle = document.createElement('h3');
-    headerTitle.textContent = existingText ? 'Edit Text' : 'Add Text';
-    
-    const closeBtn = document.createElement('button');
-    closeBtn.className = 'panel-close';
-    closeBtn.setAttribute('aria-label', 'Close Panel');
-    closeBtn.innerHTML = '<i class="fas fa-times"></i>';
-    
-    header.appendChild(headerTitle);
-    header.appendChild(closeBtn);
-    
-    // Create panel content
-    const content = document.createElement('div');
-    content.className = 'panel-content';
+const DEFAULT_FILL_COLORS = ['#ff512f', '#f09819'];
 
-    const fontOptions = AVAILABLE_FONTS.map(font => `
-        <option value="${font.value}" ${font.value === existingFont ? 'selected' : ''}>
-            ${font.name}
-        </option>
-    `).join('');
+// Pattern tile size and outline widths are in font sizes, so they scale with the text
+const PATTERN_TILE_SIZE = 0.25;
+const DEFAULT_OUTLINE_WIDTH = 0.06;
+const MAX_TEXT_OUTLINES = 4;
 
-    // Only include black and white colors
-    const basicColors = ['#000000', '#FFFFFF'];
-    const colorButtons = basicColors.map(color => `
-        <div class="color-option ${color === existingColor ? 'active' : ''}" 
-             style="background-color: ${color}" 
-             data-color="${color}">
-        </div>
-    `).join('');
+// Largest side of a picture used as a text fill, it is saved with the text
+const MAX_FILL_IMAGE_SIZE = 1024;
 
-    content.innerHTML = `
-        <div class="section-title">
-            <h3>${existingText ? 'Edit Your Text' : 'Add Text to Design'}</h3>
-            <p>Enter your text and customize its appearance</p>
-        </div>
-        <textarea class="text-edit-input" placeholder="Enter your text here...">${existingText}</textarea>
-        <div class="text-edit-options">
-            <div class="font-select-container">
-                <label for="font-select">Font:</label>
-                <select id="font-select" class="font-select">
-                    ${fontOptions}
-                </select>
-            </div>
-            <div class="text-edit-colors" style="display: flex; align-items: center; gap: 16px; margin: 16px 0;">
-                <!-- Black color option -->
-                <div class="color-option ${existingColor === '#000000' ? 'active' : ''}" 
-                    style="background-color: #000000; 
-                           width: 36px; 
-                           height: 36px; 
-                           border-radius: 50%; 
-                           cursor: pointer; 
-                           transition: transform 0.3s cubic-bezier(0.34, 1.56, 0.64, 1), box-shadow 0.3s ease; 
-                           box-shadow: ${existingColor === '#000000' ? '0 0 0 2px #5d9df5, 0 3px 8px rgba(0,0,0,0.2)' : '0 2px 5px rgba(0,0,0,0.2)'}" 
-                    data-color="#000000" title="Black">
-                    </div>
-                
-                <!-- White color option -->
-                <div class="color-option ${existingColor === '#FFFFFF' ? 'active' : ''}" 
-                    style="background-color: #FFFFFF; 
-                           width: 36px; 
-                           height: 36px; 
-                           border-radius: 50%; 
-                           cursor: pointer; 
-                           border: 1px solid #eaeaea;
-                           transition: transform 0.3s cubic-bezier(0.34, 1.56, 0.64, 1), box-shadow 0.3s ease; 
-                           box-shadow: ${existingColor === '#FFFFFF' ? '0 0 0 2px #5d9df5, 0 3px 8px rgba(0,0,0,0.1)' : '0 2px 5px rgba(0,0,0,0.1)'}" 
-                    data-color="#FFFFFF" title="White">
-                </div>
-                
-                <!-- Custom color option (starts transparent) -->
-                <div class="color-picker-wrapper" style="display: flex; align-items: center; gap: 8px;">
-                    <div class="color-option custom-color ${!['#000000', '#FFFFFF'].includes(existingColor) ? 'active' : ''}" 
-                        style="width: 36px; 
-                               height: 36px; 
-                               border-radius: 50%; 
-                               cursor: pointer;
-                               background-color: ${!['#000000', '#FFFFFF'].includes(existingColor) ? existingColor : 'transparent'};
-                               border: 2px dashed #ccc;
-                               transition: all 0.3s ease;
-                               box-shadow: ${!['#000000', '#FFFFFF'].includes(existingColor) ? '0 0 0 2px #5d9df5, 0 3px 8px rgba(0,0,0,0.2)' : 'none'};"
-                        title="Custom color">
-                    </div>
-                    
-                    <!-- Pen/edit icon for opening color picker -->
-                    <div class="color-edit-icon" 
-                        style="width: 30px; 
-                               height: 30px; 
-                               border-radius: 50%;
-                               background-color: #f0f0f0;
-                               border: 1px solid #e0e0e0;
-                               display: flex; 
-                               align-items: center; 
-                               justify-content: center;
-                               cursor: pointer;
-                               transition: all 0.2s ease;">
-                        <i class="fas fa-pen" style="font-size: 12px; color: #666;"></i>
-                        
-                        <!-- Hidden color input -->
-                        <input type="color" 
-                               class="hidden-color-picker" 
-                               value="${!['#000000', '#FFFFFF'].includes(existingColor) ? existingColor : '#000000'}" 
-                               style="width: 0; 
-                                      height: 0; 
-                                      position: absolute; 
-                                      opacity: 0; 
-                                      pointer-events: none;">
-                    </div>
-                </div>
-            </div>
-            <button class="shadow-btn">
-                <i class="fas fa-layer-group"></i>
-                <span>Shadow</span>
-            </button>
-        </div>
-        <div class="text-edit-buttons">
-            <button class="text-edit-cancel">Cancel</button>
-            <button class="text-edit-save">Save</button>
-        </div>
-    `;
-    
-    // Add to panel
-    panel.appendChild(header);
-    panel.appendChild(content);
-    
-    // Add to document body
-    document.body.appendChild(panel);
-    
-    // Position the panel with fixed left position
-    positionFloatingPanel(panel, { left: 100 });
-    
-    // Add event listeners to prevent panel from closing when clicking inside
-    panel.addEventListener('click', (e) => {
-        e.stopPropagation();
-    });
+// Pictures used as text fills, by source
+const fillImages = new Map();
 
-    // Setup save button to ensure color is applied
-    const saveButton = panel.querySelector('.text-edit-save');
-    if (saveButton) {
-        saveButton.addEventListener('click', () => {
-            // Get the chosen color from either active color option or custom color
-            let selectedColor;
-            const activeColor = panel.querySelector('.color-option.active');
-            if (activeColor) {
-                if (activeColor.classList.contains('custom-color')) {
-                    // Get the color from the color picker
-                    selectedColor = panel.querySelector('.hidden-color-picker').value;
-                } else {
-                    // Get the color from data attribute
-                    selectedColor = activeColor.getAttribute('data-color');
-                }
-            } else {
-                // Default to black if no active color
-                selectedColor = '#000000';
-            }
-            
-            // Store the selected color for use when creating the text object
-            panel.setAttribute('data-selected-color', selectedColor);
-            
-            console.log(`Saving with selected color: ${selectedColor}`);
-            
-            // Ensure the color is applied to the model immediately before save
-            if (window.selectedObject && window.selectedObject.type === 'text') {
-                window.selectedObject.color = selectedColor;
-                // Force a redraw of the canvas
-                updateShirt3DTexture();
-            }
-        });
+/**
+ * Picture of an image fill, loading it on first use and redrawing once it's there
+ * @param {string} src - Picture as a data URL
+ * @returns {HTMLImageElement|null} null while it loads or when it can't be loaded
+ */
+function getFillImage(src) {
+    let img = fillImages.get(src);
+    if (!img) {
+        img = new Image();
+        img.onload = () => updateShirt3DTexture();
+        img.src = src;
+        fillImages.set(src, img);
     }
+    return img.complete && img.naturalWidth > 0 ? img : null;
+}
 
-    // Setup color picker functionality
-    const colorPicker = panel.querySelector('.hidden-color-picker');
-    const customColorOption = panel.querySelector('.custom-color');
-    const colorEditIcon = panel.querySelector('.color-edit-icon');
-    const colorOptions = panel.querySelectorAll('.color-option:not(.custom-color)');
+/**
+ * One tile of a text pattern
+ * @param {string} pattern - A value from TEXT_PATTERNS
+ * @param {string[]} colors - Background and foreground color
+ * @param {number} size - Tile size in pixels
+ * @returns {HTMLCanvasElement}
+ */
+function createPatternTile(pattern, [background, foreground], size) {
+    const tile = document.createElement('canvas');
+    tile.width = size;
+    tile.height = size;
+    const ctx = tile.getContext('2d');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, size, size);
+    ctx.fillStyle = foreground;
+
+    if (pattern === 'dots') {
+        ctx.beginPath();
+        ctx.arc(size / 2, size / 2, size * 0.3, 0, Math.PI * 2);
+        ctx.fill();
+    } else if (pattern === 'checks') {
+        ctx.fillRect(0, 0, size / 2, size / 2);
+        ctx.fillRect(size / 2, size / 2, size / 2, size / 2);
+    } else {
+        ctx.fillRect(0, 0, size / 2, size);
+    }
+    return tile;
+}
 
-    // Handle color picker input
-    colorPicker.addEventListener('input', (e) => {
-        const color = e.target.value;
-        
-        // Update custom color option appearance
-        customColorOption.style.backgroundColor = color;
-        customColorOption.style.borderColor = 'transparent';
-        customColorOption.style.borderStyle = 'solid';
-        
-        // Add animation
-        customColorOption.style.transform = 'scale(1.1)';
-        setTimeout(() => {
-            customColorOption.style.transform = 'scale(1)';
-        }, 200);
-        
-        // Remove active class from all options
-        panel.querySelectorAll('.color-option').forEach(opt => opt.classList.remove('active'));
-        
-        // Add active class to custom option
-        customColorOption.classList.add('active');
-        
-        // Apply color to text
-        const textInput = panel.querySelector('.text-edit-input');
-        if (textInput) {
-            textInput.style.color = color;
+/**
+ * Paint a text's gradient, pattern or image over an area centered on the text
+ * @param {CanvasRenderingContext2D} ctx - Context with the origin at the text's center
+ * @param {Object} object - Text object
+ * @param {number} width - Width of the area
+ * @param {number} height - Height of the area
+ * @param {number} scale - Pixels per canvas unit, for sharp pattern tiles
+ */
+function paintTextFill(ctx, object, width, height, scale) {
+    const colors = object.fillColors || DEFAULT_FILL_COLORS;
+    const fillScale = object.fillScale || 1;
+
+    if (object.fillType === 'linear') {
+        // Spans the text's box along the gradient's angle, 90 runs top to bottom
+        const angle = (object.fillAngle ?? 90) * Math.PI / 180;
+        const reach = Math.abs(object.width / 2 * Math.cos(angle)) + Math.abs(object.height / 2 * Math.sin(angle));
+        const gradient = ctx.createLinearGradient(-Math.cos(angle) * reach, -Math.sin(angle) * reach, Math.cos(angle) * reach, Math.sin(angle) * reach);
+        gradient.addColorStop(0, colors[0]);
+        gradient.addColorStop(1, colors[1]);
+        ctx.fillStyle = gradient;
+    } else if (object.fillType === 'radial') {
+        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, Math.hypot(object.width, object.height) / 2);
+        gradient.addColorStop(0, colors[0]);
+        gradient.addColorStop(1, colors[1]);
+        ctx.fillStyle = gradient;
+    } else if (object.fillType === 'pattern') {
+        const tileSize = Math.max(2, Math.round((object.fontSize || 80) * PATTERN_TILE_SIZE * fillScale * scale));
+        const pattern = ctx.createPattern(createPatternTile(object.fillPattern, colors, tileSize), 'repeat');
+        pattern.setTransform(new DOMMatrix().rotate(object.fillAngle ?? 45).scale(1 / scale));
+        ctx.fillStyle = pattern;
+    } else if (object.fillType === 'image') {
+        const img = object.fillImage ? getFillImage(object.fillImage) : null;
+        if (img) {
+            // Covers the area, the fill's scale zooms in
+            const cover = Math.max(width / img.naturalWidth, height / img.naturalHeight) * fillScale;
+            const drawWidth = img.naturalWidth * cover;
+            const drawHeight = img.naturalHeight * cover;
+            ctx.drawImage(img, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+            return;
         }
-        
-        // Store color for use when saving the text
-        panel.setAttribute('data-current-color', color);
+        ctx.fillStyle = object.color || '#000000';
+    }
 
-        // Try different methods to apply the color to the 3D model
-        try {
-            // Method 1: Use the global selectedObject if available
-            if (window.selectedObject && window.selectedObject.type === 'text') {
-                window.selectedObject.color = color;
-                if (window.selectedObject.mesh && window.selectedObject.mesh.material) {
-                    if (Array.isArray(window.selectedObject.mesh.material)) {
-                        window.selectedObject.mesh.material.forEach(mat => {
-                            if (mat.color) mat.color.set(color);
-                        });
-                    } else if (window.selectedObject.mesh.material.color) {
-                        window.selectedObject.mesh.material.color.set(color);
-                    }
-                }
-                console.log(`Applied color ${color} to selectedObject`);
-            }
-            
-            // Method 2: Use global updateActiveTextColor function
-            if (typeof window.updateActiveTextColor === 'function') {
-                window.updateActiveTextColor(color);
-                console.log(`Called updateActiveTextColor with ${color}`);
-            }
-            
-            // Method 3: Use currentTextObject if available
-            if (window.currentTextObject) {
-                window.currentTextObject.color = color;
-                console.log(`Set currentTextObject.color to ${color}`);
-            }
-            
-            // Method 4: Use updateShirt3DTexture if available
-            if (typeof window.updateShirt3DTexture === 'function') {
-                window.updateShirt3DTexture();
-                console.log('Called updateShirt3DTexture');
-            }
-        } catch (err) {
-            console.warn('Error applying color to 3D model:', err);
-        }
-    });
+    ctx.fillRect(-width / 2, -height / 2, width, height);
+}
 
-    // Make all color options activate when clicked
-    colorOptions.forEach(option => {
-        option.addEventListener('click', () => {
-            const color = option.getAttribute('data-color');
-            
-            // Remove active class from all options
-            panel.querySelectorAll('.color-option').forEach(opt => opt.classList.remove('active'));
-            
-            // Add active class to clicked option
-            option.classList.add('active');
-            
-            // Apply color to text
-            const textInput = panel.querySelector('.text-edit-input');
-            if (textInput) {
-                textInput.style.color = color;
-            }
-            
-            // Store color for use when saving the text
-            panel.setAttribute('data-current-color', color);
-            
-            // Try different methods to apply the color to the 3D model
-            try {
-                // Method 1: Use the global selectedObject if available
-                if (window.selectedObject && window.selectedObject.type === 'text') {
-                    window.selectedObject.color = color;
-                    if (window.selectedObject.mesh && window.selectedObject.mesh.material) {
-                        if (Array.isArray(window.selectedObject.mesh.material)) {
-                            window.selectedObject.mesh.material.forEach(mat => {
-                                if (mat.color) mat.color.set(color);
-                            });
-                        } else if (window.selectedObject.mesh.material.color) {
-                            window.selectedObject.mesh.material.color.set(color);
-                        }
-                    }
-                    console.log(`Applied color ${color} to selectedObject`);
-                }
-                
-                // Method 2: Use global updateActiveTextColor function
-                if (typeof window.updateActiveTextColor === 'function') {
-                    window.updateActiveTextColor(color);
-                    console.log(`Called updateActiveTextColor with ${color}`);
-                }
-                
-                // Method 3: Use currentTextObject if available
-                if (window.currentTextObject) {
-                    window.currentTextObject.color = color;
-                    console.log(`Set currentTextObject.color to ${color}`);
-                }
-                
-                // Method 4: Use updateShirt3DTexture if available
-                if (typeof window.updateShirt3DTexture === 'function') {
-                    window.updateShirt3DTexture();
-                    console.log('Called updateShirt3DTexture');
-                }
-            } catch (err) {
-                console.warn('Error applying color to 3D model:', err);
-            }
-        });
-        
-        // Add hover effects
-        option.addEventListener('mouseenter', () => {
-            if (!option.classList.contains('active')) {
-                option.style.transform = 'scale(1.05)';
-            }
-        });
-        
-        option.addEventListener('mouseleave', () => {
-            if (!option.classList.contains('active')) {
-                option.style.transform = 'scale(1)';
-            }
+/**
+ * Fill laid out text with its gradient, pattern or image. The text goes on a layer of its own
+ * and the fill is cut to its glyphs, so curved text gets one fill across all of them.
+ * @param {CanvasRenderingContext2D} ctx - Context with the font set and the origin at the text's center
+ * @param {Object} object - Text object
+ * @param {Object} layout - Layout from layoutText()
+ */
+function drawTextFill(ctx, object, layout) {
+    // Room for glyphs reaching outside the text's box
+    const padding = object.fontSize || 80;
+    const width = object.width + padding * 2;
+    const height = object.height + padding * 2;
+    const transform = ctx.getTransform();
+    const scale = Math.max(Math.hypot(transform.a, transform.b), Math.hypot(transform.c, transform.d)) || 1;
+
+    const layer = document.createElement('canvas');
+    layer.width = Math.max(1, Math.ceil(width * scale));
+    layer.height = Math.max(1, Math.ceil(height * scale));
+    const layerCtx = layer.getContext('2d');
+    layerCtx.setTransform(scale, 0, 0, scale, layer.width / 2, layer.height / 2);
+    layerCtx.font = ctx.font;
+    layerCtx.textBaseline = ctx.textBaseline;
+    drawTextLayout(layerCtx, layout, 'fillText');
+
+    layerCtx.globalCompositeOperation = 'source-in';
+    paintTextFill(layerCtx, object, width, height, scale);
+
+    ctx.drawImage(layer, -width / 2, -height / 2, width, height);
+}
+
+/**
+ * How far a text's outlines reach outside its glyphs
+ * @param {Object} object - Text object
+ * @returns {number} Canvas units
+ */
+function getTextOutlineReach(object) {
+    return (object.outlines || []).reduce((sum, outline) => sum + outline.width, 0) * (object.fontSize || 80);
+}
+
+/**
+ * Stroke a text's stacked outlines, the first one hugs the glyphs and each next one goes around it
+ * @param {CanvasRenderingContext2D} ctx - Context with the font and shadow set
+ * @param {Object} object - Text object
+ * @param {Function} drawText - Draws the laid out text with a method and offset
+ */
+function drawTextOutlines(ctx, object, drawText) {
+    const fontSize = object.fontSize || 80;
+    const outlines = object.outlines.filter(outline => outline.width > 0);
+    let reach = getTextOutlineReach({ ...object, outlines });
+
+    ctx.lineJoin = 'round';
+    ctx.miterLimit = 2;
+
+    // Outermost first, half of every stroke is covered by the ones drawn over it
+    for (let i = outlines.length - 1; i >= 0; i--) {
+        ctx.strokeStyle = outlines[i].color;
+        ctx.lineWidth = reach * 2;
+        drawText('strokeText');
+        reach -= outlines[i].width * fontSize;
+
+        // Only the outermost outline casts the shadow
+        ctx.shadowColor = 'transparent';
+    }
+}
+
+/**
+ * Draw selection overlay for selected object
+ * @param {Object} object 
+ */
+function drawSelectionOverlay(object) {
+    if (!object) return;
+
+    const ctx = canvasData.ctx;
+
+    // Save context state
+    ctx.save();
+
+    // Apply transformations for position (center of object)
+    ctx.translate(object.left + object.width / 2, object.top + object.height / 2);
+
+    // Calculate the rotated bounding box dimensions
+    let borderWidth = object.width;
+    let borderHeight = object.height;
+    let borderOffsetX = 0;
+    let borderOffsetY = 0;
+
+    if (object.angle && Math.abs(object.angle) > 0.1) {
+        const angleRad = object.angle * Math.PI / 180;
+        const halfWidth = object.width / 2;
+        const halfHeight = object.height / 2;
+
+        // Calculate the four corners of the unrotated box
+        const corners = [
+            { x: -halfWidth, y: -halfHeight },  // Top-left
+            { x: halfWidth, y: -halfHeight },   // Top-right
+            { x: halfWidth, y: halfHeight },    // Bottom-right
+            { x: -halfWidth, y: halfHeight }    // Bottom-left
+        ];
+
+        // Rotate each corner and find the extreme points
+        let minRotX = Number.MAX_VALUE;
+        let maxRotX = -Number.MAX_VALUE;
+        let minRotY = Number.MAX_VALUE;
+        let maxRotY = -Number.MAX_VALUE;
+
+        corners.forEach(corner => {
+            // Apply rotation transformation
+            const rotX = corner.x * Math.cos(angleRad) - corner.y * Math.sin(angleRad);
+            const rotY = corner.x * Math.sin(angleRad) + corner.y * Math.cos(angleRad);
+
+            // Update extreme points
+            minRotX = Math.min(minRotX, rotX);
+            maxRotX = Math.max(maxRotX, rotX);
+            minRotY = Math.min(minRotY, rotY);
+            maxRotY = Math.max(maxRotY, rotY);
         });
-    });
 
-    // Make the custom color option activate when clicked
-    customColorOption.addEventListener('click', () => {
-        // Instead of opening the color picker, apply the current custom color
-        applyCustomColor();
-    });
+        // Calculate the new border dimensions
+        borderWidth = maxRotX - minRotX;
+        borderHeight = maxRotY - minRotY;
+        borderOffsetX = (minRotX + maxRotX) / 2;
+        borderOffsetY = (minRotY + maxRotY) / 2;
+    }
+
+    // Draw selection outline - non-rotating rectangular boundary
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 6]);
     
-    // Make the edit icon open the color picker
-    colorEditIcon.addEventListener('click', () => {
-        colorPicker.click();
-    });
+    // Use padding for better visibility
+    const padding = 4;
     
-    // Function to apply the custom color without opening the color picker
-    function applyCustomColor() {
-        // Get current color directly from the custom color option's background-color
-        // This ensures we're using the actual visible color
-        let color;
+    // Draw a rectangular boundary that doesn't rotate, just like the control buttons
+    ctx.strokeRect(
+        borderOffsetX - borderWidth/2 - padding,
+        borderOffsetY - borderHeight/2 - padding,
+        borderWidth + padding * 2,
+        borderHeight + padding * 2
+    );
+    
+    // Draw center point for reference (if object is rotated)
+    if (object.angle && Math.abs(object.angle) > 0.1) {
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.arc(0, 0, 4, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fill();
+    }
+    
+    // Draw modern control buttons
+    const buttonRadius = 12;
+    const buttonPadding = 5;
+    
+    // Get current view's UV boundaries from config for constraining controls
+    const viewConfig = modelConfig[state.currentModel].views[state.cameraView];
+    const constrainControls = viewConfig && viewConfig.uvRect;
+    
+    // Calculate boundaries in canvas space
+    let minX, maxX, minY, maxY;
+    
+    if (constrainControls) {
+        const uvRect = viewConfig.uvRect;
+        minX = Math.min(uvRect.u1, uvRect.u2) * canvasData.width;
+        maxX = Math.max(uvRect.u1, uvRect.u2) * canvasData.width;
+        minY = Math.min(uvRect.v1, uvRect.v2) * canvasData.height;
+        maxY = Math.max(uvRect.v1, uvRect.v2) * canvasData.height;
         
-        // First try to get it from the input value for consistency
-        color = colorPicker.value;
+        // Convert boundaries to object-relative coordinates
+        minX = minX - (object.left + object.width / 2);
+        maxX = maxX - (object.left + object.width / 2);
+        minY = minY - (object.top + object.height / 2);
+        maxY = maxY - (object.top + object.height / 2);
+    }
+    
+    // Function to constrain button position within boundaries
+    const constrainButtonPosition = (x, y) => {
+        if (!constrainControls) return { x, y };
         
-        // Skip if no custom color has been selected yet (in that case, open the picker)
-        if (customColorOption.style.backgroundColor === 'transparent' || 
-            customColorOption.style.backgroundColor === '' || 
-            customColorOption.style.backgroundColor === 'rgba(0, 0, 0, 0)') {
-            colorPicker.click(); // Open color picker if no color is selected
-            return;
-        }
+        // Add a small margin to keep buttons fully visible
+        const margin = buttonRadius + 2;
         
-        console.log(`Applying custom color: ${color}`);
+        // Constrain X
+        let constrainedX = x;
+        if (x < minX + margin) constrainedX = minX + margin;
+        if (x > maxX - margin) constrainedX = maxX - margin;
         
-        // Remove active class from all options
-        panel.querySelectorAll('.color-option').forEach(opt => opt.classList.remove('active'));
+        // Constrain Y
+        let constrainedY = y;
+        if (y < minY + margin) constrainedY = minY + margin;
+        if (y > maxY - margin) constrainedY = maxY - margin;
         
-        // Add active class to custom option
-        customColorOption.classList.add('active');
+        return { x: constrainedX, y: constrainedY };
+    };
+    
+    // Function to draw a control button with improved colors
+    const drawControlButton = (x, y, icon, color = '#000000', backgroundColor = '#FFFFFF', rotation = 0, content = null) => {
+        // Constrain button within editable area
+        const constrainedPos = constrainButtonPosition(x, y);
         
-        // Apply color to text
-        const textInput = panel.querySelector('.text-edit-input');
-        if (textInput) {
-            textInput.style.color = color;
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(constrainedPos.x, constrainedPos.y, buttonRadius, 0, Math.PI * 2);
+        ctx.fillStyle = backgroundColor;
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = color;
+        ctx.stroke();
+        
+        // Apply rotation if specified
+        if (rotation !== 0) {
+            ctx.translate(constrainedPos.x, constrainedPos.y);
+            ctx.rotate(rotation * Math.PI / 180);
+            ctx.translate(-constrainedPos.x, -constrainedPos.y);
         }
         
-        // Add animation
-        customColorOption.style.transform = 'scale(1.1)';
-        setTimeout(() => {
-            customColorOption.style.transform = 'scale(1)';
-        }, 200);
+        // Draw icon with improved contrast
+        ctx.fillStyle = color;
+        ctx.font = '14px FontAwesome';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(content || icon, constrainedPos.x, constrainedPos.y);
+        ctx.restore();
+    };
+
+    // Initialize icon pin states if they don't exist
+    if (!object.iconStates) {
+        object.iconStates = {
+            delete: false,
+            layers: false,
+            scale: false,
+            pin: false,
+            rotate: false,
+            duplicate: false
+        };
+    }
+    
+    // Track if mouse is being held down
+    if (!object.mouseDown) {
+        object.mouseDown = {
+            scale: false,
+            rotate: false,
+            duplicate: false,
+            delete: false,
+            layers: false
+        };
+    }
+
+    // Check if we should show the layers button (when there are overlapping decals)
+    const hasOverlappingDecals = canvasData.objects.some(otherObj => 
+        otherObj !== object && 
+        isObjectsOverlapping(object, otherObj)
+    );
+    
+    // Special handler for trash icon with color effect
+    const drawTrashIcon = () => {
+        const x = -borderWidth / 2 - buttonRadius - buttonPadding + borderOffsetX;
+        const y = borderHeight / 2 + buttonRadius + buttonPadding + borderOffsetY;
         
-        // Store color for use when saving the text
-        panel.setAttribute('data-current-color', color);
+        // Constrain within boundaries
+        const constrainedPos = constrainButtonPosition(x, y);
         
-        // Use the direct calls that are used for the black and white colors
-        try {
-            // Method 1: Update selectedObject if available
-            if (window.selectedObject && window.selectedObject.type === 'text') {
-                window.selectedObject.color = color;
-                if (window.selectedObject.mesh && window.selectedObject.mesh.material) {
-                    if (Array.isArray(window.selectedObject.mesh.material)) {
-                        window.selectedObject.mesh.material.forEach(mat => {
-                            if (mat.color) mat.color.set(color);
-                        });
-                    } else if (window.selectedObject.mesh.material.color) {
-                        window.selectedObject.mesh.material.color.set(color);
-                    }
-                }
-                console.log(`Updated selectedObject color to ${color}`);
-            }
-            
-            // Method 2: Update currentTextObject
-            if (window.currentTextObject) {
-                window.currentTextObject.color = color;
-                console.log(`Updated currentTextObject.color to ${color}`);
-            }
-            
-            // Method 3: Call updateShirt3DTexture
-            if (typeof window.updateShirt3DTexture === 'function') {
-                window.updateShirt3DTexture();
-                console.log(`Called updateShirt3DTexture after setting color to ${color}`);
-            }
-            
-            // Method 4: Call updateActiveTextColor 
-            if (typeof window.updateActiveTextColor === 'function') {
-                window.updateActiveTextColor(color);
-                console.log(`Called updateActiveTextColor with ${color}`);
-            }
-            
-            // Method 5: As fallback, call applyColorTo3DModel
-            applyColorTo3DModel(color);
-            
-        } catch (err) {
-            console.error('Error applying custom color:', err);
-            // Fallback
-            applyColorTo3DModel(color);
-        }
-    }
-
-    // Add hover effect to edit icon
-    colorEditIcon.addEventListener('mouseenter', () => {
-        colorEditIcon.style.backgroundColor = '#e8e8e8';
-        colorEditIcon.style.transform = 'scale(1.05)';
-    });
-    
-    colorEditIcon.addEventListener('mouseleave', () => {
-        colorEditIcon.style.backgroundColor = '#f0f0f0';
-        colorEditIcon.style.transform = 'scale(1)';
-    });
-
-    // Add keyboard accessibility
-    const allColorElements = [...colorOptions, customColorOption, colorEditIcon];
-    allColorElements.forEach((element, index) => {
-        element.setAttribute('tabindex', '0');
+        // Draw button background
+        ctx.beginPath();
+        ctx.arc(constrainedPos.x, constrainedPos.y, buttonRadius * 1.1, 0, Math.PI * 2);
+        ctx.fillStyle = object.mouseDown.delete ? '#c8c8c8' : '#E3F2FD';  // Dark black when clicked
+        ctx.fill();
         
-        element.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                element.click();
-            }
-        });
-    });
-
-    // Setup shadow button functionality
-    const shadowBtn = panel.querySelector('.shadow-btn');
-    shadowBtn.addEventListener('click', function(e) {
-        console.log("Shadow button clicked from 3d-editor.js");
-        e.preventDefault();
-        e.stopPropagation();
+        // Draw border
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = '#000000';
+        ctx.stroke();
         
-        const colorPanel = document.getElementById('color-panel-extended');
+        // Draw the trash can
+        ctx.save();
+        ctx.translate(constrainedPos.x, constrainedPos.y);
+        ctx.scale(1.2, 1.2);  // Make the icon 20% larger
         
-            // Hide color panel if it's open
-            if (colorPanel && colorPanel.classList.contains('active')) {
-        colorPanel.classList.remove('active');
-            }
-            
-        // Directly toggle shadow options
-        if (window.directToggleShadowOptions) {
-            window.directToggleShadowOptions();
-        } else {
-            console.error("Shadow toggle function not available");
-        }
-    });
-    
-    return panel;
-}
-
-/**
- * Applies the selected color to the active 3D text object
- * @param {string} color - The color to apply (hex format)
- */
-function applyColorTo3DModel(color) {
-    // Save to local storage for persistence
-    localStorage.setItem('lastTextColor', color);
-    
-    // If there's an active text object selected, update its color
-    if (selectedObject && selectedObject.type === 'text') {
-        // Update the object's color property
-        selectedObject.color = color;
+        // Use black color for icon
+        const iconColor = '#000000';
         
-        // Update the material color if it exists
-        if (selectedObject.mesh && selectedObject.mesh.material) {
-            if (Array.isArray(selectedObject.mesh.material)) {
-                // If material is an array, update all materials
-                selectedObject.mesh.material.forEach(mat => {
-                    if (mat.color) mat.color.set(color);
-                });
-            } else {
-                // Single material
-                if (selectedObject.mesh.material.color) {
-                    selectedObject.mesh.material.color.set(color);
-                }
-            }
-        }
+        // Draw trash can handle
+        ctx.beginPath();
+        ctx.moveTo(-4, -5);
+        ctx.lineTo(4, -5);
+        ctx.lineWidth = 1.5;
+        ctx.lineCap = 'round';
+        ctx.strokeStyle = iconColor;
+        ctx.stroke();
         
-        // Update the canvas texture if needed
-        updateShirt3DTexture();
+        // Draw trash can lid
+        ctx.beginPath();
+        ctx.moveTo(-5, -3);
+        ctx.lineTo(5, -3);
+        ctx.lineTo(4, -1);
+        ctx.lineTo(-4, -1);
+        ctx.closePath();
+        ctx.fillStyle = iconColor;
+        ctx.fill();
         
-        console.log(`Applied color ${color} to 3D text object`);
+        // Draw trash can body
+        ctx.beginPath();
+        ctx.moveTo(-4, -1);
+        ctx.lineTo(-4, 5);
+        ctx.lineTo(-3, 6);
+        ctx.lineTo(3, 6);
+        ctx.lineTo(4, 5);
+        ctx.lineTo(4, -1);
+        ctx.closePath();
+        ctx.fillStyle = iconColor;
+        ctx.fill();
         
-        // Save the current state after modifying the object
-        afterObjectModified();
-    } else {
-        // If no text object is selected, store the color for the next text object
-        console.log(`No active text object found, color ${color} saved for next text creation`);
+        // Draw lines on trash can
+        ctx.beginPath();
+        ctx.moveTo(-2, 0);
+        ctx.lineTo(-2, 4.5);
+        ctx.moveTo(0, 0);
+        ctx.lineTo(0, 4.5);
+        ctx.moveTo(2, 0);
+        ctx.lineTo(2, 4.5);
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        
+        ctx.restore();
+    };
+    
+    // Draw delete button (bottom left) with custom approach
+    drawTrashIcon();
+    
+    // Draw layers button (top center, only if there are overlapping decals)
+    if (hasOverlappingDecals) {
+        drawControlButton(
+            borderOffsetX,
+            -borderHeight / 2 - buttonRadius - buttonPadding + borderOffsetY,
+            '⿻',
+            '#000000',
+            object.mouseDown.layers ? '#c8c8c8' : '#E3F2FD'  // Dark black when held
+        );
     }
     
-    // If there's a global function to update active text color, call it too
-    if (typeof window.updateActiveTextColor === 'function') {
-        try {
-            window.updateActiveTextColor(color);
-        } catch (e) {
-            console.warn('Error in updateActiveTextColor:', e);
+    // Draw resize button (bottom right)
+    drawControlButton(
+        borderWidth / 2 + buttonRadius + buttonPadding + borderOffsetX,
+        borderHeight / 2 + buttonRadius + buttonPadding + borderOffsetY,
+        '↔',
+        '#000000',
+        object.mouseDown.scale ? '#c8c8c8' : '#E3F2FD',  // Dark black when held
+        45
+    );
+    
+    // Draw pin button (top left)
+    drawControlButton(
+        -borderWidth / 2 - buttonRadius - buttonPadding + borderOffsetX,
+        -borderHeight / 2 - buttonRadius - buttonPadding + borderOffsetY,
+        '📌',
+        '#000000',
+        object.iconStates.pin ? '#c8c8c8' : '#E3F2FD',  // Dark black when pinned
+        object.iconStates.pin ? 0 : 45
+    );
+    
+    // Draw rotate button (top right)
+    drawControlButton(
+        borderWidth / 2 + buttonRadius + buttonPadding + borderOffsetX,
+        -borderHeight / 2 - buttonRadius - buttonPadding + borderOffsetY,
+        '↺',
+        '#000000',
+        object.mouseDown.rotate ? '#c8c8c8' : '#E3F2FD'  // Dark black when held
+    );
+    
+    // Draw duplicate button (bottom center)
+    drawControlButton(
+        borderOffsetX,
+        borderHeight / 2 + buttonRadius + buttonPadding + borderOffsetY,
+        'x2',
+        '#000000',
+        object.mouseDown.duplicate ? '#c8c8c8' : '#E3F2FD'  // Dark black when held
+    );
+
+    // Draw printed size below the bottom buttons
+    const printSize = getObjectPrintSize(object);
+    if (printSize) {
+        ctx.setLineDash([]);
+        ctx.font = 'bold 14px Arial';
+        const label = formatPrintSize(printSize);
+        const labelWidth = ctx.measureText(label).width + 16;
+        const labelHeight = 22;
+
+        let labelX = borderOffsetX;
+        let labelY = borderHeight / 2 + (buttonRadius + buttonPadding) * 2 + labelHeight / 2 + borderOffsetY;
+        if (constrainControls) {
+            labelX = Math.min(Math.max(labelX, minX + labelWidth / 2), maxX - labelWidth / 2);
+            labelY = Math.min(Math.max(labelY, minY + labelHeight / 2), maxY - labelHeight / 2);
         }
+
+        const level = getResolutionLevel(printSize.dpi);
+        drawLabelPill(ctx, label, labelX, labelY, labelWidth, labelHeight, level ? RESOLUTION_BADGE_COLORS[level] : 'rgba(0, 0, 0, 0.7)');
     }
-}
 
-// Add text to canvas
-export async function addText(text = '', options = {}) {
-    try {
-        // Check if we're showing the existing fixed panel managed by UI.js
-        if (options.useExistingPanel === true) {
-            // The panel is already shown and managed by UI.js
-            console.log('Using existing text panel from UI.js');
-            return;
-        }
-        
-        // Get the position if this is called from a button click
-        const position = options.fromButton ? getButtonPosition('text-upload-btn') : null;
-        
-        // Show text editor and wait for result
-        const panel = createTextEditOverlay(text, options.color || '#000000', options.font || 'Arial');
-        
-        // Position the panel
-        positionFloatingPanel(panel, position);
-        
-        // Add active class to show the panel
-        panel.classList.add('active');
+    // Restore context state
+    ctx.restore();
+}
 
-        const textResult = await new Promise((resolve, reject) => {
-            const textarea = panel.querySelector('.text-edit-input');
-            const colorOptions = panel.querySelectorAll('.color-option');
-            const fontSelect = panel.querySelector('#font-select');
-            const saveButton = panel.querySelector('.text-edit-save');
-            const cancelButton = panel.querySelector('.text-edit-cancel');
-            const closeButton = panel.querySelector('.panel-close');
-            
-            let selectedColor = options.color || '#000000';
-            
-            // Set initial color if provided in options
-            if (options.color) {
-                // If color is not black or white, set custom color option as active
-                if (!['#000000', '#FFFFFF'].includes(options.color)) {
-                    // Find the custom color option
-                    const customColorOption = panel.querySelector('.custom-color');
-                    if (customColorOption) {
-                        // Set its background color
-                        customColorOption.style.backgroundColor = options.color;
-                        customColorOption.style.borderColor = 'transparent';
-                        customColorOption.style.borderStyle = 'solid';
-                        
-                        // Set the color picker value
-                        const colorPicker = panel.querySelector('.hidden-color-picker');
-                        if (colorPicker) {
-                            colorPicker.value = options.color;
-                        }
-                        
-                        // Make it active
-                        panel.querySelectorAll('.color-option').forEach(opt => {
-                            opt.classList.remove('active');
-                        });
-                        customColorOption.classList.add('active');
-                    }
-                } else {
-                    // Set the black or white option as active
-            colorOptions.forEach(option => {
-                        const color = option.getAttribute('data-color');
-                        if (color === options.color) {
-                    option.classList.add('active');
-                        } else {
-                            option.classList.remove('active');
-                        }
-                    });
-                }
-                
-                // Apply color to text input
-                if (textarea) {
-                    textarea.style.color = options.color;
-                }
-            }
-            
-            // Initialize selectedColor from active color option
-            const activeOption = panel.querySelector('.color-option.active');
-            if (activeOption) {
-                if (activeOption.classList.contains('custom-color')) {
-                    // Get color from picker
-                    const colorPicker = panel.querySelector('.hidden-color-picker');
-                    if (colorPicker) {
-                        selectedColor = colorPicker.value;
-                    }
-                } else {
-                    selectedColor = activeOption.getAttribute('data-color');
-                }
-            }
-            
-            let selectedFont = options.font || 'Arial';
-            let shadowEnabled = options.shadow || false;
-            let shadowConfig = options.shadowConfig || { type: 'light' };
-            
-            // Handle the save button click
-            saveButton.addEventListener('click', () => {
-                const textValue = textarea.value.trim();
-                
-                if (textValue) {
-                    // Get color from active color option or data attribute
-                    const activeOption = panel.querySelector('.color-option.active');
-                    if (activeOption) {
-                        if (activeOption.classList.contains('custom-color')) {
-                            // Get color from picker
-                            const colorPicker = panel.querySelector('.hidden-color-picker');
-                            if (colorPicker) {
-                                selectedColor = colorPicker.value;
-                            }
-                        } else {
-                            selectedColor = activeOption.getAttribute('data-color');
-                        }
-                    } else {
-                        // Try to get color from panel data attribute
-                        const storedColor = panel.getAttribute('data-current-color');
-                        if (storedColor) {
-                            selectedColor = storedColor;
-                        }
-                    }
-                    
-                    // Get font from selector
-                    if (fontSelect) {
-                        selectedFont = fontSelect.value;
-                    }
-                    
-                    console.log(`Saving text with color: ${selectedColor}, font: ${selectedFont}`);
-                    
-                    // Close the panel
-                    panel.classList.remove('active');
-                    
-                    // Return the text, color and font
-                    resolve({
-                        text: textValue,
-                        color: selectedColor,
-                        font: selectedFont,
-                        shadow: shadowEnabled,
-                        shadowConfig: shadowConfig
-                    });
-                } else {
-                    textarea.focus();
-                    // Show error message
-                    const errorMsg = document.createElement('div');
-                    errorMsg.className = 'error-message';
-                    errorMsg.textContent = 'Please enter some text';
-                    errorMsg.style.color = 'red';
-                    errorMsg.style.marginTop = '5px';
-                    
-                    // Remove any existing error message
-                    const existingError = panel.querySelector('.error-message');
-                    if (existingError) {
-                        existingError.remove();
-                    }
-                    
-                    // Add error message below textarea
-                    textarea.parentNode.insertBefore(errorMsg, textarea.nextSibling);
-                    
-                    // Remove error message after 3 seconds
-                    setTimeout(() => {
-                        errorMsg.remove();
-                    }, 3000);
-                }
-            });
-
-            // Handle close button
-            closeButton.addEventListener('click', () => {
-                // Close the panel
-                panel.classList.remove('active');
-                reject('cancelled');
-            });
+// Helper function to check if two objects are overlapping
+function isObjectsOverlapping(obj1, obj2) {
+    // Get the bounding boxes of both objects
+    const rect1 = getRotatedBoundingBox(obj1);
+    const rect2 = getRotatedBoundingBox(obj2);
+    
+    // Check for overlap with a small tolerance
+    const tolerance = 2; // 2 pixels tolerance
+    
+    // Check if any edge of obj1 touches or overlaps with obj2
+    return !(rect1.right + tolerance < rect2.left || 
+             rect1.left - tolerance > rect2.right || 
+             rect1.bottom + tolerance < rect2.top || 
+             rect1.top - tolerance > rect2.bottom);
+}
 
-            // Handle cancel button
-            cancelButton.addEventListener('click', () => {
-                // Close the panel
-                panel.classList.remove('active');
-                reject('cancelled');
-            });
+// Helper function to get rotated bounding box
+function getRotatedBoundingBox(obj) {
+    if (!obj.angle || Math.abs(obj.angle) < 0.1) {
+        return {
+            left: obj.left,
+            right: obj.left + obj.width,
+            top: obj.top,
+            bottom: obj.top + obj.height
+        };
+    }
 
-            // Handle enter key
-            textarea.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' && !e.shiftKey) {
-                    e.preventDefault();
-                    const newText = textarea.value.trim();
-                    if (newText) {
-                        resolve({ text: newText, color: selectedColor, font: selectedFont, shadow: shadowEnabled, shadowConfig: shadowConfig });
-                    }
-                    panel.remove();
-                }
-            });
+    const angleRad = obj.angle * Math.PI / 180;
+    const centerX = obj.left + obj.width / 2;
+    const centerY = obj.top + obj.height / 2;
+    const halfWidth = obj.width / 2;
+    const halfHeight = obj.height / 2;
 
-            // Handle escape key
-            textarea.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape') {
-                    panel.remove();
-                    reject('cancelled');
-                }
-            });
-        });
+    // Calculate corners
+    const corners = [
+        { x: -halfWidth, y: -halfHeight },
+        { x: halfWidth, y: -halfHeight },
+        { x: halfWidth, y: halfHeight },
+        { x: -halfWidth, y: halfHeight }
+    ];
 
-        // After getting text details, show view selection modal
-        return new Promise((resolve, reject) => {
-            import('./ui.js').then(ui => {
-                // Generate a preview image of the text
-                const previewCanvas = document.createElement('canvas');
-                previewCanvas.width = 400;
-                previewCanvas.height = 100;
-                const ctx = previewCanvas.getContext('2d');
-                
-                // Draw background
-                ctx.fillStyle = '#f5f5f5';
-                ctx.fillRect(0, 0, previewCanvas.width, previewCanvas.height);
-                
-                // Draw text
-                ctx.font = `30px ${textResult.font}`;
-                ctx.fillStyle = textResult.color;
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText(textResult.text, previewCanvas.width / 2, previewCanvas.height / 2);
-                
-                // Get data URL for preview
-                const previewImage = previewCanvas.toDataURL('image/png');
-                
-                // Show the view selection modal
-                ui.showViewSelectionModal(previewImage, (selectedView) => {
-                    if (selectedView) {
-                        // Get view config for the selected view
-                        const viewConfig = modelConfig[state.currentModel].views[selectedView];
-                        
-                        // Calculate the center of the editable area
-                        const centerX = (viewConfig.uvRect.u1 + viewConfig.uvRect.u2) / 2 * canvasData.width;
-                        const centerY = (viewConfig.uvRect.v1 + viewConfig.uvRect.v2) / 2 * canvasData.height;
+    // Rotate corners
+    const rotatedCorners = corners.map(corner => ({
+        x: centerX + (corner.x * Math.cos(angleRad) - corner.y * Math.sin(angleRad)),
+        y: centerY + (corner.x * Math.sin(angleRad) + corner.y * Math.cos(angleRad))
+    }));
 
-                        // Set font size based on canvas size - make it smaller
-                        const fontSize = 80; // Increased from 50 to 80
-                        
-                        // Measure text dimensions (create a temporary canvas context)
-                        const tempCanvas = document.createElement('canvas');
-                        const tempCtx = tempCanvas.getContext('2d');
-                        tempCtx.font = `bold ${fontSize}px "${textResult.font || 'Arial'}"`;
-                        const textMetrics = tempCtx.measureText(textResult.text);
-                        
-                        // Calculate text width and height
-                        const textWidth = textMetrics.width;
-                        const textHeight = fontSize * 1.2;
+    // Find bounds
+    return {
+        left: Math.min(...rotatedCorners.map(c => c.x)),
+        right: Math.max(...rotatedCorners.map(c => c.x)),
+        top: Math.min(...rotatedCorners.map(c => c.y)),
+        bottom: Math.max(...rotatedCorners.map(c => c.y))
+    };
+}
 
-                        // Create text object with unique ID - exactly centered
-                        const textObj = {
-                            id: 'text_' + Date.now() + '_' + Math.floor(Math.random() * 1000),
-                            type: 'text',
-                            text: textResult.text,
-                            font: textResult.font || 'Arial',
-                            fontSize: fontSize,
-                            color: textResult.color,
-                            left: centerX - textWidth/2, // Center horizontally
-                            top: centerY - textHeight/2, // Center vertically
-                            width: textWidth,
-                            height: textHeight,
-                            angle: 0,
-                            view: selectedView,
-                            isDecal: true,
-                            textAlign: 'center',
-                            lineHeight: 1.2,
-                            backgroundColor: 'transparent',
-                            padding: 0,
-                            stroke: null,
-                            strokeWidth: 0
-                        };
+/**
+ * Add a new object to the canvas
+ * @param {Object} object - The object to add
+ */
+export function addObject(object) {
+    // Add object to the canvas data
+    canvasData.objects.push(object);
 
-                        // Add to canvas
-                        addObject(textObj);
-                        
-                        // Save to panel settings
-                        addPanelItem('text', textObj);
-                        
-                        // Update the texture
-                        updateShirt3DTexture();
+    // Update the texture
+    updateShirt3DTexture();
 
-                        // Switch to the selected view
-                        import('./scene.js').then(scene => {
-                            scene.changeCameraView(selectedView);
-                        });
-                        
-                        ui.showToast(`Text added to ${selectedView} view`);
-                        resolve(textObj);
-                    } else {
-                        reject('cancelled');
-                    }
-                });
-            });
-        });
-    } catch (error) {
-        console.error('Error in addText:', error);
-        throw error;
+    // Return the added object
+    return object;
+}
+
+/**
+ * Remove an object from the canvas
+ * @param {Object} object - The object to remove
+ */
+export function removeObject(object) {
+    // Find object index
+    const index = canvasData.objects.indexOf(object);
+
+    // Remove if found
+    if (index !== -1) {
+        canvasData.objects.splice(index, 1);
+
+        // Update the texture
+        updateShirt3DTexture();
+
+        return true;
     }
+
+    return false;
 }
 
-// Define shape types and their default properties
-const SHAPE_TYPES = {
-    rectangle: { name: 'Rectangle', icon: 'fa-square' },
-    circle: { name: 'Circle', icon: 'fa-circle' },
-    triangle: { name: 'Triangle', icon: 'fa-play' },
-    star: { name: 'Star', icon: 'fa-star' }
-};
+/**
+ * Opacity and blend mode controls for the text, shape and photo edit panels
+ * @param {Object} appearance - Starting { opacity, blendMode }
+ * @returns {string} HTML of the controls
+ */
+function getAppearanceControlsHTML({ opacity = 1, blendMode = 'normal' } = {}) {
+    const percent = Math.round(opacity * 100);
+    const modeOptions = BLEND_MODES.map(mode => `
+        <option value="${mode.value}" ${mode.value === blendMode ? 'selected' : ''}>${mode.label}</option>
+    `).join('');
 
-function createShapeEditOverlay(existingShape = null, position = null) {
-    // Create a floating panel instead of an overlay
-    const panel = document.createElement('div');
-    panel.className = 'floating-panel';
-    panel.id = 'shape-edit-panel';
-    
-    // Add panel header
-    const header = document.createElement('div');
-    header.className = 'panel-header';
-    
-    const headerTitle = document.createElement('h3');
-    headerTitle.textContent = existingShape ? 'Edit Shape' : 'Add Shape';
-    
-    const closeBtn = document.createElement('button');
-    closeBtn.className = 'panel-close';
-    closeBtn.setAttribute('aria-label', 'Close Panel');
-    closeBtn.innerHTML = '<i class="fas fa-times"></i>';
-    
-    header.appendChild(headerTitle);
-    header.appendChild(closeBtn);
-    
-    // Create panel content
-    const content = document.createElement('div');
-    content.className = 'panel-content';
-    
-    const shapeButtons = Object.entries(SHAPE_TYPES).map(([type, info]) => `
-        <div class="shape-option ${existingShape?.type === type ? 'active' : ''}" 
-             data-shape="${type}">
-            <i class="fas ${info.icon}"></i>
-            <span>${info.name}</span>
+    return `
+        <div class="appearance-controls">
+            <label class="appearance-row">
+                <span>Opacity</span>
+                <input type="range" min="0" max="100" value="${percent}" class="appearance-opacity">
+                <span class="appearance-value">${percent}%</span>
+            </label>
+            <label class="appearance-row">
+                <span>Blend</span>
+                <select class="appearance-blend">${modeOptions}</select>
+            </label>
         </div>
+    `;
+}
+
+/**
+ * Read the opacity and blend mode chosen in an edit panel
+ * @param {HTMLElement} panel - Panel with the appearance controls
+ * @returns {Object} { opacity, blendMode }
+ */
+function readAppearanceControls(panel) {
+    return {
+        opacity: Number(panel.querySelector('.appearance-opacity').value) / 100,
+        blendMode: panel.querySelector('.appearance-blend').value
+    };
+}
+
+/**
+ * Wire up the appearance controls of an edit panel, previewing them on the object being edited
+ * @param {HTMLElement} panel - Panel with the appearance controls
+ * @param {Object} object - The object being edited, null while adding a new one
+ * @returns {Function} Puts the object's original opacity and blend mode back
+ */
+function bindAppearanceControls(panel, object = null) {
+    const original = object ? { opacity: object.opacity ?? 1, blendMode: object.blendMode || 'normal' } : null;
+    const opacityInput = panel.querySelector('.appearance-opacity');
+    const valueLabel = panel.querySelector('.appearance-value');
+
+    const apply = () => {
+        valueLabel.textContent = `${opacityInput.value}%`;
+        if (object) {
+            Object.assign(object, readAppearanceControls(panel));
+            updateShirt3DTexture();
+        }
+    };
+    opacityInput.addEventListener('input', apply);
+    panel.querySelector('.appearance-blend').addEventListener('change', apply);
+
+    return () => {
+        if (!object) return;
+        Object.assign(object, original);
+        updateShirt3DTexture();
+    };
+}
+
+/**
+ * Layout controls for the text edit panel: the layout, the arc or circle radius, the wave height and a custom path
+ * @param {Object} settings - Starting { textLayout, textRadius, waveAmplitude, textPath }
+ * @returns {string} HTML of the controls
+ */
+function getTextLayoutControlsHTML({ textLayout = 'straight', textRadius = DEFAULT_TEXT_RADIUS, waveAmplitude = DEFAULT_WAVE_AMPLITUDE, textPath = DEFAULT_TEXT_PATH } = {}) {
+    const layoutOptions = TEXT_LAYOUTS.map(layout => `
+        <option value="${layout.value}" ${layout.value === textLayout ? 'selected' : ''}>${layout.label}</option>
     `).join('');
 
-    const colorButtons = TEXT_COLORS.map(color => `
-        <div class="color-option ${existingShape?.color === color ? 'active' : ''}" 
-             style="background-color: ${color}" 
-             data-color="${color}">
+    return `
+        <div class="text-layout-controls">
+            <label class="appearance-row">
+                <span>Layout</span>
+                <select class="text-layout-select">${layoutOptions}</select>
+            </label>
+            <label class="appearance-row" data-layouts="arc-up arc-down circle">
+                <span>Radius</span>
+                <input type="range" min="1" max="20" step="0.5" value="${textRadius}" class="text-radius">
+            </label>
+            <label class="appearance-row" data-layouts="wave">
+                <span>Height</span>
+                <input type="range" min="0.1" max="1.5" step="0.05" value="${waveAmplitude}" class="text-wave">
+            </label>
+            <label class="appearance-row" data-layouts="path">
+                <span>SVG path</span>
+                <input type="text" class="text-path-input" spellcheck="false">
+            </label>
+        </div>
+    `;
+}
+
+/**
+ * Read the text layout chosen in the text edit panel
+ * @param {HTMLElement} panel - Panel with the layout controls
+ * @returns {Object} { textLayout, textRadius, waveAmplitude, textPath }
+ */
+function readTextLayoutControls(panel) {
+    return {
+        textLayout: panel.querySelector('.text-layout-select').value,
+        textRadius: Number(panel.querySelector('.text-radius').value),
+        waveAmplitude: Number(panel.querySelector('.text-wave').value),
+        textPath: panel.querySelector('.text-path-input').value.trim() || DEFAULT_TEXT_PATH
+    };
+}
+
+/**
+ * Wire up the layout controls of the text edit panel, previewing them on the text being edited
+ * @param {HTMLElement} panel - Panel with the layout controls
+ * @param {Object} object - The text being edited, null while adding a new one
+ * @returns {Function} Puts the text's original layout back
+ */
+function bindTextLayoutControls(panel, object = null) {
+    const original = object ? {
+        textLayout: object.textLayout || 'straight',
+        textRadius: object.textRadius || DEFAULT_TEXT_RADIUS,
+        waveAmplitude: object.waveAmplitude ?? DEFAULT_WAVE_AMPLITUDE,
+        textPath: object.textPath || DEFAULT_TEXT_PATH
+    } : null;
+    const layoutSelect = panel.querySelector('.text-layout-select');
+    const pathInput = panel.querySelector('.text-path-input');
+    pathInput.value = original?.textPath || DEFAULT_TEXT_PATH;
+
+    // Only the settings of the chosen layout are shown
+    const showSettings = () => {
+        panel.querySelectorAll('.text-layout-controls [data-layouts]').forEach(row => {
+            row.hidden = !row.dataset.layouts.split(' ').includes(layoutSelect.value);
+        });
+    };
+    showSettings();
+
+    const apply = () => {
+        showSettings();
+        if (object) {
+            Object.assign(object, readTextLayoutControls(panel));
+            fitTextObject(object);
+            updateShirt3DTexture();
+        }
+    };
+    layoutSelect.addEventListener('change', apply);
+    panel.querySelector('.text-radius').addEventListener('input', apply);
+    panel.querySelector('.text-wave').addEventListener('input', apply);
+    pathInput.addEventListener('change', () => apply({ report: true }));
+
+    return () => {
+        if (!object) return;
+        Object.assign(object, original);
+        fitTextObject(object);
+        updateShirt3DTexture();
+    };
+}
+
+/**
+ * Row of the text edit panel for one outline
+ * @param {Object} outline - { color, width } with the width in font sizes
+ * @returns {string} HTML of the row
+ */
+function getTextOutlineRowHTML({ color = '#000000', width = DEFAULT_OUTLINE_WIDTH } = {}) {
+    return `
+        <div class="appearance-row text-outline-row">
+            <input type="color" value="${color}" class="text-outline-color" title="Outline color">
+            <input type="range" min="0.01" max="0.3" step="0.01" value="${width}" class="text-outline-width" title="Outline width">
+            <button type="button" class="text-outline-remove" title="Remove outline">
+                <i class="fas fa-times"></i>
+            </button>
         </div>
+    `;
+}
+
+/**
+ * Fill and outline controls for the text edit panel: gradients, patterns, a picture clipped to the
+ * text and stacked outlines
+ * @param {Object} style - Starting values, from the text being edited
+ * @returns {string} HTML of the controls
+ */
+function getTextFillControlsHTML({ fillType = 'solid', fillColors = DEFAULT_FILL_COLORS, fillAngle, fillPattern = 'stripes', fillScale = 1, outlines = [] } = {}) {
+    const fillOptions = TEXT_FILLS.map(fill => `
+        <option value="${fill.value}" ${fill.value === fillType ? 'selected' : ''}>${fill.label}</option>
+    `).join('');
+    const patternOptions = TEXT_PATTERNS.map(pattern => `
+        <option value="${pattern.value}" ${pattern.value === fillPattern ? 'selected' : ''}>${pattern.label}</option>
     `).join('');
 
-    content.innerHTML = `
-        <div class="section-title">
-            <h3>${existingShape ? 'Edit Your Shape' : 'Add Shape to Design'}</h3>
-            <p>Choose a shape and customize its appearance</p>
+    return `
+        <div class="text-fill-controls">
+            <label class="appearance-row">
+                <span>Fill</span>
+                <select class="text-fill-select">${fillOptions}</select>
+            </label>
+            <div class="appearance-row" data-fills="linear radial pattern">
+                <span>Colors</span>
+                <input type="color" value="${fillColors[0]}" class="text-fill-color-start">
+                <input type="color" value="${fillColors[1]}" class="text-fill-color-end">
             </div>
-            <div class="text-edit-options">
-                <div class="shape-options">
-                    ${shapeButtons}
-                </div>
-                <div class="text-edit-colors">
-                    ${colorButtons}
-                </div>
+            <label class="appearance-row" data-fills="pattern">
+                <span>Pattern</span>
+                <select class="text-fill-pattern">${patternOptions}</select>
+            </label>
+            <label class="appearance-row" data-fills="linear pattern">
+                <span>Angle</span>
+                <input type="range" min="0" max="360" step="5" value="${fillAngle ?? (fillType === 'pattern' ? 45 : 90)}" class="text-fill-angle">
+            </label>
+            <div class="appearance-row" data-fills="image">
+                <span>Picture</span>
+                <button type="button" class="text-fill-image-btn">
+                    <i class="fas fa-image"></i>
+                    <span>Choose...</span>
+                </button>
+                <input type="file" accept="image/*" class="text-fill-image-input" hidden>
             </div>
-            <div class="text-edit-buttons">
-                <button class="text-edit-cancel">Cancel</button>
-                <button class="text-edit-save">Save</button>
+            <label class="appearance-row" data-fills="pattern image">
+                <span>Scale</span>
+                <input type="range" min="0.25" max="4" step="0.05" value="${fillScale}" class="text-fill-scale">
+            </label>
+            <div class="appearance-row">
+                <span>Outlines</span>
+                <button type="button" class="text-outline-add" ${outlines.length >= MAX_TEXT_OUTLINES ? 'disabled' : ''}>
+                    <i class="fas fa-plus"></i>
+                    <span>Add</span>
+                </button>
+            </div>
+            <div class="text-outline-list">${outlines.map(getTextOutlineRowHTML).join('')}</div>
         </div>
     `;
+}
 
-    // Add to panel
-    panel.appendChild(header);
-    panel.appendChild(content);
-    
-    // Add to document body
-    document.body.appendChild(panel);
-    
-    // Position the panel with fixed left position
-    positionFloatingPanel(panel, { left: 100 });
-    
-    // Add event listeners to prevent panel from closing when clicking inside
-    panel.addEventListener('click', (e) => {
-        e.stopPropagation();
-    });
-    
-    return panel;
+/**
+ * Read the fill and outlines chosen in the text edit panel
+ * @param {HTMLElement} panel - Panel with the fill controls
+ * @returns {Object} { fillType, fillColors, fillAngle, fillPattern, fillScale, fillImage, outlines }
+ */
+function readTextFillControls(panel) {
+    const fillType = panel.querySelector('.text-fill-select').value;
+    return {
+        fillType,
+        fillColors: [panel.querySelector('.text-fill-color-start').value, panel.querySelector('.text-fill-color-end').value],
+        fillAngle: Number(panel.querySelector('.text-fill-angle').value),
+        fillPattern: panel.querySelector('.text-fill-pattern').value,
+        fillScale: Number(panel.querySelector('.text-fill-scale').value),
+        // The picture is only kept while it's used, it makes saved designs larger
+        fillImage: fillType === 'image' ? panel.querySelector('.text-fill-controls').dataset.image || null : null,
+        outlines: [...panel.querySelectorAll('.text-outline-row')].map(row => ({
+            color: row.querySelector('.text-outline-color').value,
+            width: Number(row.querySelector('.text-outline-width').value)
+        }))
+    };
 }
 
-export async function addShape(shapeType = '', options = {}) {
+/**
+ * Read a picture for an image fill, scaled down so the text stays small enough to save
+ * @param {File} file - The picture
+ * @returns {Promise<string>} Data URL
+ */
+async function readFillImage(file) {
+    const url = URL.createObjectURL(file);
     try {
-        // Get the position if this is called from a button click
-        const position = options.fromButton ? getButtonPosition('add-shape-btn') : null;
-        
-        // Show shape editor and wait for result
-        const panel = createShapeEditOverlay(null);
-        
-        // Position the panel
-        positionFloatingPanel(panel, position);
-        
-        // Add active class to show the panel
-        panel.classList.add('active');
+        const img = await new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Failed to load the picture'));
+            image.src = url;
+        });
 
-        const shapeResult = await new Promise((resolve, reject) => {
-            const shapeOptions = panel.querySelectorAll('.shape-option');
-            const colorOptions = panel.querySelectorAll('.color-option');
-            let selectedShape = shapeType || 'rectangle';
-            let selectedColor = options.color || '#000000';
+        const scale = Math.min(1, MAX_FILL_IMAGE_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL(file.type === 'image/jpeg' ? 'image/jpeg' : 'image/png');
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
 
-            // Handle shape selection
-            shapeOptions.forEach(option => {
-                if (option.dataset.shape === selectedShape) {
-                    option.classList.add('active');
-                }
-                option.addEventListener('click', () => {
-                    shapeOptions.forEach(opt => opt.classList.remove('active'));
-                    option.classList.add('active');
-                    selectedShape = option.dataset.shape;
-                });
-            });
+/**
+ * Wire up the fill and outline controls of the text edit panel, previewing them on the text being edited
+ * @param {HTMLElement} panel - Panel with the fill controls
+ * @param {Object} object - The text being edited, null while adding a new one
+ * @returns {Function} Puts the text's original fill and outlines back
+ */
+function bindTextFillControls(panel, object = null) {
+    const original = object ? {
+        fillType: object.fillType || 'solid',
+        fillColors: [...(object.fillColors || DEFAULT_FILL_COLORS)],
+        fillAngle: object.fillAngle,
+        fillPattern: object.fillPattern || 'stripes',
+        fillScale: object.fillScale || 1,
+        fillImage: object.fillImage || null,
+        outlines: (object.outlines || []).map(outline => ({ ...outline }))
+    } : null;
+    const controls = panel.querySelector('.text-fill-controls');
+    const fillSelect = panel.querySelector('.text-fill-select');
+    const angleInput = panel.querySelector('.text-fill-angle');
+    const outlineList = panel.querySelector('.text-outline-list');
+    const addOutlineButton = panel.querySelector('.text-outline-add');
+    const imageInput = panel.querySelector('.text-fill-image-input');
+    if (original?.fillImage) controls.dataset.image = original.fillImage;
+
+    // Only the settings of the chosen fill are shown
+    const showSettings = () => {
+        controls.querySelectorAll('[data-fills]').forEach(row => {
+            row.hidden = !row.dataset.fills.split(' ').includes(fillSelect.value);
+        });
+        addOutlineButton.disabled = outlineList.children.length >= MAX_TEXT_OUTLINES;
+    };
+    showSettings();
 
-            // Handle color selection
-            colorOptions.forEach(option => {
-                option.addEventListener('click', () => {
-                    colorOptions.forEach(opt => opt.classList.remove('active'));
-                    option.classList.add('active');
-                    selectedColor = option.dataset.color;
-                });
-            });
-            
-            // Handle close button
-            panel.querySelector('.panel-close').addEventListener('click', () => {
-                panel.remove();
-                reject('cancelled');
-            });
+    const apply = () => {
+        showSettings();
+        if (object) {
+            Object.assign(object, readTextFillControls(panel));
+            updateShirt3DTexture();
+        }
+    };
 
-            // Handle save
-            panel.querySelector('.text-edit-save').addEventListener('click', () => {
-                resolve({ type: selectedShape, color: selectedColor });
-                panel.remove();
-            });
+    let angleChanged = original?.fillAngle !== undefined;
+    angleInput.addEventListener('input', () => {
+        angleChanged = true;
+    });
+    fillSelect.addEventListener('change', () => {
+        // Gradients run top to bottom and stripes slant until an angle is picked
+        if (!angleChanged) angleInput.value = fillSelect.value === 'pattern' ? 45 : 90;
+        if (fillSelect.value === 'image' && !controls.dataset.image) imageInput.click();
+        apply();
+    });
+    controls.addEventListener('input', (e) => {
+        if (e.target !== fillSelect) apply();
+    });
 
-            // Handle cancel
-            panel.querySelector('.text-edit-cancel').addEventListener('click', () => {
-                panel.remove();
-                reject('cancelled');
-            });
+    panel.querySelector('.text-fill-image-btn').addEventListener('click', () => imageInput.click());
+    imageInput.addEventListener('change', async () => {
+        const file = imageInput.files[0];
+        imageInput.value = '';
+        if (!file) return;
 
-            // Handle escape key
-            document.addEventListener('keydown', function handleEscape(e) {
-                if (e.key === 'Escape') {
-                    document.removeEventListener('keydown', handleEscape);
-                    panel.remove();
-                    reject('cancelled');
-                }
-            });
-        });
-
-        if (shapeResult) {
-            // After getting shape details, show view selection modal
-            return new Promise((resolve, reject) => {
-                import('./ui.js').then(ui => {
-                    // Generate a preview image of the shape
-                    const previewCanvas = document.createElement('canvas');
-                    previewCanvas.width = 200;
-                    previewCanvas.height = 200;
-                    const ctx = previewCanvas.getContext('2d');
-                    
-                    // Draw background
-                    ctx.fillStyle = '#f5f5f5';
-                    ctx.fillRect(0, 0, previewCanvas.width, previewCanvas.height);
-                    
-                    // Draw shape based on type
-                    ctx.fillStyle = shapeResult.color;
-                    ctx.strokeStyle = '#333333';
-                    ctx.lineWidth = 2;
-                    
-                    const centerX = previewCanvas.width / 2;
-                    const centerY = previewCanvas.height / 2;
-                    const size = Math.min(previewCanvas.width, previewCanvas.height) * 0.6;
-                    
-                    ctx.beginPath();
-                    
-                    switch (shapeResult.type) {
-                        case 'rectangle':
-                            ctx.rect(centerX - size/2, centerY - size/2, size, size);
-                            break;
-                        case 'circle':
-                            ctx.arc(centerX, centerY, size/2, 0, Math.PI * 2);
-                            break;
-                        case 'triangle':
-                            ctx.moveTo(centerX, centerY - size/2);
-                            ctx.lineTo(centerX - size/2, centerY + size/2);
-                            ctx.lineTo(centerX + size/2, centerY + size/2);
-                            ctx.closePath();
-                            break;
-                        case 'star':
-                            // Draw a 5-point star
-                            const outerRadius = size/2;
-                            const innerRadius = outerRadius * 0.4; // Inner radius for star points
-                            
-                            for (let i = 0; i < 10; i++) {
-                                const radius = i % 2 === 0 ? outerRadius : innerRadius;
-                                const angle = Math.PI * 2 * i / 10 - Math.PI / 2;
-                                const x = centerX + radius * Math.cos(angle);
-                                const y = centerY + radius * Math.sin(angle);
-                                
-                                if (i === 0) {
-                                    ctx.moveTo(x, y);
-                                } else {
-                                    ctx.lineTo(x, y);
-                                }
-                            }
-                            ctx.closePath();
-                            break;
-                    }
-                    
-                    ctx.fill();
-                    ctx.stroke();
-                    
-                    // Get data URL for preview
-                    const previewImage = previewCanvas.toDataURL('image/png');
-                    
-                    // Show the view selection modal
-                    ui.showViewSelectionModal(previewImage, (selectedView) => {
-                        if (selectedView) {
-                            // Get view config for the selected view
-                            const viewConfig = modelConfig[state.currentModel].views[selectedView];
-                            
-                            // Calculate the center point of the editable area
-                            const centerX = (viewConfig.uvRect.u1 + viewConfig.uvRect.u2) / 2 * canvasData.width;
-                            const centerY = (viewConfig.uvRect.v1 + viewConfig.uvRect.v2) / 2 * canvasData.height;
-                            
-                            // Calculate the size of the editable area
-                            const areaWidth = Math.abs(viewConfig.uvRect.u2 - viewConfig.uvRect.u1) * canvasData.width;
-                            const areaHeight = Math.abs(viewConfig.uvRect.v2 - viewConfig.uvRect.v1) * canvasData.height;
-                            
-                            // Make shapes smaller - use 15% of the smaller dimension
-                            const shapeSize = Math.min(areaWidth, areaHeight) * 0.15;
-
-                            // Create shape object - smaller and centered
-                            const shapeObj = {
-                                id: 'shape_' + Date.now() + '_' + Math.floor(Math.random() * 1000), // Add unique ID
-                                type: 'shape',
-                                shapeType: shapeResult.type,
-                                width: shapeSize,
-                                height: shapeSize,
-                                color: shapeResult.color,
-                                left: centerX - shapeSize/2,
-                                top: centerY - shapeSize/2,
-                                angle: 0,
-                                view: selectedView,
-                                isDecal: true
-                            };
+        try {
+            controls.dataset.image = await readFillImage(file);
+            apply();
+        } catch (error) {
+            showToast(error.message);
+        }
+    });
 
-                            // Add to canvas
-                            addObject(shapeObj);
-                            
-                            // Save to panel settings
-                            addPanelItem('shape', shapeObj);
-                            
-                            // Update texture
-                            updateShirt3DTexture();
+    addOutlineButton.addEventListener('click', () => {
+        outlineList.insertAdjacentHTML('beforeend', getTextOutlineRowHTML({
+            color: outlineList.children.length % 2 === 0 ? '#000000' : '#FFFFFF'
+        }));
+        apply();
+    });
+    outlineList.addEventListener('click', (e) => {
+        const removeButton = e.target.closest('.text-outline-remove');
+        if (!removeButton) return;
+        removeButton.closest('.text-outline-row').remove();
+        apply();
+    });
 
-                            // Switch to the selected view
-                            import('./scene.js').then(scene => {
-                                scene.changeCameraView(selectedView);
-                            });
-                            
-                            ui.showToast(`Shape added to ${selectedView} view`);
-                            resolve(shapeObj);
-                        } else {
-                            reject('cancelled');
-                        }
-                    }, 'Choose Where to Add Shape');
-                });
-            });
-        }
-    } catch (error) {
-        console.error('Error in addShape:', error);
-        throw error;
-    }
+    return () => {
+        if (!object) return;
+        Object.assign(object, original);
+        updateShirt3DTexture();
+    };
 }
 
-// Handle adding shape from the UI
-async function handleAddShape() {
-    try {
-        await addShape('', { fromButton: true });
-    } catch (error) {
-        if (error !== 'cancelled') {
-            console.error('Error handling shape addition:', error);
-        }
-    }
-}
+// Font weights offered for text, bold is the default. Only the ones the chosen font has are enabled
+const TEXT_WEIGHTS = [
+    { value: '300', weight: 300, label: 'Light' },
+    { value: 'normal', weight: 400, label: 'Regular' },
+    { value: '600', weight: 600, label: 'Semibold' },
+    { value: 'bold', weight: 700, label: 'Bold' },
+    { value: '900', weight: 900, label: 'Black' }
+];
 
 /**
- * Clear all objects from the canvas
+ * Style controls for the text edit panel: weight, italic, uppercase, alignment, line height,
+ * letter spacing and fitting the text to its box
+ * @param {Object} style - Starting values, from the text being edited
+ * @returns {string} HTML of the controls
  */
-export function clearCanvas() {
-    // Clear objects array
-    canvasData.objects = [];
-
-    // Deselect any selected object
-    deselectObject();
+function getTextStyleControlsHTML({ fontWeight = 'bold', fontStyle = 'normal', textTransform = 'none', textAlign = 'center', lineHeight = TEXT_LINE_HEIGHT, letterSpacing = 0, autoFit = false } = {}) {
+    const weightOptions = TEXT_WEIGHTS.map(weight => `
+        <option value="${weight.value}" ${weight.value === String(fontWeight) ? 'selected' : ''}>${weight.label}</option>
+    `).join('');
+    const alignButtons = ['left', 'center', 'right', 'justify'].map(align => `
+        <button type="button" class="text-align-btn ${align === textAlign ? 'active' : ''}" data-align="${align}" title="Align ${align}">
+            <i class="fas fa-align-${align}"></i>
+        </button>
+    `).join('');
 
-    // Update texture
-    updateShirt3DTexture();
+    return `
+        <div class="text-style-controls">
+            <label class="appearance-row">
+                <span>Weight</span>
+                <select class="text-weight-select">${weightOptions}</select>
+                <button type="button" class="text-style-toggle text-italic ${fontStyle === 'italic' ? 'active' : ''}" title="Italic">
+                    <i class="fas fa-italic"></i>
+                </button>
+                <button type="button" class="text-style-toggle text-uppercase ${textTransform === 'uppercase' ? 'active' : ''}" title="Uppercase">
+                    <i class="fas fa-font"></i>
+                </button>
+            </label>
+            <div class="appearance-row">
+                <span>Align</span>
+                <div class="text-align-buttons">${alignButtons}</div>
+            </div>
+            <label class="appearance-row">
+                <span>Line height</span>
+                <input type="range" min="0.8" max="2.5" step="0.05" value="${lineHeight}" class="text-line-height">
+            </label>
+            <label class="appearance-row">
+                <span>Spacing</span>
+                <input type="range" min="-0.1" max="0.5" step="0.01" value="${letterSpacing}" class="text-letter-spacing">
+            </label>
+            <label class="appearance-row text-auto-fit">
+                <input type="checkbox" class="text-auto-fit-toggle" ${autoFit ? 'checked' : ''}>
+                Fit text to its box when resizing or editing
+            </label>
+        </div>
+    `;
 }
 
 /**
- * Clear objects from a specific view or all views
- * @param {string} view - The view to clear (front, back, left_arm, right_arm, or 'all')
+ * Only offer the weights and italic a font has faces for, moving the chosen style to its closest face
+ * @param {HTMLElement} panel - Panel with the style controls
+ * @param {string} family - Chosen font
  */
-export function clearObjectsByView(view = 'all') {
-    if (view === 'all') {
-        // Clear all objects (same as clearCanvas)
-        clearCanvas();
-        return;
-    }
-
-    // Get the UV boundaries for the specified view
-    const viewConfig = modelConfig[state.currentModel].views[view];
-    if (!viewConfig) {
-        console.warn(`View ${view} not found in model configuration`);
-        return;
-    }
-
-    // Calculate boundaries in canvas space
-    const minU = viewConfig.uvRect.u1;
-    const maxU = viewConfig.uvRect.u2;
-    const minV = viewConfig.uvRect.v1;
-    const maxV = viewConfig.uvRect.v2;
-
-    // Filter objects that are within this view's UV boundaries
-    canvasData.objects = canvasData.objects.filter(obj => {
-        // Calculate object's center point in UV space
-        const objCenterX = obj.left / canvasData.width;
-        const objCenterY = obj.top / canvasData.height;
-
-        // Check if object's center is outside this view's boundaries
-        return !(objCenterX >= minU && objCenterX <= maxU &&
-            objCenterY >= minV && objCenterY <= maxV);
+function limitTextStyleControls(panel, family) {
+    const weightSelect = panel.querySelector('.text-weight-select');
+    const italicButton = panel.querySelector('.text-italic');
+    if (!weightSelect || !italicButton) return;
+
+    // Starts from what was picked last, so going through a font with fewer faces doesn't lose it
+    const wanted = weightSelect.dataset.wanted || weightSelect.value;
+    const wantsItalic = italicButton.dataset.wanted ? italicButton.dataset.wanted === 'italic' : italicButton.classList.contains('active');
+    const face = resolveFontFace(family, wanted, wantsItalic ? 'italic' : 'normal');
+    const weights = getFontWeights(family);
+
+    [...weightSelect.options].forEach(option => {
+        option.disabled = !weights.includes(TEXT_WEIGHTS.find(weight => weight.value === option.value)?.weight);
     });
+    weightSelect.value = TEXT_WEIGHTS.find(weight => weight.weight === face.weight)?.value || weightSelect.value;
+    weightSelect.dataset.wanted = wanted;
 
-    // Deselect if selected object was removed
-    if (selectedObject && !canvasData.objects.includes(selectedObject)) {
-        deselectObject();
-    }
-
-    // Update texture
-    updateShirt3DTexture();
+    italicButton.disabled = !hasItalicFace(family);
+    italicButton.classList.toggle('active', face.style === 'italic');
+    italicButton.dataset.wanted = wantsItalic ? 'italic' : 'normal';
 }
 
 /**
- * Export the current canvas as an image
- * @returns {string} Data URL of the canvas image
+ * Read the text style chosen in the text edit panel
+ * @param {HTMLElement} panel - Panel with the style controls
+ * @returns {Object} { fontWeight, fontStyle, textTransform, textAlign, lineHeight, letterSpacing, autoFit }
  */
-export function exportCanvasImage() {
-    // Temporarily hide selection overlay
-    const wasSelected = selectedObject;
-    if (wasSelected) {
-        deselectObject();
-    }
-
-    // Draw all objects without selection
-    canvasData.ctx.clearRect(0, 0, canvasData.width, canvasData.height);
-    for (const obj of canvasData.objects) {
-        drawObjectToCanvas(obj);
-    }
-
-    // Get data URL
-    const dataURL = canvasData.canvas.toDataURL('image/png');
-
-    // Restore selection if needed
-    if (wasSelected) {
-        selectObject(wasSelected);
-        updateShirt3DTexture();
-    }
-
-    return dataURL;
+function readTextStyleControls(panel) {
+    return {
+        fontWeight: panel.querySelector('.text-weight-select').value,
+        fontStyle: panel.querySelector('.text-italic').classList.contains('active') ? 'italic' : 'normal',
+        textTransform: panel.querySelector('.text-uppercase').classList.contains('active') ? 'uppercase' : 'none',
+        textAlign: panel.querySelector('.text-align-btn.active')?.dataset.align || 'center',
+        lineHeight: Number(panel.querySelector('.text-line-height').value),
+        letterSpacing: Number(panel.querySelector('.text-letter-spacing').value),
+        autoFit: panel.querySelector('.text-auto-fit-toggle').checked
+    };
 }
 
 /**
- * Handle keyboard shortcuts
- * @param {KeyboardEvent} event 
+ * Wire up the style controls of the text edit panel, previewing them on the text being edited
+ * @param {HTMLElement} panel - Panel with the style controls
+ * @param {Object} object - The text being edited, null while adding a new one
+ * @returns {Function} Puts the text's original style back
  */
-function onKeyDown(event) {
-    // Only handle shortcuts if not typing in an input field
-    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
-        return;
-    }
-
-    // Handle keyboard shortcuts only when in edit mode or a design tab is active
-    const isEditingOrDesigning = isEditingMode || document.querySelector('.tab-content[data-tab="design"].active, .tab-content[data-tab="customize"].active');
-    if (!isEditingOrDesigning) return;
-
-    // Common operations with keyboard shortcuts
-    const key = event.key.toLowerCase();
-
-    // Delete selected object with Delete key
-    if (key === 'delete' || key === 'backspace') {
-        if (deleteSelectedObject()) {
-            showToast('Object deleted');
-            event.preventDefault();
+function bindTextStyleControls(panel, object = null) {
+    const original = object ? {
+        fontSize: object.fontSize,
+        fontWeight: object.fontWeight || 'bold',
+        fontStyle: object.fontStyle || 'normal',
+        textTransform: object.textTransform || 'none',
+        textAlign: object.textAlign || 'center',
+        lineHeight: object.lineHeight || TEXT_LINE_HEIGHT,
+        letterSpacing: object.letterSpacing || 0,
+        autoFit: !!object.autoFit
+    } : null;
+
+    const apply = () => {
+        if (object) {
+            Object.assign(object, readTextStyleControls(panel));
+            fitTextObject(object);
+            updateShirt3DTexture();
         }
-    }
-
-    // Copy, Cut, Paste with Ctrl/Cmd
-    if (event.ctrlKey || event.metaKey) {
-        switch (key) {
-            case 'c': // Copy
-                if (copySelectedObject()) {
-                    showToast('Object copied');
-                    event.preventDefault();
-                }
-                break;
-
-            case 'x': // Cut
-                if (copySelectedObject() && deleteSelectedObject()) {
-                    showToast('Object cut');
-                    event.preventDefault();
-                }
-                break;
-
-            case 'v': // Paste
-                pasteObject().then(obj => {
-                    if (obj) showToast('Object pasted');
-                });
-                event.preventDefault();
-                break;
+    };
 
-            case 'd': // Duplicate
-                duplicateSelectedObject().then(obj => {
-                    if (obj) showToast('Object duplicated');
-                });
-                event.preventDefault();
-                break;
+    panel.querySelectorAll('.text-style-toggle').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            button.classList.toggle('active');
+            // A style picked by hand replaces the one kept while switching fonts
+            delete button.dataset.wanted;
+            apply();
+        });
+    });
+    panel.querySelectorAll('.text-align-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            panel.querySelectorAll('.text-align-btn').forEach(other => other.classList.toggle('active', other === button));
+            apply();
+        });
+    });
+    panel.querySelector('.text-weight-select').addEventListener('change', (e) => {
+        delete e.target.dataset.wanted;
+        apply();
+    });
+    panel.querySelector('.text-line-height').addEventListener('input', apply);
+    panel.querySelector('.text-letter-spacing').addEventListener('input', apply);
+    panel.querySelector('.text-auto-fit-toggle').addEventListener('change', apply);
+
+    return () => {
+        if (!object) return;
+        Object.assign(object, original);
+        fitTextObject(object);
+        updateShirt3DTexture();
+    };
+}
 
-            case 'z': // Undo
-                if (event.shiftKey) {
-                    // Redo with Ctrl+Shift+Z
-                    redo();
-                } else {
-                    // Undo with Ctrl+Z
-                    undo();
+/**
+ * Add an image to the canvas
+ * @param {string} imageUrl - URL of the image to add
+ * @param {Object} options - Options for positioning and sizing
+ * @returns {Promise<Object>} The added image object
+ */
+export function addImage(imageUrl, options = {}) {
+    return new Promise((resolve, reject) => {
+        // Get current view
+        const targetView = options.view || state.cameraView;
+        
+        // Create new image with high quality settings
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        
+        // Set image quality settings
+        img.imageSmoothingEnabled = true;
+        img.imageSmoothingQuality = 'high';
+        
+        // When the image loads
+        img.onload = () => {
+            // Calculate optimal dimensions while maintaining aspect ratio
+            const aspectRatio = img.width / img.height;
+            
+            // Default width based on canvas size, or user-specified width
+            const defaultWidth = canvasData.width * 0.2;
+            
+            // Calculate height based on aspect ratio
+            const defaultHeight = defaultWidth / aspectRatio;
+            
+            // Get view configuration for correct placement
+            const viewConfig = modelConfig[state.currentModel]?.views?.[targetView];
+            if (!viewConfig) {
+                reject(new Error(`Invalid view configuration for ${targetView}`));
+                return;
+            }
+            
+            // Get the position based on options or calculate a default position
+            let left, top;
+            if (options.left !== undefined && options.top !== undefined) {
+                // Use provided position
+                left = options.left;
+                top = options.top;
+            } else {
+                // Always center the image in the view for consistent placement
+                const uvRect = viewConfig.uvRect;
+                const centerX = (uvRect.u1 + uvRect.u2) / 2 * canvasData.width;
+                const centerY = (uvRect.v1 + uvRect.v2) / 2 * canvasData.height;
+                left = centerX - defaultWidth / 2;
+                top = centerY - defaultHeight / 2;
+            }
+            
+            // Check if this is a decal type image
+            let hasTransparency = false;
+            const isDecalType = /\.(png|webp|gif)$/i.test(imageUrl) || 
+                                imageUrl.includes("data:image/png") || 
+                                imageUrl.includes("data:image/webp") ||
+                                options.isDecal || 
+                                options.removeColor;
+            
+            try {
+                // Create a temporary canvas to check for transparency
+                const tempCanvas = document.createElement('canvas');
+                const tempCtx = tempCanvas.getContext('2d');
+                tempCanvas.width = img.width; // Use original image dimensions
+                tempCanvas.height = img.height;
+                tempCtx.drawImage(img, 0, 0, tempCanvas.width, tempCanvas.height);
+                
+                // Sample pixels to check for transparency
+                const pixels = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height).data;
+                
+                // Check a reasonable number of pixels for transparency
+                for (let i = 3; i < pixels.length; i += 4) {
+                    if (pixels[i] < 240) { // Alpha channel less than 240 (not fully opaque)
+                        hasTransparency = true;
+                        break;
+                    }
                 }
-                event.preventDefault();
-                break;
+                
+                // If we detected transparency or it's a common decal format, mark as decal
+                if (hasTransparency || isDecalType) {
+                    options.isDecal = true;
+                }
+            } catch (e) {
+                console.warn('Error checking image transparency:', e);
+                // If we can't check, fall back to file extension check
+                options.isDecal = isDecalType;
+            }
+            
+            const uvRect = viewConfig.uvRect;
+            
+            // Calculate safe placement area (with padding)
+            const minX = uvRect.u1 * canvasData.width;
+            const minY = uvRect.v1 * canvasData.height;
+            const maxX = uvRect.u2 * canvasData.width;
+            const maxY = uvRect.v2 * canvasData.height;
+            
+            // Ensure the image position is within valid UV bounds
+            left = Math.max(minX, Math.min(maxX - defaultWidth / 2, left));
+            top = Math.max(minY, Math.min(maxY - defaultHeight / 2, top));
+            
+            // Create the object with improved default properties for decals
+            const obj = {
+                id: 'img_' + Date.now() + '_' + Math.floor(Math.random() * 1000),
+                type: 'image',
+                img: img,
+                src: imageUrl,
+                left: left,
+                top: top,
+                width: options.width || defaultWidth,
+                // A given width without a height keeps the picture's proportions
+                height: options.height || (options.width ? options.width / aspectRatio : defaultHeight),
+                angle: options.angle || 0,
+                isDecal: options.isDecal || false,
+                isAIGenerated: options.isAIGenerated || false,
+                removeColor: options.removeColor || false,
+                view: targetView,
+                // Apply default enhancement filters to make decals more vibrant
+                currentFilters: options.currentFilters || 'contrast(120%) saturate(130%) brightness(105%)',
+                metadata: {
+                    originalWidth: img.width,
+                    originalHeight: img.height,
+                    hasTransparency: hasTransparency
+                }
+            };
 
-            case 'y': // Redo with Ctrl+Y
-                redo();
-                event.preventDefault();
-                break;
+            // Add object to collection
+            canvasData.objects.push(obj);
+            
+            // Save state for undo
+            historyStack.saveState();
+            
+            // Save to panel settings if it's a decal
+            if (obj.isDecal) {
+                if (obj.isAIGenerated) {
+                    addPanelItem('ai', obj);
+                } else {
+                    addPanelItem('photo', obj);
+                }
+            }
+            
+            // Update the 3D texture
+            updateShirt3DTexture();
+            
+            // Resolve with the created object
+            resolve(obj);
+            
+            // Suggest upscaling pictures that are too small for their size on the shirt
+            if (options.offerUpscale !== false) {
+                offerUpscale(obj);
+            }
+            
+            // Log success but with additional decal information
+            Logger.log(`Added image${obj.isDecal ? ' (decal)' : ''}: ${imageUrl.substring(0, 50)}...`);
+        };
 
-            case 'a': // Select all with Ctrl+A
-                selectAllObjects();
-                event.preventDefault();
-                break;
+        // Set source to start loading
+        img.src = imageUrl;
+    });
+}
 
-            case 'e': // Toggle edit mode with Ctrl+E
-                toggleEditMode(!isEditingMode);
-                event.preventDefault();
-                break;
-        }
+// Define text colors
+const TEXT_COLORS = [
+    '#000000', // Black
+    '#FFFFFF', // White
+    '#FF0000', // Red
+    '#00FF00', // Green
+    '#0000FF', // Blue
+    '#FFFF00', // Yellow
+    '#FF00FF', // Magenta
+    '#00FFFF', // Cyan
+    '#FFA500', // Orange
+    '#800080', // Purple
+    '#A52A2A', // Brown
+    '#808080', // Gray
+    '#FFB6C1', // Pink
+    '#90EE90', // Light Green
+    '#ADD8E6', // Light Blue
+    '#D3D3D3'  // Light Gray
+];
+
+const escapeHTML = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Font controls for the text edit panel: the font library grouped by category, an upload button
+ * for the user's own fonts and a preview of the text in the chosen font
+ * @param {string} selectedFont - Font of the text being edited
+ * @returns {string} HTML of the controls
+ */
+function getFontControlsHTML(selectedFont = 'Arial') {
+    const groups = getFontGroups();
+    // Text from a design whose font isn't available here keeps its font name
+    if (!groups.some(group => group.families.includes(selectedFont))) {
+        groups.unshift({ category: 'Unavailable', families: [selectedFont] });
     }
 
-    // Arrow keys for nudging objects
-    if (selectedObject && (key === 'arrowleft' || key === 'arrowright' || key === 'arrowup' || key === 'arrowdown')) {
-        // Amount to move in pixels (use shift for larger movements)
-        const amount = event.shiftKey ? 10 : 1;
+    const options = groups.map(group => `
+        <optgroup label="${group.category}">
+            ${group.families.map(family => `
+                <option value="${escapeHTML(family)}" style="font-family: '${escapeHTML(family)}'" ${family === selectedFont ? 'selected' : ''}>${escapeHTML(family)}</option>
+            `).join('')}
+        </optgroup>
+    `).join('');
 
-        switch (key) {
-            case 'arrowleft':
-                selectedObject.left -= amount;
-                break;
-            case 'arrowright':
-                selectedObject.left += amount;
-                break;
-            case 'arrowup':
-                selectedObject.top -= amount;
-                break;
-            case 'arrowdown':
-                selectedObject.top += amount;
-                break;
-        }
+    return `
+        <div class="font-select-container">
+            <label for="font-select">Font:</label>
+            <select id="font-select" class="font-select">
+                ${options}
+            </select>
+            <button type="button" class="font-upload-btn" title="Upload a TTF, OTF, WOFF or WOFF2 font">
+                <i class="fas fa-upload"></i>
+            </button>
+            <input type="file" class="font-upload-input" accept="${FONT_FILE_EXTENSIONS.map(ext => `.${ext}`).join(',')}" hidden>
+        </div>
+        <div class="font-preview" style="font-family: '${escapeHTML(selectedFont)}'">Aa Bb Cc 123</div>
+    `;
+}
 
-        // Update transform controls if visible
-        if (transformControls.visible) {
-            updateTransformControls();
+/**
+ * Wire up the font controls of the text edit panel, previewing the font on the text being edited
+ * @param {HTMLElement} panel - Panel with the font controls
+ * @param {Object} object - The text being edited, null while adding a new one
+ * @returns {Function} Puts the text's original font back
+ */
+function bindFontControls(panel, object = null) {
+    const originalFont = object ? object.font : null;
+    const fontSelect = panel.querySelector('#font-select');
+    const preview = panel.querySelector('.font-preview');
+    const textarea = panel.querySelector('.text-edit-input');
+    const uploadInput = panel.querySelector('.font-upload-input');
+
+    const updatePreview = () => {
+        const style = readTextStyleControls(panel);
+        const firstLine = (textarea?.value || '').split('\n')[0].trim();
+        preview.textContent = firstLine || 'Aa Bb Cc 123';
+        preview.style.fontFamily = `"${fontSelect.value}"`;
+        preview.style.fontWeight = style.fontWeight;
+        preview.style.fontStyle = style.fontStyle;
+        preview.style.textTransform = style.textTransform;
+    };
+
+    // Only the face the text will draw with, for the characters typed so far
+    const loadChosenFont = (font) => loadTextFont({ font, ...readTextStyleControls(panel), text: textarea?.value || object?.text || '' });
+
+    const apply = async () => {
+        const font = fontSelect.value;
+        limitTextStyleControls(panel, font);
+        updatePreview();
+        await loadChosenFont(font);
+        // Another font may have been picked while this one loaded
+        if (object && fontSelect.value === font) {
+            const { fontWeight, fontStyle } = readTextStyleControls(panel);
+            Object.assign(object, { font, fontWeight, fontStyle });
+            fitTextObject(object);
+            updateShirt3DTexture();
         }
+    };
 
-        // Update texture
-        updateShirt3DTexture();
+    fontSelect.addEventListener('change', apply);
+    panel.addEventListener('input', updatePreview);
+    panel.addEventListener('click', updatePreview);
 
-        event.preventDefault();
-    }
+    panel.querySelector('.font-upload-btn').addEventListener('click', (e) => {
+        e.preventDefault();
+        uploadInput.click();
+    });
+    uploadInput.addEventListener('change', async () => {
+        const file = uploadInput.files[0];
+        uploadInput.value = '';
+        if (!file) return;
 
-    // Space to center the selected object
-    if (key === ' ' && selectedObject) {
-        centerSelectedObject();
-        showToast('Object centered');
-        event.preventDefault();
-    }
+        try {
+            const family = await addCustomFont(file);
+            const container = document.createElement('div');
+            container.innerHTML = getFontControlsHTML(family);
+            fontSelect.innerHTML = container.querySelector('#font-select').innerHTML;
+            fontSelect.value = family;
+            await apply();
+            showToast(`Font "${family}" added`);
+        } catch (error) {
+            showToast(error.message);
+        }
+    });
 
-    // Rotate with R key + arrows
-    if (key === 'r' && selectedObject) {
-        setTransformMode('rotate');
-        showToast('Rotate mode activated');
-        event.preventDefault();
-    }
+    limitTextStyleControls(panel, fontSelect.value);
+    updatePreview();
+    loadChosenFont(fontSelect.value);
 
-    // Scale with S key
-    if (key === 's' && selectedObject) {
-        setTransformMode('scale');
-        showToast('Scale mode activated');
-        event.preventDefault();
-    }
-
-    // Move with M key
-    if (key === 'm' && selectedObject) {
-        setTransformMode('move');
-        showToast('Move mode activated');
-        event.preventDefault();
-    }
-
-    // Function keys for view selection
-    if (key.startsWith('f') && !isNaN(key.substring(1))) {
-        const viewIndex = parseInt(key.substring(1)) - 1;
-
-        // Import dynamically to avoid circular dependencies
-        import('./texture-mapper.js').then(textureMapper => {
-            const views = textureMapper.getAllViews();
-
-            if (views && viewIndex >= 0 && viewIndex < views.length) {
-                const view = views[viewIndex];
-                textureMapper.quickJumpToView(view);
-                showToast(`Switched to ${view} view`);
-                event.preventDefault();
-            }
-        });
-    }
-}
+    return () => {
+        if (!object) return;
+        object.font = originalFont;
+        fitTextObject(object);
+        updateShirt3DTexture();
+    };
+}
 
 /**
- * Handle keyup events
- * @param {KeyboardEvent} event - The keyup event
+ * Font families used by text, including text inside groups
+ * @param {Array<Object>} objects - Editor objects
+ * @returns {string[]}
  */
-function onKeyUp(event) {
-    // Reset any temporary states related to key modifiers
+function getUsedFonts(objects) {
+    return objects.flatMap(obj => {
+        if (obj.type === 'group') return getUsedFonts(obj.children || []);
+        return obj.type === 'text' && obj.font ? [obj.font] : [];
+    });
 }
 
-/**
- * NEW: Highlight the editable area on the texture
- * @param {Object} area - The area to highlight
- */
-function highlightEditableArea(area) {
-    const ctx = canvasData.ctx;
-    const { u1, v1, u2, v2 } = area;
-
-    const x = u1 * canvasData.width;
-    const y = v1 * canvasData.height;
-    const width = (u2 - u1) * canvasData.width;
-    const height = (v2 - v1) * canvasData.height;
-
-    // Draw a dark overlay over the entire canvas
-    ctx.save();
+function createTextEditOverlay(existingText = '', existingColor = '#000000', existingFont = 'Arial', existingStyle = {}) {
+    // Create a floating panel
+    const panel = document.createElement('div');
+    panel.className = 'floating-panel';
+    panel.id = 'text-edit-panel';
     
-    // Use a semi-transparent black overlay to darken non-editable areas
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-    ctx.globalCompositeOperation = 'source-over';
+    // Add panel header
+    const header = document.createElement('div');
+    header.className = 'panel-header';
     
-    // Draw four rectangles to cover everything except the editable area
-    // Top rectangle
-    ctx.fillRect(0, 0, canvasData.width, y);
-    // Left rectangle
-    ctx.fillRect(0, y, x, height);
-    // Right rectangle
-    ctx.fillRect(x + width, y, canvasData.width - (x + width), height);
-    // Bottom rectangle
-    ctx.fillRect(0, y + height, canvasData.width, canvasData.height - (y + height));
+    const headerTitle = document.createElement('h3');
+    headerTitle.textContent = existingText ? 'Edit Text' : 'Add Text';
     
-    ctx.restore();
-}
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'panel-close';
+    closeBtn.setAttribute('aria-label', 'Close Panel');
+    closeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    
+    header.appendChild(headerTitle);
+    header.appendChild(closeBtn);
+    
+    // Create panel content
+    const content = document.createElement('div');
+    content.className = 'panel-content';
 
+    // Only include black and white colors
+    const basicColors = ['#000000', '#FFFFFF'];
+    const colorButtons = basicColors.map(color => `
+        <div class="color-option ${color === existingColor ? 'active' : ''}" 
+             style="background-color: ${color}" 
+             data-color="${color}">
+        </div>
+    `).join('');
 
-/**
- * NEW: Toggle editing mode for a specific area
- * @param {string} viewName - The view name (front, back, left_arm, right_arm)
- * @param {boolean} enabled - Whether to enable or disable edit mode
- */
-export function toggleEditMode(viewName, enabled = true) {
-    // Get the appropriate editable area from modelConfig
-    const views = modelConfig[state.modelType || 'tshirt'].views;
-    const view = views[viewName];
+    content.innerHTML = `
+        <div class="section-title">
+            <h3>${existingText ? 'Edit Your Text' : 'Add Text to Design'}</h3>
+            <p>Enter your text and customize its appearance, Shift+Enter starts a new line</p>
+        </div>
+        <textarea class="text-edit-input" placeholder="Enter your text here...">${existingText}</textarea>
+        <div class="text-edit-options">
+            ${getFontControlsHTML(existingFont)}
+            <div class="text-edit-colors" style="display: flex; align-items: center; gap: 16px; margin: 16px 0;">
+                <!-- Black color option -->
+                <div class="color-option ${existingColor === '#000000' ? 'active' : ''}" 
+                    style="background-color: #000000; 
+                           width: 36px; 
+                           height: 36px; 
+                           border-radius: 50%; 
+                           cursor: pointer; 
+                           transition: transform 0.3s cubic-bezier(0.34, 1.56, 0.64, 1), box-shadow 0.3s ease; 
+                           box-shadow: ${existingColor === '#000000' ? '0 0 0 2px #5d9df5, 0 3px 8px rgba(0,0,0,0.2)' : '0 2px 5px rgba(0,0,0,0.2)'}" 
+                    data-color="#000000" title="Black">
+                    </div>
+                
+                <!-- White color option -->
+                <div class="color-option ${existingColor === '#FFFFFF' ? 'active' : ''}" 
+                    style="background-color: #FFFFFF; 
+                           width: 36px; 
+                           height: 36px; 
+                           border-radius: 50%; 
+                           cursor: pointer; 
+                           border: 1px solid #eaeaea;
+                           transition: transform 0.3s cubic-bezier(0.34, 1.56, 0.64, 1), box-shadow 0.3s ease; 
+                           box-shadow: ${existingColor === '#FFFFFF' ? '0 0 0 2px #5d9df5, 0 3px 8px rgba(0,0,0,0.1)' : '0 2px 5px rgba(0,0,0,0.1)'}" 
+                    data-color="#FFFFFF" title="White">
+                </div>
+                
+                <!-- Custom color option (starts transparent) -->
+                <div class="color-picker-wrapper" style="display: flex; align-items: center; gap: 8px;">
+                    <div class="color-option custom-color ${!['#000000', '#FFFFFF'].includes(existingColor) ? 'active' : ''}" 
+                        style="width: 36px; 
+                               height: 36px; 
+                               border-radius: 50%; 
+                               cursor: pointer;
+                               background-color: ${!['#000000', '#FFFFFF'].includes(existingColor) ? existingColor : 'transparent'};
+                               border: 2px dashed #ccc;
+                               transition: all 0.3s ease;
+                               box-shadow: ${!['#000000', '#FFFFFF'].includes(existingColor) ? '0 0 0 2px #5d9df5, 0 3px 8px rgba(0,0,0,0.2)' : 'none'};"
+                        title="Custom color">
+                    </div>
+                    
+                    <!-- Pen/edit icon for opening color picker -->
+                    <div class="color-edit-icon" 
+                        style="width: 30px; 
+                               height: 30px; 
+                               border-radius: 50%;
+                               background-color: #f0f0f0;
+                               border: 1px solid #e0e0e0;
+                               display: flex; 
+                               align-items: center; 
+                               justify-content: center;
+                               cursor: pointer;
+                               transition: all 0.2s ease;">
+                        <i class="fas fa-pen" style="font-size: 12px; color: #666;"></i>
+                        
+                        <!-- Hidden color input -->
+                        <input type="color" 
+                               class="hidden-color-picker" 
+                               value="${!['#000000', '#FFFFFF'].includes(existingColor) ? existingColor : '#000000'}" 
+                               style="width: 0; 
+                                      height: 0; 
+                                      position: absolute; 
+                                      opacity: 0; 
+                                      pointer-events: none;">
+                    </div>
+                </div>
+            </div>
+            <button class="shadow-btn">
+                <i class="fas fa-layer-group"></i>
+                <span>Shadow</span>
+            </button>
+            ${getTextStyleControlsHTML(existingStyle)}
+            ${getTextLayoutControlsHTML(existingStyle)}
+            ${getTextFillControlsHTML(existingStyle)}
+            ${getAppearanceControlsHTML(existingStyle)}
+        </div>
+        <div class="text-edit-buttons">
+            <button class="text-edit-cancel">Cancel</button>
+            <button class="text-edit-save">Save</button>
+        </div>
+    `;
+    
+    // Add to panel
+    panel.appendChild(header);
+    panel.appendChild(content);
+    
+    // Add to document body
+    document.body.appendChild(panel);
+    
+    // Position the panel with fixed left position
+    positionFloatingPanel(panel, { left: 100 });
+    
+    // Add event listeners to prevent panel from closing when clicking inside
+    panel.addEventListener('click', (e) => {
+        e.stopPropagation();
+    });
 
-    if (!view) {
-        console.error(`View '${viewName}' not found in model config`);
-        return;
+    // Setup save button to ensure color is applied
+    const saveButton = panel.querySelector('.text-edit-save');
+    if (saveButton) {
+        saveButton.addEventListener('click', () => {
+            // Get the chosen color from either active color option or custom color
+            let selectedColor;
+            const activeColor = panel.querySelector('.color-option.active');
+            if (activeColor) {
+                if (activeColor.classList.contains('custom-color')) {
+                    // Get the color from the color picker
+                    selectedColor = panel.querySelector('.hidden-color-picker').value;
+                } else {
+                    // Get the color from data attribute
+                    selectedColor = activeColor.getAttribute('data-color');
+                }
+            } else {
+                // Default to black if no active color
+                selectedColor = '#000000';
+            }
+            
+            // Store the selected color for use when creating the text object
+            panel.setAttribute('data-selected-color', selectedColor);
+            
+            console.log(`Saving with selected color: ${selectedColor}`);
+            
+            // Ensure the color is applied to the model immediately before save
+            if (window.selectedObject && window.selectedObject.type === 'text') {
+                window.selectedObject.color = selectedColor;
+                // Force a redraw of the canvas
+                updateShirt3DTexture();
+            }
+        });
     }
 
-    isEditingMode = enabled;
-
-    if (enabled) {
-        // Store the editable area
-        currentEditableArea = view.uvRect;
-
-        // Disable camera controls to lock shirt movement
-        cameraControlsEnabled = false;
-
-        // Set cursor to edit mode
-        document.body.style.cursor = cursors.edit;
-
-        // Show a status message
-        const viewDisplayName = view.name || viewName;
-        showToast(`Editing ${viewDisplayName} area. T-shirt movement locked.`);
-    } else {
-        // Reset when disabling edit mode
-        currentEditableArea = null;
-        cameraControlsEnabled = true;
-        document.body.style.cursor = cursors.default;
+    // Setup color picker functionality
+    const colorPicker = panel.querySelector('.hidden-color-picker');
+    const customColorOption = panel.querySelector('.custom-color');
+    const colorEditIcon = panel.querySelector('.color-edit-icon');
+    const colorOptions = panel.querySelectorAll('.color-option:not(.custom-color)');
 
-        // Deselect any selected object
-        if (selectedObject) {
-            deselectObject();
-        }
-
-        showToast('Exited edit mode. T-shirt movement enabled.');
-    }
-
-    // Update the texture to show or hide the highlighted area
-    updateShirt3DTexture();
-
-    try {
-        window.console.log('Editor mode ' + (enabled ? 'enabled' : 'disabled') + ' for view: ' + viewName);
-    } catch (e) {
-        // Silently fail if logging doesn't work
-    }
-
-    return isEditingMode;
-}
-
-/**
- * Toggle camera controls (for external use)
- * @param {boolean} enabled - Whether to enable camera controls
- */
-export function toggleCameraControls(enabled) {
-    cameraControlsEnabled = enabled;
+    // Handle color picker input
+    colorPicker.addEventListener('input', (e) => {
+        const color = e.target.value;
+        
+        // Update custom color option appearance
+        customColorOption.style.backgroundColor = color;
+        customColorOption.style.borderColor = 'transparent';
+        customColorOption.style.borderStyle = 'solid';
+        
+        // Add animation
+        customColorOption.style.transform = 'scale(1.1)';
+        setTimeout(() => {
+            customColorOption.style.transform = 'scale(1)';
+        }, 200);
+        
+        // Remove active class from all options
+        panel.querySelectorAll('.color-option').forEach(opt => opt.classList.remove('active'));
+        
+        // Add active class to custom option
+        customColorOption.classList.add('active');
+        
+        // Apply color to text
+        const textInput = panel.querySelector('.text-edit-input');
+        if (textInput) {
+            textInput.style.color = color;
+        }
+        
+        // Store color for use when saving the text
+        panel.setAttribute('data-current-color', color);
 
-    // Use scene.js's lockCameraToView if available
-    import('./scene.js').then(scene => {
-        if (typeof scene.lockCameraToView === 'function') {
-            if (enabled) {
-                // If enabling controls, unlock the camera
-                scene.lockCameraToView(null, false);
-            } else {
-                // If disabling controls, lock to current view
-                scene.lockCameraToView(mapViewNameToCameraView(currentLockedView || 'front'), true);
+        // Try different methods to apply the color to the 3D model
+        try {
+            // Method 1: Use the global selectedObject if available
+            if (window.selectedObject && window.selectedObject.type === 'text') {
+                window.selectedObject.color = color;
+                if (window.selectedObject.mesh && window.selectedObject.mesh.material) {
+                    if (Array.isArray(window.selectedObject.mesh.material)) {
+                        window.selectedObject.mesh.material.forEach(mat => {
+                            if (mat.color) mat.color.set(color);
+                        });
+                    } else if (window.selectedObject.mesh.material.color) {
+                        window.selectedObject.mesh.material.color.set(color);
+                    }
+                }
+                console.log(`Applied color ${color} to selectedObject`);
             }
+            
+            // Method 2: Use global updateActiveTextColor function
+            if (typeof window.updateActiveTextColor === 'function') {
+                window.updateActiveTextColor(color);
+                console.log(`Called updateActiveTextColor with ${color}`);
+            }
+            
+            // Method 3: Use currentTextObject if available
+            if (window.currentTextObject) {
+                window.currentTextObject.color = color;
+                console.log(`Set currentTextObject.color to ${color}`);
+            }
+            
+            // Method 4: Use updateShirt3DTexture if available
+            if (typeof window.updateShirt3DTexture === 'function') {
+                window.updateShirt3DTexture();
+                console.log('Called updateShirt3DTexture');
+            }
+        } catch (err) {
+            console.warn('Error applying color to 3D model:', err);
         }
-        // Also disable OrbitControls directly
-        if (window.controls) {
-            window.controls.enabled = enabled;
-        }
-    }).catch(err => {
-        console.error('Failed to toggle camera controls:', err);
     });
 
-    return cameraControlsEnabled;
-}
-
-/**
- * NEW: Check if editing mode is active
- * @returns {boolean} - True if in editing mode
- */
-export function isInEditMode() {
-    return isEditingMode;
-}
-
-/**
- * NEW: Set the transform mode explicitly (for UI controls)
- * @param {string} mode - The mode to set (move, rotate, scale, none)
- */
-export function setTransformMode(mode) {
-    // Only set mode if there's a selected object
-    if (selectedObject) {
-        transformMode = mode;
+    // Make all color options activate when clicked
+    colorOptions.forEach(option => {
+        option.addEventListener('click', () => {
+            const color = option.getAttribute('data-color');
+            
+            // Remove active class from all options
+            panel.querySelectorAll('.color-option').forEach(opt => opt.classList.remove('active'));
+            
+            // Add active class to clicked option
+            option.classList.add('active');
+            
+            // Apply color to text
+            const textInput = panel.querySelector('.text-edit-input');
+            if (textInput) {
+                textInput.style.color = color;
+            }
+            
+            // Store color for use when saving the text
+            panel.setAttribute('data-current-color', color);
+            
+            // Try different methods to apply the color to the 3D model
+            try {
+                // Method 1: Use the global selectedObject if available
+                if (window.selectedObject && window.selectedObject.type === 'text') {
+                    window.selectedObject.color = color;
+                    if (window.selectedObject.mesh && window.selectedObject.mesh.material) {
+                        if (Array.isArray(window.selectedObject.mesh.material)) {
+                            window.selectedObject.mesh.material.forEach(mat => {
+                                if (mat.color) mat.color.set(color);
+                            });
+                        } else if (window.selectedObject.mesh.material.color) {
+                            window.selectedObject.mesh.material.color.set(color);
+                        }
+                    }
+                    console.log(`Applied color ${color} to selectedObject`);
+                }
+                
+                // Method 2: Use global updateActiveTextColor function
+                if (typeof window.updateActiveTextColor === 'function') {
+                    window.updateActiveTextColor(color);
+                    console.log(`Called updateActiveTextColor with ${color}`);
+                }
+                
+                // Method 3: Use currentTextObject if available
+                if (window.currentTextObject) {
+                    window.currentTextObject.color = color;
+                    console.log(`Set currentTextObject.color to ${color}`);
+                }
+                
+                // Method 4: Use updateShirt3DTexture if available
+                if (typeof window.updateShirt3DTexture === 'function') {
+                    window.updateShirt3DTexture();
+                    console.log('Called updateShirt3DTexture');
+                }
+            } catch (err) {
+                console.warn('Error applying color to 3D model:', err);
+            }
+        });
         
-        // Set appropriate cursor
-        document.body.style.cursor = cursors[mode] || cursors.default;
+        // Add hover effects
+        option.addEventListener('mouseenter', () => {
+            if (!option.classList.contains('active')) {
+                option.style.transform = 'scale(1.05)';
+            }
+        });
         
-        Logger.log(`Set transform mode: ${mode}`);
-    }
-}
+        option.addEventListener('mouseleave', () => {
+            if (!option.classList.contains('active')) {
+                option.style.transform = 'scale(1)';
+            }
+        });
+    });
 
-/**
- * Detect which view a UV coordinate falls within
- * @param {THREE.Vector2} uv - The UV coordinate
- * @returns {string|null} - The view name or null if not in any view
- */
-function detectViewFromUV(uv) {
-    // Get the current model type from state
-    const currentModel = state.currentModel || 'tshirt';
-    
-    // Make sure the model type exists in the configuration
-    if (!modelConfig[currentModel]) {
-        console.warn(`Model type ${currentModel} not found in configuration, falling back to tshirt`);
-        currentModel = 'tshirt';
-    }
+    // Make the custom color option activate when clicked
+    customColorOption.addEventListener('click', () => {
+        // Instead of opening the color picker, apply the current custom color
+        applyCustomColor();
+    });
     
-    // Get the views for the current model
-    const views = modelConfig[currentModel].views;
+    // Make the edit icon open the color picker
+    colorEditIcon.addEventListener('click', () => {
+        colorPicker.click();
+    });
     
-    // Log for debugging
-    console.log(`Detecting view in ${currentModel} model at UV (${uv.x.toFixed(3)}, ${uv.y.toFixed(3)})`);
-
-    // Check each view's UV rectangle
-    for (const [viewName, viewConfig] of Object.entries(views)) {
-        const { uvRect } = viewConfig;
-
-        // Check if UV is within this view's boundaries
-        // Handle case where u1 > u2 or v1 > v2 due to inverted coordinates
-        const uMin = Math.min(uvRect.u1, uvRect.u2);
-        const uMax = Math.max(uvRect.u1, uvRect.u2);
-        const vMin = Math.min(uvRect.v1, uvRect.v2);
-        const vMax = Math.max(uvRect.v1, uvRect.v2);
+    // Function to apply the custom color without opening the color picker
+    function applyCustomColor() {
+        // Get current color directly from the custom color option's background-color
+        // This ensures we're using the actual visible color
+        let color;
         
-        if (uv.x >= uMin && uv.x <= uMax && 
-            uv.y >= vMin && uv.y <= vMax) {
-            console.log(`Detected view: ${viewName}`);
-            return viewName;
+        // First try to get it from the input value for consistency
+        color = colorPicker.value;
+        
+        // Skip if no custom color has been selected yet (in that case, open the picker)
+        if (customColorOption.style.backgroundColor === 'transparent' || 
+            customColorOption.style.backgroundColor === '' || 
+            customColorOption.style.backgroundColor === 'rgba(0, 0, 0, 0)') {
+            colorPicker.click(); // Open color picker if no color is selected
+            return;
         }
-    }
-
-    console.log('No specific view detected at this UV coordinate');
-    return null; // Not in any defined view
-}
-
-/**
- * Lock editing to a specific view
- * @param {string} viewName - The view to lock to
- */
-function lockToView(viewName) {
-    isEditingLocked = true;
-    currentLockedView = viewName;
-    currentEditableArea = modelConfig[state.currentModel].views[viewName].uvRect;
-
-    // Lock camera to this view
-    import('./scene.js').then(scene => {
-        if (typeof scene.lockCameraToView === 'function') {
-            scene.lockCameraToView(mapViewNameToCameraView(viewName));
-        } else if (typeof scene.changeCameraView === 'function') {
-            // Fallback to just changing the view if locking isn't available
-            scene.changeCameraView(mapViewNameToCameraView(viewName));
+        
+        console.log(`Applying custom color: ${color}`);
+        
+        // Remove active class from all options
+        panel.querySelectorAll('.color-option').forEach(opt => opt.classList.remove('active'));
+        
+        // Add active class to custom option
+        customColorOption.classList.add('active');
+        
+        // Apply color to text
+        const textInput = panel.querySelector('.text-edit-input');
+        if (textInput) {
+            textInput.style.color = color;
         }
-    }).catch(err => {
-        console.error('Failed to lock camera:', err);
-    });
-
-    // Enable editing mode
-    isEditingMode = true;
-
-    // Change cursor to indicate editing mode
-    document.body.style.cursor = cursors.edit;
+        
+        // Add animation
+        customColorOption.style.transform = 'scale(1.1)';
+        setTimeout(() => {
+            customColorOption.style.transform = 'scale(1)';
+        }, 200);
+        
+        // Store color for use when saving the text
+        panel.setAttribute('data-current-color', color);
+        
+        // Use the direct calls that are used for the black and white colors
+        try {
+            // Method 1: Update selectedObject if available
+            if (window.selectedObject && window.selectedObject.type === 'text') {
+                window.selectedObject.color = color;
+                if (window.selectedObject.mesh && window.selectedObject.mesh.material) {
+                    if (Array.isArray(window.selectedObject.mesh.material)) {
+                        window.selectedObject.mesh.material.forEach(mat => {
+                            if (mat.color) mat.color.set(color);
+                        });
+                    } else if (window.selectedObject.mesh.material.color) {
+                        window.selectedObject.mesh.material.color.set(color);
+                    }
+                }
+                console.log(`Updated selectedObject color to ${color}`);
+            }
+            
+            // Method 2: Update currentTextObject
+            if (window.currentTextObject) {
+                window.currentTextObject.color = color;
+                console.log(`Updated currentTextObject.color to ${color}`);
+            }
+            
+            // Method 3: Call updateShirt3DTexture
+            if (typeof window.updateShirt3DTexture === 'function') {
+                window.updateShirt3DTexture();
+                console.log(`Called updateShirt3DTexture after setting color to ${color}`);
+            }
+            
+            // Method 4: Call updateActiveTextColor 
+            if (typeof window.updateActiveTextColor === 'function') {
+                window.updateActiveTextColor(color);
+                console.log(`Called updateActiveTextColor with ${color}`);
+            }
+            
+            // Method 5: As fallback, call applyColorTo3DModel
+            applyColorTo3DModel(color);
+            
+        } catch (err) {
+            console.error('Error applying custom color:', err);
+            // Fallback
+            applyColorTo3DModel(color);
+        }
+    }
 
-    // Disable camera controls
-    toggleCameraControls(false);
+    // Add hover effect to edit icon
+    colorEditIcon.addEventListener('mouseenter', () => {
+        colorEditIcon.style.backgroundColor = '#e8e8e8';
+        colorEditIcon.style.transform = 'scale(1.05)';
+    });
+    
+    colorEditIcon.addEventListener('mouseleave', () => {
+        colorEditIcon.style.backgroundColor = '#f0f0f0';
+        colorEditIcon.style.transform = 'scale(1)';
+    });
 
-    Logger.log(`Locked to ${viewName} view for editing`);
+    // Add keyboard accessibility
+    const allColorElements = [...colorOptions, customColorOption, colorEditIcon];
+    allColorElements.forEach((element, index) => {
+        element.setAttribute('tabindex', '0');
+        
+        element.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                element.click();
+            }
+        });
+    });
 
-    // Update texture to show highlighted area
-    updateShirt3DTexture();
+    // Setup shadow button functionality
+    const shadowBtn = panel.querySelector('.shadow-btn');
+    shadowBtn.addEventListener('click', function(e) {
+        console.log("Shadow button clicked from 3d-editor.js");
+        e.preventDefault();
+        e.stopPropagation();
+        
+        const colorPanel = document.getElementById('color-panel-extended');
+        
+            // Hide color panel if it's open
+            if (colorPanel && colorPanel.classList.contains('active')) {
+        colorPanel.classList.remove('active');
+            }
+            
+        // Directly toggle shadow options
+        if (window.directToggleShadowOptions) {
+            window.directToggleShadowOptions();
+        } else {
+            console.error("Shadow toggle function not available");
+        }
+    });
+    
+    return panel;
 }
 
 /**
- * Unlock from the current view
+ * Applies the selected color to the active 3D text object
+ * @param {string} color - The color to apply (hex format)
  */
-function unlockFromView() {
-    isEditingLocked = false;
-    currentLockedView = null;
-    currentEditableArea = null;
-
-    // Exit editing mode
-    isEditingMode = false;
+function applyColorTo3DModel(color) {
+    // Save to local storage for persistence
+    localStorage.setItem('lastTextColor', color);
     
-    // Reset the transform mode
-    transformMode = 'none';
-
-    // Reset cursor
-    document.body.style.cursor = cursors.default;
-
-    // Re-enable camera controls
-    toggleCameraControls(true);
+    // If there's an active text object selected, update its color
+    if (selectedObject && selectedObject.type === 'text') {
+        // Update the object's color property
+        selectedObject.color = color;
+        
+        // Update the material color if it exists
+        if (selectedObject.mesh && selectedObject.mesh.material) {
+            if (Array.isArray(selectedObject.mesh.material)) {
+                // If material is an array, update all materials
+                selectedObject.mesh.material.forEach(mat => {
+                    if (mat.color) mat.color.set(color);
+                });
+            } else {
+                // Single material
+                if (selectedObject.mesh.material.color) {
+                    selectedObject.mesh.material.color.set(color);
+                }
+            }
+        }
+        
+        // Update the canvas texture if needed
+        updateShirt3DTexture();
+        
+        console.log(`Applied color ${color} to 3D text object`);
+        
+        // Save the current state after modifying the object
+        afterObjectModified();
+    } else {
+        // If no text object is selected, store the color for the next text object
+        console.log(`No active text object found, color ${color} saved for next text creation`);
+    }
+    
+    // If there's a global function to update active text color, call it too
+    if (typeof window.updateActiveTextColor === 'function') {
+        try {
+            window.updateActiveTextColor(color);
+        } catch (e) {
+            console.warn('Error in updateActiveTextColor:', e);
+        }
+    }
+}
 
-    Logger.log('Unlocked from view');
+// Add text to canvas
+export async function addText(text = '', options = {}) {
+    try {
+        // Check if we're showing the existing fixed panel managed by UI.js
+        if (options.useExistingPanel === true) {
+            // The panel is already shown and managed by UI.js
+            console.log('Using existing text panel from UI.js');
+            return;
+        }
+        
+        // Get the position if this is called from a button click
+        const position = options.fromButton ? getButtonPosition('text-upload-btn') : null;
+        
+        // Show text editor and wait for result
+        const panel = createTextEditOverlay(text, options.color || '#000000', options.font || 'Arial');
+        
+        // Position the panel
+        positionFloatingPanel(panel, position);
+        
+        // Add active class to show the panel
+        panel.classList.add('active');
 
-    // Update texture to remove highlighted area
-    updateShirt3DTexture();
-}
+        bindFontControls(panel);
+        bindTextStyleControls(panel);
+        bindTextLayoutControls(panel);
+        bindTextFillControls(panel);
+        bindAppearanceControls(panel);
 
-/**
- * Handle clicks within the editable area
- * @param {THREE.Vector2} uv - The UV coordinate of the click
- * @param {Object} intersection - The ray intersection data
- */
-function handleEditableAreaClick(uv, intersection) {
-    if (transformMode !== 'none') return;
-    
-    // Check if we clicked on a transform handle of the selected object
-    if (selectedObject) {
-        const action = detectTransformHandleClick();
-        if (action) {
-            switch (action) {
-                case 'delete':
-                    // Initialize mouse states if needed
-                    if (!selectedObject.mouseDown) {
-                        selectedObject.mouseDown = {};
-                    }
-                    
-                    // Set mouse down state for delete
-                    selectedObject.mouseDown.delete = true;
-                    updateShirt3DTexture();
-                    
-                    // Delete object on first click
-                    deleteSelectedObject();
-                    break;
-                    
-                case 'scale':
-                    // Initialize mouse states if needed
-                    if (!selectedObject.mouseDown) {
-                        selectedObject.mouseDown = {};
-                    }
-                    
-                    // Set mouse down state for scale
-                    selectedObject.mouseDown.scale = true;
-                    updateShirt3DTexture();
-                    
-                    // Only allow scaling if the object isn't pinned
-                    if (!selectedObject.isPinned) {
-                        transformMode = 'scale';
-                        document.body.style.cursor = cursors.nwseResize;
-                        // Lock camera when scaling
-                        toggleCameraControls(false);
-                    }
-                    break;
-                    
-                case 'rotate':
-                    // Initialize mouse states if needed
-                    if (!selectedObject.mouseDown) {
-                        selectedObject.mouseDown = {};
+        const textResult = await new Promise((resolve, reject) => {
+            const textarea = panel.querySelector('.text-edit-input');
+            const colorOptions = panel.querySelectorAll('.color-option');
+            const fontSelect = panel.querySelector('#font-select');
+            const saveButton = panel.querySelector('.text-edit-save');
+            const cancelButton = panel.querySelector('.text-edit-cancel');
+            const closeButton = panel.querySelector('.panel-close');
+            
+            let selectedColor = options.color || '#000000';
+            
+            // Set initial color if provided in options
+            if (options.color) {
+                // If color is not black or white, set custom color option as active
+                if (!['#000000', '#FFFFFF'].includes(options.color)) {
+                    // Find the custom color option
+                    const customColorOption = panel.querySelector('.custom-color');
+                    if (customColorOption) {
+                        // Set its background color
+                        customColorOption.style.backgroundColor = options.color;
+                        customColorOption.style.borderColor = 'transparent';
+                        customColorOption.style.borderStyle = 'solid';
+                        
+                        // Set the color picker value
+                        const colorPicker = panel.querySelector('.hidden-color-picker');
+                        if (colorPicker) {
+                            colorPicker.value = options.color;
+                        }
+                        
+                        // Make it active
+                        panel.querySelectorAll('.color-option').forEach(opt => {
+                            opt.classList.remove('active');
+                        });
+                        customColorOption.classList.add('active');
                     }
-                    
-                    // Set mouse down state for rotate
-                    selectedObject.mouseDown.rotate = true;
-                    updateShirt3DTexture();
-                    
-                    // Allow rotation for both decals and text objects if not pinned
-                    if ((selectedObject.isDecal || selectedObject.type === 'text') && 
-                        !selectedObject.isPinned) {
-                        transformMode = 'rotate';
-                        document.body.style.cursor = cursors.rotate;
-                        // Lock camera when rotating
-                        toggleCameraControls(false);
+                } else {
+                    // Set the black or white option as active
+            colorOptions.forEach(option => {
+                        const color = option.getAttribute('data-color');
+                        if (color === options.color) {
+                    option.classList.add('active');
+                        } else {
+                            option.classList.remove('active');
+                        }
+                    });
+                }
+                
+                // Apply color to text input
+                if (textarea) {
+                    textarea.style.color = options.color;
+                }
+            }
+            
+            // Initialize selectedColor from active color option
+            const activeOption = panel.querySelector('.color-option.active');
+            if (activeOption) {
+                if (activeOption.classList.contains('custom-color')) {
+                    // Get color from picker
+                    const colorPicker = panel.querySelector('.hidden-color-picker');
+                    if (colorPicker) {
+                        selectedColor = colorPicker.value;
                     }
-                    break;
-                    
-                case 'pin':
-                    // Toggle the icon state
-                    if (!selectedObject.iconStates) {
-                        selectedObject.iconStates = {};
+                } else {
+                    selectedColor = activeOption.getAttribute('data-color');
+                }
+            }
+            
+            let selectedFont = options.font || 'Arial';
+            let shadowEnabled = options.shadow || false;
+            let shadowConfig = options.shadowConfig || { type: 'light' };
+            
+            // Handle the save button click
+            saveButton.addEventListener('click', () => {
+                const textValue = textarea.value.trim();
+                
+                if (textValue) {
+                    // Get color from active color option or data attribute
+                    const activeOption = panel.querySelector('.color-option.active');
+                    if (activeOption) {
+                        if (activeOption.classList.contains('custom-color')) {
+                            // Get color from picker
+                            const colorPicker = panel.querySelector('.hidden-color-picker');
+                            if (colorPicker) {
+                                selectedColor = colorPicker.value;
+                            }
+                        } else {
+                            selectedColor = activeOption.getAttribute('data-color');
+                        }
+                    } else {
+                        // Try to get color from panel data attribute
+                        const storedColor = panel.getAttribute('data-current-color');
+                        if (storedColor) {
+                            selectedColor = storedColor;
+                        }
                     }
                     
-                    // Toggle between active and inactive state
-                    selectedObject.iconStates.pin = !selectedObject.iconStates.pin;
-                    
-                    // Also toggle the object's overall pin state
-                    selectedObject.isPinned = selectedObject.iconStates.pin;
-                    
-                    updateShirt3DTexture();
-                    historyStack.saveState();
-                    break;
-                    
-                case 'duplicate':
-                    // Initialize mouse states if needed
-                    if (!selectedObject.mouseDown) {
-                        selectedObject.mouseDown = {};
+                    // Get font from selector
+                    if (fontSelect) {
+                        selectedFont = fontSelect.value;
                     }
                     
-                    // Set mouse down state for duplicate
-                    selectedObject.mouseDown.duplicate = true;
-                    updateShirt3DTexture();
-                    
-                    // Duplicate on first click
-                    duplicateSelectedObject();
-                    break;
+                    console.log(`Saving text with color: ${selectedColor}, font: ${selectedFont}`);
                     
-                case 'layers':
-                    // Initialize mouse states if needed
-                    if (!selectedObject.mouseDown) {
-                        selectedObject.mouseDown = {};
-                    }
+                    // Close the panel
+                    panel.classList.remove('active');
                     
-                    // Set mouse down state for layers
-                    selectedObject.mouseDown.layers = true;
-                    updateShirt3DTexture();
+                    // Return the text, color and font
+                    resolve({
+                        text: textValue,
+                        color: selectedColor,
+                        font: selectedFont,
+                        shadow: shadowEnabled,
+                        shadowConfig: shadowConfig,
+                        ...readTextStyleControls(panel),
+                        ...readTextLayoutControls(panel),
+                        ...readTextFillControls(panel),
+                        ...readAppearanceControls(panel)
+                    });
+                } else {
+                    textarea.focus();
+                    // Show error message
+                    const errorMsg = document.createElement('div');
+                    errorMsg.className = 'error-message';
+                    errorMsg.textContent = 'Please enter some text';
+                    errorMsg.style.color = 'red';
+                    errorMsg.style.marginTop = '5px';
                     
-                    // Toggle the icon state
-                    if (!selectedObject.iconStates) {
-                        selectedObject.iconStates = {};
+                    // Remove any existing error message
+                    const existingError = panel.querySelector('.error-message');
+                    if (existingError) {
+                        existingError.remove();
                     }
                     
-                    // Toggle between active and inactive state
-                    selectedObject.iconStates.layers = !selectedObject.iconStates.layers;
-                    
-                    // Handle layers button - find overlapping objects
-                    const overlappingObjects = canvasData.objects.filter(obj => 
-                        obj !== selectedObject && isObjectsOverlapping(selectedObject, obj)
-                    );
-                    
-                    if (overlappingObjects.length > 0) {
-                        // Bring to front
-                        const index = canvasData.objects.indexOf(selectedObject);
-                        if (index !== -1) {
-                            canvasData.objects.splice(index, 1);
-                            canvasData.objects.push(selectedObject);
-                            updateShirt3DTexture();
-                        }
-                    }
-                    break;
+                    // Add error message below textarea
+                    textarea.parentNode.insertBefore(errorMsg, textarea.nextSibling);
                     
-                case 'move':
-                    if (!selectedObject.isPinned) {
-                        transformMode = 'move';
-                        document.body.style.cursor = cursors.grabbing;
-                        // Lock camera when moving decal
-                        toggleCameraControls(false);
-                    }
-                    break;
-            }
-            return;
-        }
-    }
-    
-    // If a specific action wasn't triggered, check for object clicks
-    const clickedObject = detectObjectClick();
-    
-    if (clickedObject) {
-        selectObject(clickedObject);
-        
-        if (!clickedObject.isPinned) {
-            transformMode = 'move';
-            document.body.style.cursor = cursors.grabbing;
-            // Lock camera when moving decal
-            toggleCameraControls(false);
-        }
-        updateShirt3DTexture();
-    } else {
-        // If not clicking on an object or control, deselect and enable camera controls
-        if (selectedObject) {
-            deselectObject();
-        }
-        // Re-enable camera controls since we're not interacting with decals
-        toggleCameraControls(true);
-        updateShirt3DTexture();
-    }
-}
+                    // Remove error message after 3 seconds
+                    setTimeout(() => {
+                        errorMsg.remove();
+                    }, 3000);
+                }
+            });
 
-/**
- * Convert view name to camera view
- * @param {string} viewName - The internal view name
- * @returns {string} - The camera view name
- */
-function mapViewNameToCameraView(viewName) {
-    switch (viewName) {
-        case 'front': return 'front';
-        case 'back': return 'back';
-        case 'left_arm': return 'left';
-        case 'right_arm': return 'right';
-        default: return viewName;
-    }
-}
+            // Handle close button
+            closeButton.addEventListener('click', () => {
+                // Close the panel
+                panel.classList.remove('active');
+                reject('cancelled');
+            });
 
-/**
- * Setup drag and drop functionality directly on the 3D view
- */
-function setupDragAndDropOn3DView() {
-    const canvas = renderer.domElement;
+            // Handle cancel button
+            cancelButton.addEventListener('click', () => {
+                // Close the panel
+                panel.classList.remove('active');
+                reject('cancelled');
+            });
 
-    // Prevent default drag behaviors
-    ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
-        canvas.addEventListener(eventName, (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-        }, false);
-    });
+            // Handle enter key
+            textarea.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
+                    const newText = textarea.value.trim();
+                    if (newText) {
+                        resolve({ text: newText, color: selectedColor, font: fontSelect ? fontSelect.value : selectedFont, shadow: shadowEnabled, shadowConfig: shadowConfig, ...readTextStyleControls(panel), ...readTextLayoutControls(panel), ...readTextFillControls(panel), ...readAppearanceControls(panel) });
+                    }
+                    panel.remove();
+                }
+            });
 
-    // Highlight drop area
-    ['dragenter', 'dragover'].forEach(eventName => {
-        canvas.addEventListener(eventName, () => {
-            if (isDragAndDropEnabled) {
-                canvas.classList.add('drag-highlight');
-                // Show helper overlay
-                showDropOverlay(true);
-            }
-        }, false);
-    });
+            // Handle escape key
+            textarea.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    panel.remove();
+                    reject('cancelled');
+                }
+            });
+        });
 
-    // Remove highlight
-    ['dragleave', 'drop'].forEach(eventName => {
-        canvas.addEventListener(eventName, () => {
-            canvas.classList.remove('drag-highlight');
-            // Hide helper overlay
-            showDropOverlay(false);
-        }, false);
-    });
+        // Measured and previewed in its own font, not a fallback
+        await loadTextFont(textResult);
 
-    // Handle dropped files
-    canvas.addEventListener('drop', (e) => {
-        if (!isDragAndDropEnabled) return;
+        // After getting text details, show view selection modal
+        return new Promise((resolve, reject) => {
+            import('./ui.js').then(ui => {
+                // Generate a preview image of the text
+                const previewCanvas = document.createElement('canvas');
+                previewCanvas.width = 400;
+                previewCanvas.height = 100;
+                const ctx = previewCanvas.getContext('2d');
+                
+                // Draw background
+                ctx.fillStyle = '#f5f5f5';
+                ctx.fillRect(0, 0, previewCanvas.width, previewCanvas.height);
+                
+                // Draw text
+                ctx.font = `30px "${textResult.font}"`;
+                ctx.fillStyle = textResult.color;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(textResult.text, previewCanvas.width / 2, previewCanvas.height / 2);
+                
+                // Get data URL for preview
+                const previewImage = previewCanvas.toDataURL('image/png');
+                
+                // Show the view selection modal
+                ui.showViewSelectionModal(previewImage, (selectedView) => {
+                    if (selectedView) {
+                        // Get view config for the selected view
+                        const viewConfig = modelConfig[state.currentModel].views[selectedView];
+                        
+                        // Calculate the center of the editable area
+                        const centerX = (viewConfig.uvRect.u1 + viewConfig.uvRect.u2) / 2 * canvasData.width;
+                        const centerY = (viewConfig.uvRect.v1 + viewConfig.uvRect.v2) / 2 * canvasData.height;
 
-        const dt = e.dataTransfer;
-        const files = dt.files;
+                        // Set font size based on canvas size - make it smaller
+                        const fontSize = 80; // Increased from 50 to 80
+                        
+                        const textStyle = {
+                            fontWeight: textResult.fontWeight,
+                            fontStyle: textResult.fontStyle,
+                            textTransform: textResult.textTransform,
+                            textAlign: textResult.textAlign,
+                            lineHeight: textResult.lineHeight,
+                            letterSpacing: textResult.letterSpacing,
+                            autoFit: textResult.autoFit,
+                            textLayout: textResult.textLayout,
+                            textRadius: textResult.textRadius,
+                            waveAmplitude: textResult.waveAmplitude,
+                            textPath: textResult.textPath,
+                            fillType: textResult.fillType,
+                            fillColors: textResult.fillColors,
+                            fillAngle: textResult.fillAngle,
+                            fillPattern: textResult.fillPattern,
+                            fillScale: textResult.fillScale,
+                            fillImage: textResult.fillImage,
+                            outlines: textResult.outlines
+                        };
 
-        if (files.length) {
-            // Get drop position in UV coordinates
-            updateMousePosition(e);
+                        // Measure text dimensions with the chosen style and layout
+                        const { width: textWidth, height: textHeight } = measureTextObject({
+                            text: textResult.text,
+                            font: textResult.font || 'Arial',
+                            fontSize,
+                            ...textStyle
+                        });
 
-            // Detect which view was targeted for the drop
-            const view = detectViewFromMousePosition();
+                        // Create text object with unique ID - exactly centered
+                        const textObj = {
+                            id: 'text_' + Date.now() + '_' + Math.floor(Math.random() * 1000),
+                            type: 'text',
+                            text: textResult.text,
+                            font: textResult.font || 'Arial',
+                            fontSize: fontSize,
+                            color: textResult.color,
+                            ...textStyle,
+                            opacity: textResult.opacity,
+                            blendMode: textResult.blendMode,
+                            left: centerX - textWidth/2, // Center horizontally
+                            top: centerY - textHeight/2, // Center vertically
+                            width: textWidth,
+                            height: textHeight,
+                            angle: 0,
+                            view: selectedView,
+                            isDecal: true,
+                            backgroundColor: 'transparent',
+                            padding: 0,
+                            stroke: null,
+                            strokeWidth: 0
+                        };
 
-            // Handle the file with the detected view
-            handleDroppedFile(files[0], view, mouse);
-        }
-    }, false);
+                        // Add to canvas
+                        addObject(textObj);
+                        
+                        // Save to panel settings
+                        addPanelItem('text', textObj);
+                        
+                        // Update the texture
+                        updateShirt3DTexture();
+
+                        // Switch to the selected view
+                        import('./scene.js').then(scene => {
+                            scene.changeCameraView(selectedView);
+                        });
+                        
+                        ui.showToast(`Text added to ${selectedView} view`);
+                        resolve(textObj);
+                    } else {
+                        reject('cancelled');
+                    }
+                });
+            });
+        });
+    } catch (error) {
+        console.error('Error in addText:', error);
+        throw error;
+    }
 }
 
+// Stroke dashes offered for shapes
+const SHAPE_DASHES = [
+    { value: 'solid', label: 'Solid' },
+    { value: 'dashed', label: 'Dashed' },
+    { value: 'dotted', label: 'Dotted' }
+];
+
 /**
- * Show or hide the drop overlay with visual guidance
- * @param {boolean} show - Whether to show or hide the overlay
+ * Shape controls for the shape edit panel: sides, star points, corner radius, an SVG path,
+ * fill on or off and the stroke's color, width and dash
+ * @param {Object} shape - Starting values, from the shape being edited
+ * @returns {string} HTML of the controls
  */
-function showDropOverlay(show) {
-    let overlay = document.getElementById('drop-overlay');
+function getShapeControlsHTML({ sides = DEFAULT_POLYGON_SIDES, points = DEFAULT_STAR_POINTS, innerRadius = DEFAULT_STAR_INNER_RADIUS, cornerRadius = 0, filled = true, strokeColor = '#000000', strokeWidth = 0, strokeDash = 'solid' } = {}) {
+    const dashOptions = SHAPE_DASHES.map(dash => `
+        <option value="${dash.value}" ${dash.value === strokeDash ? 'selected' : ''}>${dash.label}</option>
+    `).join('');
 
-    if (show) {
-        if (!overlay) {
-            overlay = document.createElement('div');
-            overlay.id = 'drop-overlay';
-            overlay.innerHTML = `
-                <div class="drop-message">
-                    <i class="fas fa-arrow-down"></i>
-                    <p>Drop image here to place on model</p>
-                    <small>The image will be placed on the area you drop it</small>
-                </div>
-                <div class="view-indicators"></div>
-            `;
-            document.body.appendChild(overlay);
+    return `
+        <div class="shape-controls">
+            <label class="appearance-row" data-setting="sides">
+                <span>Sides</span>
+                <input type="range" min="3" max="12" step="1" value="${sides}" class="shape-sides">
+            </label>
+            <label class="appearance-row" data-setting="points">
+                <span>Points</span>
+                <input type="range" min="3" max="20" step="1" value="${points}" class="shape-points">
+            </label>
+            <label class="appearance-row" data-setting="innerRadius">
+                <span>Inner size</span>
+                <input type="range" min="0.1" max="0.9" step="0.05" value="${innerRadius}" class="shape-inner-radius">
+            </label>
+            <label class="appearance-row" data-setting="cornerRadius">
+                <span>Corners</span>
+                <input type="range" min="0" max="0.5" step="0.01" value="${cornerRadius}" class="shape-corner-radius">
+            </label>
+            <div class="appearance-row" data-setting="pathData">
+                <span>SVG path</span>
+                <input type="text" class="shape-path-input" spellcheck="false" placeholder="M0,0 L100,0 L50,80 Z">
+                <button type="button" class="shape-svg-import" title="Import an SVG file">
+                    <i class="fas fa-file-import"></i>
+                </button>
+                <input type="file" accept=".svg,image/svg+xml" class="shape-svg-input" hidden>
+            </div>
+            <label class="appearance-row">
+                <span>Fill</span>
+                <input type="checkbox" class="shape-fill-toggle" ${filled ? 'checked' : ''}>
+            </label>
+            <label class="appearance-row">
+                <span>Stroke</span>
+                <input type="color" value="${strokeColor}" class="shape-stroke-color">
+                <input type="range" min="0" max="40" step="1" value="${strokeWidth}" class="shape-stroke-width">
+            </label>
+            <label class="appearance-row">
+                <span>Dash</span>
+                <select class="shape-stroke-dash">${dashOptions}</select>
+            </label>
+        </div>
+    `;
+}
 
-            // Add view indicators based on current model config
-            const indicators = overlay.querySelector('.view-indicators');
-            Object.entries(modelConfig[state.currentModel].views).forEach(([viewName, config]) => {
-                const indicator = document.createElement('div');
-                indicator.className = 'view-indicator';
-                indicator.dataset.view = viewName;
-                indicator.style.left = `${config.bounds.x * 100}%`;
-                indicator.style.top = `${config.bounds.y * 100}%`;
-                indicator.style.width = `${config.bounds.width * 100}%`;
-                indicator.style.height = `${config.bounds.height * 100}%`;
-                indicator.innerHTML = `<span>${config.name || viewName}</span>`;
-                indicators.appendChild(indicator);
-            });
-        }
-        overlay.classList.add('active');
-    } else if (overlay) {
-        overlay.classList.remove('active');
+/**
+ * Read the shape and its settings chosen in the shape edit panel
+ * @param {HTMLElement} panel - Panel with the shape controls
+ * @returns {Object} { shapeType, sides, points, innerRadius, cornerRadius, pathData, pathViewBox, filled, strokeColor, strokeWidth, strokeDash }
+ * @throws {Error} When an SVG path shape has no path, or one that doesn't draw anything
+ */
+function readShapeControls(panel) {
+    const shapeType = panel.querySelector('.shape-option.active')?.dataset.shape || 'rectangle';
+    const pathData = panel.querySelector('.shape-path-input').value.trim();
+    const pathViewBox = pathData ? measurePathData(pathData) : null;
+
+    // Without a path that draws something the shape would be invisible
+    if (shapeType === 'custom' && !pathViewBox) {
+        throw new Error(pathData ? "The SVG path doesn't draw anything" : 'Paste SVG path data or import an SVG file');
     }
+
+    return {
+        shapeType,
+        sides: Number(panel.querySelector('.shape-sides').value),
+        points: Number(panel.querySelector('.shape-points').value),
+        innerRadius: Number(panel.querySelector('.shape-inner-radius').value),
+        cornerRadius: Number(panel.querySelector('.shape-corner-radius').value),
+        pathData,
+        pathViewBox,
+        filled: panel.querySelector('.shape-fill-toggle').checked,
+        strokeColor: panel.querySelector('.shape-stroke-color').value,
+        strokeWidth: Number(panel.querySelector('.shape-stroke-width').value),
+        strokeDash: panel.querySelector('.shape-stroke-dash').value
+    };
 }
 
 /**
- * Detect which view on the model the mouse is currently over
- * @returns {string} The name of the view or null if not over any view
+ * Wire up the shape buttons and shape controls of the shape edit panel, previewing them on the shape being edited
+ * @param {HTMLElement} panel - Panel with the shape controls
+ * @param {Object} object - The shape being edited, null while adding a new one
+ * @returns {Function} Puts the shape's original type and settings back
  */
-function detectViewFromMousePosition() {
-    // Get the current model type
-    const currentModel = state.currentModel || 'tshirt';
-    
-    // Cast a ray from the mouse position
-    raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObject(shirtMesh);
+function bindShapeControls(panel, object = null) {
+    const keys = ['shapeType', 'sides', 'points', 'innerRadius', 'cornerRadius', 'pathData', 'pathViewBox', 'filled', 'strokeColor', 'strokeWidth', 'strokeDash'];
+    const original = object ? Object.fromEntries(keys.map(key => [key, object[key]])) : null;
+    const shapeOptions = panel.querySelectorAll('.shape-option');
+    const cornerInput = panel.querySelector('.shape-corner-radius');
+    const pathInput = panel.querySelector('.shape-path-input');
+    const svgInput = panel.querySelector('.shape-svg-input');
+    pathInput.value = object?.pathData || '';
+
+    // Only the settings of the chosen shape are shown
+    const showSettings = () => {
+        const { settings } = SHAPE_TYPES[panel.querySelector('.shape-option.active')?.dataset.shape] || SHAPE_TYPES.rectangle;
+        panel.querySelectorAll('.shape-controls [data-setting]').forEach(row => {
+            row.hidden = !settings.includes(row.dataset.setting);
+        });
+    };
+    showSettings();
 
-    if (intersects.length > 0) {
-        // Get the UV coordinates at the intersection point
-        const uv = intersects[0].uv;
-        
-        // First try to detect the view from UV coordinates
-        const viewFromUV = detectViewFromUV(uv);
-        if (viewFromUV) {
-            return viewFromUV;
-        }
-        
-        // If UV detection fails, try to use position-based detection
-        // This is useful for models with complex UV mappings
+    // Report tells the user why an SVG path can't be used, for paths they just entered
+    const apply = ({ report = false } = {}) => {
+        showSettings();
+
+        let shape;
         try {
-            // Calculate normalized screen position
-            const screenPos = {
-                x: (mouse.x + 1) / 2,  // Convert from (-1, 1) to (0, 1)
-                y: (-mouse.y + 1) / 2  // Convert from (-1, 1) to (0, 1) with Y flipped
-            };
-            
-            // Import and use the position-based detection if available
-            if (typeof window.detectViewFromPosition === 'function') {
-                const viewFromPosition = window.detectViewFromPosition(screenPos.x, screenPos.y, currentModel);
-                if (viewFromPosition) {
-                    return viewFromPosition;
-                }
-            }
+            shape = readShapeControls(panel);
+            pathInput.classList.remove('invalid');
         } catch (error) {
-            console.warn('Error in position-based view detection:', error);
+            // The shape keeps its last outline until the path draws something
+            pathInput.classList.add('invalid');
+            if (report) showToast(error.message);
+            return;
         }
-    }
 
-    // Default to current camera view if no detection method works
-    return state.cameraView || 'front';
-}
-
-/**
- * Handle a file dropped onto the 3D view
- * @param {File} file - The dropped file
- * @param {string} targetView - The view where the file was dropped
- * @param {THREE.Vector2} position - The mouse position where the file was dropped
- */
-function handleDroppedFile(file, targetView, position) {
-    if (!file.type.startsWith('image/')) {
-        showToast('Only image files are supported');
-        return;
-    }
-
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        // Get UV coordinates from mouse position
-        raycaster.setFromCamera(position, camera);
-        const intersects = raycaster.intersectObject(shirtMesh);
+        if (object) {
+            const pathChanged = shape.shapeType === 'custom' && shape.pathData !== object.pathData && shape.pathViewBox;
+            Object.assign(object, shape);
 
-        if (intersects.length > 0) {
-            const uv = intersects[0].uv;
+            // A new path keeps the shape's width and takes its proportions
+            if (pathChanged) {
+                const centerY = object.top + object.height / 2;
+                object.height = object.width * shape.pathViewBox.height / shape.pathViewBox.width;
+                object.top = centerY - object.height / 2;
+            }
+            updateShirt3DTexture();
+        }
+    };
 
-            // Calculate position in canvas coordinates
-            const left = uv.x * canvasData.width;
-            const top = uv.y * canvasData.height;
+    shapeOptions.forEach(option => {
+        option.addEventListener('click', () => {
+            shapeOptions.forEach(opt => opt.classList.toggle('active', opt === option));
+            // Shapes like the rounded rectangle start out with their own corner radius
+            const defaults = SHAPE_TYPES[option.dataset.shape]?.defaults;
+            if (defaults?.cornerRadius !== undefined) cornerInput.value = defaults.cornerRadius;
+            if (option.dataset.shape === 'custom' && !pathInput.value) svgInput.click();
+            apply();
+        });
+    });
+    panel.querySelector('.shape-controls').addEventListener('input', (e) => {
+        if (e.target !== pathInput && e.target !== svgInput) apply();
+    });
+    pathInput.addEventListener('change', () => apply({ report: true }));
 
-            // Add the image at the drop position
-            addImage(e.target.result, {
-                left: left,
-                top: top,
-                view: targetView,
-                smartPlacement: smartImagePlacement,
-                autoAdjust: autoAdjustmentEnabled
-            }).then(obj => {
-                showToast(`Image added to ${targetView} view`);
-                lastUsedView = targetView;
+    panel.querySelector('.shape-svg-import').addEventListener('click', () => svgInput.click());
+    svgInput.addEventListener('change', async () => {
+        const file = svgInput.files[0];
+        svgInput.value = '';
+        if (!file) return;
 
-                // Switch to the view where the image was placed if not already there
-                if (state.cameraView !== targetView) {
-                    changeCameraView(targetView);
-                }
-            }).catch(error => {
-                showToast('Error adding image: ' + error.message);
-            });
-        } else {
-            // If no intersection, add to center of current view
-            addImage(e.target.result, {
-                view: targetView,
-                center: true,
-                smartPlacement: smartImagePlacement,
-                autoAdjust: autoAdjustmentEnabled
-            }).then(obj => {
-                showToast(`Image added to ${targetView} view`);
-                lastUsedView = targetView;
-            }).catch(error => {
-                showToast('Error adding image: ' + error.message);
-            });
+        try {
+            pathInput.value = parseSVGShape(await file.text()).pathData;
+            apply({ report: true });
+        } catch (error) {
+            showToast(error.message);
         }
-    };
+    });
 
-    reader.readAsDataURL(file);
+    return () => {
+        if (!object) return;
+        Object.assign(object, original);
+        updateShirt3DTexture();
+    };
 }
 
-// Add clipboard functionality and advanced object manipulation
-/**
- * Copy the currently selected object to the clipboard
- * @returns {boolean} Whether the copy was successful
- */
-export function copySelectedObject() {
-    if (!selectedObject) {
-        showToast('No object selected to copy');
-        return false;
-    }
+function createShapeEditOverlay(existingShape = null, position = null) {
+    // Create a floating panel instead of an overlay
+    const panel = document.createElement('div');
+    panel.className = 'floating-panel';
+    panel.id = 'shape-edit-panel';
+    
+    // Add panel header
+    const header = document.createElement('div');
+    header.className = 'panel-header';
+    
+    const headerTitle = document.createElement('h3');
+    headerTitle.textContent = existingShape ? 'Edit Shape' : 'Add Shape';
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'panel-close';
+    closeBtn.setAttribute('aria-label', 'Close Panel');
+    closeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    
+    header.appendChild(headerTitle);
+    header.appendChild(closeBtn);
+    
+    // Create panel content
+    const content = document.createElement('div');
+    content.className = 'panel-content';
+    
+    const shapeButtons = Object.entries(SHAPE_TYPES).map(([type, info]) => `
+        <div class="shape-option ${existingShape?.shapeType === type ? 'active' : ''}" 
+             data-shape="${type}">
+            <i class="fas ${info.icon}"></i>
+            <span>${info.name}</span>
+        </div>
+    `).join('');
 
-    // Create a deep copy of the object's properties
-    clipboard = JSON.parse(JSON.stringify({
-        type: selectedObject.type,
-        left: selectedObject.left,
-        top: selectedObject.top,
-        width: selectedObject.width,
-        height: selectedObject.height,
-        angle: selectedObject.angle,
-        originX: selectedObject.originX,
-        originY: selectedObject.originY,
-        targetView: selectedObject.targetView,
-        filters: selectedObject.filters,
-        metadata: selectedObject.metadata,
-        view: selectedObject.view
-    }));
+    const colorButtons = TEXT_COLORS.map(color => `
+        <div class="color-option ${existingShape?.color === color ? 'active' : ''}" 
+             style="background-color: ${color}" 
+             data-color="${color}">
+        </div>
+    `).join('');
 
-    // For images, store the image source
-    if (selectedObject.type === 'image' && selectedObject.img) {
-        clipboard.imgSrc = selectedObject.img.src;
-    }
+    content.innerHTML = `
+        <div class="section-title">
+            <h3>${existingShape ? 'Edit Your Shape' : 'Add Shape to Design'}</h3>
+            <p>Choose a shape and customize its appearance</p>
+            </div>
+            <div class="text-edit-options">
+                <div class="shape-options">
+                    ${shapeButtons}
+                </div>
+                <div class="text-edit-colors">
+                    ${colorButtons}
+                </div>
+                ${getShapeControlsHTML(existingShape || {})}
+                ${getAppearanceControlsHTML(existingShape || {})}
+            </div>
+            <div class="text-edit-buttons">
+                <button class="text-edit-cancel">Cancel</button>
+                <button class="text-edit-save">Save</button>
+        </div>
+    `;
 
-    // For text, store the text content and font properties
-    if (selectedObject.type === 'text') {
-        clipboard.text = selectedObject.text;
-        clipboard.fontFamily = selectedObject.font || selectedObject.fontFamily;
-        clipboard.fontSize = selectedObject.fontSize;
-        clipboard.fontWeight = selectedObject.fontWeight;
-        clipboard.fontStyle = selectedObject.fontStyle;
-        clipboard.textAlign = selectedObject.textAlign;
-        clipboard.fill = selectedObject.color || selectedObject.fill;
-        clipboard.lineHeight = selectedObject.lineHeight;
-        clipboard.backgroundColor = selectedObject.backgroundColor;
-        clipboard.padding = selectedObject.padding;
-        clipboard.stroke = selectedObject.stroke;
-        clipboard.strokeWidth = selectedObject.strokeWidth;
-    }
+    // Add to panel
+    panel.appendChild(header);
+    panel.appendChild(content);
     
-    // For shapes, store the shape type and color properties
-    if (selectedObject.type === 'shape') {
-        clipboard.shapeType = selectedObject.shapeType;
-        clipboard.fill = selectedObject.color || selectedObject.fill;
-        clipboard.stroke = selectedObject.stroke;
-        clipboard.strokeWidth = selectedObject.strokeWidth;
-    }
-
-    console.log('Clipboard content:', clipboard);
-    return true;
+    // Add to document body
+    document.body.appendChild(panel);
+    
+    // Position the panel with fixed left position
+    positionFloatingPanel(panel, { left: 100 });
+    
+    // Add event listeners to prevent panel from closing when clicking inside
+    panel.addEventListener('click', (e) => {
+        e.stopPropagation();
+    });
+    
+    return panel;
 }
 
-/**
- * Paste the object from the clipboard
- * @returns {Promise<Object|null>} The pasted object or null if paste failed
- */
-export function pasteObject() {
-    return new Promise((resolve, reject) => {
-        if (!clipboard) {
-            showToast('Nothing to paste');
-            resolve(null);
-            return;
-        }
+export async function addShape(shapeType = '', options = {}) {
+    try {
+        // Get the position if this is called from a button click
+        const position = options.fromButton ? getButtonPosition('add-shape-btn') : null;
+        
+        // Show shape editor and wait for result
+        const panel = createShapeEditOverlay(null);
+        
+        // Position the panel
+        positionFloatingPanel(panel, position);
+        
+        // Add active class to show the panel
+        panel.classList.add('active');
 
-        console.log('Pasting from clipboard:', clipboard);
+        // Start on the requested shape
+        const selectedShape = SHAPE_TYPES[shapeType] ? shapeType : 'rectangle';
+        panel.querySelector(`.shape-option[data-shape="${selectedShape}"]`).classList.add('active');
 
-        // Determine which view to paste into
-        const targetView = state.cameraView || 'front';
+        bindShapeControls(panel);
+        bindAppearanceControls(panel);
 
-        // Offset the pasted object slightly from the original
-        const offset = 20; // pixels
+        const shapeResult = await new Promise((resolve, reject) => {
+            const colorOptions = panel.querySelectorAll('.color-option');
+            let selectedColor = options.color || '#000000';
 
-        // Create a new object based on the clipboard type
-        if (clipboard.type === 'image' && clipboard.imgSrc) {
-            // Create a new image from the stored source
-            addImage(clipboard.imgSrc, {
-                left: clipboard.left + offset,
-                top: clipboard.top + offset,
-                width: clipboard.width,
-                height: clipboard.height,
-                angle: clipboard.angle,
-                view: targetView,
-                filters: clipboard.filters
-            }).then(newObject => {
-                resolve(newObject);
-            }).catch(error => {
-                showToast('Failed to paste image: ' + error.message);
-                reject(error);
+            // Handle color selection
+            colorOptions.forEach(option => {
+                option.addEventListener('click', () => {
+                    colorOptions.forEach(opt => opt.classList.remove('active'));
+                    option.classList.add('active');
+                    selectedColor = option.dataset.color;
+                });
             });
-        } else if (clipboard.type === 'text') {
-            // Check if this is a duplicate operation (not from a manual paste)
-            const isDuplicating = true; // Always use direct creation for text objects
             
-            if (isDuplicating) {
-                // Create text object directly without opening the edit panel
-                const textObj = {
-                    id: 'text_' + Date.now() + '_' + Math.floor(Math.random() * 1000),
-                    type: 'text',
-                    text: clipboard.text || '',
-                    font: clipboard.fontFamily || 'Arial',
-                    fontSize: clipboard.fontSize || 30,
-                    color: clipboard.fill || '#000000',
-                    left: clipboard.left + offset,
-                    top: clipboard.top + offset,
-                    width: clipboard.width,
-                    height: clipboard.height,
-                    angle: clipboard.angle,
-                    view: targetView,
-                    isDecal: true,
-                    textAlign: clipboard.textAlign || 'center',
-                    lineHeight: clipboard.lineHeight || 1.2,
-                    backgroundColor: clipboard.backgroundColor || 'transparent',
-                    padding: clipboard.padding || 0,
-                    stroke: clipboard.stroke || null,
-                    strokeWidth: clipboard.strokeWidth || 0
-                };
-                
-                console.log('Creating new text object:', textObj);
-                
-                // Add to canvas
-                addObject(textObj);
-                
-                // Save to panel settings
-                addPanelItem('text', textObj);
-                
-                // Update the texture
-                updateShirt3DTexture();
-                
-                resolve(textObj);
-            } else {
-                // Regular paste - use the normal flow with editing panel
-                addText(clipboard.text, {
-                    left: clipboard.left + offset,
-                    top: clipboard.top + offset,
-                    width: clipboard.width,
-                    height: clipboard.height,
-                    angle: clipboard.angle,
-                    fontFamily: clipboard.fontFamily,
-                    fontSize: clipboard.fontSize,
-                    fontWeight: clipboard.fontWeight,
-                    fontStyle: clipboard.fontStyle,
-                    textAlign: clipboard.textAlign,
-                    fill: clipboard.fill,
-                    view: targetView
-                }).then(newObject => {
-                    resolve(newObject);
-                }).catch(error => {
-                    showToast('Failed to paste text: ' + error.message);
-                    reject(error);
-                });
-            }
-        } else if (clipboard.type === 'shape') {
-            // Check if this is a duplicate operation (not from a manual paste)
-            const isDuplicating = true; // Always use direct creation for shape objects
-            
-            if (isDuplicating) {
-                // Create shape object directly without opening the edit panel
-                const shapeObj = {
-                    id: 'shape_' + Date.now() + '_' + Math.floor(Math.random() * 1000),
-                    type: 'shape',
-                    shapeType: clipboard.shapeType,
-                    width: clipboard.width,
-                    height: clipboard.height,
-                    color: clipboard.fill,
-                    left: clipboard.left + offset,
-                    top: clipboard.top + offset,
-                    angle: clipboard.angle,
-                    view: targetView,
-                    isDecal: true,
-                    stroke: clipboard.stroke,
-                    strokeWidth: clipboard.strokeWidth
-                };
-                
-                console.log('Creating new shape object:', shapeObj);
-                
-                // Add to canvas
-                addObject(shapeObj);
-                
-                // Save to panel settings
-                addPanelItem('shape', shapeObj);
-                
-                // Update texture
-                updateShirt3DTexture();
-                
-                resolve(shapeObj);
-            } else {
-                // Regular paste - use the normal flow with editing panel
-                addShape(clipboard.shapeType, {
-                    left: clipboard.left + offset,
-                    top: clipboard.top + offset,
-                    width: clipboard.width,
-                    height: clipboard.height,
-                    angle: clipboard.angle,
-                    fill: clipboard.fill,
-                    stroke: clipboard.stroke,
-                    strokeWidth: clipboard.strokeWidth,
-                    view: targetView
-                }).then(newObject => {
-                    resolve(newObject);
-                }).catch(error => {
-                    showToast('Failed to paste shape: ' + error.message);
-                    reject(error);
+            // Handle close button
+            panel.querySelector('.panel-close').addEventListener('click', () => {
+                panel.remove();
+                reject('cancelled');
+            });
+
+            // Handle save, an SVG path shape needs a path that draws something
+            panel.querySelector('.text-edit-save').addEventListener('click', () => {
+                try {
+                    resolve({ ...readShapeControls(panel), color: selectedColor, ...readAppearanceControls(panel) });
+                    panel.remove();
+                } catch (error) {
+                    showToast(error.message);
+                }
+            });
+
+            // Handle cancel
+            panel.querySelector('.text-edit-cancel').addEventListener('click', () => {
+                panel.remove();
+                reject('cancelled');
+            });
+
+            // Handle escape key
+            document.addEventListener('keydown', function handleEscape(e) {
+                if (e.key === 'Escape') {
+                    document.removeEventListener('keydown', handleEscape);
+                    panel.remove();
+                    reject('cancelled');
+                }
+            });
+        });
+
+        if (shapeResult) {
+            // After getting shape details, show view selection modal
+            return new Promise((resolve, reject) => {
+                import('./ui.js').then(ui => {
+                    // Generate a preview image of the shape
+                    const previewCanvas = document.createElement('canvas');
+                    previewCanvas.width = 200;
+                    previewCanvas.height = 200;
+                    const ctx = previewCanvas.getContext('2d');
+                    
+                    // Draw background
+                    ctx.fillStyle = '#f5f5f5';
+                    ctx.fillRect(0, 0, previewCanvas.width, previewCanvas.height);
+                    
+                    const aspect = getShapeAspect(shapeResult);
+                    const size = Math.min(previewCanvas.width, previewCanvas.height) * 0.6;
+                    const previewWidth = aspect > 1 ? size / aspect : size;
+                    const previewHeight = previewWidth * aspect;
+
+                    // Draw the shape the same way the editor does
+                    drawObjectToCanvas({
+                        type: 'shape',
+                        ...shapeResult,
+                        opacity: 1,
+                        blendMode: 'normal',
+                        left: (previewCanvas.width - previewWidth) / 2,
+                        top: (previewCanvas.height - previewHeight) / 2,
+                        width: previewWidth,
+                        height: previewHeight
+                    }, ctx);
+                    
+                    // Get data URL for preview
+                    const previewImage = previewCanvas.toDataURL('image/png');
+                    
+                    // Show the view selection modal
+                    ui.showViewSelectionModal(previewImage, (selectedView) => {
+                        if (selectedView) {
+                            // Get view config for the selected view
+                            const viewConfig = modelConfig[state.currentModel].views[selectedView];
+                            
+                            // Calculate the center point of the editable area
+                            const centerX = (viewConfig.uvRect.u1 + viewConfig.uvRect.u2) / 2 * canvasData.width;
+                            const centerY = (viewConfig.uvRect.v1 + viewConfig.uvRect.v2) / 2 * canvasData.height;
+                            
+                            // Calculate the size of the editable area
+                            const areaWidth = Math.abs(viewConfig.uvRect.u2 - viewConfig.uvRect.u1) * canvasData.width;
+                            const areaHeight = Math.abs(viewConfig.uvRect.v2 - viewConfig.uvRect.v1) * canvasData.height;
+                            
+                            // Make shapes smaller - use 15% of the smaller dimension
+                            const shapeSize = Math.min(areaWidth, areaHeight) * 0.15;
+                            const shapeWidth = aspect > 1 ? shapeSize / aspect : shapeSize;
+                            const shapeHeight = shapeWidth * aspect;
+
+                            // Create shape object - smaller and centered
+                            const shapeObj = {
+                                id: 'shape_' + Date.now() + '_' + Math.floor(Math.random() * 1000), // Add unique ID
+                                type: 'shape',
+                                ...shapeResult,
+                                width: shapeWidth,
+                                height: shapeHeight,
+                                left: centerX - shapeWidth/2,
+                                top: centerY - shapeHeight/2,
+                                angle: 0,
+                                view: selectedView,
+                                isDecal: true
+                            };
+
+                            // Add to canvas
+                            addObject(shapeObj);
+                            
+                            // Save to panel settings
+                            addPanelItem('shape', shapeObj);
+                            
+                            // Update texture
+                            updateShirt3DTexture();
+
+                            // Switch to the selected view
+                            import('./scene.js').then(scene => {
+                                scene.changeCameraView(selectedView);
+                            });
+                            
+                            ui.showToast(`Shape added to ${selectedView} view`);
+                            resolve(shapeObj);
+                        } else {
+                            reject('cancelled');
+                        }
+                    }, 'Choose Where to Add Shape');
                 });
-            }
-        } else {
-            showToast('Unsupported object type for paste');
-            resolve(null);
+            });
         }
-    });
+    } catch (error) {
+        console.error('Error in addShape:', error);
+        throw error;
+    }
 }
 
-/**
- * Delete the currently selected object
- * @returns {boolean} Whether the deletion was successful
- */
-export function deleteSelectedObject() {
-    if (!selectedObject) {
-        showToast('No object selected to delete');
-        return false;
+// Handle adding shape from the UI
+async function handleAddShape() {
+    try {
+        await addShape('', { fromButton: true });
+    } catch (error) {
+        if (error !== 'cancelled') {
+            console.error('Error handling shape addition:', error);
+        }
     }
-
-    // Show confirmation dialog before deleting
-    const objType = selectedObject.type === 'image' ? 'photo' : selectedObject.type;
-    import('./ui.js').then(ui => {
-        ui.showDeleteConfirmationDialog(objType, () => {
-            // Find the object's index in the objects array
-            const index = canvasData.objects.indexOf(selectedObject);
-            if (index !== -1) {
-                // Remove from panel settings
-                const panelType = selectedObject.type === 'image' 
-                    ? (selectedObject.isAIGenerated ? 'ai' : 'photo') 
-                    : selectedObject.type;
-                removePanelItem(panelType, selectedObject.id);
-                
-                // Remove the object
-                canvasData.objects.splice(index, 1);
-                selectedObject = null;
-                transformMode = 'none';
-                document.body.style.cursor = cursors.default;
-                toggleCameraControls(true); // Unlock t-shirt movement after deletion
-                updateShirt3DTexture();
-                historyStack.saveState(); // Save state for undo after deletion
-            }
-        });
-    });
-
-    return true;
 }
 
 /**
- * Duplicate the currently selected object
- * @returns {Promise<Object|null>} The duplicated object or null if duplication failed
+ * Clear all objects from the canvas
  */
-export function duplicateSelectedObject() {
-    if (!selectedObject) {
-        showToast('No object selected to duplicate');
-        return Promise.resolve(null);
-    }
+export function clearCanvas() {
+    // Clear objects array
+    canvasData.objects = [];
 
-    // First copy the object to clipboard
-    if (copySelectedObject()) {
-        // Then paste it to create a duplicate
-        return pasteObject();
-    }
+    // Deselect any selected object
+    deselectObject();
 
-    return Promise.resolve(null);
+    // Update texture
+    updateShirt3DTexture();
 }
 
 /**
- * Center the selected object in the current view
- * @returns {boolean} Whether centering was successful
+ * Clear objects from a specific view or all views
+ * @param {string} view - The view to clear (front, back, left_arm, right_arm, or 'all')
  */
-export function centerSelectedObject() {
-    if (!selectedObject) {
-        showToast('No object selected to center');
-        return false;
+export function clearObjectsByView(view = 'all') {
+    if (view === 'all') {
+        // Clear all objects (same as clearCanvas)
+        clearCanvas();
+        return;
     }
 
-    // Get current view's UV boundaries
-    const viewConfig = modelConfig[state.currentModel].views[state.cameraView];
-    if (!viewConfig) return false;
+    // Get the UV boundaries for the specified view
+    const viewConfig = modelConfig[state.currentModel].views[view];
+    if (!viewConfig) {
+        console.warn(`View ${view} not found in model configuration`);
+        return;
+    }
 
-    // Calculate center position in canvas coordinates
-    const uvMidX = (viewConfig.uvRect.u1 + viewConfig.uvRect.u2) / 2;
-    const uvMidY = (viewConfig.uvRect.v1 + viewConfig.uvRect.v2) / 2;
+    // Calculate boundaries in canvas space
+    const minU = viewConfig.uvRect.u1;
+    const maxU = viewConfig.uvRect.u2;
+    const minV = viewConfig.uvRect.v1;
+    const maxV = viewConfig.uvRect.v2;
 
-    // Set object position to center of view
-    selectedObject.left = uvMidX * canvasData.width;
-    selectedObject.top = uvMidY * canvasData.height;
+    // Filter objects that are within this view's UV boundaries
+    canvasData.objects = canvasData.objects.filter(obj => {
+        // Calculate object's center point in UV space
+        const objCenterX = obj.left / canvasData.width;
+        const objCenterY = obj.top / canvasData.height;
 
-    // Update transform controls if visible
-    if (transformControls.visible) {
-        updateTransformControls();
+        // Check if object's center is outside this view's boundaries
+        return !(objCenterX >= minU && objCenterX <= maxU &&
+            objCenterY >= minV && objCenterY <= maxV);
+    });
+
+    // Deselect if selected object was removed
+    if (selectedObject && !canvasData.objects.includes(selectedObject)) {
+        deselectObject();
     }
 
-    // Update the texture
+    // Update texture
     updateShirt3DTexture();
-
-    return true;
 }
 
 /**
- * Undo the last action
- * @returns {boolean} Whether the undo was successful
+ * Export the current canvas as an image
+ * @returns {string} Data URL of the canvas image
  */
-function undo() {
-    if (historyStack.undoStack.length <= 1) {
-        showToast('Nothing to undo');
-        return false;
+export function exportCanvasImage() {
+    // Temporarily hide selection overlay
+    const wasSelected = selectedObject;
+    if (wasSelected) {
+        deselectObject();
     }
 
-    // Save current state to redo stack
-    historyStack.redoStack.push(historyStack.undoStack.pop());
+    // Draw all objects without selection
+    canvasData.ctx.clearRect(0, 0, canvasData.width, canvasData.height);
+    for (const obj of canvasData.objects) {
+        drawObjectToCanvas(obj);
+    }
 
-    // Get previous state
-    const previousState = JSON.parse(historyStack.undoStack[historyStack.undoStack.length - 1]);
+    // Get data URL
+    const dataURL = canvasData.canvas.toDataURL('image/png');
 
-    // Restore objects from previous state
-    restoreFromState(previousState);
+    // Restore selection if needed
+    if (wasSelected) {
+        selectObject(wasSelected);
+        updateShirt3DTexture();
+    }
 
-    showToast('Undo');
-    return true;
+    return dataURL;
 }
 
 /**
- * Redo the last undone action
- * @returns {boolean} Whether the redo was successful
+ * Get the objects placed on a view, in stacking order
+ * @param {string} viewName - The view
+ * @returns {Array} Objects of that view
  */
-function redo() {
-    if (historyStack.redoStack.length === 0) {
-        showToast('Nothing to redo');
-        return false;
-    }
-
-    // Get state to redo
-    const redoState = JSON.parse(historyStack.redoStack.pop());
-
-    // Save current state to undo stack
-    historyStack.undoStack.push(JSON.stringify(canvasData.objects.map(obj => {
-        const copy = { ...obj };
-        if (obj.type === 'image' && obj.img) {
-            copy.imgSrc = obj.img.src;
-            delete copy.img;
-        }
-        return copy;
-    })));
+export function getViewObjects(viewName) {
+    const uvRect = modelConfig[state.currentModel]?.views?.[viewName]?.uvRect;
+    if (!uvRect) return [];
 
-    // Restore objects from redo state
-    restoreFromState(redoState);
+    return canvasData.objects.filter(obj => {
+        if (obj.view) return obj.view === viewName;
 
-    showToast('Redo');
-    return true;
+        // Objects from older designs have no view, go by where their center is
+        const centerU = (obj.left + obj.width / 2) / canvasData.width;
+        const centerV = (obj.top + obj.height / 2) / canvasData.height;
+        return centerU >= uvRect.u1 && centerU <= uvRect.u2 && centerV >= uvRect.v1 && centerV <= uvRect.v2;
+    });
 }
 
 /**
- * Restore objects from a saved state
- * @param {Array} stateObjects - The objects to restore
+ * Get the selected objects, for the layers panel
+ * @returns {Array} Every selected object
  */
-function restoreFromState(stateObjects) {
-    // Clear current objects
-    canvasData.objects = [];
+export function getSelectedObjects() {
+    return [...selectedObjects];
+}
 
-    // Restore objects
-    const promises = stateObjects.map(obj => {
-        if (obj.type === 'image' && obj.imgSrc) {
-            // Restore image object
-            return new Promise((resolve) => {
-                const img = new Image();
-                img.onload = () => {
-                    obj.img = img;
-                    delete obj.imgSrc;
-                    canvasData.objects.push(obj);
-                    resolve();
-                };
-                img.src = obj.imgSrc;
-            });
-        } else {
-            // Restore other object types
-            canvasData.objects.push(obj);
-            return Promise.resolve();
-        }
-    });
+/**
+ * Select an object from the layers panel, hidden and locked objects can't be selected
+ * @param {Object} object - The object
+ * @param {boolean} addToSelection - Add it to the selection instead of replacing it
+ */
+export function selectLayer(object, addToSelection = false) {
+    if (object.hidden || object.locked || !canvasData.objects.includes(object)) return;
 
-    // Wait for all objects to be restored
-    Promise.all(promises).then(() => {
-        // Update texture
-        updateShirt3DTexture();
+    if (addToSelection) {
+        toggleObjectSelection(object);
+    } else {
+        selectObject(object);
+    }
+}
 
-        // Clear selection
+/**
+ * Show or hide an object, hidden objects are left out of the texture and exports
+ * @param {Object} object - The object
+ * @param {boolean} hidden - Whether to hide it
+ */
+export function setObjectHidden(object, hidden) {
+    object.hidden = hidden;
+    if (hidden && selectedObjects.includes(object)) {
         deselectObject();
-    });
+    }
+
+    historyStack.saveState();
+    updateShirt3DTexture();
 }
 
 /**
- * Select all objects in the current view
- * @returns {number} The number of objects selected
+ * Lock an object so it can't be picked, moved or changed on the shirt
+ * @param {Object} object - The object
+ * @param {boolean} locked - Whether to lock it
  */
-function selectAllObjects() {
-    // TODO: Implement multi-selection
-    showToast('Multi-selection coming soon');
-    return 0;
-}
+export function setObjectLocked(object, locked) {
+    object.locked = locked;
+    if (locked && selectedObjects.includes(object)) {
+        deselectObject();
+    }
 
-// Touch event handlers for mobile compatibility
-function onTouchStart(event) {
-    // Convert touch event to mouse event
-    const touch = event.touches[0];
-    const mouseEvent = new MouseEvent('mousedown', {
-        clientX: touch.clientX,
-        clientY: touch.clientY
-    });
-    onMouseDown(mouseEvent);
+    historyStack.saveState();
+    updateShirt3DTexture();
 }
 
-function onTouchMove(event) {
-    // Prevent default scrolling when in edit mode
-    if (isEditingMode) {
-        event.preventDefault();
+/**
+ * Name an object, the name is kept in saved designs
+ * @param {Object} object - The object
+ * @param {string} name - New name, empty to go back to the default
+ */
+export function renameObject(object, name) {
+    const trimmed = name.trim();
+    if (trimmed) {
+        object.name = trimmed;
+    } else {
+        delete object.name;
     }
 
-    // Convert touch event to mouse event
-    const touch = event.touches[0];
-    const mouseEvent = new MouseEvent('mousemove', {
-        clientX: touch.clientX,
-        clientY: touch.clientY
-    });
-    onMouseMove(mouseEvent);
+    historyStack.saveState();
 }
 
-function onTouchEnd(event) {
-    // Convert touch event to mouse event
-    const mouseEvent = new MouseEvent('mouseup', {});
-    onMouseUp(mouseEvent);
+/**
+ * Put the objects of a view in a new stacking order. Objects of other views keep their places.
+ * @param {string} viewName - The view
+ * @param {Array} objects - The view's objects, bottom first
+ */
+export function reorderLayers(viewName, objects) {
+    const current = getViewObjects(viewName);
+    if (objects.length !== current.length || !objects.every(obj => current.includes(obj))) return;
+
+    // The view's objects take the same slots in the stack, in the new order
+    const slots = current.map(obj => canvasData.objects.indexOf(obj));
+    slots.forEach((slot, i) => {
+        canvasData.objects[slot] = objects[i];
+    });
 
-    // Also trigger click event for touch end
-    if (!transformMode || transformMode === 'none') {
-        const clickEvent = new MouseEvent('click', {});
-        onClick(clickEvent);
-    }
+    historyStack.saveState();
+    updateShirt3DTexture();
 }
 
-// Save state when objects are modified
-function saveCurrentState() {
-    historyStack.saveState();
+/**
+ * Move an object a number of places up or down among the objects of its view
+ * @param {Object} object - The object
+ * @param {number} steps - Positive moves it up, negative down
+ */
+function shiftLayer(object, steps) {
+    const viewName = getObjectView(object);
+    const objects = getViewObjects(viewName);
+    const index = objects.indexOf(object);
+    const target = Math.max(0, Math.min(objects.length - 1, index + steps));
+    if (index === -1 || target === index) return;
+
+    objects.splice(index, 1);
+    objects.splice(target, 0, object);
+    reorderLayers(viewName, objects);
 }
 
-// Hook into object modification functions to save state before changes
-const originalAddObject = addObject;
-addObject = function (object) {
-    saveCurrentState();
-    return originalAddObject(object);
-};
+export function bringForward(object) {
+    shiftLayer(object, 1);
+}
 
-const originalRemoveObject = removeObject;
-removeObject = function (object) {
-    saveCurrentState();
-    return originalRemoveObject(object);
-};
+export function sendBackward(object) {
+    shiftLayer(object, -1);
+}
 
-// Add new state hooks
-function afterObjectModified() {
-    // Save state after object is modified
-    saveCurrentState();
-    // Update texture
-    updateShirt3DTexture();
+export function bringToFront(object) {
+    shiftLayer(object, Infinity);
 }
 
-// Add state saving after various transformations
-const originalMoveObject = moveObject;
-moveObject = function (object, deltaX, deltaY) {
-    const result = originalMoveObject(object, deltaX, deltaY);
-    afterObjectModified();
-    return result;
-};
+export function sendToBack(object) {
+    shiftLayer(object, -Infinity);
+}
 
 /**
- * Toggle drag and drop functionality
- * @param {boolean} enabled - Whether to enable or disable drag and drop
+ * Draw an object on its own, fitted into a square
+ * @param {Object} object - The object
+ * @param {number} size - Width and height in pixels (default 48)
+ * @returns {HTMLCanvasElement}
  */
-export function toggleDragAndDrop(enabled) {
-    isDragAndDropEnabled = enabled;
-    return isDragAndDropEnabled;
+export function renderObjectThumbnail(object, size = 48) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+
+    const bounds = getRotatedBoundingBox(object);
+    const scale = Math.min(size / (bounds.right - bounds.left), size / (bounds.bottom - bounds.top)) * 0.9;
+    const ctx = canvas.getContext('2d');
+    ctx.translate(size / 2, size / 2);
+    ctx.scale(scale, scale);
+    ctx.translate(-(bounds.left + bounds.right) / 2, -(bounds.top + bounds.bottom) / 2);
+
+    // Hidden objects still get a thumbnail
+    drawObjectToCanvas({ ...object, hidden: false }, ctx);
+    return canvas;
 }
 
 /**
- * Toggle smart image placement
- * @param {boolean} enabled - Whether to enable or disable smart placement
+ * Get the view an object is placed on
+ * @param {Object} obj - The object
+ * @returns {string|null} View name, null when the object is outside every view
  */
-export function toggleSmartPlacement(enabled) {
-    smartImagePlacement = enabled;
-    return smartImagePlacement;
+function getObjectView(obj) {
+    if (obj.view) return obj.view;
+
+    // Objects from older designs have no view, go by where their center is, preferring the view on screen
+    const views = modelConfig[state.currentModel]?.views || {};
+    const centerU = (obj.left + obj.width / 2) / canvasData.width;
+    const centerV = (obj.top + obj.height / 2) / canvasData.height;
+    const contains = (viewName) => {
+        const uvRect = views[viewName]?.uvRect;
+        return uvRect && centerU >= uvRect.u1 && centerU <= uvRect.u2 && centerV >= uvRect.v1 && centerV <= uvRect.v2;
+    };
+
+    if (contains(state.cameraView)) return state.cameraView;
+    return Object.keys(views).find(contains) || null;
 }
 
 /**
- * Toggle automatic image adjustments
- * @param {boolean} enabled - Whether to enable or disable auto adjustments
+ * Get where a view's print area lies on the texture, for the selected garment size
+ * @param {string} viewName - The view
+ * @returns {Object|null} - { left, top, width, height } in texture pixels and the inchesPerPixel
+ *   they print at, null when the view has no print area
  */
-export function toggleAutoAdjustment(enabled) {
-    autoAdjustmentEnabled = enabled;
-    return autoAdjustmentEnabled;
+function getPrintAreaRect(viewName) {
+    const uvRect = modelConfig[state.currentModel]?.views?.[viewName]?.uvRect;
+    const printArea = getPrintArea(viewName);
+    if (!uvRect || !printArea) return null;
+
+    // The view's area is fitted into the print area at its proportions, as in the print files
+    const areaWidth = (uvRect.u2 - uvRect.u1) * canvasData.width;
+    const areaHeight = (uvRect.v2 - uvRect.v1) * canvasData.height;
+    const inchesPerPixel = Math.min(printArea.width / areaWidth, printArea.height / areaHeight);
+    const width = printArea.width / inchesPerPixel;
+    const height = printArea.height / inchesPerPixel;
+
+    return {
+        left: uvRect.u1 * canvasData.width + (areaWidth - width) / 2,
+        top: uvRect.v1 * canvasData.height + (areaHeight - height) / 2,
+        width,
+        height,
+        inchesPerPixel
+    };
 }
 
 /**
- * Get the last used view for image placement
- * @returns {string|null} The last used view or null if none
+ * Get the size an object prints at on the selected garment size
+ * @param {Object} object - The object
+ * @returns {Object|null} - { width, height } in inches and the dpi pictures print at (Infinity for
+ *   anything else), null when the object's view has no print area
  */
-export function getLastUsedView() {
-    return lastUsedView;
+export function getObjectPrintSize(object) {
+    const printRect = getPrintAreaRect(getObjectView(object));
+    if (!printRect) return null;
+
+    const { inchesPerPixel } = printRect;
+    return {
+        width: object.width * inchesPerPixel,
+        height: object.height * inchesPerPixel,
+        dpi: object.type === 'image' ? getEffectiveResolution(object) / inchesPerPixel : Infinity
+    };
 }
 
+// Badge colors for pictures below the warning and critical DPI thresholds
+const RESOLUTION_BADGE_COLORS = {
+    warning: '#FFB300',
+    critical: '#E53935'
+};
+
 /**
- * Handle double click events for text and photo editing
- * @param {MouseEvent} event 
+ * How low a print resolution is
+ * @param {number} dpi - Dots per inch the object prints at
+ * @returns {string|null} 'critical', 'warning' or null when it's high enough
  */
-function onDoubleClick(event) {
-    event.preventDefault();
+function getResolutionLevel(dpi) {
+    const thresholds = getDPIThresholds();
+    if (dpi < thresholds.critical) return 'critical';
+    if (dpi < thresholds.warning) return 'warning';
+    return null;
+}
+
+/**
+ * Printed size of an object as text in the selected units, e.g. "4.2 × 3.1 in · 96 DPI"
+ * @param {Object} printSize - Result of getObjectPrintSize
+ * @returns {string}
+ */
+function formatPrintSize(printSize) {
+    const unit = state.measurementUnit === 'cm' ? 'cm' : 'in';
+    const factor = unit === 'cm' ? CM_PER_INCH : 1;
+    const size = `${(printSize.width * factor).toFixed(1)} × ${(printSize.height * factor).toFixed(1)} ${unit}`;
+    return Number.isFinite(printSize.dpi) ? `${size} · ${Math.round(printSize.dpi)} DPI` : size;
+}
+
+/**
+ * Draw text on a rounded label centered on a point
+ * @param {CanvasRenderingContext2D} ctx - Context with the font already set
+ * @param {string} text - Label text
+ * @param {number} x - Center x
+ * @param {number} y - Center y
+ * @param {number} width - Label width
+ * @param {number} height - Label height
+ * @param {string} color - Background color
+ */
+function drawLabelPill(ctx, text, x, y, width, height, color) {
+    const radius = height / 2;
+    ctx.beginPath();
+    ctx.moveTo(x - width / 2 + radius, y - radius);
+    ctx.lineTo(x + width / 2 - radius, y - radius);
+    ctx.arc(x + width / 2 - radius, y, radius, -Math.PI / 2, Math.PI / 2);
+    ctx.lineTo(x - width / 2 + radius, y + radius);
+    ctx.arc(x - width / 2 + radius, y, radius, Math.PI / 2, Math.PI * 1.5);
+    ctx.closePath();
+    ctx.fillStyle = color;
+    ctx.fill();
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x, y);
+}
+
+/**
+ * Draw a warning badge on every picture that prints below the DPI thresholds. Only drawn on the
+ * editor texture in editing mode, the 3D preview, screenshots and print files leave them out.
+ */
+function drawResolutionBadges() {
+    const ctx = canvasData.ctx;
+
+    canvasData.objects.forEach(obj => {
+        if (obj.type !== 'image' || obj.hidden) return;
+
+        const printSize = getObjectPrintSize(obj);
+        const level = printSize && getResolutionLevel(printSize.dpi);
+        if (!level) return;
+
+        ctx.save();
+        ctx.filter = 'none';
+        ctx.font = 'bold 14px Arial';
+        const label = `⚠ ${Math.round(printSize.dpi)} DPI`;
+        const width = ctx.measureText(label).width + 14;
+        const height = 20;
+
+        // Inside the top left corner of the object's bounds, upright whatever its rotation
+        const bounds = getRotatedBoundingBox(obj);
+        drawLabelPill(ctx, label, bounds.left + width / 2 + 4, bounds.top + height / 2 + 4, width, height, RESOLUTION_BADGE_COLORS[level]);
+        ctx.restore();
+    });
+}
+
+// Texture pixels within which a moved object snaps to a guide
+const SNAP_DISTANCE = 10;
+
+// Grid step per measurement unit, and ruler ticks per grid step
+const GRID_SPACING = { in: 1, cm: 2 };
+const RULER_TICKS = 4;
+const RULER_SIZE = 28;
+
+/**
+ * Draw the grid and rulers over a view's print area, in the selected units
+ * @param {string} viewName - The view
+ */
+function drawMeasureGuides(viewName) {
+    if (!state.showGrid && !state.showRulers) return;
+
+    const rect = getPrintAreaRect(viewName);
+    if (!rect) return;
+
+    const ctx = canvasData.ctx;
+    const unit = state.measurementUnit === 'cm' ? 'cm' : 'in';
+    const step = GRID_SPACING[unit] * (unit === 'cm' ? 1 / CM_PER_INCH : 1) / rect.inchesPerPixel;
+    const right = rect.left + rect.width;
+    const bottom = rect.top + rect.height;
+
+    ctx.save();
+    ctx.filter = 'none';
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.rect(rect.left, rect.top, rect.width, rect.height);
+    ctx.clip();
+
+    if (state.showGrid) {
+        ctx.beginPath();
+        for (let x = rect.left + step; x < right; x += step) {
+            ctx.moveTo(x, rect.top);
+            ctx.lineTo(x, bottom);
+        }
+        for (let y = rect.top + step; y < bottom; y += step) {
+            ctx.moveTo(rect.left, y);
+            ctx.lineTo(right, y);
+        }
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        // Center lines stand out from the rest
+        ctx.beginPath();
+        ctx.moveTo(rect.left + rect.width / 2, rect.top);
+        ctx.lineTo(rect.left + rect.width / 2, bottom);
+        ctx.moveTo(rect.left, rect.top + rect.height / 2);
+        ctx.lineTo(right, rect.top + rect.height / 2);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    if (state.showRulers) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillRect(rect.left, rect.top, rect.width, RULER_SIZE);
+        ctx.fillRect(rect.left, rect.top + RULER_SIZE, RULER_SIZE, rect.height - RULER_SIZE);
+
+        ctx.fillStyle = '#333333';
+        ctx.strokeStyle = '#333333';
+        ctx.lineWidth = 1;
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+
+        // Major ticks every grid step with its distance from the top left corner, minor ticks between
+        const tick = step / RULER_TICKS;
+        ctx.beginPath();
+        for (let i = 1; rect.left + i * tick < right; i++) {
+            const x = rect.left + i * tick;
+            const major = i % RULER_TICKS === 0;
+            ctx.moveTo(x, rect.top + RULER_SIZE);
+            ctx.lineTo(x, rect.top + RULER_SIZE * (major ? 0.5 : 0.75));
+            if (major) ctx.fillText(String(i / RULER_TICKS * GRID_SPACING[unit]), x + 2, rect.top + 2);
+        }
+        for (let i = 1; rect.top + i * tick < bottom; i++) {
+            const y = rect.top + i * tick;
+            const major = i % RULER_TICKS === 0;
+            ctx.moveTo(rect.left + RULER_SIZE, y);
+            ctx.lineTo(rect.left + RULER_SIZE * (major ? 0.5 : 0.75), y);
+            if (major) ctx.fillText(String(i / RULER_TICKS * GRID_SPACING[unit]), rect.left + 2, y + 2);
+        }
+        ctx.stroke();
+
+        ctx.font = 'bold 11px Arial';
+        ctx.fillText(unit, rect.left + 4, rect.top + 4);
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Snap a moved object to the view's edges and center and to the edges and centers of the other
+ * objects on the view, and keep the guide lines it lines up with for drawSnapGuides
+ * @param {Object} object - The object being moved
+ * @param {string} viewName - The view it is moved on
+ */
+function snapObject(object, viewName) {
+    snapGuides = [];
+    if (!state.snapping || snappingSuspended) return;
+
+    const uvRect = modelConfig[state.currentModel]?.views?.[viewName]?.uvRect;
+    if (!uvRect) return;
+
+    const area = {
+        left: uvRect.u1 * canvasData.width,
+        right: uvRect.u2 * canvasData.width,
+        top: uvRect.v1 * canvasData.height,
+        bottom: uvRect.v2 * canvasData.height
+    };
+    const lines = (box) => ({
+        x: [box.left, (box.left + box.right) / 2, box.right],
+        y: [box.top, (box.top + box.bottom) / 2, box.bottom]
+    });
+
+    const targets = lines(area);
+    canvasData.objects.forEach(other => {
+        if (other === object || other.hidden || selectedObjects.includes(other) || getObjectView(other) !== viewName) return;
+        const otherLines = lines(getRotatedBoundingBox(other));
+        targets.x.push(...otherLines.x);
+        targets.y.push(...otherLines.y);
+    });
+
+    // Smallest move that puts one of the object's lines on a target
+    const closest = (edges, positions) => {
+        let best = null;
+        edges.forEach(edge => positions.forEach(position => {
+            const offset = position - edge;
+            if (Math.abs(offset) <= SNAP_DISTANCE && (best === null || Math.abs(offset) < Math.abs(best))) {
+                best = offset;
+            }
+        }));
+        return best;
+    };
+
+    const objectLines = lines(getRotatedBoundingBox(object));
+    let offsetX = closest(objectLines.x, targets.x);
+    let offsetY = closest(objectLines.y, targets.y);
+
+    // Never snap out of the view the object was kept inside of
+    if (offsetX !== null && (object.left + offsetX < area.left || object.left + object.width + offsetX > area.right)) offsetX = null;
+    if (offsetY !== null && (object.top + offsetY < area.top || object.top + object.height + offsetY > area.bottom)) offsetY = null;
+    if (offsetX !== null) object.left += offsetX;
+    if (offsetY !== null) object.top += offsetY;
+
+    // A guide across the view for every target the object lines up with now
+    const snapped = lines(getRotatedBoundingBox(object));
+    if (offsetX !== null) {
+        new Set(targets.x).forEach(x => {
+            if (isSnapAligned(snapped.x, x)) snapGuides.push({ x1: x, y1: area.top, x2: x, y2: area.bottom });
+        });
+    }
+    if (offsetY !== null) {
+        new Set(targets.y).forEach(y => {
+            if (isSnapAligned(snapped.y, y)) snapGuides.push({ x1: area.left, y1: y, x2: area.right, y2: y });
+        });
+    }
+}
+
+// Whether one of an object's edges or centers lies on a line
+const isSnapAligned = (edges, position) => edges.some(edge => Math.abs(edge - position) < 0.5);
+
+/**
+ * Drop the guides a moved object no longer lines up with, after something else moved it on from where it snapped
+ * @param {Object} object - The object being moved
+ */
+function pruneSnapGuides(object) {
+    if (snapGuides.length === 0) return;
+
+    const box = getRotatedBoundingBox(object);
+    const xs = [box.left, (box.left + box.right) / 2, box.right];
+    const ys = [box.top, (box.top + box.bottom) / 2, box.bottom];
+    snapGuides = snapGuides.filter(guide => guide.x1 === guide.x2 ? isSnapAligned(xs, guide.x1) : isSnapAligned(ys, guide.y1));
+}
+
+/**
+ * Draw the guide lines the moved object snapped to
+ */
+function drawSnapGuides() {
+    if (snapGuides.length === 0 || transformMode !== 'move') return;
+
+    const ctx = canvasData.ctx;
+    ctx.save();
+    ctx.filter = 'none';
+    ctx.setLineDash([]);
+    ctx.strokeStyle = '#FF4081';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    snapGuides.forEach(guide => {
+        ctx.moveTo(guide.x1, guide.y1);
+        ctx.lineTo(guide.x2, guide.y2);
+    });
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Draw the objects of a view, without selection outlines, with the view's area fitted
+ * into a rectangle at its proportions. Used to render print files at any resolution.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw on
+ * @param {string} viewName - The view
+ * @param {Object} rect - { x, y, width, height } the view's area is fitted into, in ctx pixels
+ */
+export function drawViewArtwork(ctx, viewName, rect) {
+    const uvRect = modelConfig[state.currentModel]?.views?.[viewName]?.uvRect;
+    if (!uvRect) return;
+
+    const areaLeft = uvRect.u1 * canvasData.width;
+    const areaTop = uvRect.v1 * canvasData.height;
+    const areaWidth = (uvRect.u2 - uvRect.u1) * canvasData.width;
+    const areaHeight = (uvRect.v2 - uvRect.v1) * canvasData.height;
+    const scale = Math.min(rect.width / areaWidth, rect.height / areaHeight);
+
+    ctx.save();
+    ctx.translate(rect.x + (rect.width - areaWidth * scale) / 2, rect.y + (rect.height - areaHeight * scale) / 2);
+    ctx.scale(scale, scale);
+    ctx.translate(-areaLeft, -areaTop);
+    getViewObjects(viewName).forEach(obj => drawObjectToCanvas(obj, ctx));
+    ctx.restore();
+}
+
+/**
+ * Handle keyboard shortcuts
+ * @param {KeyboardEvent} event 
+ */
+function onKeyDown(event) {
+    // Only handle shortcuts if not typing in an input field
+    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+        return;
+    }
+
+    // Handle keyboard shortcuts only when in edit mode or a design tab is active
+    const isEditingOrDesigning = isEditingMode || document.querySelector('.tab-content[data-tab="design"].active, .tab-content[data-tab="customize"].active');
+    if (!isEditingOrDesigning) return;
+
+    // Common operations with keyboard shortcuts
+    const key = event.key.toLowerCase();
+
+    // Delete selected object with Delete key
+    if (key === 'delete' || key === 'backspace') {
+        if (deleteSelectedObject()) {
+            showToast('Object deleted');
+            event.preventDefault();
+        }
+    }
+
+    // Copy, Cut, Paste with Ctrl/Cmd
+    if (event.ctrlKey || event.metaKey) {
+        switch (key) {
+            case 'c': // Copy
+                if (copySelectedObject()) {
+                    showToast('Object copied');
+                    event.preventDefault();
+                }
+                break;
+
+            case 'x': // Cut
+                if (copySelectedObject() && deleteSelectedObject()) {
+                    showToast('Object cut');
+                    event.preventDefault();
+                }
+                break;
+
+            case 'v': // Paste
+                pasteObject().then(obj => {
+                    if (obj) showToast('Object pasted');
+                });
+                event.preventDefault();
+                break;
+
+            case 'd': // Duplicate
+                duplicateSelectedObject().then(obj => {
+                    if (obj) showToast('Object duplicated');
+                });
+                event.preventDefault();
+                break;
+
+            case 'z': // Undo
+                if (event.shiftKey) {
+                    // Redo with Ctrl+Shift+Z
+                    redo();
+                } else {
+                    // Undo with Ctrl+Z
+                    undo();
+                }
+                event.preventDefault();
+                break;
+
+            case 'y': // Redo with Ctrl+Y
+                redo();
+                event.preventDefault();
+                break;
+
+            case 'a': // Select all with Ctrl+A
+                selectAllObjects();
+                event.preventDefault();
+                break;
+
+            case 'e': // Toggle edit mode with Ctrl+E
+                toggleEditMode(!isEditingMode);
+                event.preventDefault();
+                break;
+
+            case '[': // Send backward with Ctrl+[, to the back with Ctrl+Shift+[
+            case '{':
+                if (selectedObject) {
+                    if (event.shiftKey) {
+                        sendToBack(selectedObject);
+                    } else {
+                        sendBackward(selectedObject);
+                    }
+                }
+                event.preventDefault();
+                break;
+
+            case ']': // Bring forward with Ctrl+], to the front with Ctrl+Shift+]
+            case '}':
+                if (selectedObject) {
+                    if (event.shiftKey) {
+                        bringToFront(selectedObject);
+                    } else {
+                        bringForward(selectedObject);
+                    }
+                }
+                event.preventDefault();
+                break;
+
+            case 'g': // Group with Ctrl+G, ungroup with Ctrl+Shift+G
+                if (event.shiftKey) {
+                    ungroupSelectedObjects();
+                } else {
+                    groupSelectedObjects();
+                }
+                event.preventDefault();
+                break;
+        }
+    }
+
+    // Arrow keys for nudging objects
+    if (selectedObject && (key === 'arrowleft' || key === 'arrowright' || key === 'arrowup' || key === 'arrowdown')) {
+        // Amount to move in pixels (use shift for larger movements)
+        const amount = event.shiftKey ? 10 : 1;
+
+        switch (key) {
+            case 'arrowleft':
+                selectedObject.left -= amount;
+                break;
+            case 'arrowright':
+                selectedObject.left += amount;
+                break;
+            case 'arrowup':
+                selectedObject.top -= amount;
+                break;
+            case 'arrowdown':
+                selectedObject.top += amount;
+                break;
+        }
+
+        // Update transform controls if visible
+        if (transformControls.visible) {
+            updateTransformControls();
+        }
+
+        // Update texture
+        updateShirt3DTexture();
+
+        event.preventDefault();
+    }
+
+    // Space to center the selected object
+    if (key === ' ' && selectedObject) {
+        centerSelectedObject();
+        showToast('Object centered');
+        event.preventDefault();
+    }
+
+    // Rotate with R key + arrows
+    if (key === 'r' && selectedObject) {
+        setTransformMode('rotate');
+        showToast('Rotate mode activated');
+        event.preventDefault();
+    }
+
+    // Scale with S key
+    if (key === 's' && selectedObject) {
+        setTransformMode('scale');
+        showToast('Scale mode activated');
+        event.preventDefault();
+    }
+
+    // Move with M key
+    if (key === 'm' && selectedObject) {
+        setTransformMode('move');
+        showToast('Move mode activated');
+        event.preventDefault();
+    }
+
+    // Function keys for view selection
+    if (key.startsWith('f') && !isNaN(key.substring(1))) {
+        const viewIndex = parseInt(key.substring(1)) - 1;
+
+        // Import dynamically to avoid circular dependencies
+        import('./texture-mapper.js').then(textureMapper => {
+            const views = textureMapper.getAllViews();
+
+            if (views && viewIndex >= 0 && viewIndex < views.length) {
+                const view = views[viewIndex];
+                textureMapper.quickJumpToView(view);
+                showToast(`Switched to ${view} view`);
+                event.preventDefault();
+            }
+        });
+    }
+}
+
+/**
+ * Handle keyup events
+ * @param {KeyboardEvent} event - The keyup event
+ */
+function onKeyUp(event) {
+    // Reset any temporary states related to key modifiers
+}
+
+/**
+ * NEW: Highlight the editable area on the texture
+ * @param {Object} area - The area to highlight
+ */
+function highlightEditableArea(area) {
+    const ctx = canvasData.ctx;
+    const { u1, v1, u2, v2 } = area;
+
+    const x = u1 * canvasData.width;
+    const y = v1 * canvasData.height;
+    const width = (u2 - u1) * canvasData.width;
+    const height = (v2 - v1) * canvasData.height;
+
+    // Draw a dark overlay over the entire canvas
+    ctx.save();
+    
+    // Use a semi-transparent black overlay to darken non-editable areas
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.globalCompositeOperation = 'source-over';
+    
+    // Draw four rectangles to cover everything except the editable area
+    // Top rectangle
+    ctx.fillRect(0, 0, canvasData.width, y);
+    // Left rectangle
+    ctx.fillRect(0, y, x, height);
+    // Right rectangle
+    ctx.fillRect(x + width, y, canvasData.width - (x + width), height);
+    // Bottom rectangle
+    ctx.fillRect(0, y + height, canvasData.width, canvasData.height - (y + height));
+    
+    ctx.restore();
+
+    // Grid and rulers in physical units over the area
+    const views = modelConfig[state.currentModel]?.views || {};
+    const viewName = Object.keys(views).find(name => views[name].uvRect === area);
+    if (viewName) {
+        drawMeasureGuides(viewName);
+    }
+}
+
+
+/**
+ * NEW: Toggle editing mode for a specific area
+ * @param {string} viewName - The view name (front, back, left_arm, right_arm)
+ * @param {boolean} enabled - Whether to enable or disable edit mode
+ */
+export function toggleEditMode(viewName, enabled = true) {
+    // Get the appropriate editable area from modelConfig
+    const views = modelConfig[state.modelType || 'tshirt'].views;
+    const view = views[viewName];
+
+    if (!view) {
+        console.error(`View '${viewName}' not found in model config`);
+        return;
+    }
+
+    isEditingMode = enabled;
+
+    if (enabled) {
+        // Store the editable area
+        currentEditableArea = view.uvRect;
+
+        // Disable camera controls to lock shirt movement
+        cameraControlsEnabled = false;
+
+        // Set cursor to edit mode
+        document.body.style.cursor = cursors.edit;
+
+        // Show a status message
+        const viewDisplayName = view.name || viewName;
+        showToast(`Editing ${viewDisplayName} area. T-shirt movement locked.`);
+    } else {
+        // Reset when disabling edit mode
+        currentEditableArea = null;
+        cameraControlsEnabled = true;
+        document.body.style.cursor = cursors.default;
+
+        // Deselect any selected object
+        if (selectedObject) {
+            deselectObject();
+        }
+
+        showToast('Exited edit mode. T-shirt movement enabled.');
+    }
+
+    // Update the texture to show or hide the highlighted area
+    updateShirt3DTexture();
+
+    try {
+        window.console.log('Editor mode ' + (enabled ? 'enabled' : 'disabled') + ' for view: ' + viewName);
+    } catch (e) {
+        // Silently fail if logging doesn't work
+    }
+
+    return isEditingMode;
+}
+
+/**
+ * Toggle camera controls (for external use)
+ * @param {boolean} enabled - Whether to enable camera controls
+ */
+export function toggleCameraControls(enabled) {
+    cameraControlsEnabled = enabled;
+
+    // Use scene.js's lockCameraToView if available
+    import('./scene.js').then(scene => {
+        if (typeof scene.lockCameraToView === 'function') {
+            if (enabled) {
+                // If enabling controls, unlock the camera
+                scene.lockCameraToView(null, false);
+            } else {
+                // If disabling controls, lock to current view
+                scene.lockCameraToView(mapViewNameToCameraView(currentLockedView || 'front'), true);
+            }
+        }
+        // Also disable OrbitControls directly
+        if (window.controls) {
+            window.controls.enabled = enabled;
+        }
+    }).catch(err => {
+        console.error('Failed to toggle camera controls:', err);
+    });
+
+    return cameraControlsEnabled;
+}
+
+/**
+ * NEW: Check if editing mode is active
+ * @returns {boolean} - True if in editing mode
+ */
+export function isInEditMode() {
+    return isEditingMode;
+}
+
+/**
+ * NEW: Set the transform mode explicitly (for UI controls)
+ * @param {string} mode - The mode to set (move, rotate, scale, none)
+ */
+export function setTransformMode(mode) {
+    // Only set mode if there's a selected object
+    if (selectedObject) {
+        transformMode = mode;
+        
+        // Set appropriate cursor
+        document.body.style.cursor = cursors[mode] || cursors.default;
+        
+        Logger.log(`Set transform mode: ${mode}`);
+    }
+}
+
+/**
+ * Detect which view a UV coordinate falls within
+ * @param {THREE.Vector2} uv - The UV coordinate
+ * @returns {string|null} - The view name or null if not in any view
+ */
+function detectViewFromUV(uv) {
+    // Get the current model type from state
+    const currentModel = state.currentModel || 'tshirt';
+    
+    // Make sure the model type exists in the configuration
+    if (!modelConfig[currentModel]) {
+        console.warn(`Model type ${currentModel} not found in configuration, falling back to tshirt`);
+        currentModel = 'tshirt';
+    }
+    
+    // Get the views for the current model
+    const views = modelConfig[currentModel].views;
+    
+    // Log for debugging
+    console.log(`Detecting view in ${currentModel} model at UV (${uv.x.toFixed(3)}, ${uv.y.toFixed(3)})`);
+
+    // Check each view's UV rectangle
+    for (const [viewName, viewConfig] of Object.entries(views)) {
+        const { uvRect } = viewConfig;
+
+        // Check if UV is within this view's boundaries
+        // Handle case where u1 > u2 or v1 > v2 due to inverted coordinates
+        const uMin = Math.min(uvRect.u1, uvRect.u2);
+        const uMax = Math.max(uvRect.u1, uvRect.u2);
+        const vMin = Math.min(uvRect.v1, uvRect.v2);
+        const vMax = Math.max(uvRect.v1, uvRect.v2);
+        
+        if (uv.x >= uMin && uv.x <= uMax && 
+            uv.y >= vMin && uv.y <= vMax) {
+            console.log(`Detected view: ${viewName}`);
+            return viewName;
+        }
+    }
+
+    console.log('No specific view detected at this UV coordinate');
+    return null; // Not in any defined view
+}
+
+/**
+ * Lock editing to a specific view
+ * @param {string} viewName - The view to lock to
+ */
+function lockToView(viewName) {
+    isEditingLocked = true;
+    currentLockedView = viewName;
+    currentEditableArea = modelConfig[state.currentModel].views[viewName].uvRect;
+
+    // Lock camera to this view
+    import('./scene.js').then(scene => {
+        if (typeof scene.lockCameraToView === 'function') {
+            scene.lockCameraToView(mapViewNameToCameraView(viewName));
+        } else if (typeof scene.changeCameraView === 'function') {
+            // Fallback to just changing the view if locking isn't available
+            scene.changeCameraView(mapViewNameToCameraView(viewName));
+        }
+    }).catch(err => {
+        console.error('Failed to lock camera:', err);
+    });
+
+    // Enable editing mode
+    isEditingMode = true;
+
+    // Change cursor to indicate editing mode
+    document.body.style.cursor = cursors.edit;
+
+    // Disable camera controls
+    toggleCameraControls(false);
+
+    Logger.log(`Locked to ${viewName} view for editing`);
+
+    // Update texture to show highlighted area
+    updateShirt3DTexture();
+}
+
+/**
+ * Unlock from the current view
+ */
+function unlockFromView() {
+    isEditingLocked = false;
+    currentLockedView = null;
+    currentEditableArea = null;
+
+    // Exit editing mode
+    isEditingMode = false;
+    
+    // Reset the transform mode
+    transformMode = 'none';
+
+    // Reset cursor
+    document.body.style.cursor = cursors.default;
+
+    // Re-enable camera controls
+    toggleCameraControls(true);
+
+    Logger.log('Unlocked from view');
+
+    // Update texture to remove highlighted area
+    updateShirt3DTexture();
+}
+
+/**
+ * Handle clicks within the editable area
+ * @param {THREE.Vector2} uv - The UV coordinate of the click
+ * @param {Object} intersection - The ray intersection data
+ */
+function handleEditableAreaClick(uv, intersection) {
+    if (transformMode !== 'none') return;
+    
+    // Check if we clicked on a transform handle of the selected object
+    if (selectedObject) {
+        const action = detectTransformHandleClick();
+        if (action) {
+            switch (action) {
+                case 'delete':
+                    // Initialize mouse states if needed
+                    if (!selectedObject.mouseDown) {
+                        selectedObject.mouseDown = {};
+                    }
+                    
+                    // Set mouse down state for delete
+                    selectedObject.mouseDown.delete = true;
+                    updateShirt3DTexture();
+                    
+                    // Delete object on first click
+                    deleteSelectedObject();
+                    break;
+                    
+                case 'scale':
+                    // Initialize mouse states if needed
+                    if (!selectedObject.mouseDown) {
+                        selectedObject.mouseDown = {};
+                    }
+                    
+                    // Set mouse down state for scale
+                    selectedObject.mouseDown.scale = true;
+                    updateShirt3DTexture();
+                    
+                    // Only allow scaling if the object isn't pinned
+                    if (!selectedObject.isPinned) {
+                        transformMode = 'scale';
+                        document.body.style.cursor = cursors.nwseResize;
+                        // Lock camera when scaling
+                        toggleCameraControls(false);
+                    }
+                    break;
+                    
+                case 'rotate':
+                    // Initialize mouse states if needed
+                    if (!selectedObject.mouseDown) {
+                        selectedObject.mouseDown = {};
+                    }
+                    
+                    // Set mouse down state for rotate
+                    selectedObject.mouseDown.rotate = true;
+                    updateShirt3DTexture();
+                    
+                    // Allow rotation for both decals and text objects if not pinned
+                    if ((selectedObject.isDecal || selectedObject.type === 'text') && 
+                        !selectedObject.isPinned) {
+                        transformMode = 'rotate';
+                        document.body.style.cursor = cursors.rotate;
+                        // Lock camera when rotating
+                        toggleCameraControls(false);
+                    }
+                    break;
+                    
+                case 'pin':
+                    // Toggle the icon state
+                    if (!selectedObject.iconStates) {
+                        selectedObject.iconStates = {};
+                    }
+                    
+                    // Toggle between active and inactive state
+                    selectedObject.iconStates.pin = !selectedObject.iconStates.pin;
+                    
+                    // Also toggle the object's overall pin state
+                    selectedObject.isPinned = selectedObject.iconStates.pin;
+                    
+                    updateShirt3DTexture();
+                    historyStack.saveState();
+                    break;
+                    
+                case 'duplicate':
+                    // Initialize mouse states if needed
+                    if (!selectedObject.mouseDown) {
+                        selectedObject.mouseDown = {};
+                    }
+                    
+                    // Set mouse down state for duplicate
+                    selectedObject.mouseDown.duplicate = true;
+                    updateShirt3DTexture();
+                    
+                    // Duplicate on first click
+                    duplicateSelectedObject();
+                    break;
+                    
+                case 'layers':
+                    // Initialize mouse states if needed
+                    if (!selectedObject.mouseDown) {
+                        selectedObject.mouseDown = {};
+                    }
+                    
+                    // Set mouse down state for layers
+                    selectedObject.mouseDown.layers = true;
+                    updateShirt3DTexture();
+                    
+                    // Toggle the icon state
+                    if (!selectedObject.iconStates) {
+                        selectedObject.iconStates = {};
+                    }
+                    
+                    // Toggle between active and inactive state
+                    selectedObject.iconStates.layers = !selectedObject.iconStates.layers;
+                    
+                    // Handle layers button - find overlapping objects
+                    const overlappingObjects = canvasData.objects.filter(obj => 
+                        obj !== selectedObject && isObjectsOverlapping(selectedObject, obj)
+                    );
+                    
+                    if (overlappingObjects.length > 0) {
+                        // Bring to front
+                        const index = canvasData.objects.indexOf(selectedObject);
+                        if (index !== -1) {
+                            canvasData.objects.splice(index, 1);
+                            canvasData.objects.push(selectedObject);
+                            updateShirt3DTexture();
+                        }
+                    }
+                    break;
+                    
+                case 'move':
+                    if (!selectedObject.isPinned) {
+                        transformMode = 'move';
+                        document.body.style.cursor = cursors.grabbing;
+                        // Lock camera when moving decal
+                        toggleCameraControls(false);
+                    }
+                    break;
+            }
+            return;
+        }
+    }
+    
+    // If a specific action wasn't triggered, check for object clicks
+    const clickedObject = detectObjectClick();
+    
+    if (clickedObject) {
+        // Dragging one object of a multi-selection moves all of them
+        if (selectedObjects.length > 1 && selectedObjects.includes(clickedObject)) {
+            selectedObject = clickedObject;
+        } else {
+            selectObject(clickedObject);
+        }
+        
+        if (!clickedObject.isPinned) {
+            transformMode = 'move';
+            document.body.style.cursor = cursors.grabbing;
+            // Lock camera when moving decal
+            toggleCameraControls(false);
+        }
+        updateShirt3DTexture();
+    } else {
+        // If not clicking on an object or control, deselect and enable camera controls
+        if (selectedObject) {
+            deselectObject();
+        }
+        // Re-enable camera controls since we're not interacting with decals
+        toggleCameraControls(true);
+        updateShirt3DTexture();
+    }
+}
+
+/**
+ * Convert view name to camera view
+ * @param {string} viewName - The internal view name
+ * @returns {string} - The camera view name
+ */
+function mapViewNameToCameraView(viewName) {
+    switch (viewName) {
+        case 'front': return 'front';
+        case 'back': return 'back';
+        case 'left_arm': return 'left';
+        case 'right_arm': return 'right';
+        default: return viewName;
+    }
+}
+
+/**
+ * Setup drag and drop functionality directly on the 3D view
+ */
+function setupDragAndDropOn3DView() {
+    const canvas = renderer.domElement;
+
+    // Prevent default drag behaviors
+    ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
+        canvas.addEventListener(eventName, (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+        }, false);
+    });
+
+    // Highlight drop area
+    ['dragenter', 'dragover'].forEach(eventName => {
+        canvas.addEventListener(eventName, () => {
+            if (isDragAndDropEnabled) {
+                canvas.classList.add('drag-highlight');
+                // Show helper overlay
+                showDropOverlay(true);
+            }
+        }, false);
+    });
+
+    // Remove highlight
+    ['dragleave', 'drop'].forEach(eventName => {
+        canvas.addEventListener(eventName, () => {
+            canvas.classList.remove('drag-highlight');
+            // Hide helper overlay
+            showDropOverlay(false);
+        }, false);
+    });
+
+    // Handle dropped files
+    canvas.addEventListener('drop', (e) => {
+        if (!isDragAndDropEnabled) return;
+
+        const dt = e.dataTransfer;
+        const files = dt.files;
+
+        if (files.length) {
+            // Get drop position in UV coordinates
+            updateMousePosition(e);
+
+            // Detect which view was targeted for the drop
+            const view = detectViewFromMousePosition();
+
+            // Handle the file with the detected view
+            handleDroppedFile(files[0], view, mouse);
+        }
+    }, false);
+}
+
+/**
+ * Show or hide the drop overlay with visual guidance
+ * @param {boolean} show - Whether to show or hide the overlay
+ */
+function showDropOverlay(show) {
+    let overlay = document.getElementById('drop-overlay');
+
+    if (show) {
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'drop-overlay';
+            overlay.innerHTML = `
+                <div class="drop-message">
+                    <i class="fas fa-arrow-down"></i>
+                    <p>Drop image here to place on model</p>
+                    <small>The image will be placed on the area you drop it</small>
+                </div>
+                <div class="view-indicators"></div>
+            `;
+            document.body.appendChild(overlay);
+
+            // Add view indicators based on current model config
+            const indicators = overlay.querySelector('.view-indicators');
+            Object.entries(modelConfig[state.currentModel].views).forEach(([viewName, config]) => {
+                const indicator = document.createElement('div');
+                indicator.className = 'view-indicator';
+                indicator.dataset.view = viewName;
+                indicator.style.left = `${config.bounds.x * 100}%`;
+                indicator.style.top = `${config.bounds.y * 100}%`;
+                indicator.style.width = `${config.bounds.width * 100}%`;
+                indicator.style.height = `${config.bounds.height * 100}%`;
+                indicator.innerHTML = `<span>${config.name || viewName}</span>`;
+                indicators.appendChild(indicator);
+            });
+        }
+        overlay.classList.add('active');
+    } else if (overlay) {
+        overlay.classList.remove('active');
+    }
+}
+
+/**
+ * Detect which view on the model the mouse is currently over
+ * @returns {string} The name of the view or null if not over any view
+ */
+function detectViewFromMousePosition() {
+    // Get the current model type
+    const currentModel = state.currentModel || 'tshirt';
+    
+    // Cast a ray from the mouse position
+    raycaster.setFromCamera(mouse, camera);
+    const intersects = raycaster.intersectObject(shirtMesh);
+
+    if (intersects.length > 0) {
+        // Get the UV coordinates at the intersection point
+        const uv = intersects[0].uv;
+        
+        // First try to detect the view from UV coordinates
+        const viewFromUV = detectViewFromUV(uv);
+        if (viewFromUV) {
+            return viewFromUV;
+        }
+        
+        // If UV detection fails, try to use position-based detection
+        // This is useful for models with complex UV mappings
+        try {
+            // Calculate normalized screen position
+            const screenPos = {
+                x: (mouse.x + 1) / 2,  // Convert from (-1, 1) to (0, 1)
+                y: (-mouse.y + 1) / 2  // Convert from (-1, 1) to (0, 1) with Y flipped
+            };
+            
+            // Import and use the position-based detection if available
+            if (typeof window.detectViewFromPosition === 'function') {
+                const viewFromPosition = window.detectViewFromPosition(screenPos.x, screenPos.y, currentModel);
+                if (viewFromPosition) {
+                    return viewFromPosition;
+                }
+            }
+        } catch (error) {
+            console.warn('Error in position-based view detection:', error);
+        }
+    }
+
+    // Default to current camera view if no detection method works
+    return state.cameraView || 'front';
+}
+
+/**
+ * Handle a file dropped onto the 3D view
+ * @param {File} file - The dropped file
+ * @param {string} targetView - The view where the file was dropped
+ * @param {THREE.Vector2} position - The mouse position where the file was dropped
+ */
+function handleDroppedFile(file, targetView, position) {
+    if (!file.type.startsWith('image/')) {
+        showToast('Only image files are supported');
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        // Get UV coordinates from mouse position
+        raycaster.setFromCamera(position, camera);
+        const intersects = raycaster.intersectObject(shirtMesh);
+
+        if (intersects.length > 0) {
+            const uv = intersects[0].uv;
+
+            // Calculate position in canvas coordinates
+            const left = uv.x * canvasData.width;
+            const top = uv.y * canvasData.height;
+
+            // Add the image at the drop position
+            addImage(e.target.result, {
+                left: left,
+                top: top,
+                view: targetView,
+                smartPlacement: smartImagePlacement,
+                autoAdjust: autoAdjustmentEnabled
+            }).then(obj => {
+                showToast(`Image added to ${targetView} view`);
+                lastUsedView = targetView;
+
+                // Switch to the view where the image was placed if not already there
+                if (state.cameraView !== targetView) {
+                    changeCameraView(targetView);
+                }
+            }).catch(error => {
+                showToast('Error adding image: ' + error.message);
+            });
+        } else {
+            // If no intersection, add to center of current view
+            addImage(e.target.result, {
+                view: targetView,
+                center: true,
+                smartPlacement: smartImagePlacement,
+                autoAdjust: autoAdjustmentEnabled
+            }).then(obj => {
+                showToast(`Image added to ${targetView} view`);
+                lastUsedView = targetView;
+            }).catch(error => {
+                showToast('Error adding image: ' + error.message);
+            });
+        }
+    };
+
+    reader.readAsDataURL(file);
+}
+
+// Add clipboard functionality and advanced object manipulation
+/**
+ * Copy the currently selected object to the clipboard
+ * @returns {boolean} Whether the copy was successful
+ */
+export function copySelectedObject() {
+    if (!selectedObject) {
+        showToast('No object selected to copy');
+        return false;
+    }
+
+    // Create a deep copy of the object's properties
+    clipboard = JSON.parse(JSON.stringify({
+        type: selectedObject.type,
+        left: selectedObject.left,
+        top: selectedObject.top,
+        width: selectedObject.width,
+        height: selectedObject.height,
+        angle: selectedObject.angle,
+        originX: selectedObject.originX,
+        originY: selectedObject.originY,
+        targetView: selectedObject.targetView,
+        filters: selectedObject.filters,
+        metadata: selectedObject.metadata,
+        view: selectedObject.view,
+        opacity: selectedObject.opacity,
+        blendMode: selectedObject.blendMode
+    }));
+
+    // For images, store the image source
+    if (selectedObject.type === 'image' && selectedObject.img) {
+        clipboard.imgSrc = selectedObject.img.src;
+    }
+
+    // For text, store the text content and font properties
+    if (selectedObject.type === 'text') {
+        clipboard.text = selectedObject.text;
+        clipboard.fontFamily = selectedObject.font || selectedObject.fontFamily;
+        clipboard.fontSize = selectedObject.fontSize;
+        clipboard.fontWeight = selectedObject.fontWeight;
+        clipboard.fontStyle = selectedObject.fontStyle;
+        clipboard.textAlign = selectedObject.textAlign;
+        clipboard.fill = selectedObject.color || selectedObject.fill;
+        clipboard.lineHeight = selectedObject.lineHeight;
+        clipboard.backgroundColor = selectedObject.backgroundColor;
+        clipboard.padding = selectedObject.padding;
+        clipboard.stroke = selectedObject.stroke;
+        clipboard.strokeWidth = selectedObject.strokeWidth;
+        clipboard.letterSpacing = selectedObject.letterSpacing;
+        clipboard.textTransform = selectedObject.textTransform;
+        clipboard.autoFit = selectedObject.autoFit;
+        clipboard.textLayout = selectedObject.textLayout;
+        clipboard.textRadius = selectedObject.textRadius;
+        clipboard.waveAmplitude = selectedObject.waveAmplitude;
+        clipboard.textPath = selectedObject.textPath;
+        clipboard.fillType = selectedObject.fillType;
+        clipboard.fillColors = selectedObject.fillColors && [...selectedObject.fillColors];
+        clipboard.fillAngle = selectedObject.fillAngle;
+        clipboard.fillPattern = selectedObject.fillPattern;
+        clipboard.fillScale = selectedObject.fillScale;
+        clipboard.fillImage = selectedObject.fillImage;
+        clipboard.outlines = selectedObject.outlines?.map(outline => ({ ...outline }));
+    }
+    
+    // For shapes, store the shape type and color properties
+    if (selectedObject.type === 'shape') {
+        clipboard.shapeType = selectedObject.shapeType;
+        clipboard.fill = selectedObject.color || selectedObject.fill;
+        clipboard.stroke = selectedObject.stroke;
+        clipboard.strokeWidth = selectedObject.strokeWidth;
+        clipboard.strokeColor = selectedObject.strokeColor;
+        clipboard.strokeDash = selectedObject.strokeDash;
+        clipboard.filled = selectedObject.filled;
+        clipboard.sides = selectedObject.sides;
+        clipboard.points = selectedObject.points;
+        clipboard.innerRadius = selectedObject.innerRadius;
+        clipboard.cornerRadius = selectedObject.cornerRadius;
+        clipboard.pathData = selectedObject.pathData;
+        clipboard.pathViewBox = selectedObject.pathViewBox && { ...selectedObject.pathViewBox };
+    }
+
+    // For vectors, store the traced paths
+    if (selectedObject.type === 'vector') {
+        clipboard.paths = JSON.parse(JSON.stringify(selectedObject.paths));
+        clipboard.viewBox = { ...selectedObject.viewBox };
+        clipboard.trapWidth = selectedObject.trapWidth;
+    }
+
+    // For groups, store the children with their image sources
+    if (selectedObject.type === 'group') {
+        clipboard.children = JSON.parse(JSON.stringify(selectedObject.children.map(serializeObject)));
+        clipboard.viewBox = { ...selectedObject.viewBox };
+    }
+
+    console.log('Clipboard content:', clipboard);
+    return true;
+}
+
+/**
+ * Paste the object from the clipboard
+ * @returns {Promise<Object|null>} The pasted object or null if paste failed
+ */
+export function pasteObject() {
+    return new Promise((resolve, reject) => {
+        if (!clipboard) {
+            showToast('Nothing to paste');
+            resolve(null);
+            return;
+        }
+
+        console.log('Pasting from clipboard:', clipboard);
+
+        // Determine which view to paste into
+        const targetView = state.cameraView || 'front';
+
+        // Offset the pasted object slightly from the original
+        const offset = 20; // pixels
+
+        // Create a new object based on the clipboard type
+        if (clipboard.type === 'image' && clipboard.imgSrc) {
+            // Create a new image from the stored source
+            addImage(clipboard.imgSrc, {
+                left: clipboard.left + offset,
+                top: clipboard.top + offset,
+                width: clipboard.width,
+                height: clipboard.height,
+                angle: clipboard.angle,
+                view: targetView,
+                filters: clipboard.filters,
+                offerUpscale: false
+            }).then(newObject => {
+                newObject.opacity = clipboard.opacity;
+                newObject.blendMode = clipboard.blendMode;
+                resolve(newObject);
+            }).catch(error => {
+                showToast('Failed to paste image: ' + error.message);
+                reject(error);
+            });
+        } else if (clipboard.type === 'text') {
+            // Check if this is a duplicate operation (not from a manual paste)
+            const isDuplicating = true; // Always use direct creation for text objects
+            
+            if (isDuplicating) {
+                // Create text object directly without opening the edit panel
+                const textObj = {
+                    id: 'text_' + Date.now() + '_' + Math.floor(Math.random() * 1000),
+                    type: 'text',
+                    text: clipboard.text || '',
+                    font: clipboard.fontFamily || 'Arial',
+                    fontSize: clipboard.fontSize || 30,
+                    color: clipboard.fill || '#000000',
+                    left: clipboard.left + offset,
+                    top: clipboard.top + offset,
+                    width: clipboard.width,
+                    height: clipboard.height,
+                    angle: clipboard.angle,
+                    view: targetView,
+                    isDecal: true,
+                    textAlign: clipboard.textAlign || 'center',
+                    lineHeight: clipboard.lineHeight || 1.2,
+                    backgroundColor: clipboard.backgroundColor || 'transparent',
+                    padding: clipboard.padding || 0,
+                    stroke: clipboard.stroke || null,
+                    strokeWidth: clipboard.strokeWidth || 0,
+                    fontWeight: clipboard.fontWeight,
+                    fontStyle: clipboard.fontStyle,
+                    letterSpacing: clipboard.letterSpacing,
+                    textTransform: clipboard.textTransform,
+                    autoFit: clipboard.autoFit,
+                    textLayout: clipboard.textLayout,
+                    textRadius: clipboard.textRadius,
+                    waveAmplitude: clipboard.waveAmplitude,
+                    textPath: clipboard.textPath,
+                    fillType: clipboard.fillType,
+                    fillColors: clipboard.fillColors && [...clipboard.fillColors],
+                    fillAngle: clipboard.fillAngle,
+                    fillPattern: clipboard.fillPattern,
+                    fillScale: clipboard.fillScale,
+                    fillImage: clipboard.fillImage,
+                    outlines: clipboard.outlines?.map(outline => ({ ...outline })),
+                    opacity: clipboard.opacity,
+                    blendMode: clipboard.blendMode
+                };
+                
+                console.log('Creating new text object:', textObj);
+                
+                // Add to canvas
+                addObject(textObj);
+                
+                // Save to panel settings
+                addPanelItem('text', textObj);
+                
+                // Update the texture
+                updateShirt3DTexture();
+                
+                resolve(textObj);
+            } else {
+                // Regular paste - use the normal flow with editing panel
+                addText(clipboard.text, {
+                    left: clipboard.left + offset,
+                    top: clipboard.top + offset,
+                    width: clipboard.width,
+                    height: clipboard.height,
+                    angle: clipboard.angle,
+                    fontFamily: clipboard.fontFamily,
+                    fontSize: clipboard.fontSize,
+                    fontWeight: clipboard.fontWeight,
+                    fontStyle: clipboard.fontStyle,
+                    textAlign: clipboard.textAlign,
+                    fill: clipboard.fill,
+                    view: targetView
+                }).then(newObject => {
+                    resolve(newObject);
+                }).catch(error => {
+                    showToast('Failed to paste text: ' + error.message);
+                    reject(error);
+                });
+            }
+        } else if (clipboard.type === 'shape') {
+            // Check if this is a duplicate operation (not from a manual paste)
+            const isDuplicating = true; // Always use direct creation for shape objects
+            
+            if (isDuplicating) {
+                // Create shape object directly without opening the edit panel
+                const shapeObj = {
+                    id: 'shape_' + Date.now() + '_' + Math.floor(Math.random() * 1000),
+                    type: 'shape',
+                    shapeType: clipboard.shapeType,
+                    width: clipboard.width,
+                    height: clipboard.height,
+                    color: clipboard.fill,
+                    left: clipboard.left + offset,
+                    top: clipboard.top + offset,
+                    angle: clipboard.angle,
+                    view: targetView,
+                    isDecal: true,
+                    stroke: clipboard.stroke,
+                    strokeWidth: clipboard.strokeWidth,
+                    strokeColor: clipboard.strokeColor,
+                    strokeDash: clipboard.strokeDash,
+                    filled: clipboard.filled,
+                    sides: clipboard.sides,
+                    points: clipboard.points,
+                    innerRadius: clipboard.innerRadius,
+                    cornerRadius: clipboard.cornerRadius,
+                    pathData: clipboard.pathData,
+                    pathViewBox: clipboard.pathViewBox && { ...clipboard.pathViewBox },
+                    opacity: clipboard.opacity,
+                    blendMode: clipboard.blendMode
+                };
+                
+                console.log('Creating new shape object:', shapeObj);
+                
+                // Add to canvas
+                addObject(shapeObj);
+                
+                // Save to panel settings
+                addPanelItem('shape', shapeObj);
+                
+                // Update texture
+                updateShirt3DTexture();
+                
+                resolve(shapeObj);
+            } else {
+                // Regular paste - use the normal flow with editing panel
+                addShape(clipboard.shapeType, {
+                    left: clipboard.left + offset,
+                    top: clipboard.top + offset,
+                    width: clipboard.width,
+                    height: clipboard.height,
+                    angle: clipboard.angle,
+                    fill: clipboard.fill,
+                    stroke: clipboard.stroke,
+                    strokeWidth: clipboard.strokeWidth,
+                    view: targetView
+                }).then(newObject => {
+                    resolve(newObject);
+                }).catch(error => {
+                    showToast('Failed to paste shape: ' + error.message);
+                    reject(error);
+                });
+            }
+        } else if (clipboard.type === 'vector') {
+            const vectorObj = {
+                id: 'vector_' + Date.now() + '_' + Math.floor(Math.random() * 1000),
+                type: 'vector',
+                paths: JSON.parse(JSON.stringify(clipboard.paths)),
+                viewBox: { ...clipboard.viewBox },
+                trapWidth: clipboard.trapWidth,
+                width: clipboard.width,
+                height: clipboard.height,
+                left: clipboard.left + offset,
+                top: clipboard.top + offset,
+                angle: clipboard.angle,
+                view: targetView,
+                isDecal: true,
+                metadata: { ...clipboard.metadata },
+                opacity: clipboard.opacity,
+                blendMode: clipboard.blendMode
+            };
+
+            addObject(vectorObj);
+            addPanelItem('vector', vectorObj);
+            updateShirt3DTexture();
+
+            resolve(vectorObj);
+        } else if (clipboard.type === 'group') {
+            const groupObj = {
+                id: 'group_' + Date.now() + '_' + Math.floor(Math.random() * 1000),
+                type: 'group',
+                children: JSON.parse(JSON.stringify(clipboard.children)),
+                viewBox: { ...clipboard.viewBox },
+                width: clipboard.width,
+                height: clipboard.height,
+                left: clipboard.left + offset,
+                top: clipboard.top + offset,
+                angle: clipboard.angle,
+                view: targetView,
+                isDecal: true,
+                opacity: clipboard.opacity,
+                blendMode: clipboard.blendMode
+            };
+
+            // Children get ids of their own, so the copy can be edited separately
+            const renewIds = (obj) => {
+                obj.id = (obj.id || obj.type).split('_')[0] + '_' + Date.now() + '_' + Math.floor(Math.random() * 1000);
+                obj.children?.forEach(renewIds);
+            };
+            groupObj.children.forEach(renewIds);
+
+            restoreSavedObject(groupObj).then(group => {
+                if (!group) {
+                    showToast('Failed to paste group');
+                    resolve(null);
+                    return;
+                }
+
+                addObject(group);
+                updateShirt3DTexture();
+                resolve(group);
+            });
+        } else {
+            showToast('Unsupported object type for paste');
+            resolve(null);
+        }
+    });
+}
+
+/**
+ * Delete the currently selected object
+ * @returns {boolean} Whether the deletion was successful
+ */
+export function deleteSelectedObject() {
+    if (!selectedObject) {
+        showToast('No object selected to delete');
+        return false;
+    }
+
+    // Show confirmation dialog before deleting
+    const objects = selectedObjects.length > 1 ? [...selectedObjects] : [selectedObject];
+    const objType = objects.length > 1 ? 'selection' : selectedObject.type === 'image' ? 'photo' : selectedObject.type;
+    import('./ui.js').then(ui => {
+        ui.showDeleteConfirmationDialog(objType, () => {
+            // Only objects still on the canvas are deleted
+            const deleted = objects.filter(obj => canvasData.objects.includes(obj));
+            if (deleted.length > 0) {
+                deleted.forEach(obj => {
+                    // Remove from panel settings
+                    const panelType = obj.type === 'image' 
+                        ? (obj.isAIGenerated ? 'ai' : 'photo') 
+                        : obj.type;
+                    removePanelItem(panelType, obj.id);
+                    
+                    // Remove the object
+                    canvasData.objects.splice(canvasData.objects.indexOf(obj), 1);
+                });
+                deselectObject();
+                transformMode = 'none';
+                document.body.style.cursor = cursors.default;
+                toggleCameraControls(true); // Unlock t-shirt movement after deletion
+                updateShirt3DTexture();
+                historyStack.saveState(); // Save state for undo after deletion
+            }
+        });
+    });
+
+    return true;
+}
+
+/**
+ * Duplicate the currently selected object
+ * @returns {Promise<Object|null>} The duplicated object or null if duplication failed
+ */
+export function duplicateSelectedObject() {
+    if (!selectedObject) {
+        showToast('No object selected to duplicate');
+        return Promise.resolve(null);
+    }
+
+    // First copy the object to clipboard
+    if (copySelectedObject()) {
+        // Then paste it to create a duplicate
+        return pasteObject();
+    }
+
+    return Promise.resolve(null);
+}
+
+/**
+ * Center the selected object in the current view
+ * @returns {boolean} Whether centering was successful
+ */
+export function centerSelectedObject() {
+    if (!selectedObject) {
+        showToast('No object selected to center');
+        return false;
+    }
+
+    // Get current view's UV boundaries
+    const viewConfig = modelConfig[state.currentModel].views[state.cameraView];
+    if (!viewConfig) return false;
+
+    // Calculate center position in canvas coordinates
+    const uvMidX = (viewConfig.uvRect.u1 + viewConfig.uvRect.u2) / 2;
+    const uvMidY = (viewConfig.uvRect.v1 + viewConfig.uvRect.v2) / 2;
+
+    // Set object position to center of view
+    selectedObject.left = uvMidX * canvasData.width;
+    selectedObject.top = uvMidY * canvasData.height;
+
+    // Update transform controls if visible
+    if (transformControls.visible) {
+        updateTransformControls();
+    }
+
+    // Update the texture
+    updateShirt3DTexture();
+
+    return true;
+}
+
+/**
+ * Undo the last action
+ * @returns {boolean} Whether the undo was successful
+ */
+function undo() {
+    if (historyStack.undoStack.length <= 1) {
+        showToast('Nothing to undo');
+        return false;
+    }
+
+    // Save current state to redo stack
+    historyStack.redoStack.push(historyStack.undoStack.pop());
+
+    // Get previous state
+    const previousState = JSON.parse(historyStack.undoStack[historyStack.undoStack.length - 1]);
+
+    // Restore objects from previous state
+    restoreFromState(previousState);
+
+    showToast('Undo');
+    return true;
+}
+
+/**
+ * Redo the last undone action
+ * @returns {boolean} Whether the redo was successful
+ */
+function redo() {
+    if (historyStack.redoStack.length === 0) {
+        showToast('Nothing to redo');
+        return false;
+    }
+
+    // Get state to redo
+    const redoState = JSON.parse(historyStack.redoStack.pop());
+
+    // Save current state to undo stack
+    historyStack.undoStack.push(JSON.stringify(canvasData.objects.map(serializeObject)));
+
+    // Restore objects from redo state
+    restoreFromState(redoState);
+
+    showToast('Redo');
+    return true;
+}
+
+/**
+ * Restore objects from a saved state
+ * @param {Array} stateObjects - The objects to restore
+ */
+function restoreFromState(stateObjects) {
+    // Clear current objects
+    canvasData.objects = [];
+
+    // Restore objects, pictures load at different speeds so the stacking order is kept by position
+    const promises = stateObjects.map(obj => {
+        if (obj.type === 'image' && obj.imgSrc) {
+            // Restore image object
+            return new Promise((resolve) => {
+                const img = new Image();
+                img.onload = () => {
+                    obj.img = img;
+                    delete obj.imgSrc;
+                    resolve(obj);
+                };
+                img.onerror = () => resolve(null);
+                img.src = obj.imgSrc;
+            });
+        } else if (obj.type === 'group') {
+            // Pictures inside groups are reloaded the same way as for saved designs
+            return restoreSavedObject(obj);
+        } else {
+            // Restore other object types
+            return Promise.resolve(obj);
+        }
+    });
+
+    // Wait for all objects to be restored
+    Promise.all(promises).then(objects => {
+        canvasData.objects = objects.filter(obj => obj !== null);
+
+        // Update texture
+        updateShirt3DTexture();
+
+        // Clear selection
+        deselectObject();
+    });
+}
+
+/**
+ * Select all objects in the current view
+ * @returns {number} The number of objects selected
+ */
+function selectAllObjects() {
+    const viewName = selectedObject ? getObjectView(selectedObject) : currentLockedView || state.cameraView;
+    const objects = getViewObjects(viewName).filter(obj => !obj.hidden && !obj.locked);
+
+    if (objects.length === 0) {
+        showToast('No objects to select in this view');
+        return 0;
+    }
+
+    selectObjects(objects);
+    showToast(`${objects.length} object${objects.length === 1 ? '' : 's'} selected`);
+    return objects.length;
+}
+
+/**
+ * Select several objects, the last one is the one transforms apply to
+ * @param {Array} objects - Objects of one view
+ */
+function selectObjects(objects) {
+    if (objects.length === 0) {
+        deselectObject();
+        return;
+    }
+
+    selectObject(objects[objects.length - 1]);
+    selectedObjects = [...objects];
+    selectedObjects.forEach(obj => {
+        obj.active = true;
+    });
+    updateArrangeToolbar();
+    notifyLayersChanged();
+    updateShirt3DTexture();
+}
+
+/**
+ * Add an object to the selection or take it out again, a selection only spans one view
+ * @param {Object} object - The shift-clicked object
+ */
+function toggleObjectSelection(object) {
+    const view = getObjectView(object);
+    const current = selectedObjects.filter(obj => getObjectView(obj) === view);
+
+    if (current.includes(object)) {
+        selectObjects(current.filter(obj => obj !== object));
+    } else {
+        selectObjects([...current, object]);
+    }
+}
+
+/**
+ * Grow the marquee to the point under the mouse
+ */
+function updateMarquee() {
+    raycaster.setFromCamera(mouse, camera);
+    const intersects = raycaster.intersectObject(shirtMesh);
+    if (intersects.length === 0 || !marquee) return;
+
+    marquee.endX = intersects[0].uv.x * canvasData.width;
+    marquee.endY = intersects[0].uv.y * canvasData.height;
+
+    if (!window._updateAnimationFrame) {
+        window._updateAnimationFrame = requestAnimationFrame(() => {
+            updateShirt3DTexture();
+            window._updateAnimationFrame = null;
+        });
+    }
+}
+
+/**
+ * Add the objects the marquee touches to the selection
+ */
+function finishMarquee() {
+    if (!marquee) return;
+
+    const left = Math.min(marquee.startX, marquee.endX);
+    const right = Math.max(marquee.startX, marquee.endX);
+    const top = Math.min(marquee.startY, marquee.endY);
+    const bottom = Math.max(marquee.startY, marquee.endY);
+    const view = marquee.view;
+    marquee = null;
+
+    const covered = getViewObjects(view).filter(obj => {
+        if (obj.hidden || obj.locked) return false;
+        const bounds = getRotatedBoundingBox(obj);
+        return bounds.left <= right && bounds.right >= left && bounds.top <= bottom && bounds.bottom >= top;
+    });
+
+    const current = selectedObjects.filter(obj => getObjectView(obj) === view);
+    selectObjects([...current, ...covered.filter(obj => !current.includes(obj))]);
+}
+
+/**
+ * Bounding box around several objects
+ * @param {Array} objects - The objects
+ * @returns {Object} - { left, right, top, bottom } in canvas pixels
+ */
+function getSelectionBounds(objects) {
+    const boxes = objects.map(getRotatedBoundingBox);
+    return {
+        left: Math.min(...boxes.map(box => box.left)),
+        right: Math.max(...boxes.map(box => box.right)),
+        top: Math.min(...boxes.map(box => box.top)),
+        bottom: Math.max(...boxes.map(box => box.bottom))
+    };
+}
+
+/**
+ * Outline every selected object and the selection as a whole
+ */
+function drawMultiSelectionOverlay() {
+    const ctx = canvasData.ctx;
+    const padding = 4;
+
+    ctx.save();
+    ctx.filter = 'none';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 6]);
+    selectedObjects.forEach(obj => {
+        const box = getRotatedBoundingBox(obj);
+        ctx.strokeRect(box.left - padding, box.top - padding, box.right - box.left + padding * 2, box.bottom - box.top + padding * 2);
+    });
+
+    const bounds = getSelectionBounds(selectedObjects);
+    ctx.setLineDash([]);
+    ctx.strokeStyle = '#2196F3';
+    ctx.strokeRect(bounds.left - padding * 2, bounds.top - padding * 2, bounds.right - bounds.left + padding * 4, bounds.bottom - bounds.top + padding * 4);
+
+    ctx.font = 'bold 14px Arial';
+    const label = `${selectedObjects.length} selected`;
+    const labelWidth = ctx.measureText(label).width + 16;
+    drawLabelPill(ctx, label, (bounds.left + bounds.right) / 2, bounds.bottom + padding * 2 + 18, labelWidth, 22, 'rgba(33, 150, 243, 0.9)');
+    ctx.restore();
+}
+
+/**
+ * Draw the marquee being dragged
+ */
+function drawMarquee() {
+    const ctx = canvasData.ctx;
+    const left = Math.min(marquee.startX, marquee.endX);
+    const top = Math.min(marquee.startY, marquee.endY);
+    const width = Math.abs(marquee.endX - marquee.startX);
+    const height = Math.abs(marquee.endY - marquee.startY);
+
+    ctx.save();
+    ctx.filter = 'none';
+    ctx.fillStyle = 'rgba(33, 150, 243, 0.15)';
+    ctx.fillRect(left, top, width, height);
+    ctx.strokeStyle = '#2196F3';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.strokeRect(left, top, width, height);
+    ctx.restore();
+}
+
+/**
+ * Show the align and distribute toolbar while several objects or a group are selected
+ */
+function updateArrangeToolbar() {
+    const toolbar = document.getElementById('arrange-toolbar');
+    if (!toolbar) return;
+
+    const hasGroup = selectedObjects.some(obj => obj.type === 'group');
+    toolbar.classList.toggle('visible', selectedObjects.length > 1 || hasGroup);
+    toolbar.querySelectorAll('[data-align], #group-objects').forEach(button => {
+        button.disabled = selectedObjects.length < 2;
+    });
+    toolbar.querySelectorAll('[data-distribute]').forEach(button => {
+        button.disabled = selectedObjects.length < 3;
+    });
+
+    const ungroupButton = toolbar.querySelector('#ungroup-objects');
+    if (ungroupButton) ungroupButton.disabled = !hasGroup;
+}
+
+/**
+ * Combine the selected objects into a group that moves, rotates and scales as one object
+ * @returns {Object|null} The group, null when fewer than two objects are selected
+ */
+export function groupSelectedObjects() {
+    // Children keep their stacking order
+    const members = canvasData.objects.filter(obj => selectedObjects.includes(obj));
+    if (members.length < 2) {
+        showToast('Select at least two objects to group');
+        return null;
+    }
+
+    const bounds = getSelectionBounds(members);
+    const width = bounds.right - bounds.left;
+    const height = bounds.bottom - bounds.top;
+    const group = {
+        id: 'group_' + Date.now() + '_' + Math.floor(Math.random() * 1000),
+        type: 'group',
+        left: bounds.left,
+        top: bounds.top,
+        width,
+        height,
+        angle: 0,
+        // The children's coordinates, relative to the group's top left corner
+        viewBox: { width, height },
+        view: getObjectView(members[members.length - 1]),
+        isDecal: true,
+        children: members
+    };
+
+    members.forEach(obj => {
+        obj.active = false;
+        obj.left -= bounds.left;
+        obj.top -= bounds.top;
+        delete obj._moveData;
+    });
+
+    // The group takes the place of its topmost child
+    const index = canvasData.objects.indexOf(members[members.length - 1]) - (members.length - 1);
+    canvasData.objects = canvasData.objects.filter(obj => !members.includes(obj));
+    canvasData.objects.splice(index, 0, group);
+
+    selectObject(group);
+    historyStack.saveState();
+    showToast(`Grouped ${members.length} objects`);
+    return group;
+}
+
+/**
+ * Take a child out of its group, with the group's position, size and rotation applied to it
+ * @param {Object} group - The group
+ * @param {Object} child - One of its children
+ * @returns {Object} The child, in canvas coordinates
+ */
+function releaseGroupChild(group, child) {
+    const scaleX = group.width / group.viewBox.width;
+    const scaleY = group.height / group.viewBox.height;
+    const angle = (group.angle || 0) * Math.PI / 180;
+
+    // The child's center relative to the group's center, scaled and rotated with the group
+    const localX = (child.left + child.width / 2 - group.viewBox.width / 2) * scaleX;
+    const localY = (child.top + child.height / 2 - group.viewBox.height / 2) * scaleY;
+    const centerX = group.left + group.width / 2 + localX * Math.cos(angle) - localY * Math.sin(angle);
+    const centerY = group.top + group.height / 2 + localX * Math.sin(angle) + localY * Math.cos(angle);
+
+    child.width *= scaleX;
+    child.height *= scaleY;
+    child.left = centerX - child.width / 2;
+    child.top = centerY - child.height / 2;
+    child.angle = (child.angle || 0) + (group.angle || 0);
+    child.view = group.view;
+
+    // Text is drawn at its font size, so that scales too
+    if (child.type === 'text' && child.fontSize) {
+        child.fontSize *= scaleY;
+    }
+
+    return child;
+}
+
+/**
+ * Split the selected groups back into their children
+ * @returns {Array} The children, now separate objects
+ */
+export function ungroupSelectedObjects() {
+    const groups = selectedObjects.filter(obj => obj.type === 'group');
+    if (groups.length === 0) {
+        showToast('Select a group to ungroup');
+        return [];
+    }
+
+    const released = [];
+    groups.forEach(group => {
+        const children = group.children.map(child => releaseGroupChild(group, child));
+        canvasData.objects.splice(canvasData.objects.indexOf(group), 1, ...children);
+        released.push(...children);
+    });
+
+    selectObjects(released);
+    historyStack.saveState();
+    showToast('Ungrouped');
+    return released;
+}
+
+/**
+ * Line up the selected objects' bounding boxes on one edge or center of the selection
+ * @param {string} edge - 'left', 'center', 'right', 'top', 'middle' or 'bottom'
+ * @returns {boolean} Whether anything moved
+ */
+export function alignSelectedObjects(edge) {
+    if (selectedObjects.length < 2) {
+        showToast('Select at least two objects to align');
+        return false;
+    }
+
+    const bounds = getSelectionBounds(selectedObjects);
+    let moved = false;
+
+    selectedObjects.forEach(obj => {
+        if (obj.isPinned) return;
+
+        const box = getRotatedBoundingBox(obj);
+        const offsets = {
+            left: [bounds.left - box.left, 0],
+            center: [(bounds.left + bounds.right) / 2 - (box.left + box.right) / 2, 0],
+            right: [bounds.right - box.right, 0],
+            top: [0, bounds.top - box.top],
+            middle: [0, (bounds.top + bounds.bottom) / 2 - (box.top + box.bottom) / 2],
+            bottom: [0, bounds.bottom - box.bottom]
+        };
+        const [offsetX, offsetY] = offsets[edge] || [0, 0];
+
+        if (offsetX !== 0 || offsetY !== 0) {
+            obj.left += offsetX;
+            obj.top += offsetY;
+            moved = true;
+        }
+    });
+
+    // One undo step for the whole alignment
+    if (moved) {
+        historyStack.saveState();
+        updateShirt3DTexture();
+    }
+    return moved;
+}
+
+/**
+ * Space the selected objects evenly between the outermost two, with equal gaps between their bounding boxes
+ * @param {string} direction - 'horizontal' or 'vertical'
+ * @returns {boolean} Whether anything moved
+ */
+export function distributeSelectedObjects(direction) {
+    if (selectedObjects.length < 3) {
+        showToast('Select at least three objects to distribute');
+        return false;
+    }
+
+    const horizontal = direction === 'horizontal';
+    const start = horizontal ? 'left' : 'top';
+    const end = horizontal ? 'right' : 'bottom';
+    const position = horizontal ? 'left' : 'top';
+
+    const items = selectedObjects
+        .map(obj => ({ obj, box: getRotatedBoundingBox(obj) }))
+        .sort((a, b) => (a.box[start] + a.box[end]) - (b.box[start] + b.box[end]));
+
+    const first = items[0].box;
+    const last = items[items.length - 1].box;
+    const occupied = items.reduce((sum, item) => sum + item.box[end] - item.box[start], 0);
+    const gap = (last[end] - first[start] - occupied) / (items.length - 1);
+
+    let cursor = first[end] + gap;
+    let moved = false;
+    items.slice(1, -1).forEach(({ obj, box }) => {
+        const offset = cursor - box[start];
+        if (!obj.isPinned && Math.abs(offset) > 0.01) {
+            obj[position] += offset;
+            moved = true;
+        }
+        cursor += box[end] - box[start] + gap;
+    });
+
+    // One undo step for the whole distribution
+    if (moved) {
+        historyStack.saveState();
+        updateShirt3DTexture();
+    }
+    return moved;
+}
+
+// Touch event handlers for mobile compatibility
+function onTouchStart(event) {
+    // Convert touch event to mouse event
+    const touch = event.touches[0];
+    const mouseEvent = new MouseEvent('mousedown', {
+        clientX: touch.clientX,
+        clientY: touch.clientY
+    });
+    onMouseDown(mouseEvent);
+}
+
+function onTouchMove(event) {
+    // Prevent default scrolling when in edit mode
+    if (isEditingMode) {
+        event.preventDefault();
+    }
+
+    // Convert touch event to mouse event
+    const touch = event.touches[0];
+    const mouseEvent = new MouseEvent('mousemove', {
+        clientX: touch.clientX,
+        clientY: touch.clientY
+    });
+    onMouseMove(mouseEvent);
+}
+
+function onTouchEnd(event) {
+    // Convert touch event to mouse event
+    const mouseEvent = new MouseEvent('mouseup', {});
+    onMouseUp(mouseEvent);
+
+    // Also trigger click event for touch end
+    if (!transformMode || transformMode === 'none') {
+        const clickEvent = new MouseEvent('click', {});
+        onClick(clickEvent);
+    }
+}
+
+// Save state when objects are modified
+function saveCurrentState() {
+    historyStack.saveState();
+}
+
+// Hook into object modification functions to save state before changes
+const originalAddObject = addObject;
+addObject = function (object) {
+    saveCurrentState();
+    return originalAddObject(object);
+};
+
+const originalRemoveObject = removeObject;
+removeObject = function (object) {
+    saveCurrentState();
+    return originalRemoveObject(object);
+};
+
+// Add new state hooks
+function afterObjectModified() {
+    // Save state after object is modified
+    saveCurrentState();
+    // Update texture
+    updateShirt3DTexture();
+}
+
+// Add state saving after various transformations
+const originalMoveObject = moveObject;
+moveObject = function (object, deltaX, deltaY) {
+    const result = originalMoveObject(object, deltaX, deltaY);
+    afterObjectModified();
+    return result;
+};
+
+/**
+ * Toggle drag and drop functionality
+ * @param {boolean} enabled - Whether to enable or disable drag and drop
+ */
+export function toggleDragAndDrop(enabled) {
+    isDragAndDropEnabled = enabled;
+    return isDragAndDropEnabled;
+}
+
+/**
+ * Toggle smart image placement
+ * @param {boolean} enabled - Whether to enable or disable smart placement
+ */
+export function toggleSmartPlacement(enabled) {
+    smartImagePlacement = enabled;
+    return smartImagePlacement;
+}
+
+/**
+ * Toggle automatic image adjustments
+ * @param {boolean} enabled - Whether to enable or disable auto adjustments
+ */
+export function toggleAutoAdjustment(enabled) {
+    autoAdjustmentEnabled = enabled;
+    return autoAdjustmentEnabled;
+}
+
+/**
+ * Get the last used view for image placement
+ * @returns {string|null} The last used view or null if none
+ */
+export function getLastUsedView() {
+    return lastUsedView;
+}
+
+/**
+ * Handle double click events for text and photo editing
+ * @param {MouseEvent} event 
+ */
+function onDoubleClick(event) {
+    event.preventDefault();
     event.stopPropagation();
     
-    updateMousePosition(event);
-    const clickedObject = detectObjectClick();
+    updateMousePosition(event);
+    const clickedObject = detectObjectClick();
+    
+    if (clickedObject && clickedObject.type === 'text') {
+        // Use the existing panel if it exists
+        const existingPanel = document.getElementById('text-edit-panel');
+        if (existingPanel) {
+            // Set up the existing panel for editing
+            const textInput = existingPanel.querySelector('.text-edit-input');
+            const fontSelect = existingPanel.querySelector('#font-select');
+            const colorOptions = existingPanel.querySelectorAll('.color-option');
+            
+            // Set the text value
+            if (textInput) {
+                textInput.value = clickedObject.text || '';
+            }
+            
+            // Select the correct font
+            if (fontSelect) {
+                for (let i = 0; i < fontSelect.options.length; i++) {
+                    if (fontSelect.options[i].value === clickedObject.font) {
+                        fontSelect.selectedIndex = i;
+                        break;
+                    }
+                }
+            }
+            
+            // Select the correct color
+            if (colorOptions.length > 0) {
+                colorOptions.forEach(option => {
+                    option.classList.remove('active');
+                    if (option.getAttribute('data-color') === clickedObject.color) {
+                        option.classList.add('active');
+                    }
+                });
+            }
+            
+            // Store original values
+            const originalText = clickedObject.text;
+            const originalColor = clickedObject.color;
+            const originalFont = clickedObject.font;
+            const originalWidth = clickedObject.width;
+            const originalHeight = clickedObject.height;
+            const originalLeft = clickedObject.left;
+            const originalTop = clickedObject.top;
+            
+            // Show the panel
+            existingPanel.classList.add('active');
+            
+            // Update text object when text input changes
+            if (textInput) {
+                // Remove existing event listeners by cloning
+                const newTextInput = textInput.cloneNode(true);
+                textInput.parentNode.replaceChild(newTextInput, textInput);
+                
+                // Add new event listener
+                newTextInput.addEventListener('input', () => {
+                    const newText = newTextInput.value;
+                    clickedObject.text = newText;
+                
+                    // Resize for the current text and layout, keeping the center position stable
+                    fitTextObject(clickedObject);
+                    
+                    // Update the texture and transform controls
+                    updateShirt3DTexture();
+                });
+            }
+            
+            // Handle save button
+            const saveButton = existingPanel.querySelector('.text-edit-save');
+            if (saveButton) {
+                // Remove existing event listeners by cloning
+                const newSaveButton = saveButton.cloneNode(true);
+                saveButton.parentNode.replaceChild(newSaveButton, saveButton);
+                
+                newSaveButton.addEventListener('click', () => {
+                    const newText = textInput.value.trim();
+                    if (newText) {
+                        // Get selected color
+                        const activeColor = existingPanel.querySelector('.color-option.active');
+                        const color = activeColor ? activeColor.getAttribute('data-color') : originalColor;
+                        
+                        // Get selected font
+                        const fontSelect = existingPanel.querySelector('#font-select');
+                        const font = fontSelect ? fontSelect.value : originalFont;
+                        
+                        // Update text object
+                        clickedObject.text = newText;
+                        clickedObject.color = color;
+                        clickedObject.font = font;
+                        
+                        // Update dimensions for the text and its layout, auto-fit text keeps its box
+                        fitTextObject(clickedObject);
+                        
+                        // Keep center position
+                        const center = {
+                            x: originalLeft + originalWidth / 2,
+                            y: originalTop + originalHeight / 2
+                        };
+                        
+                        clickedObject.left = center.x - clickedObject.width / 2;
+                        clickedObject.top = center.y - clickedObject.height / 2;
+                        
+                        // Update the texture
+                        updateShirt3DTexture();
+                        
+                        // Close the panel
+                        existingPanel.classList.remove('active');
+                        
+                        // Show success message
+                        showToast('Text updated successfully');
+                    } else {
+                        showToast('Text cannot be empty');
+                    }
+                });
+            }
+            
+            // Handle cancel button
+            const cancelButton = existingPanel.querySelector('.text-edit-cancel');
+            if (cancelButton) {
+                // Remove existing event listeners by cloning
+                const newCancelButton = cancelButton.cloneNode(true);
+                cancelButton.parentNode.replaceChild(newCancelButton, cancelButton);
+                
+                newCancelButton.addEventListener('click', () => {
+                    // Restore original values
+                    clickedObject.text = originalText;
+                    clickedObject.color = originalColor;
+                    clickedObject.font = originalFont;
+                    clickedObject.width = originalWidth;
+                    clickedObject.height = originalHeight;
+                    clickedObject.left = originalLeft;
+                    clickedObject.top = originalTop;
+                    
+                    // Update the texture
+                    updateShirt3DTexture();
+                    
+                    // Close the panel
+                    existingPanel.classList.remove('active');
+                });
+            }
+            
+            // Handle close button
+            const closeButton = existingPanel.querySelector('.panel-close');
+            if (closeButton) {
+                closeButton.addEventListener('click', () => {
+                    // Close the panel
+                    existingPanel.classList.remove('active');
+                });
+            }
+        } else {
+            // Create a new text edit overlay if panel doesn't exist
+            const textEditOverlay = createTextEditOverlay(clickedObject.text, clickedObject.color, clickedObject.font, clickedObject);
+            
+            if (textEditOverlay) {
+                const restoreFont = bindFontControls(textEditOverlay, clickedObject);
+                const restoreStyle = bindTextStyleControls(textEditOverlay, clickedObject);
+                const restoreLayout = bindTextLayoutControls(textEditOverlay, clickedObject);
+                const restoreFill = bindTextFillControls(textEditOverlay, clickedObject);
+                const restoreAppearance = bindAppearanceControls(textEditOverlay, clickedObject);
+                const textInput = textEditOverlay.querySelector('.text-edit-input');
+                const fontSelect = textEditOverlay.querySelector('#font-select');
+                const colorOptions = textEditOverlay.querySelectorAll('.color-option');
+                const saveBtn = textEditOverlay.querySelector('.text-edit-save');
+                const cancelBtn = textEditOverlay.querySelector('.text-edit-cancel');
+                const closeBtn = textEditOverlay.querySelector('.panel-close');
+                const errorMsg = document.createElement('div');
+                
+                // Create error message element
+                errorMsg.className = 'text-edit-error';
+                errorMsg.style.color = 'red';
+                errorMsg.style.marginTop = '8px';
+                errorMsg.style.fontSize = '14px';
+                errorMsg.style.display = 'none';
+                errorMsg.textContent = 'Text cannot be empty!';
+                
+                // Insert error message before buttons
+                const buttonsContainer = textEditOverlay.querySelector('.text-edit-buttons');
+                buttonsContainer.parentNode.insertBefore(errorMsg, buttonsContainer);
+                
+                // Store original values
+                const originalText = clickedObject.text;
+                const originalColor = clickedObject.color;
+                const originalFont = clickedObject.font;
+                const originalWidth = clickedObject.width;
+                const originalHeight = clickedObject.height;
+                const originalLeft = clickedObject.left;
+                const originalTop = clickedObject.top;
+                const originalCenter = {
+                    x: originalLeft + originalWidth / 2,
+                    y: originalTop + originalHeight / 2
+                };
+                
+                // Handle save button
+                if (saveBtn) {
+                    saveBtn.addEventListener('click', () => {
+                        const newText = textInput.value.trim();
+                        if (newText) {
+                            // Get selected color
+                            const activeColor = textEditOverlay.querySelector('.color-option.active');
+                            const color = activeColor ? activeColor.getAttribute('data-color') : originalColor;
+                            
+                            // Get selected font
+                            const font = fontSelect ? fontSelect.value : originalFont;
+                            
+                            // Update text object
+                            clickedObject.text = newText;
+                            clickedObject.color = color;
+                            clickedObject.font = font;
+                            
+                            // Update dimensions for the text and its layout, auto-fit text keeps its box
+                            fitTextObject(clickedObject);
+                            
+                            // Keep center position
+                            clickedObject.left = originalCenter.x - clickedObject.width / 2;
+                            clickedObject.top = originalCenter.y - clickedObject.height / 2;
+                            
+                            // Update the texture
+                            historyStack.saveState();
+                            updateShirt3DTexture();
+                            
+                            // Remove the overlay
+                            textEditOverlay.remove();
+                            
+                            // Show success message
+                            showToast('Text updated successfully');
+                        } else {
+                            errorMsg.style.display = 'block';
+                        }
+                    });
+                }
+                
+                // Handle cancel button
+                if (cancelBtn) {
+                    cancelBtn.addEventListener('click', () => {
+                        // Restore original values
+                        restoreFont();
+                        restoreStyle();
+                        restoreLayout();
+                        restoreFill();
+                        clickedObject.text = originalText;
+                        clickedObject.color = originalColor;
+                        clickedObject.font = originalFont;
+                        clickedObject.width = originalWidth;
+                        clickedObject.height = originalHeight;
+                        clickedObject.left = originalLeft;
+                        clickedObject.top = originalTop;
+                        restoreAppearance();
+                        
+                        // Update the texture
+                        updateShirt3DTexture();
+                        
+                        // Remove the overlay
+                        textEditOverlay.remove();
+                    });
+                }
+                
+                // Handle close button
+                if (closeBtn) {
+                    closeBtn.addEventListener('click', () => {
+                        restoreFont();
+                        restoreStyle();
+                        restoreLayout();
+                        restoreFill();
+                        restoreAppearance();
+
+                        // Remove the overlay
+                        textEditOverlay.remove();
+                    });
+                }
+            }
+        }
+    } else if (clickedObject && clickedObject.type === 'shape') {
+        console.log('Shape double-clicked:', clickedObject);
+        
+        // Check if there's an existing shape edit panel
+        const existingPanel = document.getElementById('shape-edit-panel');
+        
+        if (existingPanel) {
+            // Set up the existing panel for editing
+            const colorOptions = existingPanel.querySelectorAll('.color-option');
+            
+            // Select the correct color
+            if (colorOptions.length > 0) {
+                colorOptions.forEach(option => {
+                    option.classList.remove('active');
+                    if (option.getAttribute('data-color') === clickedObject.color) {
+                        option.classList.add('active');
+                    }
+                });
+            }
+            
+            // Store original values
+            const originalColor = clickedObject.color;
+            
+            // Show the panel
+            existingPanel.classList.add('active');
+            
+            // Handle color selection
+            colorOptions.forEach(option => {
+                // Remove existing event listeners by cloning
+                const newOption = option.cloneNode(true);
+                option.parentNode.replaceChild(newOption, option);
+                
+                // Add new event listener
+                newOption.addEventListener('click', () => {
+                    colorOptions.forEach(opt => opt.classList.remove('active'));
+                    newOption.classList.add('active');
+                    clickedObject.color = newOption.getAttribute('data-color');
+                    updateShirt3DTexture();
+                });
+            });
+            
+            // Handle save button
+            const saveBtn = existingPanel.querySelector('.text-edit-save');
+            if (saveBtn) {
+                // Remove existing event listeners by cloning
+                const newSaveBtn = saveBtn.cloneNode(true);
+                saveBtn.parentNode.replaceChild(newSaveBtn, saveBtn);
+                
+                // Add new event listener
+                newSaveBtn.addEventListener('click', () => {
+                    // Update the object and hide panel
+                    updateShirt3DTexture();
+                    existingPanel.classList.remove('active');
+                });
+            }
+            
+            // Handle cancel button
+            const cancelBtn = existingPanel.querySelector('.text-edit-cancel');
+            if (cancelBtn) {
+                // Remove existing event listeners by cloning
+                const newCancelBtn = cancelBtn.cloneNode(true);
+                cancelBtn.parentNode.replaceChild(newCancelBtn, cancelBtn);
+                
+                // Add new event listener
+                newCancelBtn.addEventListener('click', () => {
+                    // Restore original values
+                    clickedObject.color = originalColor;
+                    
+                    updateShirt3DTexture();
+                    existingPanel.classList.remove('active');
+                });
+            }
+            
+            // Handle close button
+            const closeBtn = existingPanel.querySelector('.panel-close');
+            if (closeBtn) {
+                // Remove existing event listeners by cloning
+                const newCloseBtn = closeBtn.cloneNode(true);
+                closeBtn.parentNode.replaceChild(newCloseBtn, closeBtn);
+                
+                // Add new event listener
+                newCloseBtn.addEventListener('click', () => {
+                    // Restore original values
+                    clickedObject.color = originalColor;
+                    
+                    updateShirt3DTexture();
+                    existingPanel.classList.remove('active');
+                });
+            }
+            
+            return;
+        }
+        
+        // If no existing panel, create a new one
+        const panel = createShapeEditOverlay(clickedObject);
+        
+        if (panel) {
+            // Store original values
+            const originalColor = clickedObject.color;
+            const originalHeight = clickedObject.height;
+            const originalTop = clickedObject.top;
+            const restoreShape = bindShapeControls(panel, clickedObject);
+            const restoreAppearance = bindAppearanceControls(panel, clickedObject);
+            
+            // Show the panel
+            panel.classList.add('active');
+            
+            // Handle color selection
+            const colorOptions = panel.querySelectorAll('.color-option');
+            colorOptions.forEach(option => {
+                if (option.dataset.color === clickedObject.color) {
+                    option.classList.add('active');
+                }
+                
+                option.addEventListener('click', () => {
+                    colorOptions.forEach(opt => opt.classList.remove('active'));
+                    option.classList.add('active');
+                    clickedObject.color = option.dataset.color;
+                    updateShirt3DTexture();
+                });
+            });
+            
+            // Handle save button
+            const saveBtn = panel.querySelector('.text-edit-save');
+            if (saveBtn) {
+                saveBtn.addEventListener('click', () => {
+                    // An SVG path shape needs a path that draws something
+                    try {
+                        readShapeControls(panel);
+                    } catch (error) {
+                        showToast(error.message);
+                        return;
+                    }
+
+                    // Update the object and remove panel
+                    historyStack.saveState();
+                    updateShirt3DTexture();
+                    panel.remove();
+                });
+            }
+            
+            // Handle cancel button
+            const cancelBtn = panel.querySelector('.text-edit-cancel');
+            if (cancelBtn) {
+                cancelBtn.addEventListener('click', () => {
+                    // Restore original values
+                    clickedObject.color = originalColor;
+                    clickedObject.height = originalHeight;
+                    clickedObject.top = originalTop;
+                    restoreShape();
+                    restoreAppearance();
+                    
+                    updateShirt3DTexture();
+                    panel.remove();
+                });
+            }
+            
+            // Handle close button
+            const closeBtn = panel.querySelector('.panel-close');
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => {
+                    // Restore original values
+                    clickedObject.color = originalColor;
+                    clickedObject.height = originalHeight;
+                    clickedObject.top = originalTop;
+                    restoreShape();
+                    restoreAppearance();
+                    
+                    updateShirt3DTexture();
+                    panel.remove();
+                });
+            }
+        }
+    } else if (clickedObject && clickedObject.type === 'image' && clickedObject.img) {
+        // Only one photo editor at a time
+        document.getElementById('photo-edit-panel')?.remove();
+
+        const panel = createPhotoEditOverlay(clickedObject);
+        panel.classList.add('active');
+    } else if (clickedObject && clickedObject.type === 'vector') {
+        document.getElementById('vector-edit-panel')?.remove();
+        createVectorEditOverlay(clickedObject);
+    }
+    // Rest of the function for other object types
+}
+
+/**
+ * Export the picture of an image object as a PNG, e.g. to send it to the AI server
+ * @param {Object} imageObject - Image object from canvasData.objects
+ * @param {number} maxSize - Longest side of the exported picture
+ * @returns {string} PNG data URL
+ */
+function exportImageObject(imageObject, maxSize = 1024) {
+    const img = imageObject.img;
+    const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Swap the picture of an image object, keeping its position, rotation and width
+ * @param {Object} imageObject - Image object from canvasData.objects
+ * @param {string} imageUrl - The new picture
+ * @param {Object} options - Options
+ * @param {Object} options.placement - New { left, top, width, height } for pictures that cover a different area
+ * @param {Object} options.metadata - Metadata to merge, e.g. { hasTransparency: true }
+ * @returns {Promise<Object>} The updated object
+ */
+function replaceImageObjectSource(imageObject, imageUrl, { placement = null, metadata = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+
+        img.onload = () => {
+            if (placement) {
+                Object.assign(imageObject, placement);
+            } else {
+                const centerX = imageObject.left + imageObject.width / 2;
+                const centerY = imageObject.top + imageObject.height / 2;
+
+                // Same width and center, the height follows the new picture's proportions
+                imageObject.height = imageObject.width * img.naturalHeight / img.naturalWidth;
+                imageObject.left = centerX - imageObject.width / 2;
+                imageObject.top = centerY - imageObject.height / 2;
+            }
+
+            imageObject.img = img;
+            imageObject.src = imageUrl;
+            delete imageObject.originalImg;
+            imageObject.metadata = {
+                ...imageObject.metadata,
+                ...metadata,
+                originalWidth: img.naturalWidth,
+                originalHeight: img.naturalHeight
+            };
+
+            historyStack.saveState();
+            updateShirt3DTexture();
+            resolve(imageObject);
+        };
+        img.onerror = () => reject(new Error('Failed to load the new picture'));
+
+        img.src = imageUrl;
+    });
+}
+
+/**
+ * Add a picture next to an image object with the same size, rotation and filters
+ * @param {Object} imageObject - Image object from canvasData.objects
+ * @param {string} imageUrl - The picture to add
+ * @returns {Promise<Object>} The new image object
+ */
+function addImageBeside(imageObject, imageUrl) {
+    return addImage(imageUrl, {
+        view: imageObject.view || state.cameraView,
+        left: imageObject.left + imageObject.width * 1.1,
+        top: imageObject.top,
+        width: imageObject.width,
+        angle: imageObject.angle,
+        currentFilters: imageObject.currentFilters,
+        isAIGenerated: true,
+        offerUpscale: false
+    });
+}
+
+// How long the upscale offer for a low resolution picture stays up when ignored
+const UPSCALE_OFFER_DURATION = 12000;
+
+/**
+ * Upscale an image object's picture so it has enough resolution for its size on the shirt
+ * @param {Object} imageObject - Image object from canvasData.objects
+ * @returns {Promise<{ scale: number, method: string }|null>} The factor used and whether the 'server' or 'local'
+ *   upscaling made it, null when the picture is already as large as it can get
+ */
+async function enhanceImageResolution(imageObject) {
+    const { upscale, getUpscaleFactor } = await import('./upscaling.js');
+    const scale = getUpscaleFactor(imageObject);
+    if (!scale) return null;
+
+    const { url, method } = await upscale(exportImageObject(imageObject, Infinity), { scale });
+    await replaceImageObjectSource(imageObject, url);
+    return { scale, method };
+}
+
+/**
+ * Offer to upscale a picture that was placed larger than its resolution allows
+ * @param {Object} imageObject - The image object just added
+ */
+async function offerUpscale(imageObject) {
+    const { getEffectiveResolution, getUpscaleFactor, MIN_EFFECTIVE_RESOLUTION } = await import('./upscaling.js');
+    if (getEffectiveResolution(imageObject) >= MIN_EFFECTIVE_RESOLUTION || !getUpscaleFactor(imageObject)) return;
+
+    document.querySelectorAll('.upscale-offer').forEach(offer => offer.remove());
+
+    const offer = document.createElement('div');
+    offer.className = 'upscale-offer';
+    offer.innerHTML = `
+        <i class="fas fa-exclamation-triangle"></i>
+        <span>This image is only ${imageObject.img.naturalWidth}×${imageObject.img.naturalHeight} px and may print blurry at this size.</span>
+        <button class="upscale-offer-accept"><i class="fas fa-magic"></i> Enhance</button>
+        <button class="upscale-offer-dismiss" aria-label="Dismiss"><i class="fas fa-times"></i></button>
+    `;
+    document.body.appendChild(offer);
+
+    const dismiss = () => {
+        clearTimeout(timer);
+        offer.remove();
+    };
+    const timer = setTimeout(dismiss, UPSCALE_OFFER_DURATION);
+
+    offer.querySelector('.upscale-offer-dismiss').addEventListener('click', dismiss);
+
+    const acceptBtn = offer.querySelector('.upscale-offer-accept');
+    acceptBtn.addEventListener('click', async () => {
+        clearTimeout(timer);
+        // The picture may have been deleted while the offer was showing
+        if (!canvasData.objects.includes(imageObject)) {
+            dismiss();
+            return;
+        }
+
+        acceptBtn.disabled = true;
+        acceptBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Enhancing...';
+        try {
+            const result = await enhanceImageResolution(imageObject);
+            if (result) showToast(`Resolution enhanced ${result.scale}× (Ctrl+Z to undo)`);
+        } catch (error) {
+            console.error('Error upscaling image:', error);
+            showToast(`Could not enhance resolution: ${error.message}`);
+        } finally {
+            dismiss();
+        }
+    });
+}
+
+/**
+ * Set up the "Generate variations" section of the photo edit overlay
+ * @param {Object} photoObject - The photo being edited
+ * @param {HTMLElement} panel - The photo edit panel
+ */
+function setupVariationControls(photoObject, panel) {
+    const toggle = panel.querySelector('.variations-toggle');
+    const content = panel.querySelector('.variations-content');
+    const promptInput = panel.querySelector('.variation-prompt');
+    const strengthSlider = panel.querySelector('.variation-strength');
+    const countSelect = panel.querySelector('.variation-count');
+    const runBtn = panel.querySelector('.variation-run');
+    const status = panel.querySelector('.variation-status');
+    const results = panel.querySelector('.variation-results');
+    let controller = null;
+
+    toggle.addEventListener('click', () => {
+        toggle.classList.toggle('open');
+        content.classList.toggle('open');
+    });
+
+    strengthSlider.addEventListener('input', () => {
+        strengthSlider.nextElementSibling.textContent = `${strengthSlider.value}%`;
+    });
+
+    const setRunning = (running) => {
+        runBtn.innerHTML = running
+            ? '<i class="fas fa-times"></i> Cancel'
+            : '<i class="fas fa-magic"></i> Generate';
+        promptInput.disabled = running;
+    };
+
+    const showResults = (photos) => {
+        results.innerHTML = '';
+        photos.forEach((photo, index) => {
+            const item = document.createElement('div');
+            item.className = 'variation-result';
+            item.innerHTML = `
+                <img alt="Variation ${index + 1}">
+                <div class="variation-actions">
+                    <button class="variation-replace" title="Use instead of the current photo">Replace</button>
+                    <button class="variation-add" title="Add next to the current photo">Add beside</button>
+                </div>
+            `;
+            item.querySelector('img').src = photo;
+
+            item.querySelector('.variation-replace').addEventListener('click', () => {
+                replaceImageObjectSource(photoObject, photo).then(() => {
+                    panel.querySelector('#photo-preview').src = photo;
+                    showToast('Photo replaced with the variation');
+                }).catch(error => showToast(error.message));
+            });
+
+            item.querySelector('.variation-add').addEventListener('click', () => {
+                addImageBeside(photoObject, photo).then(() => {
+                    showToast('Variation added beside the photo');
+                }).catch(error => showToast(`Failed to add variation: ${error.message}`));
+            });
+
+            results.appendChild(item);
+        });
+    };
+
+    runBtn.addEventListener('click', async () => {
+        // A second click cancels the running generation
+        if (controller) {
+            controller.abort();
+            return;
+        }
+
+        const prompt = promptInput.value.trim();
+        if (!prompt) {
+            showToast('Describe how the variations should differ');
+            promptInput.focus();
+            return;
+        }
+
+        let image;
+        try {
+            image = exportImageObject(photoObject);
+        } catch (error) {
+            // Pictures from other sites without CORS headers can't be read back
+            console.error('Could not export photo for variations:', error);
+            showToast('This photo can\'t be sent to the AI server');
+            return;
+        }
+
+        controller = new AbortController();
+        setRunning(true);
+        status.textContent = 'Starting...';
+        results.innerHTML = '';
+
+        try {
+            const { generateVariations } = await import('./ai-integration.js');
+            const { photos } = await generateVariations(image, prompt, {
+                strength: Number(strengthSlider.value) / 100,
+                params: {
+                    count: Number(countSelect.value),
+                    aspectRatio: photoObject.img.naturalWidth / photoObject.img.naturalHeight
+                },
+                signal: controller.signal,
+                onProgress: (progress, message) => {
+                    status.textContent = `${message || 'Generating'} (${Math.round((progress || 0) * 100)}%)`;
+                }
+            });
+
+            status.textContent = photos.length > 1 ? 'Pick a variation:' : '';
+            showResults(photos);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                status.textContent = 'Cancelled';
+            } else {
+                console.error('Error generating variations:', error);
+                status.textContent = error.message;
+            }
+        } finally {
+            controller = null;
+            setRunning(false);
+        }
+    });
+}
+
+/**
+ * Create photo edit overlay for the selected photo
+ * @param {Object} photoObject - The photo object to edit
+ */
+function createPhotoEditOverlay(photoObject) {
+    // Create a floating panel
+    const panel = document.createElement('div');
+    panel.id = 'photo-edit-panel';
+    panel.className = 'floating-panel';
+
+    // Create header
+    const header = document.createElement('div');
+    header.className = 'panel-header';
+    header.innerHTML = `
+        <h3>Edit Photo</h3>
+        <button class="panel-close" aria-label="Close Panel">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+
+    // Create content
+    const content = document.createElement('div');
+    content.className = 'panel-content';
+    content.innerHTML = `
+        <div class="section-title">
+            <h3>Photo Editor</h3>
+            <p>Customize your photo appearance</p>
+        </div>
+        <div class="preview-container">
+            <img id="photo-preview" alt="Photo Preview">
+        </div>
+        <div class="photo-edit-options">
+            <div class="crop-container">
+                <button class="crop-button">
+                    <i class="fas fa-crop"></i> Crop Photo
+                </button>
+            </div>
+            <div class="adjustment-controls">
+                <div class="adjustment-dropdown">
+                    <button class="adjustment-toggle">
+                        <i class="fas fa-sliders-h"></i> Adjust <i class="fas fa-chevron-down toggle-icon"></i>
+                    </button>
+                    <div class="adjustment-content">
+                        <div class="slider-container">
+                            <label>Brightness</label>
+                            <input type="range" min="0" max="200" value="100" class="brightness-slider">
+                            <span class="slider-value">100%</span>
+                        </div>
+                        <div class="slider-container">
+                            <label>Contrast</label>
+                            <input type="range" min="0" max="200" value="100" class="contrast-slider">
+                            <span class="slider-value">100%</span>
+                        </div>
+                        <div class="slider-container">
+                            <label>Exposure</label>
+                            <input type="range" min="0" max="200" value="100" class="exposure-slider">
+                            <span class="slider-value">100%</span>
+                        </div>
+                        <div class="slider-container">
+                            <label>Shadows</label>
+                            <input type="range" min="0" max="200" value="100" class="shadows-slider">
+                            <span class="slider-value">100%</span>
+                        </div>
+                        <div class="slider-container">
+                            <label>Highlights</label>
+                            <input type="range" min="0" max="200" value="100" class="highlights-slider">
+                            <span class="slider-value">100%</span>
+                        </div>
+                        <div class="slider-container">
+                            <label>Saturation</label>
+                            <input type="range" min="0" max="200" value="100" class="saturation-slider">
+                            <span class="slider-value">100%</span>
+                        </div>
+                        <div class="slider-container">
+                            <label>Temperature</label>
+                            <input type="range" min="0" max="200" value="100" class="temperature-slider">
+                            <span class="slider-value">100%</span>
+                        </div>
+                        <div class="slider-container">
+                            <label>Sharpness</label>
+                            <input type="range" min="0" max="200" value="100" class="sharpness-slider">
+                            <span class="slider-value">100%</span>
+                        </div>
+                    </div>
+                </div>
+                <div class="adjustment-dropdown">
+                    <button class="filters-toggle">
+                        <i class="fas fa-magic"></i> Filters <i class="fas fa-chevron-down toggle-icon"></i>
+                    </button>
+                    <div class="filters-content">
+                        <div class="filter-options">
+                            <div class="filter-option" data-filter="none">
+                                <div class="filter-preview">Original</div>
+                                <span>None</span>
+                            </div>
+                            <div class="filter-option" data-filter="vintage">
+                                <div class="filter-preview filter-vintage"></div>
+                                <span>Vintage</span>
+                            </div>
+                            <div class="filter-option" data-filter="bw">
+                                <div class="filter-preview filter-bw"></div>
+                                <span>B&W</span>
+                            </div>
+                            <div class="filter-option" data-filter="hdr">
+                                <div class="filter-preview filter-hdr"></div>
+                                <span>HDR</span>
+                            </div>
+                            <div class="filter-option" data-filter="cinematic">
+                                <div class="filter-preview filter-cinematic"></div>
+                                <span>Cinematic</span>
+                            </div>
+                            <div class="filter-option" data-filter="retro">
+                                <div class="filter-preview filter-retro"></div>
+                                <span>Retro</span>
+                            </div>
+                            <div class="filter-option" data-filter="film">
+                                <div class="filter-preview filter-film"></div>
+                                <span>Film</span>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            ${getAppearanceControlsHTML(photoObject)}
+            <div class="enhancement-buttons">
+                <button class="enhance-resolution">
+                    <i class="fas fa-magic"></i> Enhance Resolution
+                </button>
+                <button class="remove-background">
+                    <i class="fas fa-cut"></i> Remove Background
+                </button>
+                <button class="mask-edit-button">
+                    <i class="fas fa-paint-brush"></i> AI Erase & Extend
+                </button>
+                <button class="convert-vector">
+                    <i class="fas fa-bezier-curve"></i> Convert to Vector
+                </button>
+            </div>
+            <div class="variation-controls">
+                <button class="variations-toggle">
+                    <i class="fas fa-clone"></i> Generate Variations <i class="fas fa-chevron-down toggle-icon"></i>
+                </button>
+                <div class="variations-content">
+                    <textarea class="variation-prompt" rows="2" placeholder="How should it change? (e.g. 'more vintage, faded colors')"></textarea>
+                    <div class="slider-container variation-slider">
+                        <label>Strength</label>
+                        <input type="range" min="10" max="90" value="50" class="variation-strength">
+                        <span class="slider-value">50%</span>
+                    </div>
+                    <div class="variation-row">
+                        <label>Images
+                            <select class="variation-count">
+                                <option value="1">1</option>
+                                <option value="2" selected>2</option>
+                                <option value="3">3</option>
+                                <option value="4">4</option>
+                            </select>
+                        </label>
+                        <button class="variation-run">
+                            <i class="fas fa-magic"></i> Generate
+                        </button>
+                    </div>
+                    <p class="variation-status" aria-live="polite"></p>
+                    <div class="variation-results"></div>
+                </div>
+            </div>
+            <div class="photo-edit-buttons">
+                <button class="photo-edit-reset">Reset</button>
+                <button class="photo-edit-cancel">Cancel</button>
+                <button class="photo-edit-save">Save Changes</button>
+            </div>
+        </div>
+    `;
+
+    // Add to panel
+    panel.appendChild(header);
+    panel.appendChild(content);
+
+    // Add to document body
+    document.body.appendChild(panel);
+
+    // Position the panel
+    positionFloatingPanel(panel, { left: 100 });
+
+    // Store original values
+    const originalFilters = photoObject.currentFilters || '';
+    const originalImg = photoObject.img;
+    const restoreAppearance = bindAppearanceControls(panel, photoObject);
+
+    // Setup preview
+    const previewImg = panel.querySelector('#photo-preview');
+    const previewContainer = panel.querySelector('.preview-container');
+    
+    // Set the photo container to match the AI preview dimensions - exactly 1024x1024
+    previewContainer.style.width = '100%';
+    previewContainer.style.maxWidth = '1024px';
+    previewContainer.style.aspectRatio = '1/1';
+    previewContainer.style.height = 'auto';
+    previewContainer.style.margin = '0 auto';
+    previewContainer.style.position = 'relative';
+    previewContainer.style.overflow = 'auto';
     
-    if (clickedObject && clickedObject.type === 'text') {
-        // Use the existing panel if it exists
-        const existingPanel = document.getElementById('text-edit-panel');
-        if (existingPanel) {
-            // Set up the existing panel for editing
-            const textInput = existingPanel.querySelector('.text-edit-input');
-            const fontSelect = existingPanel.querySelector('#font-select');
-            const colorOptions = existingPanel.querySelectorAll('.color-option');
+    // Set the image styles to match AI preview
+    previewImg.style.width = '100%';
+    previewImg.style.height = '100%';
+    previewImg.style.objectFit = 'cover';
+    previewImg.style.maxWidth = '1024px';
+    previewImg.style.maxHeight = '1024px';
+    previewImg.style.borderRadius = '0';
+    previewImg.src = photoObject.img.src;
+    
+    // If the image already has filters, apply them to the preview
+    if (photoObject.currentFilters) {
+        previewImg.style.filter = photoObject.currentFilters;
+        
+        // Parse existing filter values to set slider positions
+        // This will handle cases where the image already has filters applied
+        try {
+            const filterValues = {};
+            const filterRegex = /(brightness|contrast|saturate|drop-shadow|)\(([^)]+)\)/g;
+            let match;
             
-            // Set the text value
-            if (textInput) {
-                textInput.value = clickedObject.text || '';
-            }
+            // Always leave UI sliders at default positions (100%)
+            // This ensures the UI stays at neutral while still applying the enhanced filters
             
-            // Select the correct font
-            if (fontSelect) {
-                for (let i = 0; i < fontSelect.options.length; i++) {
-                    if (fontSelect.options[i].value === clickedObject.font) {
-                        fontSelect.selectedIndex = i;
-                        break;
-                    }
-                }
-            }
+            // Applied filter settings are managed internally in updatePhotoFilters
+            // which now automatically adds the base enhancement filter
             
-            // Select the correct color
-            if (colorOptions.length > 0) {
-                colorOptions.forEach(option => {
-                    option.classList.remove('active');
-                    if (option.getAttribute('data-color') === clickedObject.color) {
-                        option.classList.add('active');
+            // Initialize with default filter settings when first opening
+            updatePhotoFilters(photoObject, panel);
+            
+            while ((match = filterRegex.exec(photoObject.currentFilters)) !== null) {
+                if (match[1] === 'brightness') {
+                    const value = parseInt(match[2]);
+                    if (!isNaN(value)) filterValues.brightness = value;
+                } else if (match[1] === 'contrast') {
+                    const value = parseInt(match[2]);
+                    if (!isNaN(value)) filterValues.contrast = value;
+                } else if (match[1] === 'saturate') {
+                    const value = parseInt(match[2]);
+                    if (!isNaN(value)) filterValues.saturation = value;
+                } else if (match[1] === 'drop-shadow') {
+                    // Extract shadow size from the drop-shadow filter
+                    const shadowParts = match[2].split(' ');
+                    if (shadowParts.length >= 3) {
+                        const shadowSize = parseInt(shadowParts[2]);
+                        if (!isNaN(shadowSize)) filterValues.shadows = shadowSize;
                     }
-                });
+                }
             }
             
-            // Store original values
-            const originalText = clickedObject.text;
-            const originalColor = clickedObject.color;
-            const originalFont = clickedObject.font;
-            const originalWidth = clickedObject.width;
-            const originalHeight = clickedObject.height;
-            const originalLeft = clickedObject.left;
-            const originalTop = clickedObject.top;
-            
-            // Show the panel
-            existingPanel.classList.add('active');
+            // Keep UI at defaults, enhancements apply automatically
+            // Don't update UI sliders with parsed values
+        } catch (e) {
+            console.warn('Error parsing filters:', e);
+        }
+    } else {
+        // For new images with no filters yet, initialize with default enhancement
+        updatePhotoFilters(photoObject, panel);
+    }
+
+    // Setup adjustment dropdown toggle
+    const adjustmentToggle = panel.querySelector('.adjustment-toggle');
+    const adjustmentContent = panel.querySelector('.adjustment-content');
+    
+    adjustmentToggle.addEventListener('click', () => {
+        adjustmentToggle.classList.toggle('open');
+        adjustmentContent.classList.toggle('open');
+    });
+    
+    // Setup filters dropdown toggle
+    const filtersToggle = panel.querySelector('.filters-toggle');
+    const filtersContent = panel.querySelector('.filters-content');
+    
+    filtersToggle.addEventListener('click', () => {
+        filtersToggle.classList.toggle('open');
+        filtersContent.classList.toggle('open');
+    });
+    
+    // Setup filter options
+    const filterOptions = panel.querySelectorAll('.filter-option');
+    
+    // Apply the actual photo to filter previews
+    filterOptions.forEach(option => {
+        const filterType = option.dataset.filter;
+        const previewDiv = option.querySelector('.filter-preview');
+        
+        if (previewDiv && filterType !== 'none') {
+            // Create preview with the actual photo
+            const previewImg = document.createElement('img');
+            previewImg.src = photoObject.img.src;
+            previewImg.style.width = '100%';
+            previewImg.style.height = '100%';
+            previewImg.style.objectFit = 'cover';
             
-            // Update text object when text input changes
-            if (textInput) {
-                // Remove existing event listeners by cloning
-                const newTextInput = textInput.cloneNode(true);
-                textInput.parentNode.replaceChild(newTextInput, textInput);
-                
-                // Add new event listener
-                newTextInput.addEventListener('input', () => {
-                    const newText = newTextInput.value;
-                    clickedObject.text = newText;
-                
-                    // Calculate new text width based on current text
-                    const tempCanvas = document.createElement('canvas');
-                    const tempCtx = tempCanvas.getContext('2d');
-                    tempCtx.font = `bold ${clickedObject.fontSize}px "${clickedObject.font || 'Arial'}"`;
-                    const textMetrics = tempCtx.measureText(newText);
-                    
-                    // Store new dimensions
-                    const newWidth = newText ? textMetrics.width : originalWidth;
-                    const newHeight = clickedObject.fontSize * 1.2;
-                    
-                    // Keep the center position stable
-                    const originalCenter = {
-                        x: originalLeft + originalWidth / 2,
-                        y: originalTop + originalHeight / 2
-                    };
-                    
-                    clickedObject.left = originalCenter.x - newWidth / 2;
-                    clickedObject.top = originalCenter.y - newHeight / 2;
-                    clickedObject.width = newWidth;
-                    clickedObject.height = newHeight;
-                    
-                    // Update the texture and transform controls
-                    updateShirt3DTexture();
-                });
+            // Apply the filter
+            switch (filterType) {
+                case 'vintage':
+                    previewImg.style.filter = 'sepia(50%) saturate(150%) contrast(120%)';
+                    break;
+                case 'bw':
+                    previewImg.style.filter = 'grayscale(100%) contrast(120%)';
+                    break;
+                case 'hdr':
+                    previewImg.style.filter = 'contrast(150%) saturate(140%) brightness(110%)';
+                    break;
+                case 'cinematic':
+                    previewImg.style.filter = 'contrast(130%) saturate(90%) brightness(90%) sepia(30%)';
+                    break;
+                case 'retro':
+                    previewImg.style.filter = 'sepia(60%) hue-rotate(-20deg) saturate(90%) brightness(105%)';
+                    break;
+                case 'film':
+                    previewImg.style.filter = 'contrast(110%) brightness(110%) sepia(30%) saturate(130%)';
+                    break;
             }
             
-            // Handle save button
-            const saveButton = existingPanel.querySelector('.text-edit-save');
-            if (saveButton) {
-                // Remove existing event listeners by cloning
-                const newSaveButton = saveButton.cloneNode(true);
-                saveButton.parentNode.replaceChild(newSaveButton, saveButton);
-                
-                newSaveButton.addEventListener('click', () => {
-                    const newText = textInput.value.trim();
-                    if (newText) {
-                        // Get selected color
-                        const activeColor = existingPanel.querySelector('.color-option.active');
-                        const color = activeColor ? activeColor.getAttribute('data-color') : originalColor;
-                        
-                        // Get selected font
-                        const fontSelect = existingPanel.querySelector('#font-select');
-                        const font = fontSelect ? fontSelect.value : originalFont;
-                        
-                        // Update text object
-                        clickedObject.text = newText;
-                        clickedObject.color = color;
-                        clickedObject.font = font;
-                        
-                        // Calculate new dimensions
-                        const tempCanvas = document.createElement('canvas');
-                        const tempCtx = tempCanvas.getContext('2d');
-                        tempCtx.font = `bold ${clickedObject.fontSize}px "${font}"`;
-                        const textMetrics = tempCtx.measureText(newText);
-                        
-                        // Update dimensions
-                        clickedObject.width = textMetrics.width;
-                        clickedObject.height = clickedObject.fontSize * 1.2;
-                        
-                        // Keep center position
-                        const center = {
-                            x: originalLeft + originalWidth / 2,
-                            y: originalTop + originalHeight / 2
-                        };
-                        
-                        clickedObject.left = center.x - clickedObject.width / 2;
-                        clickedObject.top = center.y - clickedObject.height / 2;
-                        
-                        // Update the texture
-                        updateShirt3DTexture();
-                        
-                        // Close the panel
-                        existingPanel.classList.remove('active');
-                        
-                        // Show success message
-                        showToast('Text updated successfully');
-                    } else {
-                        showToast('Text cannot be empty');
-                    }
-                });
-            }
+            // Clear existing content and add the image
+            previewDiv.innerHTML = '';
+            previewDiv.appendChild(previewImg);
+        } else if (filterType === 'none' && previewDiv) {
+            // For "none" filter option, show the original image
+            const previewImg = document.createElement('img');
+            previewImg.src = photoObject.img.src;
+            previewImg.style.width = '100%';
+            previewImg.style.height = '100%';
+            previewImg.style.objectFit = 'cover';
             
-            // Handle cancel button
-            const cancelButton = existingPanel.querySelector('.text-edit-cancel');
-            if (cancelButton) {
-                // Remove existing event listeners by cloning
-                const newCancelButton = cancelButton.cloneNode(true);
-                cancelButton.parentNode.replaceChild(newCancelButton, cancelButton);
-                
-                newCancelButton.addEventListener('click', () => {
-                    // Restore original values
-                    clickedObject.text = originalText;
-                    clickedObject.color = originalColor;
-                    clickedObject.font = originalFont;
-                    clickedObject.width = originalWidth;
-                    clickedObject.height = originalHeight;
-                    clickedObject.left = originalLeft;
-                    clickedObject.top = originalTop;
-                    
-                    // Update the texture
-                    updateShirt3DTexture();
-                    
-                    // Close the panel
-                    existingPanel.classList.remove('active');
-                });
-            }
+            // Clear existing content and add the image
+            previewDiv.innerHTML = '';
+            previewDiv.appendChild(previewImg);
+        }
+        
+        option.addEventListener('click', () => {
+            // Remove active class from all options
+            filterOptions.forEach(opt => opt.classList.remove('active'));
             
-            // Handle close button
-            const closeButton = existingPanel.querySelector('.panel-close');
-            if (closeButton) {
-                closeButton.addEventListener('click', () => {
-                    // Close the panel
-                    existingPanel.classList.remove('active');
-                });
-            }
-        } else {
-            // Create a new text edit overlay if panel doesn't exist
-            const textEditOverlay = createTextEditOverlay(clickedObject.text, clickedObject.color, clickedObject.font);
+            // Add active class to clicked option
+            option.classList.add('active');
             
-            if (textEditOverlay) {
-                const textInput = textEditOverlay.querySelector('.text-edit-input');
-                const fontSelect = textEditOverlay.querySelector('#font-select');
-                const colorOptions = textEditOverlay.querySelectorAll('.color-option');
-                const saveBtn = textEditOverlay.querySelector('.text-edit-save');
-                const cancelBtn = textEditOverlay.querySelector('.text-edit-cancel');
-                const closeBtn = textEditOverlay.querySelector('.panel-close');
-                const errorMsg = document.createElement('div');
-                
-                // Create error message element
-                errorMsg.className = 'text-edit-error';
-                errorMsg.style.color = 'red';
-                errorMsg.style.marginTop = '8px';
-                errorMsg.style.fontSize = '14px';
-                errorMsg.style.display = 'none';
-                errorMsg.textContent = 'Text cannot be empty!';
-                
-                // Insert error message before buttons
-                const buttonsContainer = textEditOverlay.querySelector('.text-edit-buttons');
-                buttonsContainer.parentNode.insertBefore(errorMsg, buttonsContainer);
-                
-                // Store original values
-                const originalText = clickedObject.text;
-                const originalColor = clickedObject.color;
-                const originalFont = clickedObject.font;
-                const originalWidth = clickedObject.width;
-                const originalHeight = clickedObject.height;
-                const originalLeft = clickedObject.left;
-                const originalTop = clickedObject.top;
-                const originalCenter = {
-                    x: originalLeft + originalWidth / 2,
-                    y: originalTop + originalHeight / 2
-                };
-                
-                // Handle save button
-                if (saveBtn) {
-                    saveBtn.addEventListener('click', () => {
-                        const newText = textInput.value.trim();
-                        if (newText) {
-                            // Get selected color
-                            const activeColor = textEditOverlay.querySelector('.color-option.active');
-                            const color = activeColor ? activeColor.getAttribute('data-color') : originalColor;
-                            
-                            // Get selected font
-                            const font = fontSelect ? fontSelect.value : originalFont;
-                            
-                            // Update text object
-                            clickedObject.text = newText;
-                            clickedObject.color = color;
-                            clickedObject.font = font;
-                            
-                            // Calculate new dimensions
-                            const tempCanvas = document.createElement('canvas');
-                            const tempCtx = tempCanvas.getContext('2d');
-                            tempCtx.font = `bold ${clickedObject.fontSize}px "${font}"`;
-                            const textMetrics = tempCtx.measureText(newText);
-                            
-                            // Update dimensions
-                            clickedObject.width = textMetrics.width;
-                            clickedObject.height = clickedObject.fontSize * 1.2;
-                            
-                            // Keep center position
-                            clickedObject.left = originalCenter.x - clickedObject.width / 2;
-                            clickedObject.top = originalCenter.y - clickedObject.height / 2;
-                            
-                            // Update the texture
-                            updateShirt3DTexture();
-                            
-                            // Remove the overlay
-                            textEditOverlay.remove();
-                            
-                            // Show success message
-                            showToast('Text updated successfully');
-                        } else {
-                            errorMsg.style.display = 'block';
-                        }
-                    });
-                }
-                
-                // Handle cancel button
-                if (cancelBtn) {
-                    cancelBtn.addEventListener('click', () => {
-                        // Restore original values
-                        clickedObject.text = originalText;
-                        clickedObject.color = originalColor;
-                        clickedObject.font = originalFont;
-                        clickedObject.width = originalWidth;
-                        clickedObject.height = originalHeight;
-                        clickedObject.left = originalLeft;
-                        clickedObject.top = originalTop;
-                        
-                        // Update the texture
-                        updateShirt3DTexture();
-                        
-                        // Remove the overlay
-                        textEditOverlay.remove();
-                    });
-                }
-                
-                // Handle close button
-                if (closeBtn) {
-                    closeBtn.addEventListener('click', () => {
-                        // Remove the overlay
-                        textEditOverlay.remove();
-                    });
-                }
-            }
+            // Update filters
+            updatePhotoFilters(photoObject, panel);
+        });
+    });
+    
+    // Set the "None" filter as active by default
+    const noneFilter = panel.querySelector('.filter-option[data-filter="none"]');
+    if (noneFilter) {
+        noneFilter.classList.add('active');
+    }
+    
+    // Setup sliders
+    const sliders = panel.querySelectorAll('.slider-container input[type="range"]');
+    sliders.forEach(slider => {
+        const valueDisplay = slider.nextElementSibling;
+        slider.addEventListener('input', () => {
+            valueDisplay.textContent = `${slider.value}%`;
+            updatePhotoFilters(photoObject, panel);
+        });
+    });
+
+    // Setup buttons
+    const closeBtn = panel.querySelector('.panel-close');
+    const cancelBtn = panel.querySelector('.photo-edit-cancel');
+    const resetBtn = panel.querySelector('.photo-edit-reset');
+    const saveBtn = panel.querySelector('.photo-edit-save');
+    const cropBtn = panel.querySelector('.crop-button');
+    const enhanceBtn = panel.querySelector('.enhance-resolution');
+    const removeBgBtn = panel.querySelector('.remove-background');
+    const maskEditBtn = panel.querySelector('.mask-edit-button');
+    const convertVectorBtn = panel.querySelector('.convert-vector');
+
+    // Handle close/cancel
+    const closePanel = () => {
+        // Clear any update timer
+        if (photoObject._updateTimer) {
+            clearTimeout(photoObject._updateTimer);
+            photoObject._updateTimer = null;
+        }
+        
+        // Clear any temporary filters
+        if (photoObject._tempFilters) {
+            delete photoObject._tempFilters;
         }
-    } else if (clickedObject && clickedObject.type === 'shape') {
-        console.log('Shape double-clicked:', clickedObject);
         
-        // Check if there's an existing shape edit panel
-        const existingPanel = document.getElementById('shape-edit-panel');
+        // Restore original state
+        photoObject.currentFilters = originalFilters;
+        restoreAppearance();
         
-        if (existingPanel) {
-            // Set up the existing panel for editing
-            const colorOptions = existingPanel.querySelectorAll('.color-option');
-            
-            // Select the correct color
-            if (colorOptions.length > 0) {
-                colorOptions.forEach(option => {
-                    option.classList.remove('active');
-                    if (option.getAttribute('data-color') === clickedObject.color) {
-                        option.classList.add('active');
-                    }
-                });
-            }
-            
-            // Store original values
-            const originalColor = clickedObject.color;
-            
-            // Show the panel
-            existingPanel.classList.add('active');
-            
-            // Handle color selection
-            colorOptions.forEach(option => {
-                // Remove existing event listeners by cloning
-                const newOption = option.cloneNode(true);
-                option.parentNode.replaceChild(newOption, option);
-                
-                // Add new event listener
-                newOption.addEventListener('click', () => {
-                    colorOptions.forEach(opt => opt.classList.remove('active'));
-                    newOption.classList.add('active');
-                    clickedObject.color = newOption.getAttribute('data-color');
-                    updateShirt3DTexture();
-                });
-            });
+        // Update the texture with original state
+        updateShirt3DTexture();
+        
+        // Remove the panel directly rather than just hiding it
+        panel.remove();
+    };
+
+    closeBtn.addEventListener('click', closePanel);
+    cancelBtn.addEventListener('click', closePanel);
+
+    // Handle reset
+    resetBtn.addEventListener('click', () => {
+        // Back to fully opaque and normal blending
+        panel.querySelector('.appearance-blend').value = 'normal';
+        const opacityInput = panel.querySelector('.appearance-opacity');
+        opacityInput.value = 100;
+        opacityInput.dispatchEvent(new Event('input'));
+
+        // Reset all sliders to 100%
+        sliders.forEach(slider => {
+            slider.value = 100;
+            slider.nextElementSibling.textContent = '100%';
+        });
+        
+        // Reset filter selection
+        const filterOptions = panel.querySelectorAll('.filter-option');
+        filterOptions.forEach(opt => opt.classList.remove('active'));
+        
+        // Activate the 'none' filter
+        const noneFilter = panel.querySelector('.filter-option[data-filter="none"]');
+        if (noneFilter) {
+            noneFilter.classList.add('active');
+        }
+        
+        // Instead of clearing filters completely, reset to default enhancement filter
+        // Apply the base enhancement filter
+        updatePhotoFilters(photoObject, panel);
+        
+        // Update the texture to show reset state
+        updateShirt3DTexture();
+    });
+
+    // Handle save
+    saveBtn.addEventListener('click', () => {
+        // Clear update timer
+        if (photoObject._updateTimer) {
+            clearTimeout(photoObject._updateTimer);
+            photoObject._updateTimer = null;
+        }
+        
+        // Apply the temporary filters permanently
+        if (photoObject._tempFilters) {
+            photoObject.currentFilters = photoObject._tempFilters;
+            delete photoObject._tempFilters;
             
-            // Handle save button
-            const saveBtn = existingPanel.querySelector('.text-edit-save');
-            if (saveBtn) {
-                // Remove existing event listeners by cloning
-                const newSaveBtn = saveBtn.cloneNode(true);
-                saveBtn.parentNode.replaceChild(newSaveBtn, saveBtn);
-                
-                // Add new event listener
-                newSaveBtn.addEventListener('click', () => {
-                    // Update the object and hide panel
-                    updateShirt3DTexture();
-                    existingPanel.classList.remove('active');
-                });
+            // Store original image if not already stored
+            if (!photoObject.originalImg && photoObject.img) {
+                photoObject.originalImg = photoObject.img.cloneNode(true);
             }
-            
-            // Handle cancel button
-            const cancelBtn = existingPanel.querySelector('.text-edit-cancel');
-            if (cancelBtn) {
-                // Remove existing event listeners by cloning
-                const newCancelBtn = cancelBtn.cloneNode(true);
-                cancelBtn.parentNode.replaceChild(newCancelBtn, cancelBtn);
-                
-                // Add new event listener
-                newCancelBtn.addEventListener('click', () => {
-                    // Restore original values
-                    clickedObject.color = originalColor;
-                    
-                    updateShirt3DTexture();
-                    existingPanel.classList.remove('active');
-                });
+        }
+        
+        // Save the current state for undo/redo functionality
+        saveCurrentState();
+        
+        // Update the texture one last time
+        updateShirt3DTexture();
+        
+        // Remove the panel directly
+        panel.remove();
+    });
+
+    // Handle crop
+    cropBtn.addEventListener('click', () => {
+        // Pass the panel to createCropPanel 
+        createCropPanel(photoObject, panel);
+    });
+
+    // Handle AI erase & extend
+    maskEditBtn.addEventListener('click', () => {
+        createMaskPanel(photoObject, panel);
+    });
+
+    // Handle convert to vector
+    convertVectorBtn.addEventListener('click', () => {
+        createTracePanel(photoObject, panel);
+    });
+
+    // Handle enhance resolution
+    enhanceBtn.addEventListener('click', async () => {
+        if (enhanceBtn.disabled) return;
+
+        const { getEffectiveResolution } = await import('./upscaling.js');
+        if (getEffectiveResolution(photoObject) === Infinity) {
+            showToast('Vector images stay sharp at any size');
+            return;
+        }
+
+        const label = enhanceBtn.innerHTML;
+        enhanceBtn.disabled = true;
+        enhanceBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Enhancing...';
+
+        try {
+            const result = await enhanceImageResolution(photoObject);
+            if (!result) {
+                showToast('This photo is already at the largest size');
+                return;
             }
-            
-            // Handle close button
-            const closeBtn = existingPanel.querySelector('.panel-close');
-            if (closeBtn) {
-                // Remove existing event listeners by cloning
-                const newCloseBtn = closeBtn.cloneNode(true);
-                closeBtn.parentNode.replaceChild(newCloseBtn, closeBtn);
-                
-                // Add new event listener
-                newCloseBtn.addEventListener('click', () => {
-                    // Restore original values
-                    clickedObject.color = originalColor;
-                    
-                    updateShirt3DTexture();
-                    existingPanel.classList.remove('active');
-                });
+
+            const previewImg = panel.querySelector('#photo-preview');
+            if (previewImg) previewImg.src = photoObject.src;
+            showToast(`Resolution enhanced ${result.scale}× (Ctrl+Z to undo)`);
+        } catch (error) {
+            console.error('Error upscaling image:', error);
+            showToast(`Could not enhance resolution: ${error.message}`);
+        } finally {
+            enhanceBtn.disabled = false;
+            enhanceBtn.innerHTML = label;
+        }
+    });
+
+    // Handle remove background
+    removeBgBtn.addEventListener('click', async () => {
+        if (removeBgBtn.disabled) return;
+
+        const label = removeBgBtn.innerHTML;
+        removeBgBtn.disabled = true;
+        removeBgBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Removing...';
+
+        try {
+            const { removeBackground } = await import('./background-removal.js');
+            const { url, method, removed } = await removeBackground(exportImageObject(photoObject, 2048));
+
+            if (method === 'local' && !removed) {
+                showToast('No solid background found to remove');
+                return;
             }
-            
-            return;
+
+            // Drawn as a decal from now on, the transparency shows the garment through
+            await replaceImageObjectSource(photoObject, url, { metadata: { hasTransparency: true } });
+
+            const previewImg = panel.querySelector('#photo-preview');
+            if (previewImg) previewImg.src = url;
+            showToast('Background removed (Ctrl+Z to undo)');
+        } catch (error) {
+            // Pictures from other sites without CORS headers can't be read back
+            console.error('Error removing background:', error);
+            showToast(`Could not remove background: ${error.message}`);
+        } finally {
+            removeBgBtn.disabled = false;
+            removeBgBtn.innerHTML = label;
+        }
+    });
+
+    setupVariationControls(photoObject, panel);
+
+    // Add event listener to prevent panel from closing when clicking inside
+    panel.addEventListener('click', (e) => {
+        e.stopPropagation();
+    });
+
+    return panel;
+}
+
+/**
+ * Update photo filters based on slider values and preset filters
+ * @param {Object} photoObject - The photo object to update
+ * @param {HTMLElement} panel - The photo edit panel
+ */
+function updatePhotoFilters(photoObject, panel) {
+    // Get slider values
+    const brightness = panel.querySelector('.brightness-slider').value;
+    const contrast = panel.querySelector('.contrast-slider').value;
+    const exposure = panel.querySelector('.exposure-slider').value;
+    const shadows = panel.querySelector('.shadows-slider').value;
+    const highlights = panel.querySelector('.highlights-slider').value;
+    const saturation = panel.querySelector('.saturation-slider').value;
+    const temperature = panel.querySelector('.temperature-slider').value;
+    const sharpness = panel.querySelector('.sharpness-slider').value;
+    
+    // Get active preset filter if any
+    const activeFilter = panel.querySelector('.filter-option.active');
+    let presetFilter = '';
+    
+    if (activeFilter && activeFilter.dataset.filter !== 'none') {
+        switch (activeFilter.dataset.filter) {
+            case 'vintage':
+                presetFilter = 'sepia(50%) saturate(150%) contrast(120%)';
+                break;
+            case 'bw':
+                presetFilter = 'grayscale(100%) contrast(120%)';
+                break;
+            case 'hdr':
+                presetFilter = 'contrast(150%) saturate(140%) brightness(110%)';
+                break;
+            case 'cinematic':
+                presetFilter = 'contrast(130%) saturate(90%) brightness(90%) sepia(30%)';
+                break;
+            case 'retro':
+                presetFilter = 'sepia(60%) hue-rotate(-20deg) saturate(90%) brightness(105%)';
+                break;
+            case 'film':
+                presetFilter = 'contrast(110%) brightness(110%) sepia(30%) saturate(130%)';
+                break;
+        }
+    }
+
+    // Create temperature filter (add blue or orange tint)
+    let tempFilter = '';
+    if (temperature < 100) {
+        // Cooler/blue
+        const blueAmount = 100 - temperature;
+        tempFilter = `hue-rotate(${blueAmount * 0.3}deg) saturate(${100 + blueAmount * 0.5}%)`;
+    } else if (temperature > 100) {
+        // Warmer/orange
+        const orangeAmount = temperature - 100;
+        tempFilter = `hue-rotate(-${orangeAmount * 0.3}deg) saturate(${100 + orangeAmount * 0.5}%)`;
+    }
+    
+    // Create sharpness filter
+    let sharpnessFilter = '';
+    if (sharpness > 100) {
+        const amount = (sharpness - 100) / 10;
+        // Sharpen using a combination of contrast and brightness
+        sharpnessFilter = `contrast(${100 + amount * 2}%) brightness(${100 + amount}%)`;
+    }
+
+    // Create exposure filter
+    const exposureFilter = exposure !== 100 ? `brightness(${exposure}%)` : '';
+    
+    // Create adjustment filters
+    const adjustmentFilters = [
+        `brightness(${brightness}%)`,
+        `contrast(${contrast}%)`,
+        `saturate(${saturation}%)`,
+        `drop-shadow(0 0 ${shadows}px rgba(0,0,0,0.5))`,
+        `brightness(${highlights}%)`,
+        tempFilter,
+        sharpnessFilter,
+        exposureFilter
+    ].filter(f => f !== ''); // Remove empty filters
+
+    // Add base enhancement filter that's always applied (not shown in UI)
+    const baseEnhancementFilter = 'contrast(120%) saturate(130%) brightness(105%)';
+    
+    // Combine preset and adjustment filters
+    const filters = presetFilter ? 
+        [baseEnhancementFilter, presetFilter, ...adjustmentFilters].join(' ') : 
+        [baseEnhancementFilter, ...adjustmentFilters].join(' ');
+
+    // Apply filters to the preview image
+    const previewImg = panel.querySelector('#photo-preview');
+    if (previewImg) {
+        previewImg.style.filter = filters;
+    }
+    
+    // Store filters temporarily on the object
+    photoObject._tempFilters = filters;
+    
+    // Debounce updates to prevent too many renders
+    if (photoObject._updateTimer) {
+        clearTimeout(photoObject._updateTimer);
+    }
+    
+    photoObject._updateTimer = setTimeout(() => {
+        // Update the 3D texture using the proper method
+        updateShirt3DTexture();
+        photoObject._updateTimer = null;
+    }, 50);
+}
+
+// Export the enhanced 3D editor
+export default {
+    init3DEditor,
+    addObject,
+    removeObject,
+    addImage,
+    addText,
+    addShape,
+    clearCanvas,
+    clearObjectsByView,
+    exportCanvasImage,
+    getViewObjects,
+    drawViewArtwork,
+    getObjectPrintSize,
+    alignSelectedObjects,
+    distributeSelectedObjects,
+    groupSelectedObjects,
+    ungroupSelectedObjects,
+    getSelectedObjects,
+    selectLayer,
+    setObjectHidden,
+    setObjectLocked,
+    renameObject,
+    reorderLayers,
+    bringForward,
+    sendBackward,
+    bringToFront,
+    sendToBack,
+    renderObjectThumbnail,
+    toggleEditMode,
+    toggleCameraControls,
+    toggleEditorInteraction,
+    isInEditMode: () => isEditingMode,
+    isEditorLocked: () => isEditingLocked,
+    getCurrentLockedView: () => currentLockedView,
+    toggleSmartPlacement,
+    toggleAutoAdjustment,
+    getLastUsedView,
+    copySelectedObject,
+    pasteObject,
+    deleteSelectedObject,
+    duplicateSelectedObject,
+    centerSelectedObject,
+    undo,
+    redo
+}; 
+
+// Handle adding text from the UI
+async function handleAddText() {
+    try {
+        await add3DText('', { fromButton: true });
+    } catch (error) {
+        if (error !== 'cancelled') {
+            console.error('Error handling text addition:', error);
         }
-        
-        // If no existing panel, create a new one
-        const panel = createShapeEditOverlay(clickedObject);
-        
-        if (panel) {
-            // Store original values
-            const originalColor = clickedObject.color;
-            
-            // Show the panel
-            panel.classList.add('active');
-            
-            // Handle shape option selection
-            const shapeOptions = panel.querySelectorAll('.shape-option');
-            shapeOptions.forEach(option => {
-                if (option.dataset.shape === clickedObject.shapeType) {
-                    option.classList.add('active');
-                }
-                
-                option.addEventListener('click', () => {
-                    shapeOptions.forEach(opt => opt.classList.remove('active'));
-                    option.classList.add('active');
-                    clickedObject.shapeType = option.dataset.shape;
-                    updateShirt3DTexture();
-                });
-            });
-            
-            // Handle color selection
-            const colorOptions = panel.querySelectorAll('.color-option');
-            colorOptions.forEach(option => {
-                if (option.dataset.color === clickedObject.color) {
-                    option.classList.add('active');
-                }
-                
-                option.addEventListener('click', () => {
-                    colorOptions.forEach(opt => opt.classList.remove('active'));
-                    option.classList.add('active');
-                    clickedObject.color = option.dataset.color;
-                    updateShirt3DTexture();
-                });
-            });
-            
-            // Handle save button
-            const saveBtn = panel.querySelector('.text-edit-save');
-            if (saveBtn) {
-                saveBtn.addEventListener('click', () => {
-                    // Update the object and remove panel
-                    updateShirt3DTexture();
-                    panel.remove();
-                });
-            }
-            
-            // Handle cancel button
-            const cancelBtn = panel.querySelector('.text-edit-cancel');
-            if (cancelBtn) {
-                cancelBtn.addEventListener('click', () => {
-                    // Restore original values
-                    clickedObject.color = originalColor;
-                    
-                    updateShirt3DTexture();
-                    panel.remove();
-                });
-            }
-            
-            // Handle close button
-            const closeBtn = panel.querySelector('.panel-close');
-            if (closeBtn) {
-                closeBtn.addEventListener('click', () => {
-                    // Restore original values
-                    clickedObject.color = originalColor;
-                    
-                    updateShirt3DTexture();
-                    panel.remove();
-                });
+    }
+}
+
+// Add helper function to get button position
+function getButtonPosition(buttonSelector) {
+    let button;
+    
+    // Try to find by ID first
+    button = document.getElementById(buttonSelector);
+    
+    // If not found, try by class
+    if (!button) {
+        const buttons = document.querySelectorAll('.model-control-btn');
+        for (const btn of buttons) {
+            if (buttonSelector === 'add-text-btn' && btn.title === 'Add Text') {
+                button = btn;
+                break;
+            } else if (buttonSelector === 'add-shape-btn' && btn.title === 'Add Shape') {
+                button = btn;
+                break;
             }
         }
-    } 
-    // Rest of the function for other object types
+    }
+    
+    if (!button) return null;
+    
+    const rect = button.getBoundingClientRect();
+    
+    // Position the panel to the left of the right-side buttons with some offset
+    return {
+        top: rect.top,
+        left: rect.left - 320, // Position panel 320px to the left of the button
+    };
+}
+
+// Add this function to handle panel positioning
+function positionFloatingPanel(panel, position) {
+    if (!panel) return;
+    
+    // Standard positioning for all panels (ignoring custom position)
+    // This ensures consistent positioning for all panels including crop panel
+    const left = 100; // Fixed left position to match other panels
+    let top = window.innerHeight / 2;
+    
+    panel.style.position = 'fixed';
+    panel.style.top = `${top}px`;
+    panel.style.left = `${left}px`;
+    panel.style.transform = 'translateY(-50%)';
+    panel.style.zIndex = '1000';
+    
+    // Ensure panel stays within viewport
+    setTimeout(() => {
+    const panelRect = panel.getBoundingClientRect();
+    const viewportHeight = window.innerHeight;
+    const viewportWidth = window.innerWidth;
+    
+    if (panelRect.bottom > viewportHeight) {
+        panel.style.top = `${viewportHeight - panelRect.height - 20}px`;
+            panel.style.transform = 'none';
+    }
+    
+    if (panelRect.right > viewportWidth) {
+        panel.style.left = `${viewportWidth - panelRect.width - 20}px`;
+    }
+    }, 0);
+    
+    // Add active class to show the panel
+    panel.classList.add('active');
 }
 
 /**
- * Create photo edit overlay for the selected photo
- * @param {Object} photoObject - The photo object to edit
+ * Creates a floating panel for image cropping
+ * @param {Object} photoObject - The photo object to crop
+ * @param {HTMLElement} parentPanel - The parent panel (photo edit panel)
  */
-function createPhotoEditOverlay(photoObject) {
-    // Create a floating panel
-    const panel = document.createElement('div');
-    panel.id = 'photo-edit-panel';
-    panel.className = 'floating-panel';
-
+function createCropPanel(photoObject, parentPanel) {
+    // Create the crop panel
+    const cropPanel = document.createElement('div');
+    cropPanel.id = 'photo-crop-panel';
+    cropPanel.className = 'floating-panel';
+    
+    // Hide the parent panel when crop panel opens
+    if (parentPanel) {
+        parentPanel.classList.remove('active');
+        parentPanel.style.display = 'none';
+    }
+    
     // Create header
     const header = document.createElement('div');
     header.className = 'panel-header';
     header.innerHTML = `
-        <h3>Edit Photo</h3>
+        <h3>Crop Photo</h3>
         <button class="panel-close" aria-label="Close Panel">
             <i class="fas fa-times"></i>
         </button>
     `;
-
+    
     // Create content
     const content = document.createElement('div');
     content.className = 'panel-content';
+    
+    // Calculate dimensions to maintain aspect ratio
+    const maxWidth = 300;
+    const maxHeight = 300;
+    const aspectRatio = photoObject.img.naturalWidth / photoObject.img.naturalHeight;
+    
+    let previewWidth, previewHeight;
+    if (aspectRatio > 1) {
+        previewWidth = maxWidth;
+        previewHeight = maxWidth / aspectRatio;
+    } else {
+        previewHeight = maxHeight;
+        previewWidth = maxHeight * aspectRatio;
+    }
+    
     content.innerHTML = `
-        <div class="section-title">
-            <h3>Photo Editor</h3>
-            <p>Customize your photo appearance</p>
-        </div>
-        <div class="preview-container">
-            <img id="photo-preview" alt="Photo Preview">
-        </div>
-        <div class="photo-edit-options">
-            <div class="crop-container">
-                <button class="crop-button">
-                    <i class="fas fa-crop"></i> Crop Photo
-                </button>
-            </div>
-            <div class="adjustment-controls">
-                <div class="adjustment-dropdown">
-                    <button class="adjustment-toggle">
-                        <i class="fas fa-sliders-h"></i> Adjust <i class="fas fa-chevron-down toggle-icon"></i>
-                    </button>
-                    <div class="adjustment-content">
-                        <div class="slider-container">
-                            <label>Brightness</label>
-                            <input type="range" min="0" max="200" value="100" class="brightness-slider">
-                            <span class="slider-value">100%</span>
-                        </div>
-                        <div class="slider-container">
-                            <label>Contrast</label>
-                            <input type="range" min="0" max="200" value="100" class="contrast-slider">
-                            <span class="slider-value">100%</span>
-                        </div>
-                        <div class="slider-container">
-                            <label>Exposure</label>
-                            <input type="range" min="0" max="200" value="100" class="exposure-slider">
-                            <span class="slider-value">100%</span>
-                        </div>
-                        <div class="slider-container">
-                            <label>Shadows</label>
-                            <input type="range" min="0" max="200" value="100" class="shadows-slider">
-                            <span class="slider-value">100%</span>
-                        </div>
-                        <div class="slider-container">
-                            <label>Highlights</label>
-                            <input type="range" min="0" max="200" value="100" class="highlights-slider">
-                            <span class="slider-value">100%</span>
-                        </div>
-                        <div class="slider-container">
-                            <label>Saturation</label>
-                            <input type="range" min="0" max="200" value="100" class="saturation-slider">
-                            <span class="slider-value">100%</span>
-                        </div>
-                        <div class="slider-container">
-                            <label>Temperature</label>
-                            <input type="range" min="0" max="200" value="100" class="temperature-slider">
-                            <span class="slider-value">100%</span>
-                        </div>
-                        <div class="slider-container">
-                            <label>Sharpness</label>
-                            <input type="range" min="0" max="200" value="100" class="sharpness-slider">
-                            <span class="slider-value">100%</span>
-                        </div>
-                    </div>
-                </div>
-                <div class="adjustment-dropdown">
-                    <button class="filters-toggle">
-                        <i class="fas fa-magic"></i> Filters <i class="fas fa-chevron-down toggle-icon"></i>
-                    </button>
-                    <div class="filters-content">
-                        <div class="filter-options">
-                            <div class="filter-option" data-filter="none">
-                                <div class="filter-preview">Original</div>
-                                <span>None</span>
-                            </div>
-                            <div class="filter-option" data-filter="vintage">
-                                <div class="filter-preview filter-vintage"></div>
-                                <span>Vintage</span>
-                            </div>
-                            <div class="filter-option" data-filter="bw">
-                                <div class="filter-preview filter-bw"></div>
-                                <span>B&W</span>
-                            </div>
-                            <div class="filter-option" data-filter="hdr">
-                                <div class="filter-preview filter-hdr"></div>
-                                <span>HDR</span>
-                            </div>
-                            <div class="filter-option" data-filter="cinematic">
-                                <div class="filter-preview filter-cinematic"></div>
-                                <span>Cinematic</span>
-                            </div>
-                            <div class="filter-option" data-filter="retro">
-                                <div class="filter-preview filter-retro"></div>
-                                <span>Retro</span>
-                            </div>
-                            <div class="filter-option" data-filter="film">
-                                <div class="filter-preview filter-film"></div>
-                                <span>Film</span>
-                            </div>
-                        </div>
-                    </div>
+        <div class="crop-container" style="width: ${previewWidth}px; height: ${previewHeight}px;">
+            <div class="crop-image-container">
+                <img src="${photoObject.img.src}" class="crop-image" 
+                     style="width: ${previewWidth}px; height: ${previewHeight}px;">
+                <div class="crop-overlay"></div>
+                <div class="crop-box">
+                    <div class="crop-handle top-left"></div>
+                    <div class="crop-handle top-right"></div>
+                    <div class="crop-handle bottom-left"></div>
+                    <div class="crop-handle bottom-right"></div>
                 </div>
             </div>
-            <div class="enhancement-buttons">
-                <button class="enhance-resolution">
-                    <i class="fas fa-magic"></i> Enhance Resolution
-                </button>
-                <button class="remove-background">
-                    <i class="fas fa-cut"></i> Remove Background
-                </button>
-            </div>
-            <div class="photo-edit-buttons">
-                <button class="photo-edit-reset">Reset</button>
-                <button class="photo-edit-cancel">Cancel</button>
-                <button class="photo-edit-save">Save Changes</button>
-            </div>
+        </div>
+        <div class="aspect-ratio-options">
+            <button class="aspect-ratio-btn active" data-ratio="free">Free</button>
+            <button class="aspect-ratio-btn" data-ratio="1:1">1:1</button>
+            <button class="aspect-ratio-btn" data-ratio="4:3">4:3</button>
+            <button class="aspect-ratio-btn" data-ratio="16:9">16:9</button>
+        </div>
+        <div class="crop-actions">
+            <button class="crop-cancel-btn">Cancel</button>
+            <button class="crop-apply-btn">Apply Crop</button>
         </div>
     `;
-
+    
     // Add to panel
-    panel.appendChild(header);
-    panel.appendChild(content);
-
+    cropPanel.appendChild(header);
+    cropPanel.appendChild(content);
+    
     // Add to document body
-    document.body.appendChild(panel);
-
+    document.body.appendChild(cropPanel);
+    
     // Position the panel
-    positionFloatingPanel(panel, { left: 100 });
-
-    // Store original values
-    const originalFilters = photoObject.currentFilters || '';
-    const originalImg = photoObject.img;
-
-    // Setup preview
-    const previewImg = panel.querySelector('#photo-preview');
-    const previewContainer = panel.querySelector('.preview-container');
+    positionFloatingPanel(cropPanel, { 
+        left: parentPanel.offsetLeft + parentPanel.offsetWidth + 20,
+        top: parentPanel.offsetTop
+    });
     
-    // Set the photo container to match the AI preview dimensions - exactly 1024x1024
-    previewContainer.style.width = '100%';
-    previewContainer.style.maxWidth = '1024px';
-    previewContainer.style.aspectRatio = '1/1';
-    previewContainer.style.height = 'auto';
-    previewContainer.style.margin = '0 auto';
-    previewContainer.style.position = 'relative';
-    previewContainer.style.overflow = 'auto';
+    // Show the panel
+    cropPanel.classList.add('active');
     
-    // Set the image styles to match AI preview
-    previewImg.style.width = '100%';
-    previewImg.style.height = '100%';
-    previewImg.style.objectFit = 'cover';
-    previewImg.style.maxWidth = '1024px';
-    previewImg.style.maxHeight = '1024px';
-    previewImg.style.borderRadius = '0';
-    previewImg.src = photoObject.img.src;
+    // Set up crop box functionality
+    const cropBox = cropPanel.querySelector('.crop-box');
+    const cropImage = cropPanel.querySelector('.crop-image');
+    const cropContainer = cropPanel.querySelector('.crop-container');
+    const handles = cropPanel.querySelectorAll('.crop-handle');
+    
+    // Initial crop box to cover the whole image
+    let cropBoxData = {
+        left: 0,
+        top: 0,
+        width: previewWidth,
+        height: previewHeight
+    };
+    
+    // Set initial crop box position
+    updateCropBox();
+    
+    // Set up aspect ratio buttons
+    const aspectBtns = cropPanel.querySelectorAll('.aspect-ratio-btn');
+    let currentAspectRatio = null;
+    
+    aspectBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            aspectBtns.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            
+            const ratio = btn.dataset.ratio;
+            if (ratio === 'free') {
+                currentAspectRatio = null;
+            } else {
+                const [width, height] = ratio.split(':').map(Number);
+                currentAspectRatio = width / height;
+                
+                // Adjust crop box to maintain aspect ratio
+                let newWidth, newHeight;
+                
+                if (cropBoxData.width / cropBoxData.height > currentAspectRatio) {
+                    // Current box is wider than target ratio
+                    newHeight = cropBoxData.height;
+                    newWidth = newHeight * currentAspectRatio;
+                } else {
+                    // Current box is taller than target ratio
+                    newWidth = cropBoxData.width;
+                    newHeight = newWidth / currentAspectRatio;
+                }
+                
+                // Center the crop box
+                cropBoxData.left = (previewWidth - newWidth) / 2;
+                cropBoxData.top = (previewHeight - newHeight) / 2;
+                cropBoxData.width = newWidth;
+                cropBoxData.height = newHeight;
+                
+                updateCropBox();
+            }
+        });
+    });
+    
+    // Handle crop box dragging
+    let isDragging = false;
+    let startX, startY;
+    let dragType = ''; // 'move', 'resize-tl', 'resize-tr', etc.
+    
+    cropBox.addEventListener('mousedown', (e) => {
+        if (e.target === cropBox) {
+            isDragging = true;
+            dragType = 'move';
+            startX = e.clientX;
+            startY = e.clientY;
+            e.preventDefault();
+        }
+    });
+    
+    // Handle resize from corners
+    handles.forEach(handle => {
+        handle.addEventListener('mousedown', (e) => {
+            isDragging = true;
+            dragType = 'resize-' + handle.className.replace('crop-handle ', '');
+            startX = e.clientX;
+            startY = e.clientY;
+            e.preventDefault();
+            e.stopPropagation();
+        });
+    });
     
-    // If the image already has filters, apply them to the preview
-    if (photoObject.currentFilters) {
-        previewImg.style.filter = photoObject.currentFilters;
+    // Handle mouse move for both dragging and resizing
+    document.addEventListener('mousemove', (e) => {
+        if (!isDragging) return;
         
-        // Parse existing filter values to set slider positions
-        // This will handle cases where the image already has filters applied
-        try {
-            const filterValues = {};
-            const filterRegex = /(brightness|contrast|saturate|drop-shadow|)\(([^)]+)\)/g;
-            let match;
+        const deltaX = e.clientX - startX;
+        const deltaY = e.clientY - startY;
+        
+        if (dragType === 'move') {
+            // Move the crop box
+            cropBoxData.left = Math.max(0, Math.min(previewWidth - cropBoxData.width, cropBoxData.left + deltaX));
+            cropBoxData.top = Math.max(0, Math.min(previewHeight - cropBoxData.height, cropBoxData.top + deltaY));
+        } else if (dragType.startsWith('resize-')) {
+            // Handle resizing from different corners
+            const corner = dragType.replace('resize-', '');
             
-            // Always leave UI sliders at default positions (100%)
-            // This ensures the UI stays at neutral while still applying the enhanced filters
+            let newLeft = cropBoxData.left;
+            let newTop = cropBoxData.top;
+            let newWidth = cropBoxData.width;
+            let newHeight = cropBoxData.height;
             
-            // Applied filter settings are managed internally in updatePhotoFilters
-            // which now automatically adds the base enhancement filter
+            if (corner === 'top-left') {
+                newLeft = Math.min(cropBoxData.left + cropBoxData.width - 50, cropBoxData.left + deltaX);
+                newTop = Math.min(cropBoxData.top + cropBoxData.height - 50, cropBoxData.top + deltaY);
+                newWidth = cropBoxData.width - (newLeft - cropBoxData.left);
+                newHeight = cropBoxData.height - (newTop - cropBoxData.top);
+            } else if (corner === 'top-right') {
+                newTop = Math.min(cropBoxData.top + cropBoxData.height - 50, cropBoxData.top + deltaY);
+                newWidth = Math.max(50, cropBoxData.width + deltaX);
+                newHeight = cropBoxData.height - (newTop - cropBoxData.top);
+            } else if (corner === 'bottom-left') {
+                newLeft = Math.min(cropBoxData.left + cropBoxData.width - 50, cropBoxData.left + deltaX);
+                newWidth = cropBoxData.width - (newLeft - cropBoxData.left);
+                newHeight = Math.max(50, cropBoxData.height + deltaY);
+            } else if (corner === 'bottom-right') {
+                newWidth = Math.max(50, cropBoxData.width + deltaX);
+                newHeight = Math.max(50, cropBoxData.height + deltaY);
+            }
             
-            // Initialize with default filter settings when first opening
-            updatePhotoFilters(photoObject, panel);
+            // Enforce aspect ratio if needed
+            if (currentAspectRatio !== null) {
+                if (corner === 'top-left' || corner === 'bottom-right') {
+                    newHeight = newWidth / currentAspectRatio;
+                } else {
+                    newWidth = newHeight * currentAspectRatio;
+                }
+            }
             
-            while ((match = filterRegex.exec(photoObject.currentFilters)) !== null) {
-                if (match[1] === 'brightness') {
-                    const value = parseInt(match[2]);
-                    if (!isNaN(value)) filterValues.brightness = value;
-                } else if (match[1] === 'contrast') {
-                    const value = parseInt(match[2]);
-                    if (!isNaN(value)) filterValues.contrast = value;
-                } else if (match[1] === 'saturate') {
-                    const value = parseInt(match[2]);
-                    if (!isNaN(value)) filterValues.saturation = value;
-                } else if (match[1] === 'drop-shadow') {
-                    // Extract shadow size from the drop-shadow filter
-                    const shadowParts = match[2].split(' ');
-                    if (shadowParts.length >= 3) {
-                        const shadowSize = parseInt(shadowParts[2]);
-                        if (!isNaN(shadowSize)) filterValues.shadows = shadowSize;
-                    }
+            // Check boundaries
+            if (newLeft + newWidth > previewWidth) {
+                newWidth = previewWidth - newLeft;
+                if (currentAspectRatio !== null) {
+                    newHeight = newWidth / currentAspectRatio;
                 }
             }
             
-            // Keep UI at defaults, enhancements apply automatically
-            // Don't update UI sliders with parsed values
-        } catch (e) {
-            console.warn('Error parsing filters:', e);
+            if (newTop + newHeight > previewHeight) {
+                newHeight = previewHeight - newTop;
+                if (currentAspectRatio !== null) {
+                    newWidth = newHeight * currentAspectRatio;
+                }
+            }
+            
+            // Update crop box data
+            cropBoxData.left = newLeft;
+            cropBoxData.top = newTop;
+            cropBoxData.width = newWidth;
+            cropBoxData.height = newHeight;
         }
-    } else {
-        // For new images with no filters yet, initialize with default enhancement
-        updatePhotoFilters(photoObject, panel);
-    }
-
-    // Setup adjustment dropdown toggle
-    const adjustmentToggle = panel.querySelector('.adjustment-toggle');
-    const adjustmentContent = panel.querySelector('.adjustment-content');
+        
+        updateCropBox();
+        startX = e.clientX;
+        startY = e.clientY;
+    });
     
-    adjustmentToggle.addEventListener('click', () => {
-        adjustmentToggle.classList.toggle('open');
-        adjustmentContent.classList.toggle('open');
+    // Handle mouse up to stop dragging/resizing
+    document.addEventListener('mouseup', () => {
+        isDragging = false;
     });
     
-    // Setup filters dropdown toggle
-    const filtersToggle = panel.querySelector('.filters-toggle');
-    const filtersContent = panel.querySelector('.filters-content');
+    // Update crop box position and dimensions
+    function updateCropBox() {
+        cropBox.style.left = `${cropBoxData.left}px`;
+        cropBox.style.top = `${cropBoxData.top}px`;
+        cropBox.style.width = `${cropBoxData.width}px`;
+        cropBox.style.height = `${cropBoxData.height}px`;
+    }
     
-    filtersToggle.addEventListener('click', () => {
-        filtersToggle.classList.toggle('open');
-        filtersContent.classList.toggle('open');
+    // Handle close button
+    const closeBtn = cropPanel.querySelector('.panel-close');
+    closeBtn.addEventListener('click', () => {
+        // Remove the crop panel
+        cropPanel.remove();
+        
+        // Show the parent panel again with proper styling
+        if (parentPanel) {
+            parentPanel.classList.add('active');
+            parentPanel.style.display = 'flex';
+            document.body.appendChild(parentPanel); // Re-add to document if needed
+        }
+        
+        // Clean up event listeners
+        document.removeEventListener('mousemove', onMouseMove);
+        document.removeEventListener('mouseup', onMouseUp);
     });
     
-    // Setup filter options
-    const filterOptions = panel.querySelectorAll('.filter-option');
+    // Handle cancel button
+    const cancelBtn = cropPanel.querySelector('.crop-cancel-btn');
+    cancelBtn.addEventListener('click', () => {
+        // Remove the crop panel
+        cropPanel.remove();
+        
+        // Show the parent panel again with proper styling
+        if (parentPanel) {
+            parentPanel.classList.add('active');
+            parentPanel.style.display = 'flex';
+            document.body.appendChild(parentPanel); // Re-add to document if needed
+        }
+    });
     
-    // Apply the actual photo to filter previews
-    filterOptions.forEach(option => {
-        const filterType = option.dataset.filter;
-        const previewDiv = option.querySelector('.filter-preview');
+    // Handle apply crop button
+    const applyBtn = cropPanel.querySelector('.crop-apply-btn');
+    applyBtn.addEventListener('click', () => {
+        // Apply crop to the image and get the new image source
+        const newImageSrc = applyCrop(photoObject, cropBoxData, previewWidth, previewHeight);
         
-        if (previewDiv && filterType !== 'none') {
-            // Create preview with the actual photo
-            const previewImg = document.createElement('img');
-            previewImg.src = photoObject.img.src;
-            previewImg.style.width = '100%';
-            previewImg.style.height = '100%';
-            previewImg.style.objectFit = 'cover';
-            
-            // Apply the filter
-            switch (filterType) {
-                case 'vintage':
-                    previewImg.style.filter = 'sepia(50%) saturate(150%) contrast(120%)';
-                    break;
-                case 'bw':
-                    previewImg.style.filter = 'grayscale(100%) contrast(120%)';
-                    break;
-                case 'hdr':
-                    previewImg.style.filter = 'contrast(150%) saturate(140%) brightness(110%)';
-                    break;
-                case 'cinematic':
-                    previewImg.style.filter = 'contrast(130%) saturate(90%) brightness(90%) sepia(30%)';
-                    break;
-                case 'retro':
-                    previewImg.style.filter = 'sepia(60%) hue-rotate(-20deg) saturate(90%) brightness(105%)';
-                    break;
-                case 'film':
-                    previewImg.style.filter = 'contrast(110%) brightness(110%) sepia(30%) saturate(130%)';
-                    break;
-            }
+        // Remove the crop panel
+        cropPanel.remove();
+        
+        // Show the parent panel again with proper styling
+        if (parentPanel) {
+            parentPanel.classList.add('active');
+            parentPanel.style.display = 'flex';
+            document.body.appendChild(parentPanel); // Re-add to document if needed
             
-            // Clear existing content and add the image
-            previewDiv.innerHTML = '';
-            previewDiv.appendChild(previewImg);
-        } else if (filterType === 'none' && previewDiv) {
-            // For "none" filter option, show the original image
-            const previewImg = document.createElement('img');
-            previewImg.src = photoObject.img.src;
-            previewImg.style.width = '100%';
-            previewImg.style.height = '100%';
-            previewImg.style.objectFit = 'cover';
+            // Update the preview in the parent panel
+            const previewImg = parentPanel.querySelector('#photo-preview');
+            const previewContainer = parentPanel.querySelector('.preview-container');
             
-            // Clear existing content and add the image
-            previewDiv.innerHTML = '';
-            previewDiv.appendChild(previewImg);
+            if (previewImg) {
+                // Force reload of the preview image with the new cropped dimensions
+                previewImg.onload = () => {
+                    // After image loads, update the preview container to match the new aspect ratio
+                    if (previewContainer) {
+                        // Calculate the new aspect ratio based on the crop dimensions
+                        const cropAspectRatio = cropBoxData.width / cropBoxData.height;
+                        
+                        // Set max width/height for the preview container
+                        const maxWidth = 300;
+                        const maxHeight = 300;
+                        
+                        // Calculate dimensions to maintain aspect ratio
+                        let containerWidth, containerHeight;
+                        if (cropAspectRatio > 1) {
+                            // Wide image
+                            containerWidth = Math.min(maxWidth, previewImg.naturalWidth);
+                            containerHeight = containerWidth / cropAspectRatio;
+                        } else {
+                            // Tall image
+                            containerHeight = Math.min(maxHeight, previewImg.naturalHeight);
+                            containerWidth = containerHeight * cropAspectRatio;
+                        }
+                        
+                        // Update container and image styles
+                        previewContainer.style.width = `${containerWidth}px`;
+                        previewContainer.style.height = `${containerHeight}px`;
+                        previewImg.style.width = '100%';
+                        previewImg.style.height = '100%';
+                        previewImg.style.objectFit = 'contain';
+                    }
+                };
+                
+                // Set the image source after setting up the onload handler
+                previewImg.src = newImageSrc;
+            }
         }
         
-        option.addEventListener('click', () => {
-            // Remove active class from all options
-            filterOptions.forEach(opt => opt.classList.remove('active'));
-            
-            // Add active class to clicked option
-            option.classList.add('active');
-            
-            // Update filters
-            updatePhotoFilters(photoObject, panel);
-        });
+        // Update the shirt texture - this is now also done in applyCrop when image loads
+        updateShirt3DTexture();
     });
+}
+
+/**
+ * Apply crop to an image
+ * @param {Object} photoObject - The photo object to crop
+ * @param {Object} cropData - The crop box data
+ * @param {number} previewWidth - The preview width
+ * @param {number} previewHeight - The preview height
+ */
+function applyCrop(photoObject, cropData, previewWidth, previewHeight) {
+    // Create a canvas to perform the crop
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
     
-    // Set the "None" filter as active by default
-    const noneFilter = panel.querySelector('.filter-option[data-filter="none"]');
-    if (noneFilter) {
-        noneFilter.classList.add('active');
+    // Original image dimensions
+    const originalWidth = photoObject.img.naturalWidth;
+    const originalHeight = photoObject.img.naturalHeight;
+    
+    // Calculate the scale between preview and original image
+    const scaleX = originalWidth / previewWidth;
+    const scaleY = originalHeight / previewHeight;
+    
+    // Calculate crop dimensions in original image scale
+    const cropX = cropData.left * scaleX;
+    const cropY = cropData.top * scaleY;
+    const cropWidth = cropData.width * scaleX;
+    const cropHeight = cropData.height * scaleY;
+    
+    // Set canvas dimensions to the cropped size
+    canvas.width = cropWidth;
+    canvas.height = cropHeight;
+    
+    // Draw only the cropped portion to the canvas
+    ctx.drawImage(
+        photoObject.img,
+        cropX, cropY, cropWidth, cropHeight,
+        0, 0, cropWidth, cropHeight
+    );
+    
+    // Store the original image if not already stored
+    if (!photoObject.originalImg) {
+        photoObject.originalImg = photoObject.img.cloneNode(true);
     }
     
-    // Setup sliders
-    const sliders = panel.querySelectorAll('.slider-container input[type="range"]');
-    sliders.forEach(slider => {
-        const valueDisplay = slider.nextElementSibling;
-        slider.addEventListener('input', () => {
-            valueDisplay.textContent = `${slider.value}%`;
-            updatePhotoFilters(photoObject, panel);
-        });
-    });
-
-    // Setup buttons
-    const closeBtn = panel.querySelector('.panel-close');
-    const cancelBtn = panel.querySelector('.photo-edit-cancel');
-    const resetBtn = panel.querySelector('.photo-edit-reset');
-    const saveBtn = panel.querySelector('.photo-edit-save');
-    const cropBtn = panel.querySelector('.crop-button');
-    const enhanceBtn = panel.querySelector('.enhance-resolution');
-    const removeBgBtn = panel.querySelector('.remove-background');
-
-    // Handle close/cancel
-    const closePanel = () => {
-        // Clear any update timer
-        if (photoObject._updateTimer) {
-            clearTimeout(photoObject._updateTimer);
-            photoObject._updateTimer = null;
+    // Create a new image with the cropped data
+    const croppedImage = new Image();
+    
+    // Wait for the image to load before updating the shirt texture
+    croppedImage.onload = () => {
+        // Replace the current image with the cropped one
+        photoObject.img = croppedImage;
+        
+        // Update dimensions to match the new cropped size
+        photoObject.width = cropWidth;
+        photoObject.height = cropHeight;
+        
+        // Update object aspect ratio if it exists
+        if (photoObject.aspectRatio !== undefined) {
+            photoObject.aspectRatio = cropWidth / cropHeight;
         }
         
-        // Clear any temporary filters
-        if (photoObject._tempFilters) {
-            delete photoObject._tempFilters;
+        // If the photo object has position data, we might need to adjust it
+        if (photoObject.x !== undefined && photoObject.y !== undefined) {
+            // The object may need position adjustment based on new dimensions
+            if (photoObject.originalWidth && photoObject.originalHeight) {
+                // Calculate scale change
+                const widthRatio = cropWidth / photoObject.originalWidth;
+                const heightRatio = cropHeight / photoObject.originalHeight;
+                
+                // Store the new dimensions
+                photoObject.originalWidth = cropWidth;
+                photoObject.originalHeight = cropHeight;
+            } else {
+                // If original dimensions weren't stored, store them now
+                photoObject.originalWidth = cropWidth;
+                photoObject.originalHeight = cropHeight;
+            }
         }
         
-        // Restore original state
-        photoObject.currentFilters = originalFilters;
+        // Save the current state for undo functionality
+        saveCurrentState();
         
-        // Update the texture with original state
+        // Update the shirt texture immediately
         updateShirt3DTexture();
-        
-        // Remove the panel directly rather than just hiding it
-        panel.remove();
     };
+    
+    // Set the source to the canvas data
+    croppedImage.src = canvas.toDataURL('image/png');
+    
+    // Immediate update for the preview - don't wait for onload
+    return croppedImage.src;
+}
 
-    closeBtn.addEventListener('click', closePanel);
-    cancelBtn.addEventListener('click', closePanel);
+// Used when the user leaves the prompt empty, e.g. to erase a watermark
+const DEFAULT_FILL_PROMPT = 'seamless continuation of the surrounding image';
 
-    // Handle reset
-    resetBtn.addEventListener('click', () => {
-        // Reset all sliders to 100%
-        sliders.forEach(slider => {
-            slider.value = 100;
-            slider.nextElementSibling.textContent = '100%';
-        });
-        
-        // Reset filter selection
-        const filterOptions = panel.querySelectorAll('.filter-option');
-        filterOptions.forEach(opt => opt.classList.remove('active'));
-        
-        // Activate the 'none' filter
-        const noneFilter = panel.querySelector('.filter-option[data-filter="none"]');
-        if (noneFilter) {
-            noneFilter.classList.add('active');
+// Longest side of the picture sent for inpainting, border included
+const MAX_INPAINT_SIZE = 1024;
+
+/**
+ * Where an image object ends up once a border is added around its picture, rotation included
+ * @param {Object} imageObject - Image object from canvasData.objects
+ * @param {Object} padding - Border on each side as a fraction of the picture's size
+ * @returns {Object} { left, top, width, height }
+ */
+function getExtendedPlacement(imageObject, padding) {
+    const width = imageObject.width * (1 + padding.left + padding.right);
+    const height = imageObject.height * (1 + padding.top + padding.bottom);
+
+    // An uneven border moves the center, along the object's rotation
+    const angleRad = (imageObject.angle || 0) * Math.PI / 180;
+    const dx = imageObject.width * (padding.right - padding.left) / 2;
+    const dy = imageObject.height * (padding.bottom - padding.top) / 2;
+    const centerX = imageObject.left + imageObject.width / 2 + dx * Math.cos(angleRad) - dy * Math.sin(angleRad);
+    const centerY = imageObject.top + imageObject.height / 2 + dx * Math.sin(angleRad) + dy * Math.cos(angleRad);
+
+    return { left: centerX - width / 2, top: centerY - height / 2, width, height };
+}
+
+/**
+ * Build the picture and mask sent for inpainting. White mask areas are repainted:
+ * the painted strokes, plus the added border when extending.
+ * @param {HTMLImageElement} img - The photo's picture
+ * @param {HTMLCanvasElement} strokeCanvas - Painted strokes over the picture
+ * @param {Object} padding - Border on each side as a fraction of the picture's size
+ * @returns {Object} { image, mask } PNG data URLs and the aspectRatio of both
+ */
+function buildInpaintImages(img, strokeCanvas, padding) {
+    const frameWidth = img.naturalWidth * (1 + padding.left + padding.right);
+    const frameHeight = img.naturalHeight * (1 + padding.top + padding.bottom);
+    const scale = Math.min(1, MAX_INPAINT_SIZE / Math.max(frameWidth, frameHeight));
+
+    const width = Math.max(1, Math.round(frameWidth * scale));
+    const height = Math.max(1, Math.round(frameHeight * scale));
+    const rect = {
+        x: Math.round(img.naturalWidth * padding.left * scale),
+        y: Math.round(img.naturalHeight * padding.top * scale),
+        width: Math.round(img.naturalWidth * scale),
+        height: Math.round(img.naturalHeight * scale)
+    };
+
+    const imageCanvas = document.createElement('canvas');
+    imageCanvas.width = width;
+    imageCanvas.height = height;
+    const imageCtx = imageCanvas.getContext('2d');
+    imageCtx.imageSmoothingQuality = 'high';
+    imageCtx.drawImage(img, rect.x, rect.y, rect.width, rect.height);
+
+    // Strokes are drawn in a display color, the mask needs them white
+    const strokes = document.createElement('canvas');
+    strokes.width = strokeCanvas.width;
+    strokes.height = strokeCanvas.height;
+    const strokesCtx = strokes.getContext('2d');
+    strokesCtx.drawImage(strokeCanvas, 0, 0);
+    strokesCtx.globalCompositeOperation = 'source-in';
+    strokesCtx.fillStyle = 'white';
+    strokesCtx.fillRect(0, 0, strokes.width, strokes.height);
+
+    const maskCanvas = document.createElement('canvas');
+    maskCanvas.width = width;
+    maskCanvas.height = height;
+    const maskCtx = maskCanvas.getContext('2d');
+    maskCtx.fillStyle = 'white';
+    maskCtx.fillRect(0, 0, width, height);
+    maskCtx.fillStyle = 'black';
+    maskCtx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    maskCtx.drawImage(strokes, rect.x, rect.y, rect.width, rect.height);
+
+    return {
+        image: imageCanvas.toDataURL('image/png'),
+        mask: maskCanvas.toDataURL('image/png'),
+        aspectRatio: width / height
+    };
+}
+
+/**
+ * Creates a floating panel for painting a mask over a photo and repainting it with AI.
+ * "Erase / Replace" repaints the painted areas, "Extend" also adds a border around the photo and fills it.
+ * @param {Object} photoObject - The photo object to repaint
+ * @param {HTMLElement} parentPanel - The parent panel (photo edit panel)
+ */
+function createMaskPanel(photoObject, parentPanel) {
+    const maskPanel = document.createElement('div');
+    maskPanel.id = 'photo-mask-panel';
+    maskPanel.className = 'floating-panel';
+
+    // Hide the parent panel while painting
+    if (parentPanel) {
+        parentPanel.classList.remove('active');
+        parentPanel.style.display = 'none';
+    }
+
+    const header = document.createElement('div');
+    header.className = 'panel-header';
+    header.innerHTML = `
+        <h3>AI Erase & Extend</h3>
+        <button class="panel-close" aria-label="Close Panel">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+
+    const content = document.createElement('div');
+    content.className = 'panel-content';
+    content.innerHTML = `
+        <div class="mask-mode-options">
+            <button class="mask-mode-btn active" data-mode="inpaint">
+                <i class="fas fa-eraser"></i> Erase / Replace
+            </button>
+            <button class="mask-mode-btn" data-mode="outpaint">
+                <i class="fas fa-expand"></i> Extend
+            </button>
+        </div>
+        <div class="mask-stage">
+            <img class="mask-image" alt="">
+            <canvas class="mask-canvas"></canvas>
+        </div>
+        <p class="mask-hint">Paint over the areas to repaint</p>
+        <div class="slider-container">
+            <label>Brush Size</label>
+            <input type="range" min="5" max="80" value="30" class="mask-brush-size">
+            <span class="slider-value">30px</span>
+        </div>
+        <div class="mask-tools">
+            <button class="mask-tool-btn active" data-tool="brush"><i class="fas fa-paint-brush"></i> Paint</button>
+            <button class="mask-tool-btn" data-tool="eraser"><i class="fas fa-eraser"></i> Unpaint</button>
+            <button class="mask-clear-btn"><i class="fas fa-trash"></i> Clear</button>
+        </div>
+        <div class="mask-extend-options">
+            <div class="slider-container">
+                <label>Extend By</label>
+                <input type="range" min="5" max="100" value="25" class="mask-extend-amount">
+                <span class="slider-value">25%</span>
+            </div>
+            <div class="mask-extend-sides">
+                <label><input type="checkbox" data-side="top" checked> Top</label>
+                <label><input type="checkbox" data-side="right" checked> Right</label>
+                <label><input type="checkbox" data-side="bottom" checked> Bottom</label>
+                <label><input type="checkbox" data-side="left" checked> Left</label>
+            </div>
+        </div>
+        <textarea class="mask-prompt" rows="2" placeholder="What should go there? Leave empty to match the surroundings"></textarea>
+        <p class="mask-status" aria-live="polite"></p>
+        <div class="mask-actions">
+            <button class="mask-cancel-btn">Cancel</button>
+            <button class="mask-apply-btn"><i class="fas fa-magic"></i> Generate</button>
+        </div>
+    `;
+
+    maskPanel.appendChild(header);
+    maskPanel.appendChild(content);
+    document.body.appendChild(maskPanel);
+
+    positionFloatingPanel(maskPanel, {
+        left: parentPanel.offsetLeft + parentPanel.offsetWidth + 20,
+        top: parentPanel.offsetTop
+    });
+    maskPanel.classList.add('active');
+
+    const img = photoObject.img;
+    const stage = maskPanel.querySelector('.mask-stage');
+    const stageImage = maskPanel.querySelector('.mask-image');
+    const strokeCanvas = maskPanel.querySelector('.mask-canvas');
+    const brushSlider = maskPanel.querySelector('.mask-brush-size');
+    const extendSlider = maskPanel.querySelector('.mask-extend-amount');
+    const sideInputs = maskPanel.querySelectorAll('.mask-extend-sides input');
+    const extendOptions = maskPanel.querySelector('.mask-extend-options');
+    const hint = maskPanel.querySelector('.mask-hint');
+    const promptInput = maskPanel.querySelector('.mask-prompt');
+    const status = maskPanel.querySelector('.mask-status');
+    const applyBtn = maskPanel.querySelector('.mask-apply-btn');
+
+    // Strokes are kept at the picture's resolution (capped), whatever the preview size
+    const strokeScale = Math.min(1, MAX_INPAINT_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+    strokeCanvas.width = Math.max(1, Math.round(img.naturalWidth * strokeScale));
+    strokeCanvas.height = Math.max(1, Math.round(img.naturalHeight * strokeScale));
+    const strokeCtx = strokeCanvas.getContext('2d');
+    stageImage.src = img.src;
+
+    let mode = 'inpaint';
+    let tool = 'brush';
+    let lastPoint = null;
+    let controller = null;
+
+    const getPadding = () => {
+        const padding = { top: 0, right: 0, bottom: 0, left: 0 };
+        if (mode === 'outpaint') {
+            sideInputs.forEach(input => {
+                padding[input.dataset.side] = input.checked ? Number(extendSlider.value) / 100 : 0;
+            });
         }
-        
-        // Instead of clearing filters completely, reset to default enhancement filter
-        // Apply the base enhancement filter
-        updatePhotoFilters(photoObject, panel);
-        
-        // Update the texture to show reset state
-        updateShirt3DTexture();
+        return padding;
+    };
+
+    // Fit the picture plus its border into the preview, the border shows as the area to fill
+    const layoutStage = () => {
+        const maxSize = 300;
+        const padding = getPadding();
+        const frameWidth = img.naturalWidth * (1 + padding.left + padding.right);
+        const frameHeight = img.naturalHeight * (1 + padding.top + padding.bottom);
+        const scale = maxSize / Math.max(frameWidth, frameHeight);
+
+        stage.style.width = `${frameWidth * scale}px`;
+        stage.style.height = `${frameHeight * scale}px`;
+        stage.classList.toggle('extending', mode === 'outpaint');
+
+        [stageImage, strokeCanvas].forEach(element => {
+            element.style.left = `${img.naturalWidth * padding.left * scale}px`;
+            element.style.top = `${img.naturalHeight * padding.top * scale}px`;
+            element.style.width = `${img.naturalWidth * scale}px`;
+            element.style.height = `${img.naturalHeight * scale}px`;
+        });
+    };
+    layoutStage();
+
+    maskPanel.querySelectorAll('.mask-mode-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            maskPanel.querySelectorAll('.mask-mode-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            mode = btn.dataset.mode;
+            extendOptions.style.display = mode === 'outpaint' ? 'block' : 'none';
+            hint.textContent = mode === 'outpaint'
+                ? 'The striped border is filled in, you can also paint over the photo'
+                : 'Paint over the areas to repaint';
+            layoutStage();
+        });
     });
+    extendOptions.style.display = 'none';
 
-    // Handle save
-    saveBtn.addEventListener('click', () => {
-        // Clear update timer
-        if (photoObject._updateTimer) {
-            clearTimeout(photoObject._updateTimer);
-            photoObject._updateTimer = null;
-        }
-        
-        // Apply the temporary filters permanently
-        if (photoObject._tempFilters) {
-            photoObject.currentFilters = photoObject._tempFilters;
-            delete photoObject._tempFilters;
-            
-            // Store original image if not already stored
-            if (!photoObject.originalImg && photoObject.img) {
-                photoObject.originalImg = photoObject.img.cloneNode(true);
-            }
-        }
-        
-        // Save the current state for undo/redo functionality
-        saveCurrentState();
-        
-        // Update the texture one last time
-        updateShirt3DTexture();
-        
-        // Remove the panel directly
-        panel.remove();
+    maskPanel.querySelectorAll('.mask-tool-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            maskPanel.querySelectorAll('.mask-tool-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            tool = btn.dataset.tool;
+        });
     });
 
-    // Handle crop
-    cropBtn.addEventListener('click', () => {
-        // Pass the panel to createCropPanel 
-        createCropPanel(photoObject, panel);
+    brushSlider.addEventListener('input', () => {
+        brushSlider.nextElementSibling.textContent = `${brushSlider.value}px`;
+    });
+
+    extendSlider.addEventListener('input', () => {
+        extendSlider.nextElementSibling.textContent = `${extendSlider.value}%`;
+        layoutStage();
     });
+    sideInputs.forEach(input => input.addEventListener('change', layoutStage));
 
-    // Handle enhance resolution
-    enhanceBtn.addEventListener('click', () => {
-        // TODO: Implement resolution enhancement
-        showToast('Resolution enhancement coming soon!');
+    maskPanel.querySelector('.mask-clear-btn').addEventListener('click', () => {
+        strokeCtx.clearRect(0, 0, strokeCanvas.width, strokeCanvas.height);
     });
 
-    // Handle remove background
-    removeBgBtn.addEventListener('click', () => {
-        // TODO: Implement background removal
-        showToast('Background removal coming soon!');
+    // Whether anything is still painted, read from the strokes themselves since the eraser can remove them all
+    const hasStrokes = () => {
+        const { data } = strokeCtx.getImageData(0, 0, strokeCanvas.width, strokeCanvas.height);
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] > 0) return true;
+        }
+        return false;
+    };
+
+    // Painting, in stroke canvas pixels
+    const toCanvasPoint = (e) => {
+        const rect = strokeCanvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * strokeCanvas.width / rect.width,
+            y: (e.clientY - rect.top) * strokeCanvas.height / rect.height
+        };
+    };
+
+    const paintTo = (point) => {
+        const rect = strokeCanvas.getBoundingClientRect();
+        strokeCtx.globalCompositeOperation = tool === 'eraser' ? 'destination-out' : 'source-over';
+        strokeCtx.strokeStyle = 'rgb(255, 60, 60)';
+        strokeCtx.lineWidth = Number(brushSlider.value) * strokeCanvas.width / rect.width;
+        strokeCtx.lineCap = 'round';
+        strokeCtx.lineJoin = 'round';
+        strokeCtx.beginPath();
+        strokeCtx.moveTo(lastPoint.x, lastPoint.y);
+        strokeCtx.lineTo(point.x, point.y);
+        strokeCtx.stroke();
+        lastPoint = point;
+    };
+
+    strokeCanvas.addEventListener('pointerdown', (e) => {
+        if (controller) return;
+        e.preventDefault();
+        strokeCanvas.setPointerCapture(e.pointerId);
+        lastPoint = toCanvasPoint(e);
+        paintTo(lastPoint);
     });
 
-    // Add event listener to prevent panel from closing when clicking inside
-    panel.addEventListener('click', (e) => {
-        e.stopPropagation();
+    strokeCanvas.addEventListener('pointermove', (e) => {
+        if (lastPoint) paintTo(toCanvasPoint(e));
     });
 
-    return panel;
-}
+    const endStroke = () => {
+        lastPoint = null;
+    };
+    strokeCanvas.addEventListener('pointerup', endStroke);
+    strokeCanvas.addEventListener('pointercancel', endStroke);
 
-/**
- * Update photo filters based on slider values and preset filters
- * @param {Object} photoObject - The photo object to update
- * @param {HTMLElement} panel - The photo edit panel
- */
-function updatePhotoFilters(photoObject, panel) {
-    // Get slider values
-    const brightness = panel.querySelector('.brightness-slider').value;
-    const contrast = panel.querySelector('.contrast-slider').value;
-    const exposure = panel.querySelector('.exposure-slider').value;
-    const shadows = panel.querySelector('.shadows-slider').value;
-    const highlights = panel.querySelector('.highlights-slider').value;
-    const saturation = panel.querySelector('.saturation-slider').value;
-    const temperature = panel.querySelector('.temperature-slider').value;
-    const sharpness = panel.querySelector('.sharpness-slider').value;
-    
-    // Get active preset filter if any
-    const activeFilter = panel.querySelector('.filter-option.active');
-    let presetFilter = '';
-    
-    if (activeFilter && activeFilter.dataset.filter !== 'none') {
-        switch (activeFilter.dataset.filter) {
-            case 'vintage':
-                presetFilter = 'sepia(50%) saturate(150%) contrast(120%)';
-                break;
-            case 'bw':
-                presetFilter = 'grayscale(100%) contrast(120%)';
-                break;
-            case 'hdr':
-                presetFilter = 'contrast(150%) saturate(140%) brightness(110%)';
-                break;
-            case 'cinematic':
-                presetFilter = 'contrast(130%) saturate(90%) brightness(90%) sepia(30%)';
-                break;
-            case 'retro':
-                presetFilter = 'sepia(60%) hue-rotate(-20deg) saturate(90%) brightness(105%)';
-                break;
-            case 'film':
-                presetFilter = 'contrast(110%) brightness(110%) sepia(30%) saturate(130%)';
-                break;
+    const closeMaskPanel = () => {
+        if (controller) controller.abort();
+        maskPanel.remove();
+
+        // Show the parent panel again
+        if (parentPanel) {
+            parentPanel.classList.add('active');
+            parentPanel.style.display = 'flex';
+            document.body.appendChild(parentPanel);
         }
-    }
+    };
 
-    // Create temperature filter (add blue or orange tint)
-    let tempFilter = '';
-    if (temperature < 100) {
-        // Cooler/blue
-        const blueAmount = 100 - temperature;
-        tempFilter = `hue-rotate(${blueAmount * 0.3}deg) saturate(${100 + blueAmount * 0.5}%)`;
-    } else if (temperature > 100) {
-        // Warmer/orange
-        const orangeAmount = temperature - 100;
-        tempFilter = `hue-rotate(-${orangeAmount * 0.3}deg) saturate(${100 + orangeAmount * 0.5}%)`;
-    }
-    
-    // Create sharpness filter
-    let sharpnessFilter = '';
-    if (sharpness > 100) {
-        const amount = (sharpness - 100) / 10;
-        // Sharpen using a combination of contrast and brightness
-        sharpnessFilter = `contrast(${100 + amount * 2}%) brightness(${100 + amount}%)`;
-    }
+    maskPanel.querySelector('.panel-close').addEventListener('click', closeMaskPanel);
+    maskPanel.querySelector('.mask-cancel-btn').addEventListener('click', closeMaskPanel);
 
-    // Create exposure filter
-    const exposureFilter = exposure !== 100 ? `brightness(${exposure}%)` : '';
-    
-    // Create adjustment filters
-    const adjustmentFilters = [
-        `brightness(${brightness}%)`,
-        `contrast(${contrast}%)`,
-        `saturate(${saturation}%)`,
-        `drop-shadow(0 0 ${shadows}px rgba(0,0,0,0.5))`,
-        `brightness(${highlights}%)`,
-        tempFilter,
-        sharpnessFilter,
-        exposureFilter
-    ].filter(f => f !== ''); // Remove empty filters
+    const setRunning = (running) => {
+        applyBtn.innerHTML = running
+            ? '<i class="fas fa-times"></i> Cancel'
+            : '<i class="fas fa-magic"></i> Generate';
+        promptInput.disabled = running;
+        stage.classList.toggle('busy', running);
+    };
 
-    // Add base enhancement filter that's always applied (not shown in UI)
-    const baseEnhancementFilter = 'contrast(120%) saturate(130%) brightness(105%)';
-    
-    // Combine preset and adjustment filters
-    const filters = presetFilter ? 
-        [baseEnhancementFilter, presetFilter, ...adjustmentFilters].join(' ') : 
-        [baseEnhancementFilter, ...adjustmentFilters].join(' ');
+    applyBtn.addEventListener('click', async () => {
+        // A second click cancels the running generation
+        if (controller) {
+            controller.abort();
+            return;
+        }
 
-    // Apply filters to the preview image
-    const previewImg = panel.querySelector('#photo-preview');
-    if (previewImg) {
-        previewImg.style.filter = filters;
-    }
-    
-    // Store filters temporarily on the object
-    photoObject._tempFilters = filters;
-    
-    // Debounce updates to prevent too many renders
-    if (photoObject._updateTimer) {
-        clearTimeout(photoObject._updateTimer);
-    }
-    
-    photoObject._updateTimer = setTimeout(() => {
-        // Update the 3D texture using the proper method
-        updateShirt3DTexture();
-        photoObject._updateTimer = null;
-    }, 50);
-}
+        const padding = getPadding();
+        const extending = Object.values(padding).some(amount => amount > 0);
+        if (mode === 'inpaint' && !hasStrokes()) {
+            showToast('Paint over the areas to repaint first');
+            return;
+        }
+        if (mode === 'outpaint' && !extending) {
+            showToast('Pick at least one side to extend');
+            return;
+        }
 
-// Export the enhanced 3D editor
-export default {
-    init3DEditor,
-    addObject,
-    removeObject,
-    addImage,
-    addText,
-    addShape,
-    clearCanvas,
-    clearObjectsByView,
-    exportCanvasImage,
-    toggleEditMode,
-    toggleCameraControls,
-    toggleEditorInteraction,
-    isInEditMode: () => isEditingMode,
-    isEditorLocked: () => isEditingLocked,
-    getCurrentLockedView: () => currentLockedView,
-    toggleSmartPlacement,
-    toggleAutoAdjustment,
-    getLastUsedView,
-    copySelectedObject,
-    pasteObject,
-    deleteSelectedObject,
-    duplicateSelectedObject,
-    centerSelectedObject,
-    undo,
-    redo
-}; 
+        let request;
+        try {
+            request = buildInpaintImages(img, strokeCanvas, padding);
+        } catch (error) {
+            // Pictures from other sites without CORS headers can't be read back
+            console.error('Could not export photo for inpainting:', error);
+            showToast('This photo can\'t be sent to the AI server');
+            return;
+        }
 
-// Handle adding text from the UI
-async function handleAddText() {
-    try {
-        await add3DText('', { fromButton: true });
-    } catch (error) {
-        if (error !== 'cancelled') {
-            console.error('Error handling text addition:', error);
+        controller = new AbortController();
+        setRunning(true);
+        status.textContent = 'Starting...';
+
+        try {
+            const { inpaintImage } = await import('./ai-integration.js');
+            const { photo } = await inpaintImage(request.image, request.mask, promptInput.value.trim() || DEFAULT_FILL_PROMPT, {
+                mode,
+                params: { aspectRatio: request.aspectRatio },
+                signal: controller.signal,
+                onProgress: (progress, message) => {
+                    status.textContent = `${message || 'Generating'} (${Math.round((progress || 0) * 100)}%)`;
+                }
+            });
+
+            const placement = extending ? getExtendedPlacement(photoObject, padding) : null;
+            await replaceImageObjectSource(photoObject, photo, { placement });
+
+            const previewImg = parentPanel?.querySelector('#photo-preview');
+            if (previewImg) previewImg.src = photo;
+
+            controller = null;
+            closeMaskPanel();
+            showToast(mode === 'outpaint' ? 'Photo extended (Ctrl+Z to undo)' : 'Photo repainted (Ctrl+Z to undo)');
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                status.textContent = 'Cancelled';
+            } else {
+                console.error('Error repainting photo:', error);
+                status.textContent = error.message;
+            }
+        } finally {
+            controller = null;
+            if (maskPanel.isConnected) setRunning(false);
         }
-    }
+    });
 }
 
-// Add helper function to get button position
-function getButtonPosition(buttonSelector) {
-    let button;
-    
-    // Try to find by ID first
-    button = document.getElementById(buttonSelector);
-    
-    // If not found, try by class
-    if (!button) {
-        const buttons = document.querySelectorAll('.model-control-btn');
-        for (const btn of buttons) {
-            if (buttonSelector === 'add-text-btn' && btn.title === 'Add Text') {
-                button = btn;
-                break;
-            } else if (buttonSelector === 'add-shape-btn' && btn.title === 'Add Shape') {
-                button = btn;
-                break;
-            }
+// Wait after the last slider change before tracing the preview again
+const TRACE_PREVIEW_DELAY = 250;
+
+const svgDataUrl = (svg) => 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+
+/**
+ * Replace an image object with a vector object traced from it, in the same place and stacking order
+ * @param {Object} imageObject - Image object from canvasData.objects
+ * @param {Object} vector - Result of traceImage()
+ * @param {Object} settings - Color count and smoothing it was traced with
+ * @returns {Object} The new vector object
+ */
+function convertImageToVector(imageObject, vector, settings) {
+    const vectorObject = {
+        id: 'vector_' + Date.now() + '_' + Math.floor(Math.random() * 1000),
+        type: 'vector',
+        paths: vector.paths,
+        viewBox: { width: vector.width, height: vector.height },
+        trapWidth: vector.trapWidth,
+        left: imageObject.left,
+        top: imageObject.top,
+        width: imageObject.width,
+        height: imageObject.height,
+        angle: imageObject.angle || 0,
+        view: imageObject.view,
+        isDecal: true,
+        metadata: {
+            // Resizing keeps the proportions the photo was shown with
+            originalWidth: imageObject.width,
+            originalHeight: imageObject.height,
+            colors: settings.colors,
+            smoothing: settings.smoothing
         }
-    }
-    
-    if (!button) return null;
-    
-    const rect = button.getBoundingClientRect();
-    
-    // Position the panel to the left of the right-side buttons with some offset
-    return {
-        top: rect.top,
-        left: rect.left - 320, // Position panel 320px to the left of the button
     };
-}
 
-// Add this function to handle panel positioning
-function positionFloatingPanel(panel, position) {
-    if (!panel) return;
-    
-    // Standard positioning for all panels (ignoring custom position)
-    // This ensures consistent positioning for all panels including crop panel
-    const left = 100; // Fixed left position to match other panels
-    let top = window.innerHeight / 2;
-    
-    panel.style.position = 'fixed';
-    panel.style.top = `${top}px`;
-    panel.style.left = `${left}px`;
-    panel.style.transform = 'translateY(-50%)';
-    panel.style.zIndex = '1000';
-    
-    // Ensure panel stays within viewport
-    setTimeout(() => {
-    const panelRect = panel.getBoundingClientRect();
-    const viewportHeight = window.innerHeight;
-    const viewportWidth = window.innerWidth;
-    
-    if (panelRect.bottom > viewportHeight) {
-        panel.style.top = `${viewportHeight - panelRect.height - 20}px`;
-            panel.style.transform = 'none';
+    const index = canvasData.objects.indexOf(imageObject);
+    if (index !== -1) {
+        canvasData.objects.splice(index, 1, vectorObject);
+    } else {
+        canvasData.objects.push(vectorObject);
     }
-    
-    if (panelRect.right > viewportWidth) {
-        panel.style.left = `${viewportWidth - panelRect.width - 20}px`;
+
+    removePanelItem(imageObject.isAIGenerated ? 'ai' : 'photo', imageObject.id);
+    addPanelItem('vector', vectorObject);
+
+    if (selectedObject === imageObject) {
+        imageObject.active = false;
+        selectObject(vectorObject);
     }
-    }, 0);
-    
-    // Add active class to show the panel
-    panel.classList.add('active');
+
+    historyStack.saveState();
+    updateShirt3DTexture();
+    return vectorObject;
 }
 
 /**
- * Creates a floating panel for image cropping
- * @param {Object} photoObject - The photo object to crop
+ * Creates a floating panel to trace a photo into a vector object
+ * @param {Object} photoObject - The photo object to trace
  * @param {HTMLElement} parentPanel - The parent panel (photo edit panel)
  */
-function createCropPanel(photoObject, parentPanel) {
-    // Create the crop panel
-    const cropPanel = document.createElement('div');
-    cropPanel.id = 'photo-crop-panel';
-    cropPanel.className = 'floating-panel';
-    
-    // Hide the parent panel when crop panel opens
+async function createTracePanel(photoObject, parentPanel) {
+    const {
+        traceImage,
+        vectorToSVG,
+        DEFAULT_COLOR_COUNT,
+        DEFAULT_SMOOTHING,
+        MIN_COLOR_COUNT,
+        MAX_COLOR_COUNT
+    } = await import('./vectorize.js');
+
+    const tracePanel = document.createElement('div');
+    tracePanel.id = 'photo-trace-panel';
+    tracePanel.className = 'floating-panel';
+
+    // Hide the parent panel while tracing
     if (parentPanel) {
         parentPanel.classList.remove('active');
         parentPanel.style.display = 'none';
     }
-    
-    // Create header
+
     const header = document.createElement('div');
     header.className = 'panel-header';
     header.innerHTML = `
-        <h3>Crop Photo</h3>
+        <h3>Convert to Vector</h3>
         <button class="panel-close" aria-label="Close Panel">
             <i class="fas fa-times"></i>
         </button>
     `;
-    
-    // Create content
+
     const content = document.createElement('div');
     content.className = 'panel-content';
-    
-    // Calculate dimensions to maintain aspect ratio
-    const maxWidth = 300;
-    const maxHeight = 300;
-    const aspectRatio = photoObject.img.naturalWidth / photoObject.img.naturalHeight;
-    
-    let previewWidth, previewHeight;
-    if (aspectRatio > 1) {
-        previewWidth = maxWidth;
-        previewHeight = maxWidth / aspectRatio;
-    } else {
-        previewHeight = maxHeight;
-        previewWidth = maxHeight * aspectRatio;
-    }
-    
     content.innerHTML = `
-        <div class="crop-container" style="width: ${previewWidth}px; height: ${previewHeight}px;">
-            <div class="crop-image-container">
-                <img src="${photoObject.img.src}" class="crop-image" 
-                     style="width: ${previewWidth}px; height: ${previewHeight}px;">
-                <div class="crop-overlay"></div>
-                <div class="crop-box">
-                    <div class="crop-handle top-left"></div>
-                    <div class="crop-handle top-right"></div>
-                    <div class="crop-handle bottom-left"></div>
-                    <div class="crop-handle bottom-right"></div>
-                </div>
-            </div>
+        <div class="vector-stage">
+            <img class="vector-preview" alt="Vector preview">
         </div>
-        <div class="aspect-ratio-options">
-            <button class="aspect-ratio-btn active" data-ratio="free">Free</button>
-            <button class="aspect-ratio-btn" data-ratio="1:1">1:1</button>
-            <button class="aspect-ratio-btn" data-ratio="4:3">4:3</button>
-            <button class="aspect-ratio-btn" data-ratio="16:9">16:9</button>
+        <p class="vector-status" aria-live="polite">Tracing...</p>
+        <div class="slider-container">
+            <label>Colors</label>
+            <input type="range" min="${MIN_COLOR_COUNT}" max="${MAX_COLOR_COUNT}" value="${DEFAULT_COLOR_COUNT}" class="trace-colors">
+            <span class="slider-value">${DEFAULT_COLOR_COUNT}</span>
         </div>
-        <div class="crop-actions">
-            <button class="crop-cancel-btn">Cancel</button>
-            <button class="crop-apply-btn">Apply Crop</button>
+        <div class="slider-container">
+            <label>Smoothing</label>
+            <input type="range" min="0" max="100" value="${DEFAULT_SMOOTHING * 100}" class="trace-smoothing">
+            <span class="slider-value">${DEFAULT_SMOOTHING * 100}%</span>
+        </div>
+        <div class="vector-actions">
+            <button class="vector-cancel-btn">Cancel</button>
+            <button class="vector-apply-btn" disabled><i class="fas fa-bezier-curve"></i> Convert</button>
         </div>
     `;
-    
-    // Add to panel
-    cropPanel.appendChild(header);
-    cropPanel.appendChild(content);
-    
-    // Add to document body
-    document.body.appendChild(cropPanel);
-    
-    // Position the panel
-    positionFloatingPanel(cropPanel, { 
-        left: parentPanel.offsetLeft + parentPanel.offsetWidth + 20,
-        top: parentPanel.offsetTop
-    });
-    
-    // Show the panel
-    cropPanel.classList.add('active');
-    
-    // Set up crop box functionality
-    const cropBox = cropPanel.querySelector('.crop-box');
-    const cropImage = cropPanel.querySelector('.crop-image');
-    const cropContainer = cropPanel.querySelector('.crop-container');
-    const handles = cropPanel.querySelectorAll('.crop-handle');
-    
-    // Initial crop box to cover the whole image
-    let cropBoxData = {
-        left: 0,
-        top: 0,
-        width: previewWidth,
-        height: previewHeight
-    };
-    
-    // Set initial crop box position
-    updateCropBox();
-    
-    // Set up aspect ratio buttons
-    const aspectBtns = cropPanel.querySelectorAll('.aspect-ratio-btn');
-    let currentAspectRatio = null;
-    
-    aspectBtns.forEach(btn => {
-        btn.addEventListener('click', () => {
-            aspectBtns.forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            
-            const ratio = btn.dataset.ratio;
-            if (ratio === 'free') {
-                currentAspectRatio = null;
-            } else {
-                const [width, height] = ratio.split(':').map(Number);
-                currentAspectRatio = width / height;
-                
-                // Adjust crop box to maintain aspect ratio
-                let newWidth, newHeight;
-                
-                if (cropBoxData.width / cropBoxData.height > currentAspectRatio) {
-                    // Current box is wider than target ratio
-                    newHeight = cropBoxData.height;
-                    newWidth = newHeight * currentAspectRatio;
-                } else {
-                    // Current box is taller than target ratio
-                    newWidth = cropBoxData.width;
-                    newHeight = newWidth / currentAspectRatio;
-                }
-                
-                // Center the crop box
-                cropBoxData.left = (previewWidth - newWidth) / 2;
-                cropBoxData.top = (previewHeight - newHeight) / 2;
-                cropBoxData.width = newWidth;
-                cropBoxData.height = newHeight;
-                
-                updateCropBox();
-            }
-        });
-    });
-    
-    // Handle crop box dragging
-    let isDragging = false;
-    let startX, startY;
-    let dragType = ''; // 'move', 'resize-tl', 'resize-tr', etc.
-    
-    cropBox.addEventListener('mousedown', (e) => {
-        if (e.target === cropBox) {
-            isDragging = true;
-            dragType = 'move';
-            startX = e.clientX;
-            startY = e.clientY;
-            e.preventDefault();
-        }
-    });
-    
-    // Handle resize from corners
-    handles.forEach(handle => {
-        handle.addEventListener('mousedown', (e) => {
-            isDragging = true;
-            dragType = 'resize-' + handle.className.replace('crop-handle ', '');
-            startX = e.clientX;
-            startY = e.clientY;
-            e.preventDefault();
-            e.stopPropagation();
-        });
-    });
-    
-    // Handle mouse move for both dragging and resizing
-    document.addEventListener('mousemove', (e) => {
-        if (!isDragging) return;
-        
-        const deltaX = e.clientX - startX;
-        const deltaY = e.clientY - startY;
-        
-        if (dragType === 'move') {
-            // Move the crop box
-            cropBoxData.left = Math.max(0, Math.min(previewWidth - cropBoxData.width, cropBoxData.left + deltaX));
-            cropBoxData.top = Math.max(0, Math.min(previewHeight - cropBoxData.height, cropBoxData.top + deltaY));
-        } else if (dragType.startsWith('resize-')) {
-            // Handle resizing from different corners
-            const corner = dragType.replace('resize-', '');
-            
-            let newLeft = cropBoxData.left;
-            let newTop = cropBoxData.top;
-            let newWidth = cropBoxData.width;
-            let newHeight = cropBoxData.height;
-            
-            if (corner === 'top-left') {
-                newLeft = Math.min(cropBoxData.left + cropBoxData.width - 50, cropBoxData.left + deltaX);
-                newTop = Math.min(cropBoxData.top + cropBoxData.height - 50, cropBoxData.top + deltaY);
-                newWidth = cropBoxData.width - (newLeft - cropBoxData.left);
-                newHeight = cropBoxData.height - (newTop - cropBoxData.top);
-            } else if (corner === 'top-right') {
-                newTop = Math.min(cropBoxData.top + cropBoxData.height - 50, cropBoxData.top + deltaY);
-                newWidth = Math.max(50, cropBoxData.width + deltaX);
-                newHeight = cropBoxData.height - (newTop - cropBoxData.top);
-            } else if (corner === 'bottom-left') {
-                newLeft = Math.min(cropBoxData.left + cropBoxData.width - 50, cropBoxData.left + deltaX);
-                newWidth = cropBoxData.width - (newLeft - cropBoxData.left);
-                newHeight = Math.max(50, cropBoxData.height + deltaY);
-            } else if (corner === 'bottom-right') {
-                newWidth = Math.max(50, cropBoxData.width + deltaX);
-                newHeight = Math.max(50, cropBoxData.height + deltaY);
-            }
-            
-            // Enforce aspect ratio if needed
-            if (currentAspectRatio !== null) {
-                if (corner === 'top-left' || corner === 'bottom-right') {
-                    newHeight = newWidth / currentAspectRatio;
-                } else {
-                    newWidth = newHeight * currentAspectRatio;
-                }
-            }
-            
-            // Check boundaries
-            if (newLeft + newWidth > previewWidth) {
-                newWidth = previewWidth - newLeft;
-                if (currentAspectRatio !== null) {
-                    newHeight = newWidth / currentAspectRatio;
-                }
-            }
-            
-            if (newTop + newHeight > previewHeight) {
-                newHeight = previewHeight - newTop;
-                if (currentAspectRatio !== null) {
-                    newWidth = newHeight * currentAspectRatio;
-                }
-            }
-            
-            // Update crop box data
-            cropBoxData.left = newLeft;
-            cropBoxData.top = newTop;
-            cropBoxData.width = newWidth;
-            cropBoxData.height = newHeight;
-        }
-        
-        updateCropBox();
-        startX = e.clientX;
-        startY = e.clientY;
-    });
-    
-    // Handle mouse up to stop dragging/resizing
-    document.addEventListener('mouseup', () => {
-        isDragging = false;
-    });
-    
-    // Update crop box position and dimensions
-    function updateCropBox() {
-        cropBox.style.left = `${cropBoxData.left}px`;
-        cropBox.style.top = `${cropBoxData.top}px`;
-        cropBox.style.width = `${cropBoxData.width}px`;
-        cropBox.style.height = `${cropBoxData.height}px`;
-    }
-    
-    // Handle close button
-    const closeBtn = cropPanel.querySelector('.panel-close');
-    closeBtn.addEventListener('click', () => {
-        // Remove the crop panel
-        cropPanel.remove();
-        
-        // Show the parent panel again with proper styling
-        if (parentPanel) {
-            parentPanel.classList.add('active');
-            parentPanel.style.display = 'flex';
-            document.body.appendChild(parentPanel); // Re-add to document if needed
-        }
-        
-        // Clean up event listeners
-        document.removeEventListener('mousemove', onMouseMove);
-        document.removeEventListener('mouseup', onMouseUp);
+
+    tracePanel.appendChild(header);
+    tracePanel.appendChild(content);
+    document.body.appendChild(tracePanel);
+
+    positionFloatingPanel(tracePanel, {
+        left: parentPanel.offsetLeft + parentPanel.offsetWidth + 20,
+        top: parentPanel.offsetTop
     });
-    
-    // Handle cancel button
-    const cancelBtn = cropPanel.querySelector('.crop-cancel-btn');
-    cancelBtn.addEventListener('click', () => {
-        // Remove the crop panel
-        cropPanel.remove();
-        
-        // Show the parent panel again with proper styling
-        if (parentPanel) {
-            parentPanel.classList.add('active');
-            parentPanel.style.display = 'flex';
-            document.body.appendChild(parentPanel); // Re-add to document if needed
+    tracePanel.classList.add('active');
+
+    const preview = tracePanel.querySelector('.vector-preview');
+    const status = tracePanel.querySelector('.vector-status');
+    const colorsSlider = tracePanel.querySelector('.trace-colors');
+    const smoothingSlider = tracePanel.querySelector('.trace-smoothing');
+    const applyBtn = tracePanel.querySelector('.vector-apply-btn');
+
+    // Trace the colors as they are shown on the shirt, filters included
+    const filter = photoObject._tempFilters || photoObject.currentFilters ||
+        (photoObject.isDecal ? 'contrast(120%) saturate(130%) brightness(105%)' : 'none');
+    const getSettings = () => ({
+        colors: Number(colorsSlider.value),
+        smoothing: Number(smoothingSlider.value) / 100
+    });
+
+    let vector = null;
+    let traced = false;
+
+    const trace = () => {
+        traced = true;
+        try {
+            vector = traceImage(photoObject.img, { ...getSettings(), filter });
+        } catch (error) {
+            // Pictures from other sites without CORS headers can't be read back
+            console.error('Error tracing photo:', error);
+            vector = null;
+            status.textContent = 'This photo can\'t be traced';
+            applyBtn.disabled = true;
+            return;
         }
+
+        const shapes = vector.paths.reduce((count, path) => count + path.d.split('M').length - 1, 0);
+        preview.src = svgDataUrl(vectorToSVG(vector));
+        status.textContent = vector.paths.length
+            ? `${vector.paths.length} colors, ${shapes} shapes`
+            : 'Nothing to trace, the photo is transparent';
+        applyBtn.disabled = vector.paths.length === 0;
+    };
+    const scheduleTrace = debounce(trace, TRACE_PREVIEW_DELAY);
+
+    colorsSlider.addEventListener('input', () => {
+        colorsSlider.nextElementSibling.textContent = colorsSlider.value;
+        traced = false;
+        scheduleTrace();
     });
-    
-    // Handle apply crop button
-    const applyBtn = cropPanel.querySelector('.crop-apply-btn');
-    applyBtn.addEventListener('click', () => {
-        // Apply crop to the image and get the new image source
-        const newImageSrc = applyCrop(photoObject, cropBoxData, previewWidth, previewHeight);
-        
-        // Remove the crop panel
-        cropPanel.remove();
-        
-        // Show the parent panel again with proper styling
+    smoothingSlider.addEventListener('input', () => {
+        smoothingSlider.nextElementSibling.textContent = `${smoothingSlider.value}%`;
+        traced = false;
+        scheduleTrace();
+    });
+
+    const closeTracePanel = () => {
+        tracePanel.remove();
+
+        // Show the parent panel again
         if (parentPanel) {
             parentPanel.classList.add('active');
             parentPanel.style.display = 'flex';
-            document.body.appendChild(parentPanel); // Re-add to document if needed
-            
-            // Update the preview in the parent panel
-            const previewImg = parentPanel.querySelector('#photo-preview');
-            const previewContainer = parentPanel.querySelector('.preview-container');
-            
-            if (previewImg) {
-                // Force reload of the preview image with the new cropped dimensions
-                previewImg.onload = () => {
-                    // After image loads, update the preview container to match the new aspect ratio
-                    if (previewContainer) {
-                        // Calculate the new aspect ratio based on the crop dimensions
-                        const cropAspectRatio = cropBoxData.width / cropBoxData.height;
-                        
-                        // Set max width/height for the preview container
-                        const maxWidth = 300;
-                        const maxHeight = 300;
-                        
-                        // Calculate dimensions to maintain aspect ratio
-                        let containerWidth, containerHeight;
-                        if (cropAspectRatio > 1) {
-                            // Wide image
-                            containerWidth = Math.min(maxWidth, previewImg.naturalWidth);
-                            containerHeight = containerWidth / cropAspectRatio;
-                        } else {
-                            // Tall image
-                            containerHeight = Math.min(maxHeight, previewImg.naturalHeight);
-                            containerWidth = containerHeight * cropAspectRatio;
-                        }
-                        
-                        // Update container and image styles
-                        previewContainer.style.width = `${containerWidth}px`;
-                        previewContainer.style.height = `${containerHeight}px`;
-                        previewImg.style.width = '100%';
-                        previewImg.style.height = '100%';
-                        previewImg.style.objectFit = 'contain';
-                    }
-                };
-                
-                // Set the image source after setting up the onload handler
-                previewImg.src = newImageSrc;
-            }
+            document.body.appendChild(parentPanel);
         }
-        
-        // Update the shirt texture - this is now also done in applyCrop when image loads
-        updateShirt3DTexture();
+    };
+
+    tracePanel.querySelector('.panel-close').addEventListener('click', closeTracePanel);
+    tracePanel.querySelector('.vector-cancel-btn').addEventListener('click', closeTracePanel);
+
+    applyBtn.addEventListener('click', () => {
+        // Slider changes may still be waiting for their preview
+        if (!traced) trace();
+        if (!vector || vector.paths.length === 0) return;
+
+        convertImageToVector(photoObject, vector, getSettings());
+
+        // The photo is gone, so is its editor
+        tracePanel.remove();
+        parentPanel?.remove();
+        showToast('Converted to vector (Ctrl+Z to undo)');
     });
+
+    tracePanel.addEventListener('click', (e) => {
+        e.stopPropagation();
+    });
+
+    // Let the panel show before the first trace
+    scheduleTrace();
 }
 
 /**
- * Apply crop to an image
- * @param {Object} photoObject - The photo object to crop
- * @param {Object} cropData - The crop box data
- * @param {number} previewWidth - The preview width
- * @param {number} previewHeight - The preview height
+ * Creates a floating panel to recolor a vector object and download it as SVG
+ * @param {Object} vectorObject - The vector object to edit
  */
-function applyCrop(photoObject, cropData, previewWidth, previewHeight) {
-    // Create a canvas to perform the crop
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    
-    // Original image dimensions
-    const originalWidth = photoObject.img.naturalWidth;
-    const originalHeight = photoObject.img.naturalHeight;
-    
-    // Calculate the scale between preview and original image
-    const scaleX = originalWidth / previewWidth;
-    const scaleY = originalHeight / previewHeight;
-    
-    // Calculate crop dimensions in original image scale
-    const cropX = cropData.left * scaleX;
-    const cropY = cropData.top * scaleY;
-    const cropWidth = cropData.width * scaleX;
-    const cropHeight = cropData.height * scaleY;
-    
-    // Set canvas dimensions to the cropped size
-    canvas.width = cropWidth;
-    canvas.height = cropHeight;
-    
-    // Draw only the cropped portion to the canvas
-    ctx.drawImage(
-        photoObject.img,
-        cropX, cropY, cropWidth, cropHeight,
-        0, 0, cropWidth, cropHeight
-    );
-    
-    // Store the original image if not already stored
-    if (!photoObject.originalImg) {
-        photoObject.originalImg = photoObject.img.cloneNode(true);
-    }
-    
-    // Create a new image with the cropped data
-    const croppedImage = new Image();
-    
-    // Wait for the image to load before updating the shirt texture
-    croppedImage.onload = () => {
-        // Replace the current image with the cropped one
-        photoObject.img = croppedImage;
-        
-        // Update dimensions to match the new cropped size
-        photoObject.width = cropWidth;
-        photoObject.height = cropHeight;
-        
-        // Update object aspect ratio if it exists
-        if (photoObject.aspectRatio !== undefined) {
-            photoObject.aspectRatio = cropWidth / cropHeight;
-        }
-        
-        // If the photo object has position data, we might need to adjust it
-        if (photoObject.x !== undefined && photoObject.y !== undefined) {
-            // The object may need position adjustment based on new dimensions
-            if (photoObject.originalWidth && photoObject.originalHeight) {
-                // Calculate scale change
-                const widthRatio = cropWidth / photoObject.originalWidth;
-                const heightRatio = cropHeight / photoObject.originalHeight;
-                
-                // Store the new dimensions
-                photoObject.originalWidth = cropWidth;
-                photoObject.originalHeight = cropHeight;
-            } else {
-                // If original dimensions weren't stored, store them now
-                photoObject.originalWidth = cropWidth;
-                photoObject.originalHeight = cropHeight;
-            }
-        }
-        
-        // Save the current state for undo functionality
-        saveCurrentState();
-        
-        // Update the shirt texture immediately
+async function createVectorEditOverlay(vectorObject) {
+    const { vectorToSVG } = await import('./vectorize.js');
+
+    const panel = document.createElement('div');
+    panel.id = 'vector-edit-panel';
+    panel.className = 'floating-panel';
+
+    const header = document.createElement('div');
+    header.className = 'panel-header';
+    header.innerHTML = `
+        <h3>Edit Vector</h3>
+        <button class="panel-close" aria-label="Close Panel">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+
+    const content = document.createElement('div');
+    content.className = 'panel-content';
+    content.innerHTML = `
+        <div class="vector-stage">
+            <img class="vector-preview" alt="Vector preview">
+        </div>
+        <label class="vector-colors-label">Colors</label>
+        <div class="vector-colors"></div>
+        <button class="vector-download-btn"><i class="fas fa-download"></i> Download SVG</button>
+        <div class="vector-actions">
+            <button class="vector-cancel-btn">Cancel</button>
+            <button class="vector-apply-btn">Done</button>
+        </div>
+    `;
+
+    panel.appendChild(header);
+    panel.appendChild(content);
+    document.body.appendChild(panel);
+    positionFloatingPanel(panel, { left: 100 });
+
+    const preview = panel.querySelector('.vector-preview');
+    const colorList = panel.querySelector('.vector-colors');
+    const originalFills = vectorObject.paths.map(path => path.fill);
+
+    const updatePreview = () => {
+        preview.src = svgDataUrl(vectorToSVG(vectorObject));
+    };
+    updatePreview();
+
+    // One swatch per color, every color is one screen when printing
+    vectorObject.paths.forEach((path, index) => {
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.value = path.fill;
+        input.title = `Color ${index + 1}`;
+        input.addEventListener('input', () => {
+            path.fill = input.value;
+            updatePreview();
+            updateShirt3DTexture();
+        });
+        colorList.appendChild(input);
+    });
+
+    panel.querySelector('.vector-download-btn').addEventListener('click', () => {
+        const svg = vectorToSVG(vectorObject, { width: vectorObject.width, height: vectorObject.height });
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `vector-design-${Date.now()}.svg`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    });
+
+    const cancel = () => {
+        vectorObject.paths.forEach((path, index) => {
+            path.fill = originalFills[index];
+        });
         updateShirt3DTexture();
+        panel.remove();
     };
-    
-    // Set the source to the canvas data
-    croppedImage.src = canvas.toDataURL('image/png');
-    
-    // Immediate update for the preview - don't wait for onload
-    return croppedImage.src;
+
+    panel.querySelector('.panel-close').addEventListener('click', cancel);
+    panel.querySelector('.vector-cancel-btn').addEventListener('click', cancel);
+
+    panel.querySelector('.vector-apply-btn').addEventListener('click', () => {
+        if (vectorObject.paths.some((path, index) => path.fill !== originalFills[index])) {
+            saveCurrentState();
+        }
+        panel.remove();
+    });
+
+    panel.addEventListener('click', (e) => {
+        e.stopPropagation();
+    });
 }
 
 /**
@@ -6592,6 +10390,8 @@ export function getEditorState() {
     return {
     // Clone objects to ensure we're not mutating the originals
         objects: JSON.parse(JSON.stringify(canvasData.objects)),
+        // Uploaded fonts the text uses travel with the objects
+        fonts: getEmbeddedFonts(getUsedFonts(canvasData.objects)),
         modelConfig: modelConfig,
         state: state,
         canvasData: {
@@ -6604,96 +10404,27 @@ export function getEditorState() {
 
 /**
  * Restore editor state from a previously saved state
- * @param {Array} objects - Objects to restore
- * @returns {boolean} - Success status
+ * Objects are rebuilt directly with their saved properties, so no edit panels are opened
+ * @param {Array|Object} savedState - Objects to restore, or a state returned by getEditorState() with the fonts they use
+ * @returns {Promise<boolean>} - Success status
  */
-export function restoreEditorState(objects) {
-    if (!Array.isArray(objects) || objects.length === 0) {
+export function restoreEditorState(savedState) {
+    const objects = Array.isArray(savedState) ? savedState : savedState?.objects;
+    if (!Array.isArray(objects)) {
         console.warn('No valid objects to restore');
-        return false;
+        return Promise.resolve(false);
     }
     
     // First clear existing objects
     clearCanvas();
     
-    // Create new array to hold restored objects
-    const restoredObjects = [];
-    
-    // Process each object from the saved state
-    const promises = objects.map(obj => {
-        return new Promise((resolve) => {
-            // Handle each object type
-            if (obj.type === 'image') {
-                // For images, we need to reload the image
-                if (obj.src) {
-                    // Use a slightly modified version of addImage with preserved properties
-                    addImage(obj.src, {
-                        view: obj.view || 'front',
-                        left: obj.left,
-                        top: obj.top,
-                        width: obj.width,
-                        height: obj.height,
-                        angle: obj.angle || 0,
-                        isDecal: obj.isDecal || false,
-                        isAIGenerated: obj.isAIGenerated || false,
-                        removeColor: obj.removeColor || false,
-                        currentFilters: obj.currentFilters || ''
-                    }).then(newObj => {
-                        resolve(newObj);
-                    }).catch(() => {
-                        console.warn(`Failed to restore image from ${obj.src}`);
-                        resolve(null);
-                    });
-                } else {
-                    resolve(null);
-                }
-            } else if (obj.type === 'text') {
-                // For text, we can recreate directly
-                addText(obj.text, {
-                    view: obj.view || 'front',
-                    left: obj.left,
-                    top: obj.top,
-                    width: obj.width,
-                    height: obj.height,
-                    color: obj.color || '#000000',
-                    fontSize: obj.fontSize || 30,
-                    font: obj.font || 'Arial',
-                    angle: obj.angle || 0
-                }).then(newObj => {
-                    resolve(newObj);
-                }).catch(() => {
-                    console.warn(`Failed to restore text: ${obj.text}`);
-                    resolve(null);
-                });
-            } else if (obj.type === 'shape') {
-                // For shapes, recreate with stored properties
-                addShape(obj.shape, {
-                    view: obj.view || 'front',
-                    left: obj.left,
-                    top: obj.top,
-                    width: obj.width,
-                    height: obj.height,
-                    color: obj.color || '#000000',
-                    angle: obj.angle || 0
-                }).then(newObj => {
-                    resolve(newObj);
-                }).catch(() => {
-                    console.warn(`Failed to restore shape: ${obj.shape}`);
-                    resolve(null);
-                });
-            } else {
-                // Unknown object type
-                console.warn(`Unknown object type: ${obj.type}`);
-                resolve(null);
-            }
-        });
-    });
-    
-    // Wait for all objects to be restored
-    return Promise.all(promises)
+    // Register embedded fonts first so the text is drawn in them, then process each object
+    // from the saved state, keeping their original stacking order
+    return registerCustomFonts(Array.isArray(savedState) ? [] : savedState.fonts)
+        .then(() => Promise.all(objects.map(restoreSavedObject)))
         .then(results => {
-            // Filter out null results
             const validObjects = results.filter(obj => obj !== null);
+            canvasData.objects = validObjects;
             console.log(`Restored ${validObjects.length} objects out of ${objects.length}`);
             
             // Update the 3D texture
@@ -6710,6 +10441,65 @@ export function restoreEditorState(objects) {
         });
 }
 
+/**
+ * Rebuild one object of a saved state
+ * @param {Object} saved - The saved object
+ * @returns {Promise<Object|null>} - The object, null when it can't be restored
+ */
+function restoreSavedObject(saved) {
+    // Work on a copy so the caller's data is left untouched
+    const obj = { ...saved };
+    
+    if (obj.type === 'image') {
+        // For images, we need to reload the image from its source
+        const src = obj.src || obj.imgSrc;
+        delete obj.imgSrc;
+        if (!src) {
+            return Promise.resolve(null);
+        }
+        
+        return new Promise((resolve) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => {
+                obj.img = img;
+                obj.src = src;
+                resolve(obj);
+            };
+            img.onerror = () => {
+                console.warn(`Failed to restore image from ${src.substring(0, 50)}...`);
+                resolve(null);
+            };
+            img.src = src;
+        });
+    } else if (obj.type === 'text') {
+        return loadTextFont(obj).then(() => obj);
+    } else if (obj.type === 'shape') {
+        // Older states stored the shape type under "shape"
+        if (!obj.shapeType && obj.shape) {
+            obj.shapeType = obj.shape;
+            delete obj.shape;
+        }
+        return Promise.resolve(obj);
+    } else if (obj.type === 'vector') {
+        return Promise.resolve(Array.isArray(obj.paths) && obj.viewBox ? obj : null);
+    } else if (obj.type === 'group') {
+        if (!Array.isArray(obj.children) || !obj.viewBox) {
+            return Promise.resolve(null);
+        }
+
+        // A group without any children left isn't restored
+        return Promise.all(obj.children.map(restoreSavedObject)).then(children => {
+            obj.children = children.filter(child => child !== null);
+            return obj.children.length > 0 ? obj : null;
+        });
+    }
+    
+    // Unknown object type
+    console.warn(`Unknown object type: ${obj.type}`);
+    return Promise.resolve(null);
+}
+
 /**
  * Update the current model type for the editor
  * @param {string} modelType - The model type (tshirt, hoodie, etc.)
@@ -4,55 +4,234 @@
  */
 
 // Server configuration - using port 3000 instead of the default 8080
-const AI_SERVER_URL = 'http://localhost:3000';
+export const AI_SERVER_URL = 'http://localhost:3000';
 const FALAI_ENDPOINT = `${AI_SERVER_URL}/api/v1/falai`;
 
 // Add a debug flag to trace calls
 let requestCounter = 0;
 
+// Optional API key for higher generation limits, set with localStorage.setItem('aiApiKey', '...')
+const API_KEY_STORAGE_KEY = 'aiApiKey';
+
+/**
+ * Headers identifying the client to the AI server
+ * @returns {Object}
+ */
+function authHeaders() {
+  const apiKey = localStorage.getItem(API_KEY_STORAGE_KEY);
+  return apiKey ? { 'X-API-Key': apiKey } : {};
+}
+
+/**
+ * Describe a Retry-After delay in words
+ * @param {number} seconds - Delay in seconds
+ * @returns {string} e.g. "in 40 seconds", "in 3 hours"
+ */
+function formatRetryAfter(seconds) {
+  if (seconds < 60) return `in ${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.ceil(minutes / 60);
+  return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+/**
+ * Turn a 429 response into an error with a message fit for the user
+ * @param {Response} response - The 429 response
+ * @param {boolean} imageTask - Whether it limited background removal or upscaling, which have their own quota
+ * @returns {Promise<Error>} Error with details { type: 'limit', reason, retryAfter }
+ */
+async function createLimitError(response, imageTask = false) {
+  const data = await response.json().catch(() => ({}));
+  const retryAfter = Number(response.headers.get('Retry-After')) || data.retryAfter || 60;
+
+  const dailyLimit = data.quota?.daily?.limit;
+  const message = data.reason === 'quota'
+    ? `You've used ${dailyLimit ? `all ${dailyLimit}` : 'all your'} ${imageTask ? 'AI photo edits' : 'AI generations'} for today. More will be available ${formatRetryAfter(retryAfter)}.`
+    : `You're ${imageTask ? 'editing photos' : 'generating designs'} a little too quickly. Please try again ${formatRetryAfter(retryAfter)}.`;
+
+  const error = new Error(message);
+  error.details = { type: 'limit', reason: data.reason || 'rate', retryAfter };
+  return error;
+}
+
+/**
+ * Turn a 422 moderation response into an error carrying the server's reason
+ * @param {Response} response - The 422 response
+ * @returns {Promise<Error>} Error with the reason as message
+ */
+async function createModerationError(response) {
+  const data = await response.json().catch(() => ({}));
+
+  const error = new Error(data.reason || "This prompt can't be used for a printed design.");
+  error.details = { type: 'moderation', category: data.category };
+  return error;
+}
+
+/**
+ * Create the error used when a generation is cancelled
+ * @returns {Error}
+ */
+function createAbortError() {
+  const error = new Error('Generation cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Follow a generation job through its Server-Sent Events stream
+ * @param {string} jobId - Job id returned when the job was submitted
+ * @param {Object} options - Options
+ * @param {function} options.onProgress - Called with (progress 0-1, message) while the job runs
+ * @param {AbortSignal} options.signal - Aborting closes the stream and cancels the job on the server
+ * @returns {Promise<Object>} The finished job, with the generated images in photo and photos
+ */
+function waitForJob(jobId, { onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const events = new EventSource(`${FALAI_ENDPOINT}/jobs/${encodeURIComponent(jobId)}/events`);
+
+    const cleanup = () => {
+      events.close();
+      signal?.removeEventListener('abort', handleAbort);
+    };
+
+    function handleAbort() {
+      cleanup();
+      // Tell the server to stop working on it, the result is no longer wanted
+      fetch(`${FALAI_ENDPOINT}/jobs/${encodeURIComponent(jobId)}`, { method: 'DELETE' }).catch(() => {});
+      reject(createAbortError());
+    }
+    signal?.addEventListener('abort', handleAbort);
+
+    events.addEventListener('progress', (event) => {
+      const job = JSON.parse(event.data);
+      if (onProgress) onProgress(job.progress, job.message);
+    });
+
+    events.addEventListener('done', (event) => {
+      cleanup();
+      const job = JSON.parse(event.data);
+      if (job.photo) {
+        resolve(job);
+      } else {
+        reject(new Error('No image data in response'));
+      }
+    });
+
+    events.addEventListener('failed', (event) => {
+      cleanup();
+      reject(new Error(JSON.parse(event.data).error || 'Generation failed'));
+    });
+
+    events.addEventListener('cancelled', () => {
+      cleanup();
+      reject(createAbortError());
+    });
+
+    // EventSource reconnects by itself unless the stream can't be opened at all
+    events.onerror = () => {
+      if (events.readyState === EventSource.CLOSED) {
+        cleanup();
+        reject(new Error('Lost connection to the AI server'));
+      }
+    };
+  });
+}
+
+/**
+ * Submit a generation job and wait for its images
+ * @param {string} path - Endpoint under the AI server, such as '/jobs' or '/variations'
+ * @param {Object} body - Request body
+ * @param {Object} options - Options
+ * @param {function} options.onProgress - Called with (progress 0-1, message) while the job runs
+ * @param {function} options.onQuota - Called with { remaining, limit } generations left today
+ * @param {AbortSignal} options.signal - Signal to cancel the job
+ * @returns {Promise<{photo: string, photos: string[], seed?: number, cache: string}>}
+ */
+async function runGenerationJob(path, body, { onProgress, onQuota, signal } = {}) {
+  const response = await fetch(`${FALAI_ENDPOINT}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders()
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (response.status === 429) {
+    throw await createLimitError(response);
+  }
+
+  if (response.status === 422) {
+    throw await createModerationError(response);
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.details || errorData.message || `Server responded with status: ${response.status}`);
+  }
+
+  const remaining = response.headers.get('X-Quota-Remaining');
+  if (onQuota && remaining !== null) {
+    onQuota({ remaining: Number(remaining), limit: Number(response.headers.get('X-Quota-Limit')) });
+  }
+
+  const { job } = await response.json();
+  console.log(`Job ${job.id} ${job.status}`);
+  if (onProgress) onProgress(job.progress, job.message);
+
+  // Cached results come back as an already finished job
+  const result = job.status === 'done' && job.photo
+    ? job
+    : await waitForJob(job.id, { onProgress, signal });
+
+  return {
+    photo: result.photo,
+    photos: result.photos || [result.photo],
+    seed: result.seed,
+    cache: job.cache
+  };
+}
+
 /**
- * Generate an image using fal.ai
+ * Generate an image with the AI server
+ * The prompt is submitted as a job and followed until the image is ready
  * @param {string} prompt - The text description for generating the image
- * @param {function} onSuccess - Callback when image is successfully generated
- * @param {function} onError - Callback when there's an error
+ * @param {function} onSuccess - Callback when image is successfully generated, with (photo, { photos, seed, cache }) where photos are all generated images and cache is 'hit' for an instant result from the server cache
+ * @param {function} onError - Callback when there's an error, with (message, details) where details is { type: 'limit', reason, retryAfter } or { type: 'moderation', category } for errors meant for the user
  * @param {function} onStart - Callback when generation starts
- * @param {function} onEnd - Callback when generation ends (success or error)
+ * @param {function} onEnd - Callback when generation ends (success, error or cancel)
+ * @param {function} onProgress - Callback with (progress 0-1, message) while generating
+ * @param {function} onQuota - Callback with { remaining, limit } generations left today
+ * @param {function} onCancel - Callback when the generation was cancelled
+ * @param {string} provider - Image provider to use (falai, openai, local-sd, procedural), server default when omitted
+ * @param {string} cache - 'bypass' to always generate a new image instead of reusing a cached one
+ * @param {Object} params - Optional generation parameters: seed, aspectRatio (width / height), steps, guidance, negativePrompt and count (1-4 images)
+ * @param {AbortSignal} signal - Signal from an AbortController to cancel the generation
  */
-export async function generateAIImage(prompt, { onSuccess, onError, onStart, onEnd } = {}) {
+export async function generateAIImage(prompt, { onSuccess, onError, onStart, onEnd, onProgress, onCancel, onQuota, provider, cache, params = {}, signal } = {}) {
   const requestId = ++requestCounter;
   
   console.log(`[Request ${requestId}] Starting generateAIImage call with prompt: "${prompt}"`);
-  console.trace(`[Request ${requestId}] Stack trace for request`);
   
   if (onStart) onStart();
 
   try {
-    console.log(`[Request ${requestId}] Sending fetch request to ${FALAI_ENDPOINT}`);
-
-    // Use fal.ai endpoint for generation
-    const response = await fetch(FALAI_ENDPOINT, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ prompt })
-    });
+    console.log(`[Request ${requestId}] Submitting job to ${FALAI_ENDPOINT}/jobs`);
 
-    if (!response.ok) {
-      throw new Error(`Server responded with status: ${response.status}`);
-    }
+    const { photo, ...result } = await runGenerationJob('/jobs', { ...params, prompt, provider, cache }, { onProgress, onQuota, signal });
 
-    const data = await response.json();
-
-    if (data.photo) {
-      console.log(`[Request ${requestId}] AI image generated successfully`);
-      if (onSuccess) onSuccess(data.photo);
+    console.log(`[Request ${requestId}] AI image generated successfully (cache ${result.cache})`);
+    if (onSuccess) onSuccess(photo, result);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.log(`[Request ${requestId}] Generation cancelled`);
+      if (onCancel) onCancel();
     } else {
-      throw new Error('No image data in response');
+      console.error(`[Request ${requestId}] Error generating AI image:`, error);
+      if (onError) onError(error.message, error.details);
     }
-  } catch (error) {
-    console.error(`[Request ${requestId}] Error generating AI image:`, error);
-    if (onError) onError(error.message);
   } finally {
     console.log(`[Request ${requestId}] Request completed`);
     if (onEnd) onEnd();
@@ -60,22 +239,155 @@ export async function generateAIImage(prompt, { onSuccess, onError, onStart, onE
 }
 
 /**
- * Check if the AI server is running
- * @returns {Promise<boolean>} True if server is reachable, false otherwise
+ * Generate image-to-image variations of an existing image
+ * @param {string} image - Base image as a data URL (PNG, JPEG or WebP)
+ * @param {string} prompt - How the variations should differ, e.g. "more vintage"
+ * @param {Object} options - Options
+ * @param {number} options.strength - How much the base image may change, 0-1
+ * @param {Object} options.params - Other generation parameters, as for generateAIImage()
+ * @param {string} options.provider - Image provider to use, server default when omitted
+ * @param {function} options.onProgress - Called with (progress 0-1, message) while generating
+ * @param {function} options.onQuota - Called with { remaining, limit } generations left today
+ * @param {AbortSignal} options.signal - Signal to cancel the generation
+ * @returns {Promise<{photo: string, photos: string[], seed?: number, cache: string}>} Rejects with an AbortError when cancelled, errors meant for the user carry details like generateAIImage()
  */
-export async function checkAIServerStatus() {
+export async function generateVariations(image, prompt, { strength, params = {}, provider, onProgress, onQuota, signal } = {}) {
+  console.log(`Requesting variations for prompt: "${prompt}"`);
+  return runGenerationJob('/variations', { ...params, image, prompt, strength, provider }, { onProgress, onQuota, signal });
+}
+
+/**
+ * Repaint the masked areas of an image, or fill a border added around it
+ * @param {string} image - Image as a data URL, for outpainting already enlarged with the new border
+ * @param {string} mask - Mask as a data URL of the same size, white areas are repainted
+ * @param {string} prompt - What to paint into the masked areas
+ * @param {Object} options - Options
+ * @param {string} options.mode - "inpaint" (default) or "outpaint"
+ * @param {number} options.strength - How much of the masked areas is replaced, 0-1
+ * @param {Object} options.params - Other generation parameters, as for generateAIImage()
+ * @param {string} options.provider - Image provider to use, server default when omitted
+ * @param {function} options.onProgress - Called with (progress 0-1, message) while generating
+ * @param {function} options.onQuota - Called with { remaining, limit } generations left today
+ * @param {AbortSignal} options.signal - Signal to cancel the generation
+ * @returns {Promise<{photo: string, photos: string[], seed?: number, cache: string}>} Rejects like generateVariations()
+ */
+export async function inpaintImage(image, mask, prompt, { mode, strength, params = {}, provider, onProgress, onQuota, signal } = {}) {
+  console.log(`Requesting ${mode || 'inpaint'} for prompt: "${prompt}"`);
+  return runGenerationJob('/inpaint', { ...params, image, mask, prompt, mode, strength, provider }, { onProgress, onQuota, signal });
+}
+
+/**
+ * Run an image task that answers once the image is ready
+ * @param {string} path - Endpoint below the fal.ai route, e.g. "/upscale"
+ * @param {Object} body - Request body with the image
+ * @param {AbortSignal} signal - Signal to cancel the request
+ * @returns {Promise<{photo: string, cache: string}>}
+ */
+async function runImageTask(path, body, signal) {
+  const response = await fetch(`${FALAI_ENDPOINT}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders()
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (response.status === 429) {
+    throw await createLimitError(response, true);
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.details || errorData.message || `Server responded with status: ${response.status}`);
+  }
+
+  const { photo, cache } = await response.json();
+  return { photo, cache };
+}
+
+/**
+ * Remove the background of an image with the AI server's model
+ * @param {string} image - Image as a data URL (PNG, JPEG or WebP)
+ * @param {Object} options - Options
+ * @param {string} options.provider - Provider whose model to use, the server's background removal provider when omitted
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<{photo: string, cache: string}>} The cut out image as a PNG data URL
+ */
+export async function removeImageBackground(image, { provider, signal } = {}) {
+  return runImageTask('/remove-background', { image, provider }, signal);
+}
+
+/**
+ * Enlarge an image with the AI server's super-resolution model
+ * @param {string} image - Image as a data URL (PNG, JPEG or WebP)
+ * @param {Object} options - Options
+ * @param {number} options.scale - 2 or 4
+ * @param {string} options.provider - Provider whose model to use, the server's upscale provider when omitted
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<{photo: string, cache: string}>} The upscaled image as a data URL
+ */
+export async function upscaleImage(image, { scale, provider, signal } = {}) {
+  return runImageTask('/upscale', { image, scale, provider }, signal);
+}
+
+/**
+ * URL of a remote image served through the AI server's image proxy, for sites that don't allow CORS
+ * @param {string} url - Remote image URL
+ * @returns {string} Proxy URL, the picture comes back as a PNG, JPEG or WebP without metadata
+ */
+export function getProxiedImageUrl(url) {
+  return `${AI_SERVER_URL}/api/v1/proxy/image?url=${encodeURIComponent(url)}`;
+}
+
+/**
+ * Get the AI server status, including the available image providers
+ * @returns {Promise<Object|null>} Ping response, or null if the server is not reachable
+ */
+export async function getAIServerInfo() {
   try {
     const response = await fetch(`${FALAI_ENDPOINT}/ping`);
-    const data = await response.json();
-    return data.status === 'ok';
+    return await response.json();
   } catch (error) {
     console.error('AI server not reachable:', error);
-    return false;
+    return null;
+  }
+}
+
+/**
+ * Get the generation limits left for this client
+ * @returns {Promise<Object|null>} { client, rate: { limit, remaining, resetAt }, daily: { limit, used, remaining, resetAt } }, or null if unavailable
+ */
+export async function getQuotaStatus() {
+  try {
+    const response = await fetch(`${FALAI_ENDPOINT}/quota`, { headers: authHeaders() });
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (error) {
+    console.error('Could not get AI quota status:', error);
+    return null;
   }
 }
 
+/**
+ * Check if the AI server is running
+ * @returns {Promise<boolean>} True if server is reachable, false otherwise
+ */
+export async function checkAIServerStatus() {
+  const info = await getAIServerInfo();
+  return info?.status === 'ok';
+}
+
 // Export default for easy importing
 export default {
   generateAIImage,
-  checkAIServerStatus
+  generateVariations,
+  inpaintImage,
+  removeImageBackground,
+  upscaleImage,
+  getProxiedImageUrl,
+  checkAIServerStatus,
+  getAIServerInfo,
+  getQuotaStatus
 }; 
\ No newline at end of file
@@ -0,0 +1,262 @@
+/**
+ * Background removal for 3D Clothes Project
+ * Asks the AI server's background removal model first and falls back to a local
+ * flood fill / chroma key when the server isn't running or can't do it
+ */
+
+// Local removal defaults: color distance (0-441) still counted as background, and edge softening in pixels
+export const DEFAULT_TOLERANCE = 40;
+export const DEFAULT_FEATHER = 2;
+
+// Larger pictures are scaled down before removal, which keeps the local fill fast and the upload small
+const MAX_SIZE = 2048;
+
+// Border pixels mostly this transparent mean the picture has no background to remove
+const TRANSPARENT_ALPHA = 128;
+
+/**
+ * Load an image from a URL
+ * @param {string} url - Image URL or data URL
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Failed to load image'));
+        img.src = url;
+    });
+}
+
+/**
+ * Draw an image onto a canvas, scaled down to MAX_SIZE
+ * @param {HTMLImageElement|HTMLCanvasElement} source - The picture
+ * @returns {HTMLCanvasElement}
+ */
+function toCanvas(source) {
+    const width = source.naturalWidth || source.width;
+    const height = source.naturalHeight || source.height;
+    const scale = Math.min(1, MAX_SIZE / Math.max(width, height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+const colorDistance = (data, i, color) => Math.sqrt(
+    (data[i] - color[0]) ** 2 + (data[i + 1] - color[1]) ** 2 + (data[i + 2] - color[2]) ** 2
+);
+
+/**
+ * Guess the background color from the picture's border: the most common color there, averaged
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Picture width
+ * @param {number} height - Picture height
+ * @returns {number[]|null} [r, g, b], or null when the border is already transparent
+ */
+function estimateBackgroundColor(data, width, height) {
+    const buckets = new Map();
+    let transparent = 0;
+    let total = 0;
+
+    const visit = (x, y) => {
+        const i = (y * width + x) * 4;
+        total++;
+        if (data[i + 3] < TRANSPARENT_ALPHA) {
+            transparent++;
+            return;
+        }
+
+        // 4 bits per channel groups near-identical colors
+        const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+        const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+        bucket.count++;
+        bucket.sum[0] += data[i];
+        bucket.sum[1] += data[i + 1];
+        bucket.sum[2] += data[i + 2];
+        buckets.set(key, bucket);
+    };
+
+    for (let x = 0; x < width; x++) {
+        visit(x, 0);
+        visit(x, height - 1);
+    }
+    for (let y = 1; y < height - 1; y++) {
+        visit(0, y);
+        visit(width - 1, y);
+    }
+
+    if (transparent > total / 2 || buckets.size === 0) return null;
+
+    let best = null;
+    buckets.forEach(bucket => {
+        if (!best || bucket.count > best.count) best = bucket;
+    });
+    return best.sum.map(value => value / best.count);
+}
+
+/**
+ * Blur a single channel map with a box filter, once horizontally and once vertically
+ * @param {Float32Array} values - One value per pixel
+ * @param {number} width - Map width
+ * @param {number} height - Map height
+ * @param {number} radius - Blur radius in pixels
+ * @returns {Float32Array}
+ */
+function boxBlur(values, width, height, radius) {
+    const pass = (input, length, lines, stride, step) => {
+        const output = new Float32Array(input.length);
+        for (let line = 0; line < lines; line++) {
+            const start = line * stride;
+            let sum = 0;
+            // Edges repeat the outermost value
+            for (let k = -radius; k <= radius; k++) {
+                sum += input[start + Math.min(length - 1, Math.max(0, k)) * step];
+            }
+            for (let p = 0; p < length; p++) {
+                output[start + p * step] = sum / (radius * 2 + 1);
+                const leaving = Math.max(0, p - radius);
+                const entering = Math.min(length - 1, p + radius + 1);
+                sum += input[start + entering * step] - input[start + leaving * step];
+            }
+        }
+        return output;
+    };
+
+    const horizontal = pass(values, width, height, width, 1);
+    return pass(horizontal, height, width, 1, width);
+}
+
+/**
+ * Remove a solid background without the server.
+ * "flood" clears background colored areas connected to the border, so matching colors inside
+ * the subject survive; "chroma" clears every pixel close to the key color.
+ * @param {HTMLImageElement|HTMLCanvasElement} source - The picture
+ * @param {Object} options - Options
+ * @param {string} options.mode - "flood" (default) or "chroma"
+ * @param {number} options.tolerance - Largest RGB distance (0-441) still counted as background
+ * @param {number} options.feather - Width of the softened edge in pixels, 0 for hard edges
+ * @param {number[]} options.keyColor - [r, g, b] background color, guessed from the border when omitted
+ * @returns {{ canvas: HTMLCanvasElement, removed: number }} The cut out picture and the share of pixels removed (0-1)
+ */
+export function removeBackgroundLocally(source, { mode = 'flood', tolerance = DEFAULT_TOLERANCE, feather = DEFAULT_FEATHER, keyColor } = {}) {
+    const canvas = toCanvas(source);
+    const { width, height } = canvas;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const data = imageData.data;
+
+    const color = keyColor || estimateBackgroundColor(data, width, height);
+    if (!color) {
+        return { canvas, removed: 0 };
+    }
+
+    const isBackground = (pixel) => data[pixel * 4 + 3] >= TRANSPARENT_ALPHA
+        ? colorDistance(data, pixel * 4, color) <= tolerance
+        : true;
+
+    // 1 where the subject is kept
+    const keep = new Float32Array(width * height).fill(1);
+    let removedCount = 0;
+
+    if (mode === 'chroma') {
+        for (let pixel = 0; pixel < keep.length; pixel++) {
+            if (isBackground(pixel)) {
+                keep[pixel] = 0;
+                removedCount++;
+            }
+        }
+    } else {
+        // Breadth-first fill from every background colored border pixel
+        const queue = new Int32Array(width * height);
+        const visited = new Uint8Array(width * height);
+        let head = 0;
+        let tail = 0;
+
+        const push = (pixel) => {
+            if (visited[pixel]) return;
+            visited[pixel] = 1;
+            if (isBackground(pixel)) queue[tail++] = pixel;
+        };
+
+        for (let x = 0; x < width; x++) {
+            push(x);
+            push((height - 1) * width + x);
+        }
+        for (let y = 0; y < height; y++) {
+            push(y * width);
+            push(y * width + width - 1);
+        }
+
+        while (head < tail) {
+            const pixel = queue[head++];
+            keep[pixel] = 0;
+            removedCount++;
+
+            const x = pixel % width;
+            if (x > 0) push(pixel - 1);
+            if (x < width - 1) push(pixel + 1);
+            if (pixel >= width) push(pixel - width);
+            if (pixel < width * (height - 1)) push(pixel + width);
+        }
+    }
+
+    // Soften the edge inwards only, so no background fringe comes back
+    const radius = Math.round(feather);
+    const soft = radius > 0 ? boxBlur(keep, width, height, radius) : keep;
+
+    for (let pixel = 0; pixel < keep.length; pixel++) {
+        const amount = Math.min(keep[pixel], soft[pixel]);
+        if (amount >= 1) continue;
+
+        const i = pixel * 4;
+        if (amount > 0) {
+            // Take the background's tint out of half transparent edge pixels
+            for (let c = 0; c < 3; c++) {
+                data[i + c] = (data[i + c] - color[c] * (1 - amount)) / amount;
+            }
+        }
+        data[i + 3] *= amount;
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+    return { canvas, removed: removedCount / keep.length };
+}
+
+/**
+ * Remove the background of a picture, with the AI server's model when available and locally otherwise
+ * @param {string} imageUrl - The picture, as a URL or data URL
+ * @param {Object} options - Options
+ * @param {boolean} options.useServer - Try the AI server first (default true)
+ * @param {AbortSignal} options.signal - Signal to cancel the server request
+ * @param {string} options.mode - Local removal mode, see removeBackgroundLocally()
+ * @param {number} options.tolerance - Local removal tolerance
+ * @param {number} options.feather - Local removal edge softening
+ * @returns {Promise<{ url: string, method: string, removed?: number }>} PNG data URL and whether the 'server' or 'local' removal made it
+ */
+export async function removeBackground(imageUrl, { useServer = true, signal, ...localOptions } = {}) {
+    const img = await loadImage(imageUrl);
+
+    if (useServer) {
+        try {
+            const { removeImageBackground } = await import('./ai-integration.js');
+            // The server takes PNG, JPEG or WebP, so SVGs and remote pictures are sent as PNG
+            const { photo } = await removeImageBackground(toCanvas(img).toDataURL('image/png'), { signal });
+            return { url: photo, method: 'server' };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn('Server background removal unavailable, removing it locally:', error.message);
+        }
+    }
+
+    const { canvas, removed } = removeBackgroundLocally(img, localOptions);
+    return { url: canvas.toDataURL('image/png'), method: 'local', removed };
+}
+
+export default {
+    removeBackground,
+    removeBackgroundLocally
+};
@@ -0,0 +1,136 @@
+/**
+ * Design Storage for 3D Clothes Project
+ * Saves and loads complete designs through the server's /api/v1/designs endpoints
+ */
+
+import { AI_SERVER_URL } from './ai-integration.js';
+import { state, updateState } from './state.js';
+import { getEditorState, restoreEditorState } from './3d-editor.js';
+
+const DESIGNS_ENDPOINT = `${AI_SERVER_URL}/api/v1/designs`;
+
+/**
+ * Send a request to the designs API and unwrap the JSON response
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...options.headers
+    }
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.message || `Server responded with status: ${response.status}`);
+  }
+
+  return data;
+}
+
+/**
+ * Collect the current design from the editor and the app state
+ * @param {string} name - Name to save the design under
+ * @returns {Object} Design payload for the server
+ */
+export function collectDesign(name) {
+  const { objects, fonts } = getEditorState();
+
+  return {
+    name,
+    modelType: state.currentModel,
+    color: state.color,
+    fabricType: state.fabricType,
+    // Image elements don't survive JSON, the src is used to reload them
+    objects: objects.map(({ img, ...obj }) => obj),
+    // Uploaded fonts are embedded so the text looks the same wherever the design is opened
+    fonts
+  };
+}
+
+/**
+ * Save the current design to the server
+ * Updates the design that was last saved or opened, unless asNew is set
+ * @param {string} name - Name to save the design under
+ * @param {Object} options - Save options
+ * @param {boolean} options.asNew - Always create a new design
+ * @returns {Promise<Object>} The saved design
+ */
+export async function saveDesignToServer(name, { asNew = false } = {}) {
+  const design = collectDesign(name);
+  const currentId = asNew ? null : state.currentDesignId;
+
+  const data = currentId
+    ? await request(`${DESIGNS_ENDPOINT}/${encodeURIComponent(currentId)}`, { method: 'PUT', body: JSON.stringify(design) })
+    : await request(DESIGNS_ENDPOINT, { method: 'POST', body: JSON.stringify(design) });
+
+  updateState({ currentDesignId: data.design.id, currentDesignName: data.design.name });
+  return data.design;
+}
+
+/**
+ * List the designs saved on the server (without their objects)
+ * @returns {Promise<Array>} Design summaries, most recently updated first
+ */
+export async function listServerDesigns() {
+  const data = await request(DESIGNS_ENDPOINT);
+  return data.designs || [];
+}
+
+/**
+ * Delete a design from the server
+ * @param {string} id - Design id
+ * @returns {Promise<void>}
+ */
+export async function deleteServerDesign(id) {
+  await request(`${DESIGNS_ENDPOINT}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+  if (state.currentDesignId === id) {
+    updateState({ currentDesignId: null, currentDesignName: null });
+  }
+}
+
+/**
+ * Load a design from the server and apply it to the model and editor
+ * @param {string} id - Design id
+ * @returns {Promise<Object>} The loaded design
+ */
+export async function openDesignFromServer(id) {
+  const { design } = await request(`${DESIGNS_ENDPOINT}/${encodeURIComponent(id)}`);
+
+  // Import dynamically to avoid circular dependencies
+  const scene = await import('./scene.js');
+
+  // Switch garment first so the objects land on the right UV layout, without carrying the old design over
+  if (design.modelType && design.modelType !== state.currentModel) {
+    await scene.changeModel(design.modelType, { transferObjects: false });
+  }
+
+  if (design.color) {
+    scene.updateShirtColor(design.color);
+  }
+
+  if (design.fabricType) {
+    updateState({ fabricType: design.fabricType });
+  }
+
+  const restored = await restoreEditorState({ objects: design.objects || [], fonts: design.fonts || [] });
+  if (!restored) {
+    throw new Error('Could not restore the design objects');
+  }
+
+  updateState({ currentDesignId: design.id, currentDesignName: design.name });
+  return design;
+}
+
+export default {
+  saveDesignToServer,
+  listServerDesigns,
+  openDesignFromServer,
+  deleteServerDesign
+};
@@ -0,0 +1,267 @@
+/**
+ * Fonts for 3D Clothes Project
+ * Registers the font library bundled in fonts/ and fonts uploaded by the user with the FontFace API,
+ * so text renders the same on every machine whatever fonts its OS has installed
+ */
+
+// Where the bundled font files are served from, relative to index.html
+const FONTS_PATH = 'fonts/';
+
+// File types a user can upload as a font
+export const FONT_FILE_EXTENSIONS = ['ttf', 'otf', 'woff', 'woff2'];
+
+// Uploaded fonts are embedded in every saved design, so they are kept reasonably small
+const MAX_FONT_FILE_SIZE = 5 * 1024 * 1024;
+
+// Character ranges of the subsets the bundled fonts are split into, each subset's file is only downloaded
+// when text uses one of its characters
+const FONT_SUBSETS = {
+    latin: 'U+0000-00FF,U+0131,U+0152-0153,U+02BB-02BC,U+02C6,U+02DA,U+02DC,U+0304,U+0308,U+0329,U+2000-206F,U+20AC,U+2122,U+2191,U+2193,U+2212,U+2215,U+FEFF,U+FFFD',
+    'latin-ext': 'U+0100-02BA,U+02BD-02C5,U+02C7-02CC,U+02CE-02D7,U+02DD-02FF,U+0304,U+0308,U+0329,U+1D00-1DBF,U+1E00-1E9F,U+1EF2-1EFF,U+2020,U+20A0-20AB,U+20AD-20C0,U+2113,U+2C60-2C7F,U+A720-A7FF'
+};
+
+// Bundled fonts, by category, as WOFF2 files named <folder>-<subset>-<weight>-<style>.woff2.
+// Weights and italic list the faces each family has, text only gets offered those
+export const FONT_LIBRARY = [
+    { family: 'Lato', category: 'Sans Serif', folder: 'lato', weights: [300, 400, 700, 900], italic: true },
+    { family: 'Montserrat', category: 'Sans Serif', folder: 'montserrat', weights: [300, 400, 600, 700, 900], italic: true },
+    { family: 'Open Sans', category: 'Sans Serif', folder: 'open-sans', weights: [300, 400, 600, 700], italic: true },
+    { family: 'Playfair Display', category: 'Serif', folder: 'playfair-display', weights: [400, 600, 700, 900], italic: true },
+    { family: 'Roboto Slab', category: 'Serif', folder: 'roboto-slab', weights: [300, 400, 600, 700, 900] },
+    { family: 'Bebas Neue', category: 'Display', folder: 'bebas-neue', weights: [400] },
+    { family: 'Anton', category: 'Display', folder: 'anton', weights: [400] },
+    { family: 'Oswald', category: 'Display', folder: 'oswald', weights: [300, 400, 600, 700] },
+    { family: 'Lobster', category: 'Script', folder: 'lobster', weights: [400] },
+    { family: 'Pacifico', category: 'Script', folder: 'pacifico', weights: [400] },
+    { family: 'Permanent Marker', category: 'Script', folder: 'permanent-marker', weights: [400], subsets: ['latin'] },
+    { family: 'Source Code Pro', category: 'Monospace', folder: 'source-code-pro', weights: [300, 400, 600, 700, 900], italic: true }
+];
+
+// Weights of fonts that aren't bundled: uploaded fonts have a single face, system fonts usually a regular and a bold one
+const UPLOADED_FONT_WEIGHTS = [400];
+const SYSTEM_FONT_WEIGHTS = [400, 700];
+
+// Fonts used before the library was bundled, they only look right where the OS has them installed
+export const SYSTEM_FONTS = [
+    'Arial',
+    'Times New Roman',
+    'Helvetica',
+    'Verdana',
+    'Georgia',
+    'Courier New',
+    'Tahoma',
+    'Trebuchet MS',
+    'Impact',
+    'Comic Sans MS'
+];
+
+// Whether the bundled fonts have been added to the document, they are on first use
+let libraryRegistered = false;
+
+// Uploaded fonts by family: { family, src } with the font file as a data URL
+const customFonts = new Map();
+
+/**
+ * Add the bundled fonts to the document. Their files are only downloaded once text draws with them.
+ */
+function registerLibraryFonts() {
+    if (libraryRegistered) return;
+    libraryRegistered = true;
+
+    FONT_LIBRARY.forEach(({ family, folder, weights, italic = false, subsets = Object.keys(FONT_SUBSETS) }) => {
+        weights.forEach(weight => {
+            (italic ? ['normal', 'italic'] : ['normal']).forEach(style => {
+                subsets.forEach(subset => {
+                    const file = `${folder}/${folder}-${subset}-${weight}-${style}.woff2`;
+                    document.fonts.add(new FontFace(family, `url("${FONTS_PATH}${file}") format("woff2")`, {
+                        weight: String(weight),
+                        style,
+                        unicodeRange: FONT_SUBSETS[subset]
+                    }));
+                });
+            });
+        });
+    });
+}
+
+/**
+ * Make sure the faces a text draws with are ready: only the face of its weight and style, and only
+ * the subsets its characters are in. System fonts and unknown families resolve right away.
+ * Never rejects, text falls back to another font when a file can't be loaded.
+ * @param {string} font - CSS font the text draws with, e.g. 'italic 700 80px "Lato"'
+ * @param {string} text - Characters of the text
+ * @returns {Promise<void>}
+ */
+export async function loadFont(font, text = '') {
+    registerLibraryFonts();
+
+    try {
+        // An empty text would only load the face for a space
+        await document.fonts.load(font, text || ' ');
+    } catch (error) {
+        console.warn(`Failed to load the font ${font}:`, error);
+    }
+}
+
+/**
+ * Fonts offered in the font picker, grouped by category. Uploaded fonts come first.
+ * @returns {Array<{ category: string, families: string[] }>}
+ */
+export function getFontGroups() {
+    const groups = [];
+    if (customFonts.size > 0) {
+        groups.push({ category: 'Uploaded', families: [...customFonts.keys()] });
+    }
+
+    FONT_LIBRARY.forEach(({ family, category }) => {
+        let group = groups.find(other => other.category === category);
+        if (!group) {
+            group = { category, families: [] };
+            groups.push(group);
+        }
+        group.families.push(family);
+    });
+
+    groups.push({ category: 'System', families: SYSTEM_FONTS });
+    return groups;
+}
+
+/**
+ * Whether a font family is known, bundled, uploaded or one of the system fonts
+ * @param {string} family - Font family
+ * @returns {boolean}
+ */
+function isKnownFont(family) {
+    return customFonts.has(family) || SYSTEM_FONTS.includes(family) || FONT_LIBRARY.some(font => font.family === family);
+}
+
+/**
+ * Weights a font has faces for
+ * @param {string} family - Font family
+ * @returns {number[]}
+ */
+export function getFontWeights(family) {
+    const font = FONT_LIBRARY.find(other => other.family === family);
+    if (font) return font.weights;
+    return customFonts.has(family) ? UPLOADED_FONT_WEIGHTS : SYSTEM_FONT_WEIGHTS;
+}
+
+/**
+ * Whether a font has italic faces. Uploaded fonts only have their one face.
+ * @param {string} family - Font family
+ * @returns {boolean}
+ */
+export function hasItalicFace(family) {
+    const font = FONT_LIBRARY.find(other => other.family === family);
+    if (font) return !!font.italic;
+    return !customFonts.has(family);
+}
+
+/**
+ * The face of a font closest to the weight and style asked for, so text never uses a face the
+ * browser would have to fake, which looks different from one browser and OS to the next
+ * @param {string} family - Font family
+ * @param {string|number} weight - CSS font weight
+ * @param {string} style - 'normal' or 'italic'
+ * @returns {{ weight: number, style: string }}
+ */
+export function resolveFontFace(family, weight = 'bold', style = 'normal') {
+    const target = weight === 'bold' ? 700 : Number(weight) || 400;
+    // Ties go to the heavier face
+    const closest = getFontWeights(family).reduce((best, other) => {
+        const difference = Math.abs(other - target) - Math.abs(best - target);
+        return difference < 0 || (difference === 0 && other > best) ? other : best;
+    });
+    return { weight: closest, style: style === 'italic' && hasItalicFace(family) ? 'italic' : 'normal' };
+}
+
+/**
+ * Register an uploaded font with the document
+ * @param {Object} font - Font to register
+ * @param {string} font.family - Family name the text objects refer to
+ * @param {string} font.src - The font file as a data URL
+ * @returns {Promise<string>} The family name
+ */
+export async function registerCustomFont({ family, src }) {
+    if (customFonts.get(family)?.src === src) return family;
+
+    const face = new FontFace(family, `url("${src}")`);
+    try {
+        await face.load();
+    } catch (error) {
+        throw new Error(`${family} isn't a font file that can be used`);
+    }
+
+    document.fonts.add(face);
+    customFonts.set(family, { family, src });
+    return family;
+}
+
+/**
+ * Register the fonts embedded in a saved design. Fonts that can't be loaded are skipped,
+ * their text falls back to another font.
+ * @param {Array<Object>} fonts - Fonts as returned by getEmbeddedFonts()
+ * @returns {Promise<void>}
+ */
+export async function registerCustomFonts(fonts = []) {
+    await Promise.all(fonts.map(font => registerCustomFont(font).catch(error => {
+        console.warn('Failed to restore an embedded font:', error.message);
+    })));
+}
+
+/**
+ * Read a font file chosen by the user
+ * @param {File} file - A TTF, OTF, WOFF or WOFF2 file
+ * @returns {Promise<string>} The family name text can use it under
+ */
+export async function addCustomFont(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (!FONT_FILE_EXTENSIONS.includes(extension)) {
+        throw new Error(`Please choose a ${FONT_FILE_EXTENSIONS.map(ext => ext.toUpperCase()).join(', ')} font file`);
+    }
+    if (file.size > MAX_FONT_FILE_SIZE) {
+        throw new Error(`Font files can be up to ${MAX_FONT_FILE_SIZE / 1024 / 1024} MB`);
+    }
+
+    const src = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error('Failed to read the font file'));
+        reader.readAsDataURL(file);
+    });
+
+    const existing = [...customFonts.values()].find(font => font.src === src);
+    if (existing) return existing.family;
+
+    // Named after the file, numbered when that name is already taken
+    const name = file.name.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim() || 'Custom Font';
+    let family = name;
+    for (let i = 2; isKnownFont(family); i++) {
+        family = `${name} ${i}`;
+    }
+
+    return registerCustomFont({ family, src });
+}
+
+/**
+ * Uploaded fonts a design uses, to embed with it so it renders the same when opened elsewhere
+ * @param {Iterable<string>} families - Font families of the design's text
+ * @returns {Array<{ family: string, src: string }>}
+ */
+export function getEmbeddedFonts(families) {
+    return [...new Set(families)]
+        .filter(family => customFonts.has(family))
+        .map(family => ({ ...customFonts.get(family) }));
+}
+
+export default {
+    loadFont,
+    getFontGroups,
+    getFontWeights,
+    hasItalicFace,
+    resolveFontFace,
+    addCustomFont,
+    registerCustomFont,
+    registerCustomFonts,
+    getEmbeddedFonts
+};
@@ -0,0 +1,345 @@
+/**
+ * Print-ready export for 3D Clothes Project
+ * Renders the artwork of every print area on its own at physical size and resolution, on a transparent
+ * background with optional bleed and crop marks, as PNG files or one multi-page PDF for the print shop
+ */
+
+import { state } from './state.js';
+import { modelConfig, getPrintArea } from './texture-mapper.js';
+import { drawViewArtwork, getViewObjects } from './3d-editor.js';
+
+// Resolution used when the caller doesn't pick one
+export const DEFAULT_PRINT_DPI = 300;
+
+// Crop marks start this far outside the bleed and are this long, in inches
+const CROP_MARK_OFFSET = 0.0625;
+const CROP_MARK_LENGTH = 0.25;
+
+// Crop mark line width in points, a hairline
+const CROP_MARK_WEIGHT = 0.25;
+
+// Browsers refuse to draw larger canvases
+const MAX_PAGE_SIDE = 32767;
+const MAX_PAGE_PIXELS = 100 * 1000 * 1000;
+
+const POINTS_PER_INCH = 72;
+const METERS_PER_INCH = 0.0254;
+
+const encoder = new TextEncoder();
+
+/**
+ * Print areas of the current model with their configured size
+ * @returns {Array<{ view: string, name: string, width: number, height: number, objects: number }>}
+ *   Sizes in inches (0 when the view has no printArea), objects is the number of objects placed on it
+ */
+export function getPrintAreas() {
+    const views = modelConfig[state.currentModel]?.views || {};
+
+    return Object.entries(views).map(([view, config]) => ({
+        view,
+        name: config.name || view,
+        ...(getPrintArea(view) || { width: 0, height: 0 }),
+        objects: getViewObjects(view).length
+    }));
+}
+
+/**
+ * Where the print area goes on its page, everything in inches
+ * @param {number} width - Print area width
+ * @param {number} height - Print area height
+ * @param {Object} options - Bleed and crop marks, see renderPrintPage()
+ * @returns {{ pageWidth: number, pageHeight: number, margin: number, bleed: number }}
+ *   The trim box starts margin inches from every page edge
+ */
+function getPageLayout(width, height, { bleed = 0, cropMarks = false } = {}) {
+    const margin = bleed + (cropMarks ? CROP_MARK_OFFSET + CROP_MARK_LENGTH : 0);
+    return {
+        pageWidth: width + margin * 2,
+        pageHeight: height + margin * 2,
+        margin,
+        bleed
+    };
+}
+
+/**
+ * Draw crop marks in line with the trim edges, outside the bleed
+ * @param {CanvasRenderingContext2D} ctx - Page context
+ * @param {Object} trim - Trim box in pixels
+ * @param {number} dpi - Page resolution
+ * @param {number} bleed - Bleed in inches
+ */
+function drawCropMarks(ctx, trim, dpi, bleed) {
+    const start = (bleed + CROP_MARK_OFFSET) * dpi;
+    const end = start + CROP_MARK_LENGTH * dpi;
+    const right = trim.x + trim.width;
+    const bottom = trim.y + trim.height;
+
+    ctx.save();
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = Math.max(1, CROP_MARK_WEIGHT / POINTS_PER_INCH * dpi);
+    ctx.beginPath();
+    [[trim.x, trim.y, -1, -1], [right, trim.y, 1, -1], [trim.x, bottom, -1, 1], [right, bottom, 1, 1]]
+        .forEach(([x, y, outX, outY]) => {
+            ctx.moveTo(x + outX * start, y);
+            ctx.lineTo(x + outX * end, y);
+            ctx.moveTo(x, y + outY * start);
+            ctx.lineTo(x, y + outY * end);
+        });
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Render the artwork of one print area as a print page
+ * @param {string} view - The view to render
+ * @param {Object} size - Physical size of the print area
+ * @param {number} size.width - Width in inches
+ * @param {number} size.height - Height in inches
+ * @param {Object} options - Options
+ * @param {number} options.dpi - Resolution (default DEFAULT_PRINT_DPI)
+ * @param {number} options.bleed - Extra artwork kept around the print area, in inches (default 0)
+ * @param {boolean} options.cropMarks - Add crop marks at the corners (default false)
+ * @returns {{ canvas: HTMLCanvasElement, layout: Object }} Transparent page and its layout from getPageLayout()
+ */
+export function renderPrintPage(view, { width, height }, { dpi = DEFAULT_PRINT_DPI, bleed = 0, cropMarks = false } = {}) {
+    if (!(width > 0 && height > 0)) {
+        throw new Error(`${modelConfig[state.currentModel]?.views?.[view]?.name || view} needs a print size`);
+    }
+
+    const layout = getPageLayout(width, height, { bleed, cropMarks });
+    const pixelWidth = Math.round(layout.pageWidth * dpi);
+    const pixelHeight = Math.round(layout.pageHeight * dpi);
+    if (pixelWidth > MAX_PAGE_SIDE || pixelHeight > MAX_PAGE_SIDE || pixelWidth * pixelHeight > MAX_PAGE_PIXELS) {
+        throw new Error(`${width} × ${height} in is too large to export at ${dpi} DPI, pick a lower resolution`);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = pixelWidth;
+    canvas.height = pixelHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+
+    const trim = {
+        x: layout.margin * dpi,
+        y: layout.margin * dpi,
+        width: width * dpi,
+        height: height * dpi
+    };
+
+    // Artwork reaching past the print area runs on into the bleed, and no further
+    const bleedSize = bleed * dpi;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(trim.x - bleedSize, trim.y - bleedSize, trim.width + bleedSize * 2, trim.height + bleedSize * 2);
+    ctx.clip();
+    drawViewArtwork(ctx, view, trim);
+    ctx.restore();
+
+    if (cropMarks) {
+        drawCropMarks(ctx, trim, dpi, bleed);
+    }
+
+    return { canvas, layout };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode a page as PNG with its resolution stored in a pHYs chunk, so print software
+ * opens it at the right physical size
+ * @param {HTMLCanvasElement} canvas - The page
+ * @param {number} dpi - Its resolution
+ * @returns {Promise<Blob>}
+ */
+async function canvasToPNG(canvas, dpi) {
+    const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(result => result ? resolve(result) : reject(new Error('Could not encode the PNG')), 'image/png');
+    });
+    const png = new Uint8Array(await blob.arrayBuffer());
+
+    const pixelsPerMeter = Math.round(dpi / METERS_PER_INCH);
+    const chunk = new Uint8Array(21);
+    const data = new DataView(chunk.buffer);
+    data.setUint32(0, 9);
+    chunk.set(encoder.encode('pHYs'), 4);
+    data.setUint32(8, pixelsPerMeter);
+    data.setUint32(12, pixelsPerMeter);
+    chunk[16] = 1;                                  // unit: meter
+    data.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+    // Right after the signature (8 bytes) and IHDR chunk (25 bytes)
+    return new Blob([png.subarray(0, 33), chunk, png.subarray(33)], { type: 'image/png' });
+}
+
+/**
+ * zlib-compress bytes, which is what PDF's FlateDecode expects
+ * @param {Uint8Array} bytes - Data to compress
+ * @returns {Promise<Uint8Array>}
+ */
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Compress a page's pixels for the PDF, colors and transparency separately
+ * @param {HTMLCanvasElement} canvas - The page
+ * @param {Object} layout - Its layout from getPageLayout()
+ * @returns {Promise<Object>}
+ */
+async function preparePDFPage(canvas, layout) {
+    const { width, height } = canvas;
+    const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+    const rgb = new Uint8Array(width * height * 3);
+    const alpha = new Uint8Array(width * height);
+    for (let i = 0, p = 0; p < alpha.length; p++, i += 4) {
+        rgb[p * 3] = pixels[i];
+        rgb[p * 3 + 1] = pixels[i + 1];
+        rgb[p * 3 + 2] = pixels[i + 2];
+        alpha[p] = pixels[i + 3];
+    }
+
+    return {
+        width,
+        height,
+        layout,
+        rgb: await deflate(rgb),
+        alpha: await deflate(alpha)
+    };
+}
+
+const formatPoints = (inches) => String(Math.round(inches * POINTS_PER_INCH * 1000) / 1000);
+
+/**
+ * Write a PDF with one image per page. Pages carry TrimBox and BleedBox, so print software
+ * knows where to cut.
+ * @param {Array<Object>} pages - Pages from preparePDFPage()
+ * @returns {Blob}
+ */
+function buildPDF(pages) {
+    // Objects 1 and 2 are the catalog and the page tree, then four objects per page
+    const objects = [
+        { entries: '/Type /Catalog /Pages 2 0 R' },
+        { entries: `/Type /Pages /Kids [${pages.map((_, i) => `${3 + i * 4} 0 R`).join(' ')}] /Count ${pages.length}` }
+    ];
+
+    pages.forEach((page, i) => {
+        const [contentRef, imageRef, maskRef] = [4, 5, 6].map(n => n + i * 4);
+        const { pageWidth, pageHeight, margin, bleed } = page.layout;
+        const box = (inset) =>
+            `[${[inset, inset, pageWidth - inset, pageHeight - inset].map(formatPoints).join(' ')}]`;
+        const image = `/Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /BitsPerComponent 8 /Filter /FlateDecode`;
+
+        objects.push(
+            {
+                entries: `/Type /Page /Parent 2 0 R /MediaBox ${box(0)} /BleedBox ${box(margin - bleed)} /TrimBox ${box(margin)} ` +
+                    `/Resources << /XObject << /Im0 ${imageRef} 0 R >> >> /Contents ${contentRef} 0 R`
+            },
+            { entries: '', stream: encoder.encode(`q ${formatPoints(pageWidth)} 0 0 ${formatPoints(pageHeight)} 0 0 cm /Im0 Do Q`) },
+            { entries: `${image} /ColorSpace /DeviceRGB /SMask ${maskRef} 0 R`, stream: page.rgb },
+            { entries: `${image} /ColorSpace /DeviceGray`, stream: page.alpha }
+        );
+    });
+
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+    const write = (part) => {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        parts.push(bytes);
+        length += bytes.length;
+    };
+
+    // The binary comment tells file transfer tools not to treat the file as text
+    write('%PDF-1.4\n');
+    write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+    objects.forEach(({ entries, stream }, i) => {
+        offsets.push(length);
+        const dictionary = stream ? `${entries} /Length ${stream.length}`.trim() : entries;
+        write(`${i + 1} 0 obj\n<< ${dictionary} >>\n`);
+        if (stream) {
+            write('stream\n');
+            write(stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    });
+
+    const xref = length;
+    write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+    write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    return new Blob(parts, { type: 'application/pdf' });
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Export print files for a set of print areas
+ * @param {Array<{ view: string, width: number, height: number }>} areas - Print areas to export, sizes in inches
+ * @param {Object} options - Options
+ * @param {number} options.dpi - Resolution (default DEFAULT_PRINT_DPI)
+ * @param {number} options.bleed - Bleed on every side, in inches (default 0)
+ * @param {boolean} options.cropMarks - Add crop marks (default false)
+ * @param {string} options.format - 'pdf' for one page per area, 'png' for one file per area (default 'pdf')
+ * @param {Function} options.onProgress - Called with (done, total) after every area
+ * @returns {Promise<void>} Resolves once the files are handed to the browser
+ */
+export async function exportPrintFiles(areas, { dpi = DEFAULT_PRINT_DPI, bleed = 0, cropMarks = false, format = 'pdf', onProgress } = {}) {
+    if (areas.length === 0) {
+        throw new Error('Pick at least one print area');
+    }
+
+    const pages = [];
+    for (const [index, area] of areas.entries()) {
+        const { canvas, layout } = renderPrintPage(area.view, area, { dpi, bleed, cropMarks });
+
+        if (format === 'png') {
+            downloadBlob(await canvasToPNG(canvas, dpi), `${state.currentModel}-${area.view}-${dpi}dpi.png`);
+        } else {
+            pages.push(await preparePDFPage(canvas, layout));
+        }
+
+        // Let the browser free the page before rendering the next one
+        canvas.width = 0;
+        canvas.height = 0;
+        if (onProgress) onProgress(index + 1, areas.length);
+    }
+
+    if (format === 'pdf') {
+        downloadBlob(buildPDF(pages), `${state.currentModel}-print-${dpi}dpi.pdf`);
+    }
+}
+
+export default {
+    getPrintAreas,
+    renderPrintPage,
+    exportPrintFiles
+};
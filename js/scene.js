@@ -2262,8 +2262,14 @@ export function removeFullDecalLayer() {
     return true;
 }
 
-// Change the current 3D model
-export function changeModel(modelType) {
+/**
+ * Change the current 3D model
+ * @param {string} modelType - Model to switch to
+ * @param {Object} options
+ * @param {boolean} options.transferObjects - Move the current design onto the new model, false when the caller restores its own
+ * @returns {Promise<boolean|void>}
+ */
+export function changeModel(modelType, { transferObjects = true } = {}) {
     console.log(`Changing model to: ${modelType}`);
 
     // First check if the modelType is valid
@@ -2305,7 +2311,7 @@ export function changeModel(modelType) {
     }
     
     // Save customization state (if available)
-    if (window.getEditorState) {
+    if (transferObjects && window.getEditorState) {
         try {
             currentObjects = window.getEditorState();
             console.log(`Preserved ${currentObjects.length} customizations for transfer to new model`);
@@ -0,0 +1,258 @@
+/**
+ * Shapes for 3D Clothes Project
+ * Outlines of the shape library and of SVG paths imported as shapes, built as Path2D objects that
+ * fill the shape's box so every shape moves, scales and rotates the same way
+ */
+
+// The shape library. Settings only apply to the shapes listing them, defaults fill in what a new shape starts with
+export const SHAPE_TYPES = {
+    rectangle: { name: 'Rectangle', icon: 'fa-square', settings: ['cornerRadius'] },
+    'rounded-rectangle': { name: 'Rounded', icon: 'fa-square-full', settings: ['cornerRadius'], defaults: { cornerRadius: 0.2 } },
+    circle: { name: 'Circle', icon: 'fa-circle', settings: [] },
+    triangle: { name: 'Triangle', icon: 'fa-play', settings: ['cornerRadius'] },
+    polygon: { name: 'Polygon', icon: 'fa-draw-polygon', settings: ['sides', 'cornerRadius'] },
+    star: { name: 'Star', icon: 'fa-star', settings: ['points', 'innerRadius', 'cornerRadius'] },
+    heart: { name: 'Heart', icon: 'fa-heart', settings: [] },
+    arrow: { name: 'Arrow', icon: 'fa-arrow-right', settings: ['cornerRadius'] },
+    'speech-bubble': { name: 'Speech', icon: 'fa-comment', settings: ['cornerRadius'], defaults: { cornerRadius: 0.25 } },
+    banner: { name: 'Banner', icon: 'fa-ribbon', settings: ['cornerRadius'] },
+    custom: { name: 'SVG Path', icon: 'fa-bezier-curve', settings: ['pathData'] }
+};
+
+export const DEFAULT_POLYGON_SIDES = 6;
+export const DEFAULT_STAR_POINTS = 5;
+export const DEFAULT_STAR_INNER_RADIUS = 0.4;
+
+// Heart drawn in its own 100 x 88 box
+const HEART_PATH = 'M50,88 C20,65 0,48 0,26 C0,10 12,0 27,0 C38,0 46,6 50,14 C54,6 62,0 73,0 C88,0 100,10 100,26 C100,48 80,65 50,88 Z';
+const HEART_VIEWBOX = { x: 0, y: 0, width: 100, height: 88 };
+
+// Corners as fractions of the box, corners with round: false stay sharp whatever the corner radius
+const SHAPE_CORNERS = {
+    rectangle: [[0, 0], [1, 0], [1, 1], [0, 1]],
+    'rounded-rectangle': [[0, 0], [1, 0], [1, 1], [0, 1]],
+    triangle: [[0.5, 0], [1, 1], [0, 1]],
+    arrow: [[0, 0.3], [0.6, 0.3], [0.6, 0], [1, 0.5], [0.6, 1], [0.6, 0.7], [0, 0.7]],
+    banner: [[0, 0], [1, 0], [0.88, 0.5], [1, 1], [0, 1], [0.12, 0.5]],
+    'speech-bubble': [[0, 0], [1, 0], [1, 0.78], [0.45, 0.78, false], [0.2, 1, false], [0.25, 0.78, false], [0, 0.78]]
+};
+
+// Hidden SVG path used to measure imported path data
+let measurePathElement = null;
+
+/**
+ * Corners of a regular polygon or a star, as fractions of the box they fill
+ * @param {number} count - Sides of the polygon, or points of the star
+ * @param {number} innerRadius - For stars, the inner corners' distance from the center relative to the points'
+ * @returns {Array<number[]>}
+ */
+function getRadialCorners(count, innerRadius = null) {
+    const steps = innerRadius === null ? count : count * 2;
+    const corners = Array.from({ length: steps }, (_, i) => {
+        const radius = innerRadius !== null && i % 2 === 1 ? innerRadius : 1;
+        const angle = Math.PI * 2 * i / steps - Math.PI / 2;
+        return [radius * Math.cos(angle), radius * Math.sin(angle)];
+    });
+
+    // Stretched so the shape touches every side of its box
+    const xs = corners.map(([x]) => x);
+    const ys = corners.map(([, y]) => y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const spanX = Math.max(...xs) - minX;
+    const spanY = Math.max(...ys) - minY;
+    return corners.map(([x, y]) => [(x - minX) / spanX, (y - minY) / spanY]);
+}
+
+/**
+ * Trace a polygon, rounding its corners
+ * @param {Path2D} path - Path to add the polygon to
+ * @param {Array<number[]>} corners - Corners in canvas units, with an optional third value false for sharp corners
+ * @param {number} radius - Corner radius in canvas units
+ */
+function tracePolygon(path, corners, radius) {
+    const count = corners.length;
+    const point = i => corners[(i + count) % count];
+    const distance = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+
+    // Starts halfway along the last side, so every corner is reached with arcTo
+    const last = point(-1);
+    path.moveTo((last[0] + corners[0][0]) / 2, (last[1] + corners[0][1]) / 2);
+
+    corners.forEach((corner, i) => {
+        const next = point(i + 1);
+        // A corner can't take more than half of either side it joins
+        const limit = Math.min(distance(point(i - 1), corner), distance(corner, next)) / 2;
+        const cornerRadius = corner[2] === false ? 0 : Math.min(radius, limit);
+        path.arcTo(corner[0], corner[1], next[0], next[1], cornerRadius);
+    });
+    path.closePath();
+}
+
+/**
+ * Add SVG path data to a path, stretched from its view box to the shape's box
+ * @param {Path2D} path - Path to add to
+ * @param {string} data - SVG path data
+ * @param {Object} viewBox - { x, y, width, height } of the path data
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ */
+function addPathData(path, data, viewBox, width, height) {
+    const transform = new DOMMatrix()
+        .translate(-width / 2, -height / 2)
+        .scale(width / viewBox.width, height / viewBox.height)
+        .translate(-viewBox.x, -viewBox.y);
+    path.addPath(new Path2D(data), transform);
+}
+
+/**
+ * Outline of a shape, centered on the origin and filling the shape's box
+ * @param {Object} shape - Shape object, or { shapeType, width, height, ... } for previews
+ * @returns {Path2D}
+ */
+export function getShapePath(shape) {
+    const { width, height } = shape;
+    const type = shape.shapeType || 'rectangle';
+    const path = new Path2D();
+
+    if (type === 'circle') {
+        path.ellipse(0, 0, width / 2, height / 2, 0, 0, Math.PI * 2);
+        return path;
+    }
+    if (type === 'heart') {
+        addPathData(path, HEART_PATH, HEART_VIEWBOX, width, height);
+        return path;
+    }
+    if (type === 'custom') {
+        if (shape.pathData && shape.pathViewBox?.width > 0 && shape.pathViewBox?.height > 0) {
+            addPathData(path, shape.pathData, shape.pathViewBox, width, height);
+        }
+        return path;
+    }
+
+    let corners = SHAPE_CORNERS[type];
+    if (type === 'polygon') {
+        corners = getRadialCorners(Math.max(3, shape.sides || DEFAULT_POLYGON_SIDES));
+    } else if (type === 'star') {
+        corners = getRadialCorners(Math.max(3, shape.points || DEFAULT_STAR_POINTS), shape.innerRadius ?? DEFAULT_STAR_INNER_RADIUS);
+    }
+
+    const radius = (shape.cornerRadius ?? SHAPE_TYPES[type]?.defaults?.cornerRadius ?? 0) * Math.min(width, height);
+    tracePolygon(path, (corners || SHAPE_CORNERS.rectangle).map(([x, y, round]) => [x * width - width / 2, y * height - height / 2, round]), radius);
+    return path;
+}
+
+/**
+ * Height of a shape relative to its width when it's added, imported paths and the heart keep their proportions
+ * @param {Object} shape - Shape object or shape settings
+ * @returns {number}
+ */
+export function getShapeAspect(shape) {
+    if (shape.shapeType === 'custom' && shape.pathViewBox?.width > 0) {
+        return shape.pathViewBox.height / shape.pathViewBox.width;
+    }
+    if (shape.shapeType === 'heart') {
+        return HEART_VIEWBOX.height / HEART_VIEWBOX.width;
+    }
+    return 1;
+}
+
+/**
+ * Line dash for a shape's stroke
+ * @param {string} dash - 'solid', 'dashed' or 'dotted'
+ * @param {number} strokeWidth - Stroke width
+ * @returns {number[]}
+ */
+export function getShapeDash(dash, strokeWidth) {
+    if (dash === 'dashed') return [strokeWidth * 3, strokeWidth * 2];
+    // Round caps turn the zero-length dashes into dots
+    if (dash === 'dotted') return [0, strokeWidth * 2];
+    return [];
+}
+
+/**
+ * How far a shape's stroke can reach outside its box, mitered corners included
+ * @param {Object} shape - Shape object
+ * @returns {number} Canvas units
+ */
+export function getShapeOverhang(shape) {
+    return shape.strokeWidth > 0 ? shape.strokeWidth * 2 : 0;
+}
+
+/**
+ * Bounds of SVG path data
+ * @param {string} data - SVG path data
+ * @returns {Object|null} { x, y, width, height }, null when the data doesn't draw anything
+ */
+export function measurePathData(data) {
+    if (!measurePathElement) {
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('width', '0');
+        svg.setAttribute('height', '0');
+        svg.style.position = 'absolute';
+        svg.style.visibility = 'hidden';
+        measurePathElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        svg.appendChild(measurePathElement);
+        document.body.appendChild(svg);
+    }
+
+    measurePathElement.setAttribute('d', data);
+    try {
+        const { x, y, width, height } = measurePathElement.getBBox();
+        return width > 0 && height > 0 ? { x, y, width, height } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// A path's leading relative moveto and the coordinate pair it moves to
+const LEADING_RELATIVE_MOVE = /^\s*m\s*([-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?)[\s,]*([-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?)[\s,]*/i;
+
+/**
+ * Make a path's leading moveto absolute, so the path keeps its place when joined after another one.
+ * A path's first relative moveto is taken from the origin, but after joining it would be taken from
+ * the end of the path before it. Coordinate pairs following it are relative linetos.
+ * @param {string} data - SVG path data
+ * @returns {string}
+ */
+function absolutizeLeadingMove(data) {
+    const match = data.match(LEADING_RELATIVE_MOVE);
+    if (!match || match[0].trimStart()[0] !== 'm') return data;
+
+    const rest = data.slice(match[0].length);
+    const implicitLineTo = /^[-+.\d]/.test(rest) ? 'l' : '';
+    return `M${match[1]},${match[2]} ${implicitLineTo}${rest}`;
+}
+
+/**
+ * Read the paths of an SVG file as one shape. Only path elements are used and their transforms are ignored.
+ * @param {string} svgText - Contents of the SVG file
+ * @returns {Object} { pathData, pathViewBox }
+ */
+export function parseSVGShape(svgText) {
+    const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+    if (doc.querySelector('parsererror')) {
+        throw new Error('The file is not a valid SVG');
+    }
+
+    const pathData = [...doc.querySelectorAll('path')]
+        .map(path => path.getAttribute('d')?.trim())
+        .filter(Boolean)
+        .map(absolutizeLeadingMove)
+        .join(' ');
+    const pathViewBox = pathData ? measurePathData(pathData) : null;
+    if (!pathViewBox) {
+        throw new Error('The SVG has no paths to use as a shape');
+    }
+
+    return { pathData, pathViewBox };
+}
+
+export default {
+    getShapePath,
+    getShapeAspect,
+    getShapeDash,
+    getShapeOverhang,
+    measurePathData,
+    parseSVGShape
+};
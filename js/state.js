@@ -18,6 +18,19 @@ export const state = {
         hoodie: './models/hoodie.glb'
     },
 
+    // Print sizing
+    garmentSize: null,        // Selected garment size ('S', 'M', ...), null for the model's default
+    measurementUnit: 'in',    // Units for printed sizes: 'in' or 'cm'
+
+    // Editor guides
+    showGrid: false,          // Grid over the editable area
+    showRulers: false,        // Rulers along the editable area's top and left edges
+    snapping: true,           // Snap moved objects to the view and other objects
+
+    // Design saved on / opened from the server
+    currentDesignId: null,    // Id of the server design, null until first saved
+    currentDesignName: null,
+
 };
 
 // State change callbacks
@@ -97,6 +110,10 @@ export const panelSettings = {
     // Shape panel settings
     shape: {
         items: [] // Will store shape objects that have been created
+    },
+    // Vector panel settings
+    vector: {
+        items: [] // Will store vector objects traced from photos
     }
 };
 
@@ -129,7 +146,7 @@ export const loadPanelSettings = () => {
 
 /**
  * Add an item to panel settings
- * @param {string} panelType - The type of panel ('text', 'photo', 'ai', 'shape')
+ * @param {string} panelType - The type of panel ('text', 'photo', 'ai', 'shape', 'vector')
  * @param {Object} item - The item to add
  */
 export const addPanelItem = (panelType, item) => {
@@ -159,7 +176,7 @@ export const addPanelItem = (panelType, item) => {
 
 /**
  * Remove an item from panel settings
- * @param {string} panelType - The type of panel ('text', 'photo', 'ai', 'shape')
+ * @param {string} panelType - The type of panel ('text', 'photo', 'ai', 'shape', 'vector')
  * @param {Object} item - The item to remove, must have an id property
  */
 export const removePanelItem = (panelType, itemId) => {
@@ -28,12 +28,24 @@ export const modelConfig = {
         "glbPath": "./models/tshirt.glb",
         "defaultColor": "#FFFFFF",
         "defaultScale": 1.0,
+        "sizes": ["S", "M", "L", "XL", "2XL"],
+        "defaultSize": "M",
         "views": {
             "front": {
                 "name": "Front",
                 "bounds": { "x": 0.15, "y": 0.45, "width": 0.7, "height": 0.8 },
                 "defaultScale": 1,
                 "uvRect": { "u1": 0.08, "v1": 0.08, "u2": 0.45, "v2": 0.65 },
+                "printArea": {
+                    "unit": "in",
+                    "sizes": {
+                        "S": { "width": 11, "height": 17 },
+                        "M": { "width": 12, "height": 18.5 },
+                        "L": { "width": 13, "height": 20 },
+                        "XL": { "width": 14, "height": 21.6 },
+                        "2XL": { "width": 15, "height": 23.1 }
+                    }
+                },
                 "transformMatrix": {
                     "scale": { "x": 1, "y": 1 },
                     "rotation": 0,
@@ -45,6 +57,16 @@ export const modelConfig = {
                 "bounds": { "x": 0.25, "y": 0.52, "width": 0.45, "height": 0.45 },
                 "defaultScale": 1,
                 "uvRect": { "u1": 0.55, "v1": 0.08, "u2": 0.92, "v2": 0.65 },
+                "printArea": {
+                    "unit": "in",
+                    "sizes": {
+                        "S": { "width": 11, "height": 17 },
+                        "M": { "width": 12, "height": 18.5 },
+                        "L": { "width": 13, "height": 20 },
+                        "XL": { "width": 14, "height": 21.6 },
+                        "2XL": { "width": 15, "height": 23.1 }
+                    }
+                },
                 "transformMatrix": {
                     "scale": { "x": 1, "y": 1 },
                     "rotation": 0,
@@ -56,6 +78,16 @@ export const modelConfig = {
                 "bounds": { "x": 0.16, "y": 0.35, "width": 0.14, "height": 0.22 },
                 "defaultScale": 0.25,
                 "uvRect": { "u1": 0.08, "v1": 0.78, "u2": 0.42, "v2": 0.92 },
+                "printArea": {
+                    "unit": "in",
+                    "sizes": {
+                        "S": { "width": 9, "height": 3.7 },
+                        "M": { "width": 9.7, "height": 4 },
+                        "L": { "width": 10.4, "height": 4.3 },
+                        "XL": { "width": 11.2, "height": 4.6 },
+                        "2XL": { "width": 12, "height": 4.9 }
+                    }
+                },
                 "transformMatrix": {
                     "scale": { "x": 1, "y": 1 },
                     "rotation": 0,
@@ -67,6 +99,16 @@ export const modelConfig = {
                 "bounds": { "x": 0.76, "y": 0.35, "width": 0.14, "height": 0.22 },
                 "defaultScale": 0.25,
                 "uvRect": { "u1": 0.58, "v1": 0.78, "u2": 0.92, "v2": 0.92 },
+                "printArea": {
+                    "unit": "in",
+                    "sizes": {
+                        "S": { "width": 9, "height": 3.7 },
+                        "M": { "width": 9.7, "height": 4 },
+                        "L": { "width": 10.4, "height": 4.3 },
+                        "XL": { "width": 11.2, "height": 4.6 },
+                        "2XL": { "width": 12, "height": 4.9 }
+                    }
+                },
                 "transformMatrix": {
                     "scale": { "x": 1, "y": 1 },
                     "rotation": 0,
@@ -80,6 +122,9 @@ export const modelConfig = {
             "baseColor": "#FFFFFF",
             "acceptsFullTexture": true,
             "acceptsDecals": true
+        },
+        "printSettings": {
+            "dpiThresholds": { "warning": 150, "critical": 100 }
         }
     },
     "hoodie": {
@@ -87,12 +132,24 @@ export const modelConfig = {
        "glbPath": "./models/hoodie.glb",
        "defaultColor": "#FFFFFF",
        "defaultScale": 1.0,
+       "sizes": ["S", "M", "L", "XL", "2XL"],
+       "defaultSize": "M",
        "views": {
             "front": {
                 "name": "Front",
                 "bounds": { "x": 0.15, "y": 0.45, "width": 0.7, "height": 0.8 },
                 "defaultScale": 1,
                 "uvRect": { "u1": 0.08, "v1": 0.08, "u2": 0.45, "v2": 0.65 },
+                "printArea": {
+                    "unit": "in",
+                    "sizes": {
+                        "S": { "width": 11, "height": 17 },
+                        "M": { "width": 12, "height": 18.5 },
+                        "L": { "width": 13, "height": 20 },
+                        "XL": { "width": 14, "height": 21.6 },
+                        "2XL": { "width": 15, "height": 23.1 }
+                    }
+                },
                 "transformMatrix": {
                     "scale": { "x": 1, "y": 1 },
                     "rotation": 0,
@@ -104,6 +161,16 @@ export const modelConfig = {
                 "bounds": { "x": 0.25, "y": 0.52, "width": 0.45, "height": 0.45 },
                 "defaultScale": 1,
                 "uvRect": { "u1": 0.55, "v1": 0.08, "u2": 0.92, "v2": 0.65 },
+                "printArea": {
+                    "unit": "in",
+                    "sizes": {
+                        "S": { "width": 11, "height": 17 },
+                        "M": { "width": 12, "height": 18.5 },
+                        "L": { "width": 13, "height": 20 },
+                        "XL": { "width": 14, "height": 21.6 },
+                        "2XL": { "width": 15, "height": 23.1 }
+                    }
+                },
                 "transformMatrix": {
                     "scale": { "x": 1, "y": 1 },
                     "rotation": 0,
@@ -115,6 +182,16 @@ export const modelConfig = {
                 "bounds": { "x": 0.16, "y": 0.35, "width": 0.14, "height": 0.22 },
                 "defaultScale": 0.25,
                 "uvRect": { "u1": 0.08, "v1": 0.78, "u2": 0.42, "v2": 0.92 },
+                "printArea": {
+                    "unit": "in",
+                    "sizes": {
+                        "S": { "width": 9, "height": 3.7 },
+                        "M": { "width": 9.7, "height": 4 },
+                        "L": { "width": 10.4, "height": 4.3 },
+                        "XL": { "width": 11.2, "height": 4.6 },
+                        "2XL": { "width": 12, "height": 4.9 }
+                    }
+                },
                 "transformMatrix": {
                     "scale": { "x": 1, "y": 1 },
                     "rotation": 0,
@@ -126,6 +203,16 @@ export const modelConfig = {
                 "bounds": { "x": 0.76, "y": 0.35, "width": 0.14, "height": 0.22 },
                 "defaultScale": 0.25,
                 "uvRect": { "u1": 0.58, "v1": 0.78, "u2": 0.92, "v2": 0.92 },
+                "printArea": {
+                    "unit": "in",
+                    "sizes": {
+                        "S": { "width": 9, "height": 3.7 },
+                        "M": { "width": 9.7, "height": 4 },
+                        "L": { "width": 10.4, "height": 4.3 },
+                        "XL": { "width": 11.2, "height": 4.6 },
+                        "2XL": { "width": 12, "height": 4.9 }
+                    }
+                },
                 "transformMatrix": {
                     "scale": { "x": 1, "y": 1 },
                     "rotation": 0,
@@ -137,6 +224,16 @@ export const modelConfig = {
                 "bounds": { "x": 0.35, "y": 0.15, "width": 0.3, "height": 0.2 },
                 "defaultScale": 0.25,
                 "uvRect": { "u1": 0.35, "v1": 0.05, "u2": 0.65, "v2": 0.2 },
+                "printArea": {
+                    "unit": "in",
+                    "sizes": {
+                        "S": { "width": 9.5, "height": 4.75 },
+                        "M": { "width": 10, "height": 5 },
+                        "L": { "width": 10.5, "height": 5.25 },
+                        "XL": { "width": 11, "height": 5.5 },
+                        "2XL": { "width": 11.5, "height": 5.75 }
+                    }
+                },
                 "transformMatrix": {
                     "scale": { "x": 1, "y": 1 },
                     "rotation": 0,
@@ -150,6 +247,9 @@ export const modelConfig = {
             "baseColor": "#FFFFFF",
             "acceptsFullTexture": true,
             "acceptsDecals": true
+        },
+        "printSettings": {
+            "dpiThresholds": { "warning": 150, "critical": 100 }
         }
     }
 };
@@ -337,6 +437,64 @@ export function getViewConfig(viewName) {
     return modelConfig[state.currentModel].views[viewName];
 }
 
+// Centimeters per inch, print areas may be configured in either unit
+export const CM_PER_INCH = 2.54;
+
+// Effective DPI below which a placed picture is flagged, models can override these in printSettings
+export const DEFAULT_DPI_THRESHOLDS = { warning: 150, critical: 100 };
+
+/**
+ * Get the garment sizes a model comes in
+ * @param {string} modelType - The model type (default: current model)
+ * @returns {Object} - { sizes, defaultSize }, sizes is empty when print areas don't vary by size
+ */
+export function getGarmentSizes(modelType = state.currentModel) {
+    const config = modelConfig[modelType];
+    const sizes = config?.sizes || [];
+    return {
+        sizes,
+        defaultSize: sizes.includes(config?.defaultSize) ? config.defaultSize : sizes[0] || null
+    };
+}
+
+/**
+ * Get the physical size of a view's print area
+ * @param {string} viewName - The name of the view
+ * @param {string} modelType - The model type (default: current model)
+ * @param {string} size - Garment size (default: the selected size, or the model's default)
+ * @returns {Object|null} - { width, height } in inches, null when the view has no printArea
+ */
+export function getPrintArea(viewName, modelType = state.currentModel, size = state.garmentSize) {
+    const printArea = modelConfig[modelType]?.views?.[viewName]?.printArea;
+    if (!printArea) return null;
+
+    // Either one size for all garments or a { width, height } per garment size
+    let dimensions = printArea;
+    if (printArea.sizes) {
+        const { defaultSize } = getGarmentSizes(modelType);
+        dimensions = printArea.sizes[size] || printArea.sizes[defaultSize] || Object.values(printArea.sizes)[0];
+    }
+    if (!dimensions?.width || !dimensions?.height) return null;
+
+    const toInches = printArea.unit === 'cm' ? 1 / CM_PER_INCH : 1;
+    return {
+        width: dimensions.width * toInches,
+        height: dimensions.height * toInches
+    };
+}
+
+/**
+ * Get the effective DPI thresholds for flagging low resolution pictures
+ * @param {string} modelType - The model type (default: current model)
+ * @returns {Object} - { warning, critical } in dots per inch
+ */
+export function getDPIThresholds(modelType = state.currentModel) {
+    return {
+        ...DEFAULT_DPI_THRESHOLDS,
+        ...modelConfig[modelType]?.printSettings?.dpiThresholds
+    };
+}
+
 /**
  * Quickly switch to a specific view and center the camera
  * @param {string} viewName - The name of the view to jump to
@@ -1,8 +1,10 @@
-import { updateState, state } from './state.js';
+import { updateState, state, subscribe } from './state.js';
 import { updateShirtTexture, toggleTexture, changeCameraView, updateThemeBackground, setupEventListeners } from './scene.js';
-import { loadCustomImage, clearCustomImage, showBoundingBoxesForCameraView, setTexturePosition } from './texture-mapper.js';
-import { generateAIImage, checkAIServerStatus } from './ai-integration.js';
-import { addImage } from './3d-editor.js';
+import { loadCustomImage, clearCustomImage, showBoundingBoxesForCameraView, setTexturePosition, modelConfig, getGarmentSizes } from './texture-mapper.js';
+import { generateAIImage, getAIServerInfo, getQuotaStatus, getProxiedImageUrl } from './ai-integration.js';
+import { addImage, getViewObjects, getSelectedObjects, selectLayer, setObjectHidden, setObjectLocked, renameObject, reorderLayers, bringForward, sendBackward, renderObjectThumbnail } from './3d-editor.js';
+import { saveDesignToServer, listServerDesigns, openDesignFromServer, deleteServerDesign } from './design-storage.js';
+import { SHAPE_TYPES } from './shapes.js';
 
 // Import THREE directly since it's needed for color manipulation
 import * as THREE from 'three';
@@ -580,6 +582,12 @@ export function initializeFloatingUI() {
     
     // Setup model selector
     setupModelSelector();
+
+    // Setup garment size and units
+    setupPrintSizeOptions();
+
+    // Setup the layers list
+    setupLayersPanel();
     
     // Add specific panel open handlers
     setupPanelSpecificHandlers();
@@ -613,6 +621,7 @@ function setupPanelSpecificHandlers() {
             
             // Set up tabs functionality
             setupPhotoUploadTabs();
+            setupRemoveBackgroundOption('photo-remove-bg');
             
             // Setup file upload functionality
             const uploadButton = document.querySelector('#photo-panel .upload-button');
@@ -944,11 +953,12 @@ function setupPanelSpecificHandlers() {
                 if (aiResult && aiResult.src) {
                     // Apply the generated design to the t-shirt
                     console.log('Applying AI generated design to the t-shirt');
-                    // Implementation would depend on your 3D model handling logic
-                    applyGeneratedDesign(aiResult.src);
-                    
-                    // Close the panel after applying
-                    aiPanel.classList.remove('active');
+                    applyGeneratedDesign(aiResult.src).then(applied => {
+                        // Close the panel after applying
+                        if (applied) {
+                            aiPanel.classList.remove('active');
+                        }
+                    });
                 } else {
                     console.log('No AI design generated yet');
                 }
@@ -971,14 +981,124 @@ function setupPanelSpecificHandlers() {
     }
 }
 
-// Helper function to apply the generated design to the t-shirt
-function applyGeneratedDesign(imageUrl) {
-    // Implementation would depend on your specific 3D model handling
-    // This is a placeholder for the actual implementation
-    console.log('Applying design from URL:', imageUrl);
-    
-    // Show success notification
-    showToast('Design applied successfully!');
+// Saved state of the "remove background" checkboxes, keyed by checkbox id
+const REMOVE_BACKGROUND_STORAGE_KEY = 'removeBackgroundOptions';
+
+/**
+ * Restore a "remove background" checkbox from the saved preferences and save its changes
+ * @param {string} id - Checkbox id
+ */
+function setupRemoveBackgroundOption(id) {
+    const checkbox = document.getElementById(id);
+    if (!checkbox || checkbox.dataset.ready) return;
+    checkbox.dataset.ready = 'true';
+
+    const readSaved = () => {
+        try {
+            return JSON.parse(localStorage.getItem(REMOVE_BACKGROUND_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    };
+
+    const saved = readSaved();
+    if (typeof saved[id] === 'boolean') {
+        checkbox.checked = saved[id];
+    }
+
+    checkbox.addEventListener('change', () => {
+        localStorage.setItem(REMOVE_BACKGROUND_STORAGE_KEY, JSON.stringify({ ...readSaved(), [id]: checkbox.checked }));
+    });
+}
+
+/**
+ * Remove the background of a picture before it is placed, if the given checkbox asks for it
+ * @param {string} imageUrl - The picture
+ * @param {string} optionId - Id of the "remove background" checkbox
+ * @returns {Promise<string>} The cut out picture, or the original when not asked for or nothing could be removed
+ */
+async function prepareImageForPlacement(imageUrl, optionId) {
+    // SVGs are drawn with their own transparency
+    if (!document.getElementById(optionId)?.checked || imageUrl.startsWith('data:image/svg')) {
+        return imageUrl;
+    }
+
+    showToast('Removing background...');
+    try {
+        const { removeBackground } = await import('./background-removal.js');
+        const { url, method, removed } = await removeBackground(imageUrl);
+
+        if (method === 'local' && !removed) {
+            showToast('No solid background found, using the image as it is');
+            return imageUrl;
+        }
+        return url;
+    } catch (error) {
+        console.error('Error removing background:', error);
+        showToast('Could not remove the background, using the image as it is');
+        return imageUrl;
+    }
+}
+
+/**
+ * Place a generated design on the current model, without its background when "Remove when applying" is checked
+ * @param {string} imageUrl - The generated image
+ * @param {string} targetView - View to place it on, the user picks one when omitted
+ * @returns {Promise<boolean>} Whether the design was placed
+ */
+async function applyGeneratedDesign(imageUrl, targetView = null) {
+    const currentModel = state.currentModel || 'tshirt';
+    console.log('Applying generated design to', targetView || 'a view chosen by the user');
+
+    const designUrl = await prepareImageForPlacement(imageUrl, 'ai-remove-bg');
+
+    return new Promise((resolve) => {
+        const place = (view) => {
+            if (!view) {
+                resolve(false);
+                return;
+            }
+
+            loadCustomImage(designUrl, view, {
+                smartPlacement: true,
+                autoAdjust: true,
+                isAIGenerated: true
+            }).then(() => {
+                showToast(`AI design applied to ${view} view on ${currentModel}`);
+
+                // Change to the view where the image was placed
+                changeCameraView(view);
+                resolve(true);
+            }).catch(error => {
+                console.error('Error applying AI design:', error);
+                showToast(`Error applying AI design: ${error.message}`);
+                resolve(false);
+            });
+        };
+
+        if (targetView && modelConfig[currentModel]?.views[targetView]) {
+            place(targetView);
+        } else {
+            showViewSelectionModal(designUrl, place, currentModel);
+        }
+    });
+}
+
+/**
+ * Aspect ratio (width / height) of a view's print area on the texture
+ * @param {string} modelType - Model type from modelConfig
+ * @param {string} view - View name
+ * @returns {number|null} The aspect ratio, or null for an unknown view
+ */
+function getViewAspectRatio(modelType, view) {
+    const config = modelConfig[modelType];
+    const uvRect = config?.views[view]?.uvRect;
+    if (!uvRect) return null;
+
+    const { canvasWidth = 1, canvasHeight = 1 } = config.textureSettings || {};
+    const width = Math.abs(uvRect.u2 - uvRect.u1) * canvasWidth;
+    const height = Math.abs(uvRect.v2 - uvRect.v1) * canvasHeight;
+    return height > 0 ? width / height : null;
 }
 
 // Helper function to download the generated image
@@ -1045,6 +1165,9 @@ export function setupAIPicker() {
 
     let isGenerating = false;
     let serverIsOnline = false;
+    let generationController = null;
+    // Set by "Regenerate" on a cached result so the next generation skips the cache
+    let bypassCache = false;
 
     // Check server status right away
     checkAIServer();
@@ -1055,8 +1178,15 @@ export function setupAIPicker() {
         preview.innerHTML = '<div class="loading"><i class="fas fa-spinner fa-spin"></i><p>Checking AI server status...</p></div>';
 
         try {
-            // Using the checkAIServerStatus function from ai-integration.js
-            serverIsOnline = await checkAIServerStatus();
+            const serverInfo = await getAIServerInfo();
+
+            // Online as long as at least one image provider can be used
+            const providers = (serverInfo?.providers || []).filter(provider => provider.configured);
+            serverIsOnline = serverInfo?.status === 'ok' || providers.length > 0;
+            populateProviderSelect(providers);
+            if (serverIsOnline) {
+                refreshQuota();
+            }
 
             if (serverIsOnline) {
                 preview.innerHTML = `
@@ -1092,6 +1222,114 @@ export function setupAIPicker() {
         }
     }
 
+    // Show how many generations this client has left today
+    function renderQuota({ remaining, limit }) {
+        const quotaDisplay = document.querySelector('#ai-panel .ai-quota');
+        if (!quotaDisplay || !Number.isFinite(remaining)) return;
+
+        quotaDisplay.textContent = `${remaining} of ${limit} generations left today`;
+        quotaDisplay.classList.toggle('low', remaining <= Math.max(1, Math.floor(limit * 0.2)));
+    }
+
+    async function refreshQuota() {
+        const quota = await getQuotaStatus();
+        if (quota) {
+            renderQuota(quota.daily);
+        }
+    }
+
+    // Fill the generator dropdown with the providers the server has configured
+    function populateProviderSelect(providers) {
+        const container = document.querySelector('#ai-panel .ai-provider-container');
+        const select = document.getElementById('ai-provider');
+        if (!container || !select) return;
+
+        select.innerHTML = '';
+        providers.forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.name;
+            option.textContent = provider.label;
+            option.selected = provider.default;
+            select.appendChild(option);
+        });
+
+        // Only worth showing when there is a choice to make
+        container.style.display = providers.length > 1 ? 'flex' : 'none';
+    }
+
+    // Advanced options: print area shapes of the current model, slider values and seed reuse
+    function setupAdvancedOptions() {
+        const advanced = document.querySelector('#ai-panel .ai-advanced');
+        if (!advanced || advanced.dataset.ready) return;
+        advanced.dataset.ready = 'true';
+
+        setupRemoveBackgroundOption('ai-remove-bg');
+
+        const fitSelect = document.getElementById('ai-fit-view');
+        if (fitSelect) {
+            subscribe('currentModel', (modelType) => {
+                const selected = fitSelect.value;
+                const views = modelConfig[modelType || 'tshirt']?.views || {};
+
+                fitSelect.innerHTML = '<option value="">Square</option>';
+                Object.entries(views).forEach(([view, config]) => {
+                    const option = document.createElement('option');
+                    option.value = view;
+                    option.textContent = `Fit ${config.name || view}`;
+                    fitSelect.appendChild(option);
+                });
+                fitSelect.value = views[selected] ? selected : '';
+            });
+        }
+
+        advanced.querySelectorAll('input[type="range"]').forEach(input => {
+            const output = advanced.querySelector(`output[for="${input.id}"]`);
+            input.addEventListener('input', () => {
+                if (output) output.textContent = input.value;
+            });
+        });
+
+        const reuseBtn = document.getElementById('ai-seed-reuse');
+        reuseBtn?.addEventListener('click', () => {
+            if (reuseBtn.dataset.seed) {
+                document.getElementById('ai-seed').value = reuseBtn.dataset.seed;
+            }
+        });
+    }
+
+    // Generation parameters from the advanced options, the server validates and clamps them
+    function readAdvancedParams() {
+        const value = (id) => document.getElementById(id)?.value.trim() ?? '';
+        const params = {
+            count: Number(value('ai-count')) || 1,
+            steps: Number(value('ai-steps')) || undefined,
+            guidance: value('ai-guidance') === '' ? undefined : Number(value('ai-guidance')),
+            negativePrompt: value('ai-negative-prompt')
+        };
+
+        if (value('ai-seed') !== '') {
+            params.seed = Number(value('ai-seed'));
+        }
+
+        const fitView = value('ai-fit-view');
+        if (fitView) {
+            params.aspectRatio = getViewAspectRatio(state.currentModel || 'tshirt', fitView) ?? undefined;
+        }
+        return params;
+    }
+
+    // Remember the seed of a result so it can be generated again with changes
+    function rememberSeed(seed) {
+        const reuseBtn = document.getElementById('ai-seed-reuse');
+        if (!reuseBtn || seed === undefined || seed === null) return;
+
+        reuseBtn.dataset.seed = seed;
+        reuseBtn.disabled = false;
+        reuseBtn.title = `Use seed ${seed} of the last result`;
+    }
+
+    setupAdvancedOptions();
+
     // Function to show AI setup instructions
     function showAISetupInstructions() {
         const modal = document.createElement('div');
@@ -1151,6 +1389,12 @@ export function setupAIPicker() {
         }
         
         isGenerating = true;
+
+        const cacheMode = bypassCache ? 'bypass' : undefined;
+        bypassCache = false;
+
+        const params = readAdvancedParams();
+        const targetView = document.getElementById('ai-fit-view')?.value || null;
         
         // Hide buttons while generating
         if (previewActions) {
@@ -1171,9 +1415,23 @@ export function setupAIPicker() {
         preview.innerHTML = `
         <div class="loading">
             <i class="fas fa-spinner fa-spin"></i>
-            <p>Creating your design...</p>
+            <p class="ai-progress-message">Creating your design...</p>
+            <div class="ai-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                <div class="ai-progress-bar"></div>
+            </div>
+            <span class="ai-progress-percent">0%</span>
+            <button class="button secondary small ai-cancel">
+                <i class="fas fa-times"></i> Cancel
+            </button>
         </div>
         `;
+
+        // Cancel button aborts the running generation
+        generationController = new AbortController();
+        const controller = generationController;
+        preview.querySelector('.ai-cancel')?.addEventListener('click', () => {
+            controller.abort();
+        });
         
         // Make sure the preview is visible in correct size for loading state
         preview.style.display = 'flex';
@@ -1190,19 +1448,86 @@ export function setupAIPicker() {
         }
 
         // Use the generateAIImage function from ai-integration.js
+        const providerSelect = document.getElementById('ai-provider');
         generateAIImage(prompt, {
-            onSuccess: (imageData) => {
-                console.log('AI image generated successfully');
+            provider: providerSelect?.value || undefined,
+            cache: cacheMode,
+            params,
+            signal: controller.signal,
+            onProgress: (progress, message) => {
+                const percent = Math.round((progress || 0) * 100);
+                const bar = preview.querySelector('.ai-progress-bar');
+                if (!bar) return;
+
+                bar.style.width = `${percent}%`;
+                preview.querySelector('.ai-progress').setAttribute('aria-valuenow', percent);
+                preview.querySelector('.ai-progress-percent').textContent = `${percent}%`;
+                if (message) {
+                    preview.querySelector('.ai-progress-message').textContent = message;
+                }
+            },
+            onQuota: renderQuota,
+            onCancel: () => {
+                preview.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-ban"></i>
+                    <p>Generation cancelled</p>
+                </div>`;
+                showToast('Generation cancelled');
+            },
+            onSuccess: (imageData, { cache, photos = [imageData], seed } = {}) => {
+                console.log(`AI generated ${photos.length} image(s) successfully`);
+                rememberSeed(seed);
+
+                // Image that Apply and Download use, changes when picking from several results
+                let selectedImage = imageData;
                 
                 // Create a hidden image to get dimensions
                 const tempImg = new Image();
                 tempImg.onload = () => {
-                    // Show the generated image in the preview area
-                    preview.innerHTML = `
-                    <div class="ai-result">
-                        <img src="${imageData}" alt="Generated design" />
-                    </div>
-                    `;
+                    // Show the generated image in the preview area, several results as a grid to pick one from
+                    if (photos.length > 1) {
+                        preview.innerHTML = `
+                        <div class="ai-result ai-result-grid">
+                            ${photos.map((photo, index) => `
+                            <button class="ai-result-option${index === 0 ? ' selected' : ''}" aria-pressed="${index === 0}" title="Use this design">
+                                <img src="${photo}" alt="Generated design ${index + 1}" />
+                            </button>`).join('')}
+                        </div>
+                        `;
+
+                        preview.querySelectorAll('.ai-result-option').forEach((option, index) => {
+                            option.addEventListener('click', () => {
+                                selectedImage = photos[index];
+                                preview.querySelectorAll('.ai-result-option').forEach(other => {
+                                    other.classList.toggle('selected', other === option);
+                                    other.setAttribute('aria-pressed', String(other === option));
+                                });
+                            });
+                        });
+                    } else {
+                        preview.innerHTML = `
+                        <div class="ai-result">
+                            <img src="${imageData}" alt="Generated design" />
+                        </div>
+                        `;
+                    }
+
+                    // Same prompt was generated before, offer a fresh take instead
+                    if (cache === 'hit') {
+                        const badge = document.createElement('div');
+                        badge.className = 'ai-cache-badge';
+                        badge.innerHTML = `
+                        <span><i class="fas fa-bolt"></i> Instant result</span>
+                        <button class="ai-regenerate" title="Generate a new image for this prompt">
+                            <i class="fas fa-redo"></i> Regenerate
+                        </button>`;
+                        badge.querySelector('.ai-regenerate').addEventListener('click', () => {
+                            bypassCache = true;
+                            updatedGenerateBtn.click();
+                        });
+                        preview.querySelector('.ai-result').appendChild(badge);
+                    }
                     
                     // Make the preview container fit the image
                     preview.style.minHeight = 'unset';
@@ -1227,8 +1552,8 @@ export function setupAIPicker() {
                         previewContainer.style.display = 'flex';
                     }
 
-                    // Get the generated image and set it to maximize height
-                    const generatedImg = preview.querySelector('.ai-result img');
+                    // Get the generated image and set it to maximize height (grids size their own images)
+                    const generatedImg = preview.querySelector('.ai-result:not(.ai-result-grid) img');
                     if (generatedImg) {
                         // Set fixed dimensions to 230px
                         generatedImg.style.width = '230px';
@@ -1275,44 +1600,22 @@ export function setupAIPicker() {
                             // Add new event listener
                             newApplyBtn.addEventListener('click', () => {
                                 console.log('Apply button clicked');
-                                // Get current model type
-                                const currentModel = state.currentModel || 'tshirt';
-                                
-                                // Show view selection modal for the AI image
-                                showViewSelectionModal(imageData, (selectedView) => {
-                                    if (selectedView) {
-                                        // Apply as texture to the selected view of the current model
-                                        import('./texture-mapper.js').then(textureMapper => {
-                                            // Use load custom image function with the selected view and model type
-                                            textureMapper.loadCustomImage(imageData, selectedView, {
-                                                smartPlacement: true,
-                                                autoAdjust: true,
-                                                isAIGenerated: true
-                                            }).then(() => {
-                                                showToast(`AI design applied to ${selectedView} view on ${currentModel}`);
-                                                
-                                                // Change to the view where the image was placed
-                                                changeCameraView(selectedView);
-                                                
-                                                // Close the panel after applying
-                                                const panel = document.getElementById('ai-panel');
-                                                if (panel) {
-                                                    panel.classList.remove('active');
-                                                    panel.style.display = 'none';
-                                                }
-                                                
-                                                // Deactivate the button
-                                                const button = document.getElementById('ai-generator-btn');
-                                                if (button) {
-                                                    button.classList.remove('active');
-                                                }
-                                            }).catch(error => {
-                                                console.error('Error applying AI design:', error);
-                                                showToast(`Error applying AI design: ${error.message}`);
-                                            });
-                                        });
+                                applyGeneratedDesign(selectedImage, targetView).then(applied => {
+                                    if (!applied) return;
+
+                                    // Close the panel after applying
+                                    const panel = document.getElementById('ai-panel');
+                                    if (panel) {
+                                        panel.classList.remove('active');
+                                        panel.style.display = 'none';
+                                    }
+                                    
+                                    // Deactivate the button
+                                    const button = document.getElementById('ai-generator-btn');
+                                    if (button) {
+                                        button.classList.remove('active');
                                     }
-                                }, currentModel); // Pass the current model type as a parameter
+                                });
                             });
                         }
                         
@@ -1328,7 +1631,7 @@ export function setupAIPicker() {
                                 console.log('Download button clicked');
                                 // Create a temporary link element
                                 const link = document.createElement('a');
-                                link.href = imageData;
+                                link.href = selectedImage;
                                 link.download = `ai-design-${Date.now()}.png`;
 
                                 // Append to the document, click it, and remove it
@@ -1350,9 +1653,23 @@ export function setupAIPicker() {
                 };
                 tempImg.src = imageData;
             },
-            onError: (errorMessage) => {
+            onError: (errorMessage, details) => {
                 console.error('Error generating AI image:', errorMessage);
-                preview.innerHTML = `<div class="error"><p>Error: ${errorMessage}</p></div>`;
+                if (details?.type) {
+                    // Limit hit or prompt rejected, the message is already written for the user
+                    const icon = details.type === 'limit' ? 'fa-hourglass-half' : 'fa-shield-alt';
+                    preview.innerHTML = `
+                    <div class="empty-state ai-notice">
+                        <i class="fas ${icon}"></i>
+                        <p></p>
+                    </div>`;
+                    preview.querySelector('.ai-notice p').textContent = errorMessage;
+                    if (details.type === 'limit') {
+                        refreshQuota();
+                    }
+                } else {
+                    preview.innerHTML = `<div class="error"><p>Error: ${errorMessage}</p></div>`;
+                }
                 
                 // Show the section-title again in case of error
                 const sectionTitle = document.querySelector('#ai-panel .section-title');
@@ -1366,6 +1683,9 @@ export function setupAIPicker() {
                 }
             },
             onEnd: () => {
+                if (generationController === controller) {
+                    generationController = null;
+                }
                 isGenerating = false;
                 updatedGenerateBtn.disabled = false;
                 updatedGenerateBtn.innerHTML = '<span class="sparkle-icon" style="color: white !important;">✨</span> Generate';
@@ -1375,6 +1695,11 @@ export function setupAIPicker() {
 
     // Make sure the section-title is visible when the panel is opened/created
     const resetAIPanel = () => {
+        // A generation nobody is watching anymore is cancelled instead of finishing in the background
+        if (generationController) {
+            generationController.abort();
+        }
+
         const sectionTitle = document.querySelector('#ai-panel .section-title');
         if (sectionTitle) {
             sectionTitle.style.display = 'block';
@@ -1928,6 +2253,7 @@ function ensureFloatingElementsExist() {
         { id: 'text-upload-btn', icon: 'fa-font', text: 'Add Text', panelId: 'text-panel', panelTitle: 'Add Text' },
         { id: 'shape-upload-btn', icon: 'fa-shapes', text: 'Add Shape', panelId: 'shape-panel', panelTitle: 'Add Shape' },
         { id: 'ai-generator-btn', text: 'AI Design', panelId: 'ai-panel', panelTitle: 'AI Design Generator', useSparkleEmoji: true },
+        { id: 'layers-btn', icon: 'fa-layer-group', text: 'Layers', panelId: 'layers-panel', panelTitle: 'Layers' },
         { id: 'download-btn', icon: 'fa-download', text: 'Save', panelId: 'download-panel', panelTitle: 'Save Your Design' }
     ];
     
@@ -2002,6 +2328,17 @@ function createPanel(id, title, container) {
                     </span>
                 </label>
             </div>
+            <div class="print-size-options">
+                <label>Size
+                    <select id="garment-size"></select>
+                </label>
+                <label>Units
+                    <select id="measurement-unit">
+                        <option value="in" selected>Inches</option>
+                        <option value="cm">Centimeters</option>
+                    </select>
+                </label>
+            </div>
         `;
     } else if (id === 'color-panel') {
         content.innerHTML = `
@@ -2035,6 +2372,10 @@ function createPanel(id, title, container) {
                 <h3>Upload an Image</h3>
                 <p>Add your own image to the design</p>
             </div>
+            <label class="remove-bg-option">
+                <input type="checkbox" id="photo-remove-bg">
+                <span>Remove background automatically</span>
+            </label>
             <div class="drag-area">
                 <div class="icon"><i class="fas fa-cloud-upload-alt"></i></div>
                 <p>Drag & Drop to Upload File</p>
@@ -2144,6 +2485,11 @@ function createPanel(id, title, container) {
                 </button>
             </div>
 
+            <div class="ai-provider-container" style="display: none;">
+                <label for="ai-provider">Generator</label>
+                <select id="ai-provider" class="ai-provider-select"></select>
+            </div>
+
             <div class="ai-input-container">
                 <textarea
                     id="ai-prompt"
@@ -2156,6 +2502,58 @@ function createPanel(id, title, container) {
                         <span class="sparkle-icon" style="color: white !important; text-shadow: 0 0 8px rgba(255, 255, 255, 1), 0 0 15px rgba(255, 255, 255, 1); filter: drop-shadow(0 0 15px rgba(255, 255, 255, 1)) brightness(2); background: white; -webkit-background-clip: text; background-clip: text; -webkit-text-fill-color: #fff0; margin-left: 6px;">✨</span>
                     </span>
                 </button>
+                <div class="ai-quota" aria-live="polite"></div>
+            </div>
+
+            <details class="ai-advanced">
+                <summary><i class="fas fa-sliders-h"></i> Advanced</summary>
+                <div class="ai-advanced-fields">
+                    <label for="ai-fit-view">Shape</label>
+                    <select id="ai-fit-view" title="Generate in the proportions of a print area">
+                        <option value="">Square</option>
+                    </select>
+
+                    <label for="ai-count">Images</label>
+                    <input type="number" id="ai-count" min="1" max="4" step="1" value="1">
+
+                    <label for="ai-seed">Seed</label>
+                    <div class="ai-seed-row">
+                        <input type="number" id="ai-seed" min="0" step="1" placeholder="Random">
+                        <button type="button" id="ai-seed-reuse" class="button secondary small" title="Use the seed of the last result" disabled>
+                            <i class="fas fa-history"></i>
+                        </button>
+                    </div>
+
+                    <label for="ai-steps">Steps <output for="ai-steps">40</output></label>
+                    <input type="range" id="ai-steps" min="10" max="60" step="1" value="40">
+
+                    <label for="ai-guidance">Guidance <output for="ai-guidance">7.5</output></label>
+                    <input type="range" id="ai-guidance" min="1" max="15" step="0.5" value="7.5">
+
+                    <label for="ai-negative-prompt">Avoid</label>
+                    <textarea id="ai-negative-prompt" rows="2" placeholder="Things to leave out of the image">low quality, blurry, distorted</textarea>
+
+                    <label for="ai-remove-bg">Background</label>
+                    <label class="remove-bg-option">
+                        <input type="checkbox" id="ai-remove-bg">
+                        <span>Remove when applying</span>
+                    </label>
+                </div>
+            </details>
+        `;
+    } else if (id === 'layers-panel') {
+        content.innerHTML = `
+            <select id="layers-view" class="layers-view" aria-label="View"></select>
+            <ul class="layers-list" id="layers-list"></ul>
+            <div class="layers-order">
+                <button class="button secondary" id="layer-forward" title="Bring Forward (Ctrl+])">
+                    <i class="fas fa-arrow-up"></i>
+                    Forward
+                </button>
+                <button class="button secondary" id="layer-backward" title="Send Backward (Ctrl+[)">
+                    <i class="fas fa-arrow-down"></i>
+                    Backward
+                </button>
             </div>
         `;
     } else if (id === 'download-panel') {
@@ -2174,6 +2572,55 @@ function createPanel(id, title, container) {
                     Reset Design
                 </button>
             </div>
+            <div class="server-designs">
+                <h4>Server Designs</h4>
+                <input type="text" id="design-name" class="design-name-input" placeholder="Design name">
+                <div class="server-design-actions">
+                    <button id="save-to-server" class="button primary">
+                        <i class="fas fa-cloud-upload-alt"></i>
+                        Save to Server
+                    </button>
+                    <button id="open-from-server" class="button secondary">
+                        <i class="fas fa-folder-open"></i>
+                        Open from Server
+                    </button>
+                </div>
+                <div class="server-design-list" id="server-design-list"></div>
+            </div>
+            <div class="print-export">
+                <h4>Print-Ready Export</h4>
+                <div class="print-area-list" id="print-area-list"></div>
+                <div class="print-export-options">
+                    <label>Resolution
+                        <select id="print-dpi">
+                            <option value="150">150 DPI</option>
+                            <option value="300" selected>300 DPI</option>
+                            <option value="600">600 DPI</option>
+                        </select>
+                    </label>
+                    <label>Bleed
+                        <select id="print-bleed">
+                            <option value="0" selected>None</option>
+                            <option value="0.125">1/8 in</option>
+                            <option value="0.25">1/4 in</option>
+                        </select>
+                    </label>
+                    <label>Format
+                        <select id="print-format">
+                            <option value="pdf" selected>PDF, one page per area</option>
+                            <option value="png">PNG, one file per area</option>
+                        </select>
+                    </label>
+                    <label class="print-crop-marks">
+                        <input type="checkbox" id="print-crop-marks">
+                        Crop marks
+                    </label>
+                </div>
+                <button id="export-print" class="button primary">
+                    <i class="fas fa-print"></i>
+                    Export for Print
+                </button>
+            </div>
         `;
     }
     
@@ -2200,6 +2647,7 @@ function setupFloatingButtons() {
         text: document.getElementById('text-upload-btn'),
         shape: document.getElementById('shape-upload-btn'),
         ai: document.getElementById('ai-generator-btn'),
+        layers: document.getElementById('layers-btn'),
         download: document.getElementById('download-btn')
     };
     
@@ -2210,6 +2658,7 @@ function setupFloatingButtons() {
         text: document.getElementById('text-panel'),
         shape: document.getElementById('shape-panel'),
         ai: document.getElementById('ai-panel'),
+        layers: document.getElementById('layers-panel'),
         download: document.getElementById('download-panel')
     };
     
@@ -2479,6 +2928,224 @@ function setupDownloadButtons() {
             }
         });
     }
+
+    // Save to / open from the design server
+    setupServerDesignButtons();
+
+    // Print files per print area
+    setupPrintExport();
+}
+
+/**
+ * Set up the "Save to Server" and "Open from Server" actions in the download panel
+ */
+function setupServerDesignButtons() {
+    const nameInput = document.getElementById('design-name');
+    const saveBtn = document.getElementById('save-to-server');
+    const openBtn = document.getElementById('open-from-server');
+    const list = document.getElementById('server-design-list');
+
+    if (!saveBtn || !openBtn || !list) {
+        console.warn('Server design controls not found');
+        return;
+    }
+
+    // Keep the name field in sync with the design that was last saved or opened
+    subscribe('currentDesignName', (name) => {
+        if (nameInput && name) {
+            nameInput.value = name;
+        }
+    });
+
+    saveBtn.addEventListener('click', async () => {
+        const name = nameInput?.value.trim() || state.currentDesignName || undefined;
+        saveBtn.disabled = true;
+
+        try {
+            const design = await saveDesignToServer(name);
+            showToast(`Saved "${design.name}" to server`);
+
+            // Refresh the list if it is showing
+            if (list.childElementCount > 0) {
+                renderServerDesignList(list);
+            }
+        } catch (error) {
+            console.error('Error saving design to server:', error);
+            showToast(`Failed to save design: ${error.message}`);
+        } finally {
+            saveBtn.disabled = false;
+        }
+    });
+
+    openBtn.addEventListener('click', () => {
+        renderServerDesignList(list);
+    });
+}
+
+/**
+ * Fetch the saved designs from the server and render them as a clickable list
+ * @param {HTMLElement} list - The list container
+ */
+async function renderServerDesignList(list) {
+    list.innerHTML = '<div class="server-design-empty">Loading designs...</div>';
+
+    let designs;
+    try {
+        designs = await listServerDesigns();
+    } catch (error) {
+        console.error('Error listing server designs:', error);
+        list.innerHTML = '<div class="server-design-empty">Could not reach the design server</div>';
+        return;
+    }
+
+    if (designs.length === 0) {
+        list.innerHTML = '<div class="server-design-empty">No designs saved yet</div>';
+        return;
+    }
+
+    list.innerHTML = '';
+    designs.forEach(design => {
+        const item = document.createElement('div');
+        item.className = 'server-design-item';
+        item.classList.toggle('active', design.id === state.currentDesignId);
+        item.innerHTML = `
+            <div class="design-info">
+                <div class="design-title"></div>
+                <div class="design-meta"></div>
+            </div>
+            <button class="design-delete" aria-label="Delete design">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+        // Set the details as text so user input is never parsed as HTML
+        item.querySelector('.design-title').textContent = design.name;
+        item.querySelector('.design-meta').textContent =
+            `${design.modelType} · ${design.objectCount} objects · ${new Date(design.updatedAt).toLocaleString()}`;
+
+        item.addEventListener('click', async () => {
+            try {
+                await openDesignFromServer(design.id);
+                list.querySelectorAll('.server-design-item').forEach(el => el.classList.remove('active'));
+                item.classList.add('active');
+                showToast(`Opened "${design.name}"`);
+            } catch (error) {
+                console.error('Error opening design from server:', error);
+                showToast(`Failed to open design: ${error.message}`);
+            }
+        });
+
+        item.querySelector('.design-delete').addEventListener('click', (event) => {
+            event.stopPropagation();
+            showDeleteConfirmationDialog('design', async () => {
+                try {
+                    await deleteServerDesign(design.id);
+                    item.remove();
+                    if (!list.querySelector('.server-design-item')) {
+                        list.innerHTML = '<div class="server-design-empty">No designs saved yet</div>';
+                    }
+                    showToast('Design deleted');
+                } catch (error) {
+                    console.error('Error deleting server design:', error);
+                    showToast(`Failed to delete design: ${error.message}`);
+                }
+            });
+        });
+
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Set up the print-ready export in the download panel
+ */
+function setupPrintExport() {
+    const list = document.getElementById('print-area-list');
+    const exportBtn = document.getElementById('export-print');
+
+    if (!list || !exportBtn) {
+        console.warn('Print export controls not found');
+        return;
+    }
+
+    // The areas depend on the model and on where there is artwork, so refresh them whenever the panel opens
+    ['download-btn', 'mobile-download'].forEach(id => {
+        document.getElementById(id)?.addEventListener('click', () => renderPrintAreaList(list));
+    });
+    subscribe('currentModel', () => renderPrintAreaList(list));
+    subscribe('garmentSize', () => renderPrintAreaList(list));
+    renderPrintAreaList(list);
+
+    exportBtn.addEventListener('click', async () => {
+        if (exportBtn.disabled) return;
+
+        const areas = [...list.querySelectorAll('.print-area-item')]
+            .filter(item => item.querySelector('.print-area-toggle').checked)
+            .map(item => ({
+                view: item.dataset.view,
+                width: Number(item.querySelector('.print-area-width').value),
+                height: Number(item.querySelector('.print-area-height').value)
+            }));
+        if (areas.length === 0) {
+            showToast('Pick at least one print area');
+            return;
+        }
+
+        const label = exportBtn.innerHTML;
+        exportBtn.disabled = true;
+        exportBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Rendering...';
+
+        try {
+            const { exportPrintFiles } = await import('./print-export.js');
+            await exportPrintFiles(areas, {
+                dpi: Number(document.getElementById('print-dpi').value),
+                bleed: Number(document.getElementById('print-bleed').value),
+                cropMarks: document.getElementById('print-crop-marks').checked,
+                format: document.getElementById('print-format').value,
+                onProgress: (done, total) => {
+                    exportBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Rendering ${done}/${total}...`;
+                }
+            });
+            showToast(`Exported ${areas.length} print area${areas.length === 1 ? '' : 's'}`);
+        } catch (error) {
+            // Pictures from other sites without CORS headers can't be read back
+            console.error('Error exporting print files:', error);
+            showToast(`Print export failed: ${error.message}`);
+        } finally {
+            exportBtn.disabled = false;
+            exportBtn.innerHTML = label;
+        }
+    });
+}
+
+/**
+ * List the model's print areas with their size, areas with artwork are picked by default
+ * @param {HTMLElement} list - The list container
+ */
+async function renderPrintAreaList(list) {
+    const { getPrintAreas } = await import('./print-export.js');
+
+    list.innerHTML = '';
+    getPrintAreas().forEach(area => {
+        const item = document.createElement('div');
+        item.className = 'print-area-item';
+        item.dataset.view = area.view;
+        item.innerHTML = `
+            <label class="print-area-name">
+                <input type="checkbox" class="print-area-toggle">
+                <span></span>
+            </label>
+            <input type="number" class="print-area-width" min="0.5" step="0.1" aria-label="Width in inches">
+            <span>×</span>
+            <input type="number" class="print-area-height" min="0.5" step="0.1" aria-label="Height in inches">
+            <span>in</span>
+        `;
+        item.querySelector('.print-area-name span').textContent =
+            area.objects ? `${area.name} (${area.objects})` : area.name;
+        item.querySelector('.print-area-toggle').checked = area.objects > 0;
+        item.querySelector('.print-area-width').value = area.width ? Number(area.width.toFixed(2)) : '';
+        item.querySelector('.print-area-height').value = area.height ? Number(area.height.toFixed(2)) : '';
+        list.appendChild(item);
+    });
 }
 
 /**
@@ -2791,6 +3458,268 @@ function setupModelSelector() {
     });
 }
 
+/**
+ * Setup the garment size and measurement unit pickers in the model panel
+ */
+function setupPrintSizeOptions() {
+    const sizeSelect = document.getElementById('garment-size');
+    const unitSelect = document.getElementById('measurement-unit');
+
+    if (!sizeSelect || !unitSelect) {
+        console.warn('Garment size controls not found');
+        return;
+    }
+
+    // Every model has its own sizes, keep the selected one when the new model has it too
+    subscribe('currentModel', (modelType) => {
+        const { sizes, defaultSize } = getGarmentSizes(modelType);
+        const size = sizes.includes(state.garmentSize) ? state.garmentSize : defaultSize;
+
+        sizeSelect.innerHTML = '';
+        sizes.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            sizeSelect.appendChild(option);
+        });
+        sizeSelect.value = size || '';
+        sizeSelect.disabled = sizes.length === 0;
+
+        if (size !== state.garmentSize) {
+            updateState({ garmentSize: size });
+        }
+    });
+
+    sizeSelect.addEventListener('change', () => {
+        updateState({ garmentSize: sizeSelect.value });
+    });
+
+    unitSelect.value = state.measurementUnit;
+    unitSelect.addEventListener('change', () => {
+        updateState({ measurementUnit: unitSelect.value });
+    });
+}
+
+/**
+ * Setup the grid, rulers and snapping toggles next to the camera controls
+ */
+function setupGuideToggles() {
+    const toggles = {
+        'toggle-grid': 'showGrid',
+        'toggle-rulers': 'showRulers',
+        'toggle-snapping': 'snapping'
+    };
+
+    Object.entries(toggles).forEach(([id, property]) => {
+        const button = document.getElementById(id);
+        if (!button) return;
+
+        button.addEventListener('click', () => {
+            updateState({ [property]: !state[property] });
+        });
+        subscribe(property, (enabled) => {
+            button.classList.toggle('active', enabled);
+            button.setAttribute('aria-pressed', String(enabled));
+        });
+    });
+}
+
+/**
+ * Setup the layers panel, listing the objects of one view top first
+ */
+function setupLayersPanel() {
+    const panel = document.getElementById('layers-panel');
+    const viewSelect = document.getElementById('layers-view');
+    const list = document.getElementById('layers-list');
+
+    if (!panel || !viewSelect || !list) {
+        console.warn('Layers panel controls not found');
+        return;
+    }
+
+    const refresh = () => renderLayersList(list, viewSelect.value);
+
+    // Every model has its own views
+    subscribe('currentModel', (modelType) => {
+        const views = modelConfig[modelType]?.views || {};
+        const current = viewSelect.value;
+
+        viewSelect.innerHTML = '';
+        Object.entries(views).forEach(([view, config]) => {
+            const option = document.createElement('option');
+            option.value = view;
+            option.textContent = config.name || view;
+            viewSelect.appendChild(option);
+        });
+        viewSelect.value = views[current] ? current : (views[state.cameraView] ? state.cameraView : Object.keys(views)[0] || '');
+        refresh();
+    });
+    viewSelect.addEventListener('change', refresh);
+
+    // Follow the camera to the view being worked on
+    subscribe('cameraView', (view) => {
+        if (modelConfig[state.currentModel]?.views[view] && viewSelect.value !== view) {
+            viewSelect.value = view;
+            refresh();
+        }
+    });
+
+    // Objects change all the time, only rebuild the list while it's on screen
+    window.addEventListener('editor-layers-changed', () => {
+        if (panel.classList.contains('active') && !list.querySelector('.layer-rename')) refresh();
+    });
+    document.getElementById('layers-btn')?.addEventListener('click', refresh);
+
+    document.getElementById('layer-forward')?.addEventListener('click', () => {
+        const [object] = getSelectedObjects().slice(-1);
+        if (object) bringForward(object);
+    });
+    document.getElementById('layer-backward')?.addEventListener('click', () => {
+        const [object] = getSelectedObjects().slice(-1);
+        if (object) sendBackward(object);
+    });
+
+    // Drag a row to restack the view
+    let dragged = null;
+    list.addEventListener('dragstart', (event) => {
+        dragged = event.target.closest('.layer-item');
+        if (!dragged) return;
+        dragged.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', dragged.dataset.id);
+    });
+    list.addEventListener('dragover', (event) => {
+        if (!dragged) return;
+        event.preventDefault();
+        const target = event.target.closest('.layer-item');
+        if (!target || target === dragged) return;
+
+        const rect = target.getBoundingClientRect();
+        const after = event.clientY > rect.top + rect.height / 2;
+        list.insertBefore(dragged, after ? target.nextSibling : target);
+    });
+    list.addEventListener('dragend', () => {
+        if (!dragged) return;
+        dragged.classList.remove('dragging');
+        dragged = null;
+
+        // The list is top first, the editor stacks bottom first
+        const objects = getViewObjects(viewSelect.value);
+        const order = [...list.querySelectorAll('.layer-item')]
+            .map(item => objects.find(obj => obj.id === item.dataset.id))
+            .filter(Boolean)
+            .reverse();
+        if (order.some((obj, i) => obj !== objects[i])) {
+            reorderLayers(viewSelect.value, order);
+        }
+        refresh();
+    });
+}
+
+/**
+ * Default name of an object in the layers panel
+ * @param {Object} object - Object from the 3D editor
+ * @returns {string}
+ */
+function getLayerName(object) {
+    if (object.name) return object.name;
+
+    switch (object.type) {
+        case 'text':
+            return object.text || 'Text';
+        case 'image':
+            return object.isAIGenerated ? 'AI Design' : 'Photo';
+        case 'shape':
+            return SHAPE_TYPES[object.shapeType]?.name || 'Shape';
+        case 'vector':
+            return 'Vector';
+        case 'group':
+            return `Group (${object.children.length})`;
+        default:
+            return 'Object';
+    }
+}
+
+/**
+ * Fill the layers list with the objects of a view
+ * @param {HTMLElement} list - The layers list
+ * @param {string} viewName - The view
+ */
+function renderLayersList(list, viewName) {
+    const selected = getSelectedObjects();
+    const objects = viewName ? getViewObjects(viewName).reverse() : [];
+
+    list.innerHTML = '';
+    if (objects.length === 0) {
+        list.innerHTML = '<li class="layers-empty">Nothing on this view yet</li>';
+        return;
+    }
+
+    objects.forEach(object => {
+        const item = document.createElement('li');
+        item.className = 'layer-item';
+        item.draggable = true;
+        item.dataset.id = object.id;
+        item.classList.toggle('selected', selected.includes(object));
+        item.classList.toggle('hidden-layer', !!object.hidden);
+        item.classList.toggle('locked-layer', !!object.locked);
+        item.innerHTML = `
+            <span class="layer-thumbnail"></span>
+            <span class="layer-name" title="Double-click to rename"></span>
+            <button class="layer-visibility" aria-label="${object.hidden ? 'Show' : 'Hide'}">
+                <i class="fas ${object.hidden ? 'fa-eye-slash' : 'fa-eye'}"></i>
+            </button>
+            <button class="layer-lock" aria-label="${object.locked ? 'Unlock' : 'Lock'}">
+                <i class="fas ${object.locked ? 'fa-lock' : 'fa-lock-open'}"></i>
+            </button>
+        `;
+        item.querySelector('.layer-thumbnail').appendChild(renderObjectThumbnail(object, 36));
+
+        const name = item.querySelector('.layer-name');
+        name.textContent = getLayerName(object);
+
+        item.addEventListener('click', (event) => {
+            if (event.target.closest('button, input')) return;
+            selectLayer(object, event.shiftKey);
+        });
+
+        name.addEventListener('dblclick', () => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'layer-rename';
+            input.value = getLayerName(object);
+            name.replaceWith(input);
+            input.focus();
+            input.select();
+
+            let done = false;
+            const finish = (save) => {
+                if (done) return;
+                done = true;
+                input.replaceWith(name);
+                if (save && input.value.trim() !== getLayerName(object)) {
+                    renameObject(object, input.value);
+                    name.textContent = getLayerName(object);
+                }
+            };
+            input.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') finish(true);
+                if (event.key === 'Escape') finish(false);
+            });
+            input.addEventListener('blur', () => finish(true));
+        });
+
+        item.querySelector('.layer-visibility').addEventListener('click', () => {
+            setObjectHidden(object, !object.hidden);
+        });
+        item.querySelector('.layer-lock').addEventListener('click', () => {
+            setObjectLocked(object, !object.locked);
+        });
+
+        list.appendChild(item);
+    });
+}
+
 // Initialize everything when the DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     try {
@@ -2801,6 +3730,7 @@ document.addEventListener('DOMContentLoaded', () => {
         setupThemeToggle();
         setupMobileUI();
         setupEditControls();
+        setupGuideToggles();
         initializeFloatingUI();
     } catch (error) {
         console.error('Error initializing UI components:', error);
@@ -2968,6 +3898,10 @@ function setupUrlImageFetcher() {
     
     if (!fetchButton || !urlInput || !previewPlaceholder || !previewContainer || !previewImage || !useUrlImageButton) return;
     
+    // The picture shown in the preview, loaded with CORS so it can be drawn to a canvas
+    let loadedImage = null;
+    let pendingImage = null;
+    
     fetchButton.addEventListener('click', () => {
         const url = urlInput.value.trim();
         if (!url) {
@@ -2979,12 +3913,19 @@ function setupUrlImageFetcher() {
         previewPlaceholder.innerHTML = '<div class="spinner"></div><p>Loading image...</p>';
         previewPlaceholder.style.display = 'flex';
         previewContainer.style.display = 'none';
+        loadedImage = null;
         
         // Try to load the image
         const img = new Image();
         img.crossOrigin = 'anonymous';
+        pendingImage = img;
+        let proxied = false;
         
         img.onload = function() {
+            // Ignore a load that finishes after another URL was fetched
+            if (pendingImage !== img) return;
+            loadedImage = img;
+            
             // Hide placeholder and show preview
             previewPlaceholder.style.display = 'none';
             previewContainer.style.display = 'block';
@@ -2994,71 +3935,77 @@ function setupUrlImageFetcher() {
         };
         
         img.onerror = function() {
+            if (pendingImage !== img) return;
+            
+            // Most sites don't allow CORS, so load it once more through the AI server's image proxy
+            if (!proxied) {
+                proxied = true;
+                img.src = getProxiedImageUrl(url);
+                return;
+            }
+            
             // Show error in placeholder
             previewPlaceholder.innerHTML = '<i class="fas fa-exclamation-triangle"></i><p>Failed to load image. Please check the URL.</p>';
             previewPlaceholder.style.display = 'flex';
             previewContainer.style.display = 'none';
         };
         
-        // Handle CORS issues by trying to proxy the image
-        try {
-            // First try direct loading
-            img.src = url;
-        } catch (error) {
-            // If direct loading fails, try a CORS proxy
-            img.src = `https://cors-anywhere.herokuapp.com/${url}`;
-        }
+        // First try direct loading
+        img.src = url;
     });
     
     // Handle "Use This Image" button click
     useUrlImageButton.addEventListener('click', () => {
-        if (previewImage.src) {
+        if (loadedImage) {
             // Convert image to base64 to easily pass it around
             const canvas = document.createElement('canvas');
-            canvas.width = previewImage.naturalWidth;
-            canvas.height = previewImage.naturalHeight;
+            canvas.width = loadedImage.naturalWidth;
+            canvas.height = loadedImage.naturalHeight;
             const ctx = canvas.getContext('2d');
-            ctx.drawImage(previewImage, 0, 0);
+            ctx.drawImage(loadedImage, 0, 0);
             const dataUrl = canvas.toDataURL('image/png');
             
-            // Use the same function as file upload to process the image
-            showViewSelectionModal(dataUrl, (selectedView) => {
-                if (selectedView) {
-                    import("./3d-editor.js")
-                        .then((editor) => {
-                            // First change the camera view
-                            import("./scene.js")
-                                .then((scene) => {
-                                    if (scene.changeCameraView) {
-                                        scene.changeCameraView(selectedView);
-                                    }
+            // Cut the picture out first when the user asked for it
+            prepareImageForPlacement(dataUrl, 'photo-remove-bg').then((imageUrl) => {
+                // Use the same function as file upload to process the image
+                showViewSelectionModal(imageUrl, (selectedView) => {
+                    if (selectedView) {
+                        import("./3d-editor.js")
+                            .then((editor) => {
+                                // First change the camera view
+                                import("./scene.js")
+                                    .then((scene) => {
+                                        if (scene.changeCameraView) {
+                                            scene.changeCameraView(selectedView);
+                                        }
                                     
-                                    // Then add the image to the selected view
-                                    if (editor.addImage) {
-                                        editor.addImage(dataUrl, {
-                                            view: selectedView,
-                                            center: true,
-                                            isDecal: true
-                                        }).then(() => {
-                                            showToast(`Image added to ${selectedView} view`);
+                                        // Then add the image to the selected view
+                                        if (editor.addImage) {
+                                            editor.addImage(imageUrl, {
+                                                view: selectedView,
+                                                center: true,
+                                                isDecal: true
+                                            }).then(() => {
+                                                showToast(`Image added to ${selectedView} view`);
                                             
-                                            // Close the panel
-                                            const panel = document.getElementById('photo-panel');
-                                            const photoButton = document.getElementById('photo-upload-btn');
-                                            if (panel && photoButton) {
-                                                panel.classList.remove('active');
-                                                photoButton.classList.remove('active');
-                                            }
-                                        });
-                                    }
-                                });
-                        })
-                        .catch((error) => {
-                            console.error("Error adding image:", error);
-                            showToast("Error adding image");
-                        });
-                }
-            }, 'Choose Image Placement');
+                                                // Close the panel
+                                                const panel = document.getElementById('photo-panel');
+                                                const photoButton = document.getElementById('photo-upload-btn');
+                                                if (panel && photoButton) {
+                                                    panel.classList.remove('active');
+                                                    photoButton.classList.remove('active');
+                                                }
+                                            });
+                                        }
+                                    });
+                            })
+                            .catch((error) => {
+                                console.error("Error adding image:", error);
+                                showToast("Error adding image");
+                            });
+                    }
+                }, 'Choose Image Placement');
+            });
         }
     });
 }
@@ -3116,47 +4063,50 @@ function setupCameraFunctionality() {
         // Get the photo data URL
         const dataUrl = cameraPreview.toDataURL('image/png');
         
-        // Use the photo
-        showViewSelectionModal(dataUrl, (selectedView) => {
-            if (selectedView) {
-                import("./3d-editor.js")
-                    .then((editor) => {
-                        // First change the camera view
-                        import("./scene.js")
-                            .then((scene) => {
-                                if (scene.changeCameraView) {
-                                    scene.changeCameraView(selectedView);
-                                }
+        // Cut the photo out first when the user asked for it
+        prepareImageForPlacement(dataUrl, 'photo-remove-bg').then((imageUrl) => {
+            // Use the photo
+            showViewSelectionModal(imageUrl, (selectedView) => {
+                if (selectedView) {
+                    import("./3d-editor.js")
+                        .then((editor) => {
+                            // First change the camera view
+                            import("./scene.js")
+                                .then((scene) => {
+                                    if (scene.changeCameraView) {
+                                        scene.changeCameraView(selectedView);
+                                    }
                                 
-                                // Then add the image to the selected view
-                                if (editor.addImage) {
-                                    editor.addImage(dataUrl, {
-                                        view: selectedView,
-                                        center: true,
-                                        isDecal: true
-                                    }).then(() => {
-                                        showToast(`Image added to ${selectedView} view`);
+                                    // Then add the image to the selected view
+                                    if (editor.addImage) {
+                                        editor.addImage(imageUrl, {
+                                            view: selectedView,
+                                            center: true,
+                                            isDecal: true
+                                        }).then(() => {
+                                            showToast(`Image added to ${selectedView} view`);
                                         
-                                        // Close the panel
-                                        const panel = document.getElementById('photo-panel');
-                                        const photoButton = document.getElementById('photo-upload-btn');
-                                        if (panel && photoButton) {
-                                            panel.classList.remove('active');
-                                            photoButton.classList.remove('active');
-                                        }
+                                            // Close the panel
+                                            const panel = document.getElementById('photo-panel');
+                                            const photoButton = document.getElementById('photo-upload-btn');
+                                            if (panel && photoButton) {
+                                                panel.classList.remove('active');
+                                                photoButton.classList.remove('active');
+                                            }
                                         
-                                        // Stop the camera
-                                        stopCamera();
-                                    });
-                                }
-                            });
-                    })
-                    .catch((error) => {
-                        console.error("Error adding image:", error);
-                        showToast("Error adding image");
-                    });
-            }
-        }, 'Choose Image Placement');
+                                            // Stop the camera
+                                            stopCamera();
+                                        });
+                                    }
+                                });
+                        })
+                        .catch((error) => {
+                            console.error("Error adding image:", error);
+                            showToast("Error adding image");
+                        });
+                }
+            }, 'Choose Image Placement');
+        });
     });
     
     // Switch camera
@@ -3275,44 +4225,47 @@ function handleImageUpload(file) {
     // Read the file
     const reader = new FileReader();
     reader.onload = (event) => {
-        // Show view selection modal
-        showViewSelectionModal(event.target.result, (selectedView) => {
-            if (selectedView) {
-                import("./3d-editor.js")
-                    .then((editor) => {
-                        // First change the camera view
-                        import("./scene.js")
-                            .then((scene) => {
-                                if (scene.changeCameraView) {
-                                    scene.changeCameraView(selectedView);
-                                }
+        // Cut the picture out first when the user asked for it
+        prepareImageForPlacement(event.target.result, 'photo-remove-bg').then((imageUrl) => {
+            // Show view selection modal
+            showViewSelectionModal(imageUrl, (selectedView) => {
+                if (selectedView) {
+                    import("./3d-editor.js")
+                        .then((editor) => {
+                            // First change the camera view
+                            import("./scene.js")
+                                .then((scene) => {
+                                    if (scene.changeCameraView) {
+                                        scene.changeCameraView(selectedView);
+                                    }
                                 
-                                // Then add the image to the selected view
-                                if (editor.addImage) {
-                                    editor.addImage(event.target.result, {
-                                        view: selectedView,
-                                        center: true,
-                                        isDecal: true
-                                    }).then(() => {
-                                        showToast(`Image added to ${selectedView} view`);
+                                    // Then add the image to the selected view
+                                    if (editor.addImage) {
+                                        editor.addImage(imageUrl, {
+                                            view: selectedView,
+                                            center: true,
+                                            isDecal: true
+                                        }).then(() => {
+                                            showToast(`Image added to ${selectedView} view`);
                                         
-                                        // Close the panel
-                                        const panel = document.getElementById('photo-panel');
-                                        const photoButton = document.getElementById('photo-upload-btn');
-                                        if (panel && photoButton) {
-                                            panel.classList.remove('active');
-                                            photoButton.classList.remove('active');
-                                        }
-                                    });
-                                }
-                            });
-                    })
-                    .catch((error) => {
-                        console.error("Error adding image:", error);
-                        showToast("Error adding image");
-                    });
-            }
-        }, 'Choose Image Placement');
+                                            // Close the panel
+                                            const panel = document.getElementById('photo-panel');
+                                            const photoButton = document.getElementById('photo-upload-btn');
+                                            if (panel && photoButton) {
+                                                panel.classList.remove('active');
+                                                photoButton.classList.remove('active');
+                                            }
+                                        });
+                                    }
+                                });
+                        })
+                        .catch((error) => {
+                            console.error("Error adding image:", error);
+                            showToast("Error adding image");
+                        });
+                }
+            }, 'Choose Image Placement');
+        });
     };
     reader.readAsDataURL(file);
 }
@@ -0,0 +1,252 @@
+/**
+ * Upscaling for 3D Clothes Project
+ * Enlarges low resolution pictures with the AI server's super-resolution model and falls back
+ * to Lanczos resampling with an edge-aware sharpen when the server isn't running or can't do it
+ */
+
+// Picture pixels per texture pixel below which a placed picture gets blurry on the shirt
+export const MIN_EFFECTIVE_RESOLUTION = 1;
+
+// Factors the server's models support, the local fallback uses the same
+export const UPSCALE_FACTORS = [2, 4];
+
+// Largest side of an upscaled picture, the design texture is no larger either
+const MAX_SIZE = 2048;
+
+// Lanczos window size (Lanczos-3)
+const LANCZOS_LOBES = 3;
+
+// How much of the detail lost to resampling the local fallback adds back
+const SHARPEN_AMOUNT = 0.5;
+
+/**
+ * Load an image from a URL
+ * @param {string} url - Image URL or data URL
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Failed to load image'));
+        img.src = url;
+    });
+}
+
+const isVectorImage = (src = '') => src.startsWith('data:image/svg+xml') || /\.svg(\?|#|$)/i.test(src);
+
+/**
+ * Picture pixels available per texture pixel the object covers
+ * @param {Object} imageObject - Image object from the 3D editor
+ * @returns {number} Below 1 the picture is stretched, Infinity for SVGs which stay sharp at any size
+ */
+export function getEffectiveResolution(imageObject) {
+    if (isVectorImage(imageObject.src)) return Infinity;
+
+    const width = imageObject.img?.naturalWidth || imageObject.metadata?.originalWidth || 0;
+    const height = imageObject.img?.naturalHeight || imageObject.metadata?.originalHeight || 0;
+    return Math.min(width / imageObject.width, height / imageObject.height);
+}
+
+/**
+ * Smallest upscale factor that gives an object enough resolution for its placed size
+ * @param {Object} imageObject - Image object from the 3D editor
+ * @returns {number} A factor from UPSCALE_FACTORS, 0 when the picture can't get any larger
+ */
+export function getUpscaleFactor(imageObject) {
+    const img = imageObject.img;
+    const longestSide = Math.max(img.naturalWidth, img.naturalHeight);
+    const resolution = getEffectiveResolution(imageObject);
+
+    const possible = UPSCALE_FACTORS.filter(factor => longestSide * factor <= MAX_SIZE);
+    if (possible.length === 0) return 0;
+
+    return possible.find(factor => resolution * factor >= MIN_EFFECTIVE_RESOLUTION) || possible[possible.length - 1];
+}
+
+const lanczos = (x) => {
+    if (x === 0) return 1;
+    if (Math.abs(x) >= LANCZOS_LOBES) return 0;
+    const px = Math.PI * x;
+    return LANCZOS_LOBES * Math.sin(px) * Math.sin(px / LANCZOS_LOBES) / (px * px);
+};
+
+/**
+ * Source pixels and weights contributing to every output pixel along one axis
+ * @param {number} sourceSize - Pixels along the axis before resampling
+ * @param {number} targetSize - Pixels along the axis after resampling
+ * @returns {Array<{ indices: number[], weights: number[] }>}
+ */
+function lanczosTaps(sourceSize, targetSize) {
+    const ratio = sourceSize / targetSize;
+    // Shrinking widens the filter so every source pixel is taken into account
+    const stretch = Math.max(1, ratio);
+    const support = LANCZOS_LOBES * stretch;
+
+    return Array.from({ length: targetSize }, (_, i) => {
+        const center = (i + 0.5) * ratio - 0.5;
+        const indices = [];
+        const weights = [];
+        let total = 0;
+
+        for (let k = Math.ceil(center - support); k <= Math.floor(center + support); k++) {
+            const weight = lanczos((k - center) / stretch);
+            if (weight === 0) continue;
+            indices.push(Math.min(sourceSize - 1, Math.max(0, k)));
+            weights.push(weight);
+            total += weight;
+        }
+        return { indices, weights: weights.map(weight => weight / total) };
+    });
+}
+
+/**
+ * Enlarge a picture without the server: Lanczos-3 resampling in premultiplied alpha, then a sharpen
+ * limited to the range of the nearest source pixels, so edges get crisper without halos or ringing
+ * @param {HTMLImageElement|HTMLCanvasElement} source - The picture
+ * @param {number} scale - How many times larger to make it
+ * @returns {HTMLCanvasElement}
+ */
+export function upscaleLocally(source, scale) {
+    const width = source.naturalWidth || source.width;
+    const height = source.naturalHeight || source.height;
+    const factor = Math.min(scale, MAX_SIZE / Math.max(width, height));
+    const newWidth = Math.max(1, Math.round(width * factor));
+    const newHeight = Math.max(1, Math.round(height * factor));
+
+    const sourceCanvas = document.createElement('canvas');
+    sourceCanvas.width = width;
+    sourceCanvas.height = height;
+    const sourceCtx = sourceCanvas.getContext('2d');
+    sourceCtx.drawImage(source, 0, 0);
+    const data = sourceCtx.getImageData(0, 0, width, height).data;
+
+    // Premultiplied, so transparent pixels don't bleed their color into the edges
+    const input = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3] / 255;
+        input[i] = data[i] * alpha;
+        input[i + 1] = data[i + 1] * alpha;
+        input[i + 2] = data[i + 2] * alpha;
+        input[i + 3] = data[i + 3];
+    }
+
+    // Resample horizontally, then vertically
+    const columns = lanczosTaps(width, newWidth);
+    const horizontal = new Float32Array(newWidth * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < newWidth; x++) {
+            const { indices, weights } = columns[x];
+            const out = (y * newWidth + x) * 4;
+            for (let t = 0; t < indices.length; t++) {
+                const i = (y * width + indices[t]) * 4;
+                for (let c = 0; c < 4; c++) horizontal[out + c] += input[i + c] * weights[t];
+            }
+        }
+    }
+
+    const rows = lanczosTaps(height, newHeight);
+    const resampled = new Float32Array(newWidth * newHeight * 4);
+    for (let y = 0; y < newHeight; y++) {
+        const { indices, weights } = rows[y];
+        for (let x = 0; x < newWidth; x++) {
+            const out = (y * newWidth + x) * 4;
+            for (let t = 0; t < indices.length; t++) {
+                const i = (indices[t] * newWidth + x) * 4;
+                for (let c = 0; c < 4; c++) resampled[out + c] += horizontal[i + c] * weights[t];
+            }
+        }
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = newWidth;
+    canvas.height = newHeight;
+    const ctx = canvas.getContext('2d');
+    const output = ctx.createImageData(newWidth, newHeight);
+    const scaleX = width / newWidth;
+    const scaleY = height / newHeight;
+
+    for (let y = 0; y < newHeight; y++) {
+        // The source pixels around this one bound the result
+        const sourceY = Math.min(height - 1, Math.max(0, Math.floor((y + 0.5) * scaleY - 0.5)));
+        const nextY = Math.min(height - 1, sourceY + 1);
+
+        for (let x = 0; x < newWidth; x++) {
+            const sourceX = Math.min(width - 1, Math.max(0, Math.floor((x + 0.5) * scaleX - 0.5)));
+            const nextX = Math.min(width - 1, sourceX + 1);
+            const topLeft = (sourceY * width + sourceX) * 4;
+            const topRight = (sourceY * width + nextX) * 4;
+            const bottomLeft = (nextY * width + sourceX) * 4;
+            const bottomRight = (nextY * width + nextX) * 4;
+
+            const out = (y * newWidth + x) * 4;
+            const pixel = [0, 0, 0, 0];
+            for (let c = 0; c < 4; c++) {
+                // Unsharp mask against the 3x3 neighborhood average
+                let sum = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const row = Math.min(newHeight - 1, Math.max(0, y + dy));
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const column = Math.min(newWidth - 1, Math.max(0, x + dx));
+                        sum += resampled[(row * newWidth + column) * 4 + c];
+                    }
+                }
+                const value = resampled[out + c];
+                const sharpened = value + (value - sum / 9) * SHARPEN_AMOUNT;
+
+                const low = Math.min(input[topLeft + c], input[topRight + c], input[bottomLeft + c], input[bottomRight + c]);
+                const high = Math.max(input[topLeft + c], input[topRight + c], input[bottomLeft + c], input[bottomRight + c]);
+                pixel[c] = Math.min(high, Math.max(low, sharpened));
+            }
+
+            const alpha = pixel[3];
+            output.data[out] = alpha > 0 ? pixel[0] * 255 / alpha : 0;
+            output.data[out + 1] = alpha > 0 ? pixel[1] * 255 / alpha : 0;
+            output.data[out + 2] = alpha > 0 ? pixel[2] * 255 / alpha : 0;
+            output.data[out + 3] = alpha;
+        }
+    }
+
+    ctx.putImageData(output, 0, 0);
+    return canvas;
+}
+
+/**
+ * Upscale a picture, with the AI server's model when available and locally otherwise
+ * @param {string} imageUrl - The picture, as a URL or data URL
+ * @param {Object} options - Options
+ * @param {number} options.scale - 2 or 4 (default 2)
+ * @param {boolean} options.useServer - Try the AI server first (default true)
+ * @param {AbortSignal} options.signal - Signal to cancel the server request
+ * @returns {Promise<{ url: string, method: string }>} Data URL and whether the 'server' or 'local' upscaling made it
+ */
+export async function upscale(imageUrl, { scale = UPSCALE_FACTORS[0], useServer = true, signal } = {}) {
+    const img = await loadImage(imageUrl);
+
+    if (useServer) {
+        try {
+            const { upscaleImage } = await import('./ai-integration.js');
+            // Drawn to a canvas first, so SVGs and remote pictures go to the server as PNG
+            const canvas = document.createElement('canvas');
+            canvas.width = img.naturalWidth;
+            canvas.height = img.naturalHeight;
+            canvas.getContext('2d').drawImage(img, 0, 0);
+
+            const { photo } = await upscaleImage(canvas.toDataURL('image/png'), { scale, signal });
+            return { url: photo, method: 'server' };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn('Server upscaling unavailable, upscaling locally:', error.message);
+        }
+    }
+
+    return { url: upscaleLocally(img, scale).toDataURL('image/png'), method: 'local' };
+}
+
+export default {
+    upscale,
+    upscaleLocally,
+    getEffectiveResolution,
+    getUpscaleFactor
+};
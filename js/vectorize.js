@@ -0,0 +1,431 @@
+/**
+ * Raster to vector tracing for 3D Clothes Project
+ * Reduces a picture to a few flat colors and traces the areas of every color into SVG paths,
+ * which is what screen printers need to make their screens
+ */
+
+// Color count and smoothing (0-1) used when the caller doesn't pick them
+export const DEFAULT_COLOR_COUNT = 6;
+export const DEFAULT_SMOOTHING = 0.5;
+export const MIN_COLOR_COUNT = 2;
+export const MAX_COLOR_COUNT = 16;
+
+// Larger pictures are traced at this size, the paths scale with the object anyway
+const MAX_SIZE = 512;
+
+// Pixels less opaque than this are left out of the artwork
+const OPAQUE_ALPHA = 128;
+
+// Colors are found from a sample of the pixels, refined this many times
+const SAMPLE_COUNT = 20000;
+const KMEANS_ITERATIONS = 8;
+
+// Neighboring colors overlap by this many traced pixels, like a print trap, so no gaps show between them
+const TRAP_WIDTH = 0.75;
+
+// Direction steps around pixel corners: right, down, left, up
+const STEP_X = [1, 0, -1, 0];
+const STEP_Y = [0, 1, 0, -1];
+
+/**
+ * Draw a picture onto a canvas, scaled down to MAX_SIZE
+ * @param {HTMLImageElement|HTMLCanvasElement} source - The picture
+ * @param {string} filter - CSS filter to draw it with
+ * @returns {HTMLCanvasElement}
+ */
+function toCanvas(source, filter) {
+    const width = source.naturalWidth || source.width;
+    const height = source.naturalHeight || source.height;
+    const scale = Math.min(1, MAX_SIZE / Math.max(width, height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+
+    const ctx = canvas.getContext('2d');
+    ctx.filter = filter || 'none';
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+const distance2 = (data, i, color) =>
+    (data[i] - color[0]) ** 2 + (data[i + 1] - color[1]) ** 2 + (data[i + 2] - color[2]) ** 2;
+
+/**
+ * Find the main colors of the opaque pixels with k-means
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} count - Number of colors wanted
+ * @returns {number[][]} [r, g, b] colors, fewer when the picture has fewer
+ */
+function findPalette(data, count) {
+    const opaque = [];
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] >= OPAQUE_ALPHA) opaque.push(i);
+    }
+    if (opaque.length === 0) return [];
+
+    const step = Math.max(1, Math.floor(opaque.length / SAMPLE_COUNT));
+    const sample = opaque.filter((_, index) => index % step === 0);
+
+    // Start from colors as far apart as possible, which is deterministic unlike random seeds
+    const palette = [[data[sample[0]], data[sample[0] + 1], data[sample[0] + 2]]];
+    const nearest = sample.map(i => distance2(data, i, palette[0]));
+    while (palette.length < count) {
+        let farthest = 0;
+        nearest.forEach((value, index) => {
+            if (value > nearest[farthest]) farthest = index;
+        });
+        if (nearest[farthest] === 0) break;
+
+        const i = sample[farthest];
+        const color = [data[i], data[i + 1], data[i + 2]];
+        palette.push(color);
+        sample.forEach((pixel, index) => {
+            nearest[index] = Math.min(nearest[index], distance2(data, pixel, color));
+        });
+    }
+
+    for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+        const sums = palette.map(() => [0, 0, 0, 0]);
+        sample.forEach(i => {
+            const sum = sums[closestColor(data, i, palette)];
+            sum[0] += data[i];
+            sum[1] += data[i + 1];
+            sum[2] += data[i + 2];
+            sum[3]++;
+        });
+        sums.forEach((sum, index) => {
+            if (sum[3] > 0) palette[index] = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+        });
+    }
+
+    return palette.map(color => color.map(Math.round));
+}
+
+function closestColor(data, i, palette) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let index = 0; index < palette.length; index++) {
+        const value = distance2(data, i, palette[index]);
+        if (value < bestDistance) {
+            bestDistance = value;
+            best = index;
+        }
+    }
+    return best;
+}
+
+/**
+ * Merge areas smaller than minArea pixels into the color they are surrounded by
+ * @param {Int16Array} labels - Palette index per pixel, -1 for transparent
+ * @param {number} width - Picture width
+ * @param {number} height - Picture height
+ * @param {number} minArea - Smallest area kept
+ */
+function removeSpeckles(labels, width, height, minArea) {
+    const visited = new Uint8Array(labels.length);
+    const stack = new Int32Array(labels.length);
+    const area = [];
+
+    for (let start = 0; start < labels.length; start++) {
+        if (visited[start]) continue;
+
+        // Collect the 4-connected area of this pixel's color
+        const label = labels[start];
+        area.length = 0;
+        let top = 0;
+        stack[top++] = start;
+        visited[start] = 1;
+        while (top > 0) {
+            const pixel = stack[--top];
+            area.push(pixel);
+            const x = pixel % width;
+            const neighbors = [
+                x > 0 ? pixel - 1 : -1,
+                x < width - 1 ? pixel + 1 : -1,
+                pixel >= width ? pixel - width : -1,
+                pixel < labels.length - width ? pixel + width : -1
+            ];
+            for (const neighbor of neighbors) {
+                if (neighbor >= 0 && !visited[neighbor] && labels[neighbor] === label) {
+                    visited[neighbor] = 1;
+                    stack[top++] = neighbor;
+                }
+            }
+        }
+
+        if (area.length >= minArea) continue;
+
+        // Take the most common color around the speckle
+        const around = new Map();
+        for (const pixel of area) {
+            const x = pixel % width;
+            const neighbors = [
+                x > 0 ? pixel - 1 : -1,
+                x < width - 1 ? pixel + 1 : -1,
+                pixel >= width ? pixel - width : -1,
+                pixel < labels.length - width ? pixel + width : -1
+            ];
+            for (const neighbor of neighbors) {
+                if (neighbor >= 0 && labels[neighbor] !== label) {
+                    around.set(labels[neighbor], (around.get(labels[neighbor]) || 0) + 1);
+                }
+            }
+        }
+        let replacement = label;
+        let best = 0;
+        around.forEach((count, value) => {
+            if (count > best) {
+                best = count;
+                replacement = value;
+            }
+        });
+        for (const pixel of area) labels[pixel] = replacement;
+    }
+}
+
+/**
+ * Trace the outlines of one color's areas along the pixel edges.
+ * Outlines run clockwise with the color on their right, holes counter-clockwise, so they fill with the nonzero rule.
+ * @param {Int16Array} labels - Palette index per pixel
+ * @param {number} width - Picture width
+ * @param {number} height - Picture height
+ * @param {number} label - The color to trace
+ * @param {Uint8Array} edges - Scratch space, 4 entries per pixel corner
+ * @returns {Array<Array<number[]>>} Closed outlines as lists of pixel corners, one per unit step
+ */
+function traceOutlines(labels, width, height, label, edges) {
+    const stride = width + 1;
+    const starts = [];
+    edges.fill(0);
+
+    const addEdge = (x, y, direction) => {
+        const index = (y * stride + x) * 4 + direction;
+        edges[index] = 1;
+        starts.push(index);
+    };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (labels[y * width + x] !== label) continue;
+            if (y === 0 || labels[(y - 1) * width + x] !== label) addEdge(x, y, 0);
+            if (x === width - 1 || labels[y * width + x + 1] !== label) addEdge(x + 1, y, 1);
+            if (y === height - 1 || labels[(y + 1) * width + x] !== label) addEdge(x + 1, y + 1, 2);
+            if (x === 0 || labels[y * width + x - 1] !== label) addEdge(x, y + 1, 3);
+        }
+    }
+
+    const outlines = [];
+    for (const start of starts) {
+        if (!edges[start]) continue;
+
+        const points = [];
+        const startCorner = start >> 2;
+        let corner = startCorner;
+        let direction = start & 3;
+
+        for (;;) {
+            edges[corner * 4 + direction] = 0;
+            points.push([corner % stride, Math.floor(corner / stride)]);
+            corner += STEP_X[direction] + STEP_Y[direction] * stride;
+            if (corner === startCorner) break;
+
+            // Where two areas touch diagonally, turning right keeps them apart
+            const right = (direction + 1) & 3;
+            const left = (direction + 3) & 3;
+            if (edges[corner * 4 + right]) direction = right;
+            else if (!edges[corner * 4 + direction]) direction = left;
+        }
+        outlines.push(points);
+    }
+    return outlines;
+}
+
+/**
+ * Douglas-Peucker simplification of an open polyline
+ * @param {number[][]} points - The polyline
+ * @param {number} tolerance - Largest distance a removed point may have had from the result
+ * @returns {number[][]}
+ */
+function simplifyLine(points, tolerance) {
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+
+    const ranges = [[0, points.length - 1]];
+    while (ranges.length > 0) {
+        const [first, last] = ranges.pop();
+        const [ax, ay] = points[first];
+        const [bx, by] = points[last];
+        const length = Math.hypot(bx - ax, by - ay) || 1;
+
+        let farthest = -1;
+        let farthestDistance = tolerance;
+        for (let i = first + 1; i < last; i++) {
+            const [px, py] = points[i];
+            const distance = Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / length;
+            if (distance > farthestDistance) {
+                farthest = i;
+                farthestDistance = distance;
+            }
+        }
+
+        if (farthest !== -1) {
+            keep[farthest] = 1;
+            ranges.push([first, farthest], [farthest, last]);
+        }
+    }
+    return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Simplify a closed outline, split in two halves at its point farthest from the first
+ * @param {number[][]} points - The outline
+ * @param {number} tolerance - See simplifyLine()
+ * @returns {number[][]}
+ */
+function simplifyOutline(points, tolerance) {
+    if (points.length < 4) return points;
+
+    let far = 0;
+    let farDistance = 0;
+    points.forEach(([x, y], i) => {
+        const distance = (x - points[0][0]) ** 2 + (y - points[0][1]) ** 2;
+        if (distance > farDistance) {
+            far = i;
+            farDistance = distance;
+        }
+    });
+
+    const first = simplifyLine(points.slice(0, far + 1), tolerance);
+    const second = simplifyLine([...points.slice(far), points[0]], tolerance);
+    return [...first.slice(0, -1), ...second.slice(0, -1)];
+}
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+const formatPoint = ([x, y]) => `${formatNumber(x)} ${formatNumber(y)}`;
+
+/**
+ * Turn a traced outline into SVG path data
+ * @param {number[][]} points - Outline from traceOutlines()
+ * @param {number} smoothing - 0 keeps the pixel steps, up to 1 for smoother curves
+ * @returns {string}
+ */
+function outlineToPath(points, smoothing) {
+    if (smoothing <= 0) {
+        // Only the corners of the pixel steps
+        const corners = points.filter((point, i) => {
+            const previous = points[(i + points.length - 1) % points.length];
+            const next = points[(i + 1) % points.length];
+            return (point[0] - previous[0]) !== (next[0] - point[0]) || (point[1] - previous[1]) !== (next[1] - point[1]);
+        });
+        return `M${corners.map(formatPoint).join('L')}Z`;
+    }
+
+    // The middle of every pixel edge takes the staircase out of slanted edges
+    const middles = points.map((point, i) => {
+        const next = points[(i + 1) % points.length];
+        return [(point[0] + next[0]) / 2, (point[1] + next[1]) / 2];
+    });
+    const simplified = simplifyOutline(middles, 0.6 + smoothing * 1.4);
+    const count = simplified.length;
+    if (count < 3) return '';
+
+    // Turns sharper than this stay corners, everything else becomes a curve
+    const cornerAngle = (40 + smoothing * 80) * Math.PI / 180;
+    const midpoint = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+
+    let path = `M${formatPoint(midpoint(simplified[count - 1], simplified[0]))}`;
+    simplified.forEach((point, i) => {
+        const previous = simplified[(i + count - 1) % count];
+        const next = simplified[(i + 1) % count];
+        const inX = point[0] - previous[0];
+        const inY = point[1] - previous[1];
+        const outX = next[0] - point[0];
+        const outY = next[1] - point[1];
+        const turn = Math.acos(Math.max(-1, Math.min(1,
+            (inX * outX + inY * outY) / ((Math.hypot(inX, inY) * Math.hypot(outX, outY)) || 1))));
+
+        const end = formatPoint(midpoint(point, next));
+        path += turn > cornerAngle ? `L${formatPoint(point)}L${end}` : `Q${formatPoint(point)} ${end}`;
+    });
+    return `${path}Z`;
+}
+
+const toHex = (color) => `#${color.map(value => value.toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Trace a picture into flat colored vector paths
+ * @param {HTMLImageElement|HTMLCanvasElement} source - The picture
+ * @param {Object} options - Options
+ * @param {number} options.colors - Number of colors, MIN_COLOR_COUNT to MAX_COLOR_COUNT
+ * @param {number} options.smoothing - 0 follows the pixels exactly, 1 gives the smoothest curves
+ * @param {string} options.filter - CSS filter the picture is shown with, so the colors match
+ * @returns {{ width: number, height: number, trapWidth: number, paths: Array<{ fill: string, d: string }> }}
+ *   Paths in a width x height coordinate space, largest color area first
+ */
+export function traceImage(source, { colors = DEFAULT_COLOR_COUNT, smoothing = DEFAULT_SMOOTHING, filter } = {}) {
+    const canvas = toCanvas(source, filter);
+    const { width, height } = canvas;
+    const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+    const count = Math.max(MIN_COLOR_COUNT, Math.min(MAX_COLOR_COUNT, Math.round(colors)));
+    const palette = findPalette(data, count);
+
+    const labels = new Int16Array(width * height);
+    for (let pixel = 0; pixel < labels.length; pixel++) {
+        const i = pixel * 4;
+        labels[pixel] = data[i + 3] >= OPAQUE_ALPHA ? closestColor(data, i, palette) : -1;
+    }
+
+    // Smoother tracing also drops larger specks of noise
+    removeSpeckles(labels, width, height, Math.round(2 + smoothing * 14));
+
+    const areas = palette.map(() => 0);
+    labels.forEach(label => {
+        if (label >= 0) areas[label]++;
+    });
+
+    const edges = new Uint8Array((width + 1) * (height + 1) * 4);
+    const paths = palette
+        .map((color, label) => ({ color, label, area: areas[label] }))
+        .filter(({ area }) => area > 0)
+        .sort((a, b) => b.area - a.area)
+        .map(({ color, label }) => ({
+            fill: toHex(color),
+            d: traceOutlines(labels, width, height, label, edges)
+                .map(outline => outlineToPath(outline, smoothing))
+                .join('')
+        }))
+        .filter(path => path.d);
+
+    return { width, height, trapWidth: TRAP_WIDTH, paths };
+}
+
+/**
+ * Write traced paths as an SVG document
+ * @param {Object} vector - Result of traceImage(), or a vector object with viewBox, paths and trapWidth
+ * @param {Object} size - Size the SVG asks to be shown at, the viewBox size when omitted
+ * @param {number} size.width - Width in pixels
+ * @param {number} size.height - Height in pixels
+ * @returns {string} SVG markup
+ */
+export function vectorToSVG(vector, { width, height } = {}) {
+    const viewWidth = vector.viewBox?.width ?? vector.width;
+    const viewHeight = vector.viewBox?.height ?? vector.height;
+    const trap = vector.trapWidth ?? TRAP_WIDTH;
+
+    const paths = vector.paths.map(({ fill, d }) =>
+        `  <path d="${d}" fill="${fill}" stroke="${fill}" stroke-width="${trap}" stroke-linejoin="round"/>`);
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${viewWidth} ${viewHeight}" width="${formatNumber(width || viewWidth)}" height="${formatNumber(height || viewHeight)}">`,
+        ...paths,
+        '</svg>'
+    ].join('\n');
+}
+
+export default {
+    traceImage,
+    vectorToSVG
+};
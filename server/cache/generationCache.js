@@ -0,0 +1,186 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'data', 'cache');
+const MB = 1024 * 1024;
+
+// Parse a numeric env variable, falling back when it is missing or invalid
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Normalize a prompt so trivially different spellings share a cache entry
+ * @param {string} prompt - The user's prompt
+ * @returns {string}
+ */
+export function normalizePrompt(prompt) {
+  return prompt.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// JSON with sorted keys, so equal params always serialize the same way
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Content-addressed cache of generated images, in memory with a disk tier below it.
+ * Both tiers evict least recently used entries once over their size cap.
+ * @param {Object} options - Cache options, read from the environment by default
+ * @returns {Object} Cache with keyFor/get/set
+ */
+export function createGenerationCache({
+  dir = process.env.CACHE_DIR || DEFAULT_CACHE_DIR,
+  maxEntries = envNumber('CACHE_MAX_ENTRIES', 50),
+  memoryMaxBytes = envNumber('CACHE_MEMORY_MAX_MB', 100) * MB,
+  diskMaxBytes = envNumber('CACHE_DISK_MAX_MB', 500) * MB,
+  enabled = process.env.CACHE_DISABLED !== 'true'
+} = {}) {
+  // Map iteration order doubles as recency order: oldest first
+  const memory = new Map();
+  let memoryBytes = 0;
+
+  // key -> size of the file on disk, in the same recency order
+  const disk = new Map();
+  let diskBytes = 0;
+
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+
+  // Pick up entries from earlier runs, oldest first
+  const ready = (async () => {
+    if (!enabled) return;
+    try {
+      const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+      const stats = await Promise.all(files.map(async file => ({ file, stat: await fs.stat(path.join(dir, file)) })));
+      stats
+        .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs)
+        .forEach(({ file, stat }) => {
+          disk.set(path.basename(file, '.json'), stat.size);
+          diskBytes += stat.size;
+        });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Could not read generation cache directory:', error.message);
+      }
+    }
+  })();
+
+  // Memory entries keep their serialized size so eviction doesn't have to measure again
+  function remember(key, result, size) {
+    if (size > memoryMaxBytes) return;
+
+    if (memory.has(key)) {
+      memoryBytes -= memory.get(key).size;
+      memory.delete(key);
+    }
+    memory.set(key, { result, size });
+    memoryBytes += size;
+
+    for (const [oldKey, oldEntry] of memory) {
+      if (memory.size <= maxEntries && memoryBytes <= memoryMaxBytes) break;
+      memory.delete(oldKey);
+      memoryBytes -= oldEntry.size;
+    }
+  }
+
+  async function evictDisk() {
+    for (const [oldKey, size] of disk) {
+      if (diskBytes <= diskMaxBytes) break;
+      disk.delete(oldKey);
+      diskBytes -= size;
+      await fs.unlink(fileFor(oldKey)).catch(() => {});
+    }
+  }
+
+  return {
+    /**
+     * Cache key for a generation
+     * @param {string} provider - Provider name
+     * @param {Object} params - Full generation params including prompt and seed, the prompt is optional for image edits
+     * @returns {string} SHA-256 hex digest
+     */
+    keyFor(provider, { prompt = '', ...params }) {
+      const source = stableStringify({ provider, prompt: normalizePrompt(prompt), ...params });
+      return createHash('sha256').update(source).digest('hex');
+    },
+
+    /**
+     * Look up a cached result
+     * @param {string} key - Key from keyFor()
+     * @returns {Promise<Object|null>} The cached generation result, or null on a miss
+     */
+    async get(key) {
+      if (!enabled) return null;
+
+      const cached = memory.get(key);
+      if (cached) {
+        remember(key, cached.result, cached.size);
+        return cached.result;
+      }
+
+      await ready;
+      if (!disk.has(key)) return null;
+
+      try {
+        const data = await fs.readFile(fileFor(key), 'utf8');
+        const { createdAt, ...result } = JSON.parse(data);
+
+        // Mark as recently used in both tiers
+        const size = disk.get(key);
+        disk.delete(key);
+        disk.set(key, size);
+        const now = new Date();
+        fs.utimes(fileFor(key), now, now).catch(() => {});
+
+        remember(key, result, data.length);
+        return result;
+      } catch (error) {
+        console.warn(`Dropping unreadable cache entry ${key}:`, error.message);
+        diskBytes -= disk.get(key) || 0;
+        disk.delete(key);
+        return null;
+      }
+    },
+
+    /**
+     * Store a result
+     * @param {string} key - Key from keyFor()
+     * @param {Object} result - Generation result with photo data URLs
+     * @returns {Promise<void>}
+     */
+    async set(key, result) {
+      if (!enabled || !result?.photo) return;
+
+      const data = JSON.stringify({ ...result, createdAt: new Date().toISOString() });
+      remember(key, result, data.length);
+
+      await ready;
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(fileFor(key), data, 'utf8');
+
+        diskBytes -= disk.get(key) || 0;
+        disk.delete(key);
+        disk.set(key, Buffer.byteLength(data));
+        diskBytes += Buffer.byteLength(data);
+        await evictDisk();
+      } catch (error) {
+        // The memory tier still has it, a failed disk write only costs persistence
+        console.warn('Could not write generation cache entry:', error.message);
+      }
+    }
+  };
+}
@@ -3,27 +3,51 @@ import * as dotenv from 'dotenv';
 import cors from 'cors';
 
 import falaiRoutes from './routes/falai.routes.js';
+import designsRoutes from './routes/designs.routes.js';
+import proxyRoutes from './routes/proxy.routes.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = 3000; // Changed from 8080 to 3000
 
-// Configure CORS to be more permissive during development
-app.use(cors({
-  origin: '*',  // Allow all origins in development
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
-}));
+// Behind a reverse proxy the client IP (used for rate limits) comes from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
+// Only the configured front-end origins may call the API (CORS_ORIGINS, comma separated).
+// Without it any localhost port is allowed, which covers the usual dev servers.
+const allowedOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const isLocalOrigin = (origin) => /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/.test(origin);
+
+const corsOptions = {
+  origin: (origin, callback) => {
+    // Requests without an Origin header (curl, server to server) aren't subject to CORS
+    const allowed = !origin || (allowedOrigins.length > 0 ? allowedOrigins.includes(origin) : isLocalOrigin(origin));
+    callback(null, allowed);
+  },
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Quota-Limit', 'X-Quota-Remaining']
+};
+
+app.use(cors(corsOptions));
 
 // Handle preflight requests
-app.options('*', cors());
+app.options('*', cors(corsOptions));
 
 app.use(express.json({ limit: "50mb" }))
 
 // fal.ai route for AI image generation
 app.use("/api/v1/falai", falaiRoutes);
 
+// Saved designs (stored on disk by default, MongoDB with DESIGN_STORAGE=mongodb)
+app.use("/api/v1/designs", designsRoutes);
+
+// Remote images for the URL image tab, served from this origin so they don't taint the canvas
+app.use("/api/v1/proxy", proxyRoutes);
+
 app.get('/', (req, res) => {
   res.status(200).json({ message: "AI Image Generation Server (fal.ai)" })
 })
@@ -0,0 +1,201 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED = [JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+/**
+ * Check whether a job has reached a final status
+ * @param {Object} job - Job as returned by the manager
+ * @returns {boolean}
+ */
+export function isFinished(job) {
+  return FINISHED.includes(job.status);
+}
+
+/**
+ * Create an in-memory job manager that runs tasks with limited concurrency
+ * @param {Object} options - Manager options
+ * @param {number} options.concurrency - Number of jobs running at the same time
+ * @param {number} options.ttl - How long finished jobs are kept, in milliseconds
+ * @returns {Object} Job manager
+ */
+export function createJobManager({
+  concurrency = Number(process.env.JOB_CONCURRENCY) || 2,
+  ttl = Number(process.env.JOB_TTL_MS) || 10 * 60 * 1000
+} = {}) {
+  const jobs = new Map();
+  const queue = [];
+  const events = new EventEmitter();
+  let running = 0;
+
+  // Every open event stream listens on its job id
+  events.setMaxListeners(0);
+
+  // Public view of a job, without the task and its controller
+  function toJob(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      progress: job.progress,
+      message: job.message,
+      ...job.meta,
+      ...(job.error ? { error: job.error } : {}),
+      ...(job.result ? job.result : {}),
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+
+  function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    events.emit(job.id, toJob(job));
+  }
+
+  function finish(job, changes) {
+    update(job, changes);
+
+    // Forget finished jobs after a while so results don't pile up in memory
+    setTimeout(() => {
+      jobs.delete(job.id);
+      events.removeAllListeners(job.id);
+    }, ttl).unref();
+  }
+
+  async function run(job) {
+    running++;
+    update(job, { status: JOB_STATUS.RUNNING, message: 'Starting generation' });
+
+    try {
+      const result = await job.task({
+        signal: job.controller.signal,
+        onProgress: (progress, message) => {
+          if (job.status !== JOB_STATUS.RUNNING) return;
+          update(job, {
+            progress: Math.max(job.progress, Math.min(0.99, progress)),
+            message: message || job.message
+          });
+        }
+      });
+
+      // Cancelled while the task was finishing
+      if (job.status !== JOB_STATUS.RUNNING) return;
+      finish(job, { status: JOB_STATUS.DONE, progress: 1, message: 'Done', result });
+    } catch (error) {
+      if (job.status !== JOB_STATUS.RUNNING) return;
+
+      if (job.controller.signal.aborted) {
+        finish(job, { status: JOB_STATUS.CANCELLED, message: 'Cancelled' });
+      } else {
+        console.error(`Job ${job.id} failed:`, error);
+        finish(job, { status: JOB_STATUS.FAILED, message: 'Failed', error: error.message });
+      }
+    } finally {
+      running--;
+      next();
+    }
+  }
+
+  // Start queued jobs while there are free slots
+  function next() {
+    while (running < concurrency && queue.length > 0) {
+      const job = queue.shift();
+      if (job.status === JOB_STATUS.QUEUED) {
+        run(job);
+      }
+    }
+  }
+
+  return {
+    /**
+     * Queue a task
+     * @param {function({signal: AbortSignal, onProgress: function}): Promise<Object>} task - Work to run, resolves with the job result
+     * @param {Object} meta - Extra fields reported with the job
+     * @returns {Object} The queued job
+     */
+    submit(task, meta = {}) {
+      const now = new Date().toISOString();
+      const job = {
+        id: randomUUID(),
+        status: JOB_STATUS.QUEUED,
+        progress: 0,
+        message: 'Waiting in queue',
+        meta,
+        task,
+        controller: new AbortController(),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      jobs.set(job.id, job);
+      queue.push(job);
+      next();
+
+      return toJob(job);
+    },
+
+    /**
+     * Record a job that finished without running, e.g. when its result was already known
+     * @param {Object} result - The job result
+     * @param {Object} meta - Extra fields reported with the job
+     * @returns {Object} The finished job
+     */
+    complete(result, meta = {}) {
+      const now = new Date().toISOString();
+      const job = {
+        id: randomUUID(),
+        status: JOB_STATUS.QUEUED,
+        progress: 0,
+        message: '',
+        meta,
+        controller: new AbortController(),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      jobs.set(job.id, job);
+      finish(job, { status: JOB_STATUS.DONE, progress: 1, message: 'Done', result });
+
+      return toJob(job);
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? toJob(job) : null;
+    },
+
+    /**
+     * Cancel a queued or running job. Finished jobs are returned unchanged.
+     * @param {string} id - Job id
+     * @returns {Object|null} The job, or null when it doesn't exist
+     */
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+
+      if (!isFinished(job)) {
+        job.controller.abort();
+        finish(job, { status: JOB_STATUS.CANCELLED, message: 'Cancelled' });
+      }
+      return toJob(job);
+    },
+
+    /**
+     * Listen to a job's updates
+     * @param {string} id - Job id
+     * @param {function(Object)} listener - Called with the job after every change
+     * @returns {function} Unsubscribe function
+     */
+    subscribe(id, listener) {
+      events.on(id, listener);
+      return () => events.off(id, listener);
+    }
+  };
+}
@@ -0,0 +1,193 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse a numeric env variable, falling back when it is missing or invalid
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Start of the next UTC day, when daily quotas reset
+function nextDayStart(now) {
+  return Math.floor(now / DAY_MS) * DAY_MS + DAY_MS;
+}
+
+/**
+ * Read the client's API key from X-API-Key or "Authorization: Bearer <key>"
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function readApiKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Create a per-client limiter for AI generations.
+ * Clients are identified by API key when they send a known one, otherwise by IP,
+ * and each gets a request rate limit plus a daily generation quota.
+ * @param {Object} options - Limits, read from the environment by default
+ * @param {function(Object, Object): number} options.cost - Generations a request uses from the daily quota, 1 by default
+ * @param {string} options.label - What the limited requests are called in the 429 messages
+ * @returns {{ middleware: function, status: function }}
+ */
+export function createGenerationLimiter({
+  windowMs = envNumber('RATE_LIMIT_WINDOW_MS', 60 * 1000),
+  ipMax = envNumber('RATE_LIMIT_MAX', 5),
+  keyMax = envNumber('RATE_LIMIT_KEY_MAX', 30),
+  ipDailyQuota = envNumber('DAILY_QUOTA', 20),
+  keyDailyQuota = envNumber('DAILY_QUOTA_KEY', 200),
+  apiKeys = (process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+  cost = () => 1,
+  label = 'generation'
+} = {}) {
+  const knownKeys = new Set(apiKeys);
+  const windows = new Map();
+  const quotas = new Map();
+
+  // Drop expired counters now and then so memory doesn't grow with every IP seen
+  setInterval(() => {
+    const now = Date.now();
+    windows.forEach((entry, id) => {
+      if (entry.resetAt <= now) windows.delete(id);
+    });
+    quotas.forEach((entry, id) => {
+      if (entry.resetAt <= now) quotas.delete(id);
+    });
+  }, Math.max(windowMs, 60 * 1000)).unref();
+
+  /**
+   * Work out who the client is and which limits apply
+   * @returns {{ id: string, type: string, rateLimit: number, dailyQuota: number }|{ error: string }}
+   */
+  function identify(req) {
+    const apiKey = readApiKey(req);
+
+    if (apiKey) {
+      if (!knownKeys.has(apiKey)) {
+        return { error: 'Invalid API key' };
+      }
+      return { id: `key:${apiKey}`, type: 'key', rateLimit: keyMax, dailyQuota: keyDailyQuota };
+    }
+
+    return { id: `ip:${req.ip}`, type: 'ip', rateLimit: ipMax, dailyQuota: ipDailyQuota };
+  }
+
+  function getWindow(id, now) {
+    let entry = windows.get(id);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(id, entry);
+    }
+    return entry;
+  }
+
+  function getQuota(id, now) {
+    let entry = quotas.get(id);
+    if (!entry || entry.resetAt <= now) {
+      entry = { used: 0, resetAt: nextDayStart(now) };
+      quotas.set(id, entry);
+    }
+    return entry;
+  }
+
+  function describe(client, now) {
+    const window = getWindow(client.id, now);
+    const quota = getQuota(client.id, now);
+
+    return {
+      client: client.type,
+      rate: {
+        limit: client.rateLimit,
+        remaining: Math.max(0, client.rateLimit - window.count),
+        resetAt: new Date(window.resetAt).toISOString()
+      },
+      daily: {
+        limit: client.dailyQuota,
+        used: quota.used,
+        remaining: Math.max(0, client.dailyQuota - quota.used),
+        resetAt: new Date(quota.resetAt).toISOString()
+      }
+    };
+  }
+
+  function setLimitHeaders(res, status) {
+    res.set({
+      'X-RateLimit-Limit': String(status.rate.limit),
+      'X-RateLimit-Remaining': String(status.rate.remaining),
+      'X-Quota-Limit': String(status.daily.limit),
+      'X-Quota-Remaining': String(status.daily.remaining)
+    });
+  }
+
+  return {
+    /**
+     * Express middleware counting the request's generations, responds with 429 when over a limit
+     */
+    middleware(req, res, next) {
+      const client = identify(req);
+      if (client.error) {
+        return res.status(401).json({ message: client.error });
+      }
+
+      const now = Date.now();
+      const window = getWindow(client.id, now);
+      const quota = getQuota(client.id, now);
+      const generations = cost(req, res);
+
+      let limited = null;
+      if (quota.used >= client.dailyQuota) {
+        limited = {
+          reason: 'quota',
+          message: `Daily limit of ${client.dailyQuota} ${label}s reached`,
+          resetAt: quota.resetAt
+        };
+      } else if (quota.used + generations > client.dailyQuota) {
+        const remaining = client.dailyQuota - quota.used;
+        limited = {
+          reason: 'quota',
+          message: `Only ${remaining} ${label}${remaining === 1 ? '' : 's'} left today, ask for fewer images`,
+          resetAt: quota.resetAt
+        };
+      } else if (window.count >= client.rateLimit) {
+        limited = {
+          reason: 'rate',
+          message: `Too many ${label} requests, please slow down`,
+          resetAt: window.resetAt
+        };
+      }
+
+      if (limited) {
+        const retryAfter = Math.max(1, Math.ceil((limited.resetAt - now) / 1000));
+        const status = describe(client, now);
+        setLimitHeaders(res, status);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          message: limited.message,
+          reason: limited.reason,
+          retryAfter,
+          quota: status
+        });
+      }
+
+      window.count++;
+      quota.used += generations;
+      setLimitHeaders(res, describe(client, now));
+      next();
+    },
+
+    /**
+     * Current limits for the requesting client, without counting a request
+     * @param {Object} req - Express request
+     * @returns {Object|{ error: string }}
+     */
+    status(req) {
+      const client = identify(req);
+      if (client.error) return client;
+      return describe(client, Date.now());
+    }
+  };
+}
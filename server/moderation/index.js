@@ -0,0 +1,176 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fetch from 'node-fetch';
+import OpenAI from 'openai';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LISTS_DIR = path.join(__dirname, 'lists');
+
+// Word lists checked in order, the first match decides the reason
+const CATEGORIES = [
+  {
+    name: 'blocked',
+    file: 'blocklist.txt',
+    env: 'MODERATION_BLOCKLIST',
+    reason: (terms) => `The prompt contains content we can't print (${terms.join(', ')}).`
+  },
+  {
+    name: 'trademark',
+    file: 'trademarks.txt',
+    env: 'MODERATION_TRADEMARKS',
+    reason: (terms) => `The prompt mentions a protected brand or character (${terms.join(', ')}). Please describe an original design instead.`
+  },
+  {
+    name: 'celebrity',
+    file: 'celebrities.txt',
+    env: 'MODERATION_CELEBRITIES',
+    reason: (terms) => `The prompt mentions a real person (${terms.join(', ')}). We can't print someone's likeness without their permission.`
+  }
+];
+
+// Common character swaps used to slip words past filters
+const LEET = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+
+/**
+ * Normalize text for matching: lowercase, no accents, leetspeak undone, words separated by single spaces
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[013457@$]/g, char => LEET[char])
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Read a word list: one term per line, "#" starts a comment
+ * @param {string} file - Path of the list
+ * @returns {string[]} Normalized terms
+ */
+function readList(file) {
+  try {
+    return readFileSync(file, 'utf8')
+      .split('\n')
+      .map(line => line.replace(/#.*/, ''))
+      .map(normalizeText)
+      .filter(Boolean);
+  } catch (error) {
+    console.warn(`Could not read moderation list ${file}:`, error.message);
+    return [];
+  }
+}
+
+// Terms from the built-in list (or the file named by <ENV>_FILE) plus the comma separated <ENV> variable
+function loadTerms(file, envName) {
+  const listFile = process.env[`${envName}_FILE`] || path.join(LISTS_DIR, file);
+  const extra = (process.env[envName] || '').split(',').map(normalizeText).filter(Boolean);
+  return [...new Set([...readList(listFile), ...extra])];
+}
+
+// Whole-word (or whole-phrase) matches of terms in normalized text
+function findTerms(text, terms) {
+  const padded = ` ${text} `;
+  return terms.filter(term => padded.includes(` ${term} `));
+}
+
+/**
+ * Built-in classifiers selectable with MODERATION_CLASSIFIER
+ */
+const classifiers = {
+  // OpenAI moderation endpoint, needs OPENAI_API_KEY
+  openai: () => {
+    const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    return async (prompt) => {
+      const response = await client.moderations.create({ input: prompt });
+      const result = response.results?.[0];
+      if (!result?.flagged) return { flagged: false };
+
+      const categories = Object.keys(result.categories).filter(name => result.categories[name]);
+      return { flagged: true, category: categories[0], reason: `The prompt was flagged as ${categories.join(', ')}.` };
+    };
+  },
+
+  // Any HTTP service answering POST { prompt } with { flagged, reason?, category? }
+  http: () => async (prompt) => {
+    const response = await fetch(process.env.MODERATION_CLASSIFIER_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prompt })
+    });
+    if (!response.ok) {
+      throw new Error(`Moderation classifier responded with status: ${response.status}`);
+    }
+    return response.json();
+  }
+};
+
+/**
+ * Create a prompt moderator from the word lists and the optional classifier
+ * @param {Object} options - Moderator options
+ * @param {function(string): Promise<{flagged: boolean, reason?: string, category?: string}>} options.classifier - Custom classifier, overrides MODERATION_CLASSIFIER
+ * @returns {{ moderate: function(string): Promise<Object> }}
+ */
+export function createModerator({ classifier } = {}) {
+  const allowlist = loadTerms('allowlist.txt', 'MODERATION_ALLOWLIST');
+  const categories = CATEGORIES.map(category => ({ ...category, terms: loadTerms(category.file, category.env) }));
+
+  let classify = classifier || null;
+  const classifierName = process.env.MODERATION_CLASSIFIER;
+  if (!classify && classifierName) {
+    if (classifiers[classifierName]) {
+      classify = classifiers[classifierName]();
+    } else {
+      console.warn(`Unknown moderation classifier "${classifierName}", expected one of: ${Object.keys(classifiers).join(', ')}`);
+    }
+  }
+
+  // Without MODERATION_FAIL_CLOSED a broken classifier doesn't block generation
+  const failClosed = process.env.MODERATION_FAIL_CLOSED === 'true';
+
+  return {
+    /**
+     * Check a prompt before it is sent to a provider
+     * @param {string} prompt - The user's prompt
+     * @returns {Promise<{allowed: true}|{allowed: false, category: string, reason: string, matches?: string[]}>}
+     */
+    async moderate(prompt) {
+      // Allowed phrases are cut out first so they can't trigger the other lists
+      let text = normalizeText(prompt);
+      findTerms(text, allowlist).forEach(phrase => {
+        text = ` ${text} `.split(` ${phrase} `).join(' ').trim();
+      });
+
+      for (const category of categories) {
+        const matches = findTerms(text, category.terms);
+        if (matches.length > 0) {
+          return { allowed: false, category: category.name, reason: category.reason(matches), matches };
+        }
+      }
+
+      if (classify) {
+        try {
+          const result = await classify(prompt);
+          if (result?.flagged) {
+            return {
+              allowed: false,
+              category: result.category || 'classifier',
+              reason: result.reason || "The prompt was flagged by our content filter."
+            };
+          }
+        } catch (error) {
+          console.error('Moderation classifier failed:', error);
+          if (failClosed) {
+            return { allowed: false, category: 'unavailable', reason: "The content filter is unavailable, please try again later." };
+          }
+        }
+      }
+
+      return { allowed: true };
+    }
+  };
+}
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+/**
+ * Connect to MongoDB
+ * @param {string} url - MongoDB connection string
+ * @returns {Promise<typeof mongoose>} The connected mongoose instance
+ */
+const connectDB = (url) => {
+  mongoose.set('strictQuery', true);
+
+  return mongoose.connect(url)
+    .then(() => {
+      console.log('MongoDB connected');
+      return mongoose;
+    })
+    .catch((error) => {
+      console.error('Failed to connect to MongoDB:', error.message);
+      throw error;
+    });
+};
+
+export default connectDB;
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+const Design = new mongoose.Schema({
+  name: { type: String, required: true },
+  modelType: { type: String, required: true },
+  color: { type: String },
+  fabricType: { type: String },
+  // Editor objects are stored as-is, their shape is owned by the client
+  objects: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  // Uploaded fonts the text uses, as { family, src } with the font file as a data URL
+  fonts: { type: [mongoose.Schema.Types.Mixed], default: [] },
+}, { timestamps: true, minimize: false });
+
+const DesignSchema = mongoose.model('Design', Design);
+
+export default DesignSchema;
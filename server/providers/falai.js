@@ -0,0 +1,136 @@
+import fetch from 'node-fetch';
+
+import { buildDesignPrompt, fetchImageAsDataUrl } from './shared.js';
+
+const DEFAULT_FAL_URL = 'https://110602490-fast-sdxl.gateway.alpha.fal.ai/';
+const DEFAULT_FAL_IMAGE_TO_IMAGE_URL = 'https://fal.run/fal-ai/fast-sdxl/image-to-image';
+const DEFAULT_FAL_INPAINTING_URL = 'https://fal.run/fal-ai/fast-sdxl/inpainting';
+const DEFAULT_FAL_BACKGROUND_REMOVAL_URL = 'https://fal.run/fal-ai/imageutils/rembg';
+const DEFAULT_FAL_UPSCALE_URL = 'https://fal.run/fal-ai/esrgan';
+
+/**
+ * Call a fal.ai model and download the images it returns
+ * @param {string} url - Model endpoint
+ * @param {Object} body - Request body
+ * @param {Object} options - Run options with signal and onProgress
+ * @returns {Promise<{photos: string[], seed?: number}>}
+ */
+async function requestImages(url, body, { signal, onProgress = () => {} } = {}) {
+  // The gateway answers synchronously, so progress can only be reported per stage
+  onProgress(0.1, 'Generating image');
+  const response = await fetch(url, {
+    method: 'POST',
+    signal,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Key ${process.env.FAL_API_KEY}`
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || `Fal.ai API responded with status: ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  // Get the image URLs depending on the fal.ai response format, image utilities return a single image
+  const imageUrls = (data.images || (data.image ? [data.image] : [])).map(image => image.url).filter(Boolean);
+
+  if (imageUrls.length > 0) {
+    onProgress(0.9, imageUrls.length > 1 ? 'Downloading images' : 'Downloading image');
+    const photos = await Promise.all(imageUrls.map(imageUrl => fetchImageAsDataUrl(imageUrl, { signal })));
+    return { photos, seed: data.seed };
+  } else if (data.error) {
+    throw new Error(data.error);
+  }
+  throw new Error("Failed to generate image - no URL returned");
+}
+
+/**
+ * fal.ai fast-sdxl text-to-image, image-to-image and inpainting, rembg background removal and ESRGAN upscaling
+ */
+export default {
+  name: 'falai',
+  label: 'fal.ai',
+
+  isConfigured() {
+    return Boolean(process.env.FAL_API_KEY);
+  },
+
+  async generate({ prompt, negativePrompt, width, height, steps, guidance, seed, count }, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('FAL_API_KEY is not set in environment variables');
+    }
+
+    return requestImages(process.env.FAL_API_URL || DEFAULT_FAL_URL, {
+      prompt: buildDesignPrompt(prompt),
+      negative_prompt: negativePrompt,
+      width,
+      height,
+      num_inference_steps: steps,
+      guidance_scale: guidance,
+      num_images: count,
+      ...(seed !== undefined ? { seed } : {})
+    }, options);
+  },
+
+  async vary({ prompt, negativePrompt, steps, guidance, seed, count, image, strength }, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('FAL_API_KEY is not set in environment variables');
+    }
+
+    // fal.ai accepts data URLs wherever it takes an image URL, the output follows the input's size
+    return requestImages(process.env.FAL_IMAGE_TO_IMAGE_URL || DEFAULT_FAL_IMAGE_TO_IMAGE_URL, {
+      image_url: image,
+      strength,
+      prompt: buildDesignPrompt(prompt),
+      negative_prompt: negativePrompt,
+      num_inference_steps: steps,
+      guidance_scale: guidance,
+      num_images: count,
+      ...(seed !== undefined ? { seed } : {})
+    }, options);
+  },
+
+  async inpaint({ prompt, negativePrompt, steps, guidance, seed, count, image, mask, strength }, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('FAL_API_KEY is not set in environment variables');
+    }
+
+    // Outpainting needs nothing special, the client sends the enlarged picture with its new border masked
+    return requestImages(process.env.FAL_INPAINTING_URL || DEFAULT_FAL_INPAINTING_URL, {
+      image_url: image,
+      mask_url: mask,
+      strength,
+      prompt: buildDesignPrompt(prompt),
+      negative_prompt: negativePrompt,
+      num_inference_steps: steps,
+      guidance_scale: guidance,
+      num_images: count,
+      ...(seed !== undefined ? { seed } : {})
+    }, options);
+  },
+
+  async removeBackground({ image }, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('FAL_API_KEY is not set in environment variables');
+    }
+
+    return requestImages(process.env.FAL_BACKGROUND_REMOVAL_URL || DEFAULT_FAL_BACKGROUND_REMOVAL_URL, {
+      image_url: image
+    }, options);
+  },
+
+  async upscale({ image, scale }, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('FAL_API_KEY is not set in environment variables');
+    }
+
+    return requestImages(process.env.FAL_UPSCALE_URL || DEFAULT_FAL_UPSCALE_URL, {
+      image_url: image,
+      scale
+    }, options);
+  }
+};
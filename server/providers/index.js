@@ -0,0 +1,193 @@
+import falai from './falai.js';
+import openai from './openai.js';
+import localSd from './local-sd.js';
+import procedural from './procedural.js';
+import { DEFAULT_PARAMS } from './shared.js';
+
+// Registered image generation providers, keyed by name
+const providers = {
+  [falai.name]: falai,
+  [openai.name]: openai,
+  [localSd.name]: localSd,
+  [procedural.name]: procedural
+};
+
+/**
+ * Name of the provider used when a request doesn't pick one (IMAGE_PROVIDER, defaults to fal.ai)
+ * @returns {string}
+ */
+export function getDefaultProviderName() {
+  return process.env.IMAGE_PROVIDER || falai.name;
+}
+
+/**
+ * Name of the provider that removes backgrounds when a request doesn't pick one
+ * (BACKGROUND_REMOVAL_PROVIDER, defaults to the image provider)
+ * @returns {string}
+ */
+export function getBackgroundRemovalProviderName() {
+  return process.env.BACKGROUND_REMOVAL_PROVIDER || getDefaultProviderName();
+}
+
+/**
+ * Name of the provider that upscales images when a request doesn't pick one
+ * (UPSCALE_PROVIDER, defaults to the image provider)
+ * @returns {string}
+ */
+export function getUpscaleProviderName() {
+  return process.env.UPSCALE_PROVIDER || getDefaultProviderName();
+}
+
+/**
+ * Look up a provider by name
+ * @param {string} name - Provider name, the default provider when omitted
+ * @returns {Object|null} The provider, or null when it doesn't exist
+ */
+export function getProvider(name) {
+  return providers[name || getDefaultProviderName()] || null;
+}
+
+/**
+ * Describe all providers for status endpoints
+ * @returns {Array<{name: string, label: string, configured: boolean, default: boolean, variations: boolean, inpainting: boolean, backgroundRemoval: boolean, upscaling: boolean}>}
+ */
+export function listProviders() {
+  const defaultName = getDefaultProviderName();
+  return Object.values(providers).map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    configured: provider.isConfigured(),
+    default: provider.name === defaultName,
+    variations: supportsVariations(provider),
+    inpainting: supportsInpainting(provider),
+    backgroundRemoval: supportsBackgroundRemoval(provider),
+    upscaling: supportsUpscaling(provider)
+  }));
+}
+
+/**
+ * Fill in defaults for generation parameters the request left out
+ * @param {Object} params - Generation parameters
+ * @returns {Object} Complete parameters as passed to providers
+ */
+export function resolveParams(params) {
+  return { ...DEFAULT_PARAMS, ...params };
+}
+
+// Normalize what a provider returned, photo is the first of photos
+function toResult(provider, result) {
+  const photos = result?.photos || (result?.photo ? [result.photo] : []);
+  if (photos.length === 0) {
+    throw new Error(`Provider "${provider.name}" returned no image`);
+  }
+  return {
+    photo: photos[0],
+    photos,
+    ...(result.seed !== undefined ? { seed: result.seed } : {})
+  };
+}
+
+/**
+ * Generate an image with a provider
+ * @param {Object} provider - Provider from getProvider()
+ * @param {Object} params - Generation parameters, prompt is required
+ * @param {Object} options - Run options
+ * @param {AbortSignal} options.signal - Signal to cancel the generation
+ * @param {function(number, string)} options.onProgress - Called with progress (0-1) and a status message
+ * @returns {Promise<{photo: string, photos: string[], seed?: number}>} Data URLs of the generated images, photo is the first one
+ */
+export async function generateImage(provider, params, options = {}) {
+  return toResult(provider, await provider.generate(resolveParams(params), options));
+}
+
+/**
+ * Check whether a provider can make image-to-image variations
+ * @param {Object} provider - Provider from getProvider()
+ * @returns {boolean}
+ */
+export function supportsVariations(provider) {
+  return typeof provider.vary === 'function';
+}
+
+/**
+ * Generate variations of an image with a provider
+ * @param {Object} provider - Provider from getProvider()
+ * @param {Object} params - Generation parameters plus the base image (data URL) and strength (0-1)
+ * @param {Object} options - Run options, as for generateImage()
+ * @returns {Promise<{photo: string, photos: string[], seed?: number}>} Data URLs of the variations
+ */
+export async function generateVariations(provider, params, options = {}) {
+  if (!supportsVariations(provider)) {
+    throw new Error(`Provider "${provider.name}" can't make variations`);
+  }
+  return toResult(provider, await provider.vary(resolveParams(params), options));
+}
+
+/**
+ * Check whether a provider can repaint masked areas of an image
+ * @param {Object} provider - Provider from getProvider()
+ * @returns {boolean}
+ */
+export function supportsInpainting(provider) {
+  return typeof provider.inpaint === 'function';
+}
+
+/**
+ * Repaint the masked areas of an image (inpainting), or fill a border added around it (outpainting)
+ * @param {Object} provider - Provider from getProvider()
+ * @param {Object} params - Generation parameters plus image and mask (data URLs, white is repainted), strength (0-1) and mode
+ * @param {Object} options - Run options, as for generateImage()
+ * @returns {Promise<{photo: string, photos: string[], seed?: number}>} Data URLs of the repainted images
+ */
+export async function inpaintImage(provider, params, options = {}) {
+  if (!supportsInpainting(provider)) {
+    throw new Error(`Provider "${provider.name}" can't inpaint images`);
+  }
+  return toResult(provider, await provider.inpaint(resolveParams(params), options));
+}
+
+/**
+ * Check whether a provider can cut the subject of an image out of its background
+ * @param {Object} provider - Provider from getProvider()
+ * @returns {boolean}
+ */
+export function supportsBackgroundRemoval(provider) {
+  return typeof provider.removeBackground === 'function';
+}
+
+/**
+ * Remove the background of an image, leaving it transparent
+ * @param {Object} provider - Provider from getProvider()
+ * @param {Object} params - The image as a data URL in params.image
+ * @param {Object} options - Run options, as for generateImage()
+ * @returns {Promise<{photo: string, photos: string[]}>} Data URL of the cut out image
+ */
+export async function removeImageBackground(provider, { image }, options = {}) {
+  if (!supportsBackgroundRemoval(provider)) {
+    throw new Error(`Provider "${provider.name}" can't remove backgrounds`);
+  }
+  return toResult(provider, await provider.removeBackground({ image }, options));
+}
+
+/**
+ * Check whether a provider can upscale images
+ * @param {Object} provider - Provider from getProvider()
+ * @returns {boolean}
+ */
+export function supportsUpscaling(provider) {
+  return typeof provider.upscale === 'function';
+}
+
+/**
+ * Enlarge an image with a super-resolution model
+ * @param {Object} provider - Provider from getProvider()
+ * @param {Object} params - The image as a data URL in params.image and the factor (2 or 4) in params.scale
+ * @param {Object} options - Run options, as for generateImage()
+ * @returns {Promise<{photo: string, photos: string[]}>} Data URL of the upscaled image
+ */
+export async function upscaleImage(provider, { image, scale }, options = {}) {
+  if (!supportsUpscaling(provider)) {
+    throw new Error(`Provider "${provider.name}" can't upscale images`);
+  }
+  return toResult(provider, await provider.upscale({ image, scale }, options));
+}
@@ -0,0 +1,222 @@
+import fetch from 'node-fetch';
+
+import { buildDesignPrompt, toDataUrl, parseDataUrl } from './shared.js';
+
+// How often the server's progress endpoint is polled while generating
+const PROGRESS_INTERVAL = 1000;
+
+// What masked areas start from: the original pixels, or latent noise for a new border that has none
+const INPAINTING_FILL = { inpaint: 1, outpaint: 2 };
+
+// Soften the mask edge so repainted areas blend in
+const MASK_BLUR = 8;
+
+// Model used by the rembg extension when SD_REMBG_MODEL isn't set
+const DEFAULT_REMBG_MODEL = 'u2net';
+
+// Upscaler used by the extras tab when SD_UPSCALER isn't set
+const DEFAULT_UPSCALER = 'R-ESRGAN 4x+';
+
+/**
+ * Run a txt2img or img2img request, reporting the sampler's progress while it runs
+ * @param {string} endpoint - API path such as "txt2img"
+ * @param {Object} payload - Request body
+ * @param {number} count - Number of images asked for
+ * @param {Object} options - Run options with signal and onProgress
+ * @returns {Promise<{photos: string[], seed?: number}>}
+ */
+async function runSampler(endpoint, payload, count, { signal, onProgress = () => {} } = {}) {
+  const baseUrl = process.env.SD_API_URL.replace(/\/+$/, '');
+
+  const progressTimer = setInterval(async () => {
+    try {
+      const progressResponse = await fetch(`${baseUrl}/sdapi/v1/progress?skip_current_image=true`);
+      const { progress, state } = await progressResponse.json();
+      if (progress > 0) {
+        const step = state?.sampling_steps ? ` (step ${state.sampling_step}/${state.sampling_steps})` : '';
+        onProgress(progress, `Sampling${step}`);
+      }
+    } catch (error) {
+      // Progress is best effort, the generation itself reports failures
+    }
+  }, PROGRESS_INTERVAL);
+
+  // Stop the sampler too when the request is cancelled
+  const interrupt = () => {
+    fetch(`${baseUrl}/sdapi/v1/interrupt`, { method: 'POST' }).catch(() => {});
+  };
+  signal?.addEventListener('abort', interrupt);
+
+  try {
+    const response = await fetch(`${baseUrl}/sdapi/v1/${endpoint}`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.detail || errorData.error || `Stable Diffusion API responded with status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const images = data.images || [];
+    if (images.length === 0) {
+      throw new Error("Failed to generate image - no image data returned");
+    }
+
+    // The seed actually used is only reported in the JSON encoded info field
+    let usedSeed = payload.seed >= 0 ? payload.seed : undefined;
+    try {
+      usedSeed = JSON.parse(data.info).seed ?? usedSeed;
+    } catch (error) {
+      // Older servers don't send info, keep the requested seed
+    }
+
+    return { photos: images.slice(0, count).map(base64 => toDataUrl(base64)), seed: usedSeed };
+  } finally {
+    clearInterval(progressTimer);
+    signal?.removeEventListener('abort', interrupt);
+  }
+}
+
+/**
+ * Local Stable Diffusion server with an AUTOMATIC1111-compatible API
+ */
+export default {
+  name: 'local-sd',
+  label: 'Local Stable Diffusion',
+
+  isConfigured() {
+    return Boolean(process.env.SD_API_URL);
+  },
+
+  async generate({ prompt, negativePrompt, width, height, steps, guidance, seed, count }, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('SD_API_URL is not set in environment variables');
+    }
+
+    return runSampler('txt2img', {
+      prompt: buildDesignPrompt(prompt),
+      negative_prompt: negativePrompt,
+      width,
+      height,
+      steps,
+      cfg_scale: guidance,
+      // -1 lets the server pick a random seed
+      seed: seed ?? -1,
+      batch_size: count
+    }, count, options);
+  },
+
+  async vary({ prompt, negativePrompt, width, height, steps, guidance, seed, count, image, strength }, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('SD_API_URL is not set in environment variables');
+    }
+
+    return runSampler('img2img', {
+      init_images: [parseDataUrl(image).buffer.toString('base64')],
+      denoising_strength: strength,
+      prompt: buildDesignPrompt(prompt),
+      negative_prompt: negativePrompt,
+      width,
+      height,
+      steps,
+      cfg_scale: guidance,
+      seed: seed ?? -1,
+      batch_size: count
+    }, count, options);
+  },
+
+  async inpaint({ prompt, negativePrompt, width, height, steps, guidance, seed, count, image, mask, strength, mode = 'inpaint' }, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('SD_API_URL is not set in environment variables');
+    }
+
+    return runSampler('img2img', {
+      init_images: [parseDataUrl(image).buffer.toString('base64')],
+      mask: parseDataUrl(mask).buffer.toString('base64'),
+      inpainting_fill: INPAINTING_FILL[mode],
+      mask_blur: MASK_BLUR,
+      denoising_strength: strength,
+      prompt: buildDesignPrompt(prompt),
+      negative_prompt: negativePrompt,
+      width,
+      height,
+      steps,
+      cfg_scale: guidance,
+      seed: seed ?? -1,
+      batch_size: count
+    }, count, options);
+  },
+
+  // Needs the stable-diffusion-webui-rembg extension on the server
+  async removeBackground({ image }, { signal, onProgress = () => {} } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('SD_API_URL is not set in environment variables');
+    }
+
+    onProgress(0.1, 'Removing background');
+    const baseUrl = process.env.SD_API_URL.replace(/\/+$/, '');
+    const response = await fetch(`${baseUrl}/rembg`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        input_image: parseDataUrl(image).buffer.toString('base64'),
+        model: process.env.SD_REMBG_MODEL || DEFAULT_REMBG_MODEL,
+        return_mask: false,
+        alpha_matting: false
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.detail || errorData.error || `Stable Diffusion API responded with status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!data.image) {
+      throw new Error("Failed to remove background - no image data returned");
+    }
+    return { photos: [toDataUrl(data.image)] };
+  },
+
+  async upscale({ image, scale }, { signal, onProgress = () => {} } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('SD_API_URL is not set in environment variables');
+    }
+
+    onProgress(0.1, 'Upscaling image');
+    const baseUrl = process.env.SD_API_URL.replace(/\/+$/, '');
+    const response = await fetch(`${baseUrl}/sdapi/v1/extra-single-image`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        image: parseDataUrl(image).buffer.toString('base64'),
+        resize_mode: 0,
+        upscaling_resize: scale,
+        upscaler_1: process.env.SD_UPSCALER || DEFAULT_UPSCALER
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.detail || errorData.error || `Stable Diffusion API responded with status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!data.image) {
+      throw new Error("Failed to upscale image - no image data returned");
+    }
+    return { photos: [toDataUrl(data.image)] };
+  }
+};
@@ -0,0 +1,83 @@
+import OpenAI from 'openai';
+
+import { buildDesignPrompt, toDataUrl } from './shared.js';
+
+// DALL-E 3 only makes one image per request
+const MAX_IMAGES_PER_REQUEST = {
+  'dall-e-2': 4,
+  'dall-e-3': 1
+};
+
+// Sizes accepted by the OpenAI Images API
+const SIZES = {
+  'dall-e-2': ['256x256', '512x512', '1024x1024'],
+  'dall-e-3': ['1024x1024', '1792x1024', '1024x1792']
+};
+
+/**
+ * Pick the supported size closest to the requested aspect ratio
+ * @param {string} model - OpenAI image model
+ * @param {number} width - Requested width
+ * @param {number} height - Requested height
+ * @returns {string} Size string such as "1024x1024"
+ */
+function pickSize(model, width, height) {
+  const sizes = SIZES[model] || SIZES['dall-e-3'];
+  const ratio = width / height;
+
+  return sizes.reduce((best, size) => {
+    const [w, h] = size.split('x').map(Number);
+    const [bw, bh] = best.split('x').map(Number);
+    return Math.abs(w / h - ratio) < Math.abs(bw / bh - ratio) ? size : best;
+  });
+}
+
+let client = null;
+
+/**
+ * OpenAI Images (DALL-E)
+ */
+export default {
+  name: 'openai',
+  label: 'OpenAI Images',
+
+  isConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY);
+  },
+
+  async generate({ prompt, width, height, count }, { signal, onProgress = () => {} } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('OPENAI_API_KEY is not set in environment variables');
+    }
+
+    if (!client) {
+      client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+
+    const model = process.env.OPENAI_IMAGE_MODEL || 'dall-e-3';
+
+    const perRequest = MAX_IMAGES_PER_REQUEST[model] || 1;
+    const photos = [];
+
+    // The Images API has no progress reporting, only finished requests are known
+    while (photos.length < count) {
+      onProgress(0.1 + 0.8 * (photos.length / count), count > 1 ? `Generating image ${photos.length + 1} of ${count}` : 'Generating image');
+      const response = await client.images.generate({
+        model,
+        prompt: buildDesignPrompt(prompt),
+        n: Math.min(perRequest, count - photos.length),
+        size: pickSize(model, width, height),
+        response_format: 'b64_json'
+      }, { signal });
+
+      const images = (response.data || []).map(image => image.b64_json).filter(Boolean);
+      if (images.length === 0) {
+        throw new Error("Failed to generate image - no image data returned");
+      }
+      photos.push(...images.map(base64 => toDataUrl(base64)));
+    }
+
+    // Seeds aren't supported by the Images API
+    return { photos };
+  }
+};
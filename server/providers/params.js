@@ -0,0 +1,114 @@
+import { parseDataUrl } from './shared.js';
+
+// Ranges requests are clamped to, wide enough for every provider
+export const PARAM_LIMITS = {
+  seed: { min: 0, max: 4294967295 },
+  steps: { min: 1, max: 100 },
+  guidance: { min: 0, max: 20 },
+  count: { min: 1, max: 4 },
+  aspectRatio: { min: 0.25, max: 4 },
+  strength: { min: 0.05, max: 1 }
+};
+
+// How much a variation may change its base image when the request doesn't say
+export const DEFAULT_VARIATION_STRENGTH = 0.6;
+
+// Masked areas are mostly repainted, a little of what was there guides the result
+export const DEFAULT_INPAINT_STRENGTH = 0.95;
+
+// Inpainting repaints masked areas inside the picture, outpainting fills a border added around it
+export const INPAINT_MODES = ['inpaint', 'outpaint'];
+
+// How many times larger upscaling makes an image, the first is used when the request doesn't say
+export const UPSCALE_FACTORS = [2, 4];
+
+// Base images and masks accepted for variations and inpainting
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Longest side of generated images, the other side follows the aspect ratio
+const MAX_SIDE = 1024;
+const MIN_SIDE = 256;
+
+// Diffusion models want sizes in multiples of 64
+const SIZE_STEP = 64;
+
+const MAX_NEGATIVE_PROMPT_LENGTH = 500;
+
+const clamp = (value, { min, max }) => Math.max(min, Math.min(max, value));
+
+/**
+ * Image size for an aspect ratio (width / height)
+ * @param {number} aspectRatio - Width divided by height
+ * @returns {{ width: number, height: number }}
+ */
+export function sizeForAspectRatio(aspectRatio) {
+  const ratio = clamp(aspectRatio, PARAM_LIMITS.aspectRatio);
+  const side = (length) => clamp(Math.round(length / SIZE_STEP) * SIZE_STEP, { min: MIN_SIDE, max: MAX_SIDE });
+
+  return ratio >= 1
+    ? { width: MAX_SIDE, height: side(MAX_SIDE / ratio) }
+    : { width: side(MAX_SIDE * ratio), height: MAX_SIDE };
+}
+
+/**
+ * Validate optional generation parameters from a request body.
+ * Values of the wrong type are rejected, numbers out of range are clamped.
+ * @param {Object} body - Request body
+ * @returns {{ error: string|null, params: Object }} Parameters to merge over the defaults
+ */
+export function parseGenerationParams(body = {}) {
+  const params = {};
+
+  for (const name of ['seed', 'steps', 'guidance', 'count', 'aspectRatio', 'strength']) {
+    const value = body[name];
+    if (value === undefined || value === null || value === '') continue;
+
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      return { error: `${name} must be a number` };
+    }
+
+    // Only seeds, steps and counts are whole numbers
+    const whole = ['seed', 'steps', 'count'].includes(name) ? Math.round(number) : number;
+    params[name] = clamp(whole, PARAM_LIMITS[name]);
+  }
+
+  if (params.aspectRatio !== undefined) {
+    Object.assign(params, sizeForAspectRatio(params.aspectRatio));
+    delete params.aspectRatio;
+  }
+
+  if (body.negativePrompt !== undefined) {
+    if (typeof body.negativePrompt !== 'string') {
+      return { error: 'negativePrompt must be a string' };
+    }
+    params.negativePrompt = body.negativePrompt.trim().slice(0, MAX_NEGATIVE_PROMPT_LENGTH);
+  }
+
+  return { error: null, params };
+}
+
+/**
+ * Validate an image sent with a variation, inpainting, background removal or upscaling request
+ * @param {string} image - Image as a data URL
+ * @param {string} field - Request field the image came in, for error messages
+ * @returns {string|null} Error message, or null when the image is usable
+ */
+export function validateBaseImage(image, field = 'image') {
+  if (!image) {
+    return `${field} is required`;
+  }
+
+  const parsed = parseDataUrl(image);
+  if (!parsed) {
+    return `${field} must be a base64 data URL`;
+  }
+  if (!IMAGE_TYPES.includes(parsed.mimeType)) {
+    return `${field} must be one of: ${IMAGE_TYPES.join(', ')}`;
+  }
+  if (parsed.buffer.length > MAX_IMAGE_BYTES) {
+    return `${field} must be smaller than ${MAX_IMAGE_BYTES / (1024 * 1024)}MB`;
+  }
+  return null;
+}
@@ -0,0 +1,430 @@
+import { encodePNG, decodePNG } from '../utils/png.js';
+import { toDataUrl, parseDataUrl } from './shared.js';
+
+// Keep offline renders quick, they run on the server's main thread
+const MAX_SIZE = 1024;
+
+// Rows rendered between yields to the event loop (progress updates and cancellation)
+const ROWS_PER_CHUNK = 32;
+
+/**
+ * FNV-1a hash of a string, used to seed the generator
+ * @param {string} text - Text to hash
+ * @returns {number} 32-bit hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Small seeded PRNG (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {function(): number} Random number generator returning [0, 1)
+ */
+function createRandom(seed) {
+  let t = seed;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hslToRgb(h, s, l) {
+  const k = n => (n + h * 12) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return [f(0) * 255, f(8) * 255, f(4) * 255];
+}
+
+// Anti-aliased coverage of a signed distance (positive inside)
+const coverage = distance => Math.max(0, Math.min(1, distance + 0.5));
+
+// Palette around a base hue with one complementary accent
+function createPalette(random) {
+  const hue = random();
+  return [
+    hslToRgb(hue, 0.7, 0.55),
+    hslToRgb((hue + 0.08) % 1, 0.75, 0.35),
+    hslToRgb((hue + 0.5) % 1, 0.8, 0.6),
+    hslToRgb((hue + 0.92) % 1, 0.65, 0.75),
+    hslToRgb(hue, 0.4, 0.12)
+  ];
+}
+
+/**
+ * Yield to the event loop every few rows, reporting progress and stopping when cancelled
+ * @param {number} y - Current row
+ * @param {number} height - Number of rows
+ * @param {Object} options - Render options with signal and onProgress
+ * @param {string} message - Progress message
+ */
+async function checkpoint(y, height, { signal, onProgress = () => {} }, message) {
+  if (y % ROWS_PER_CHUNK !== 0) return;
+
+  if (signal?.aborted) {
+    const error = new Error('Generation cancelled');
+    error.name = 'AbortError';
+    throw error;
+  }
+  onProgress(y / height, message);
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Render a deterministic badge-style design for a prompt
+ * @param {string} key - Prompt and seed the design is derived from
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - Render options
+ * @param {AbortSignal} options.signal - Signal to stop rendering
+ * @param {function(number, string)} options.onProgress - Progress callback
+ * @returns {Promise<Buffer>} PNG file contents
+ */
+async function renderDesign(key, width, height, options = {}) {
+  const random = createRandom(hashString(key));
+  const palette = createPalette(random);
+
+  const cx = width / 2;
+  const cy = height / 2;
+  const radius = Math.min(width, height) * 0.36;
+  const outline = Math.max(2, radius * 0.04);
+  const rayCount = 6 + Math.floor(random() * 14);
+  const rayPhase = random() * Math.PI * 2;
+  const innerRing = radius * (0.55 + random() * 0.25);
+
+  // Satellite dots scattered around the badge
+  const dots = Array.from({ length: 4 + Math.floor(random() * 8) }, () => {
+    const angle = random() * Math.PI * 2;
+    const distance = radius * (1.08 + random() * 0.14);
+    return {
+      x: cx + Math.cos(angle) * distance,
+      y: cy + Math.sin(angle) * distance,
+      r: radius * (0.04 + random() * 0.06),
+      color: palette[Math.floor(random() * 4)]
+    };
+  });
+
+  const pixels = new Uint8Array(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    await checkpoint(y, height, options, 'Rendering design');
+
+    for (let x = 0; x < width; x++) {
+      const dx = x + 0.5 - cx;
+      const dy = y + 0.5 - cy;
+      const r = Math.sqrt(dx * dx + dy * dy);
+
+      let red = 0;
+      let green = 0;
+      let blue = 0;
+      let alpha = 0;
+
+      // Composite a layer over what has been drawn so far
+      const paint = (color, amount) => {
+        if (amount <= 0) return;
+        red = red * (1 - amount) + color[0] * amount;
+        green = green * (1 - amount) + color[1] * amount;
+        blue = blue * (1 - amount) + color[2] * amount;
+        alpha = alpha + (1 - alpha) * amount;
+      };
+
+      const inDisc = coverage(radius - r);
+      if (inDisc > 0) {
+        // Radial gradient fill
+        const t = r / radius;
+        paint([
+          palette[0][0] * (1 - t) + palette[1][0] * t,
+          palette[0][1] * (1 - t) + palette[1][1] * t,
+          palette[0][2] * (1 - t) + palette[1][2] * t
+        ], inDisc);
+
+        // Rays from the center
+        const ray = Math.sin(Math.atan2(dy, dx) * rayCount + rayPhase);
+        paint(palette[2], inDisc * 0.35 * coverage((ray - 0.6) * 20));
+
+        // Inner ring
+        paint(palette[3], coverage(outline / 2 - Math.abs(r - innerRing)));
+      }
+
+      // Outline
+      paint(palette[4], coverage(outline / 2 - Math.abs(r - radius)));
+
+      dots.forEach(dot => {
+        const distance = Math.sqrt((x + 0.5 - dot.x) ** 2 + (y + 0.5 - dot.y) ** 2);
+        paint(dot.color, coverage(dot.r - distance));
+      });
+
+      const i = (y * width + x) * 4;
+      pixels[i] = red;
+      pixels[i + 1] = green;
+      pixels[i + 2] = blue;
+      pixels[i + 3] = alpha * 255;
+    }
+  }
+
+  return encodePNG(width, height, pixels);
+}
+
+/**
+ * Recolor an image with a palette derived from a prompt, like a gradient map
+ * @param {{ width: number, height: number, rgba: Uint8Array }} source - Decoded source image
+ * @param {string} key - Prompt and seed the palette is derived from
+ * @param {number} strength - How much of the recolored image replaces the source (0-1)
+ * @param {Object} options - Render options with signal and onProgress
+ * @returns {Promise<Buffer>} PNG file contents
+ */
+async function restyleImage({ width, height, rgba }, key, strength, options = {}) {
+  const palette = createPalette(createRandom(hashString(key)));
+
+  // Dark to light stops the source luminance is mapped onto
+  const stops = [palette[4], palette[1], palette[0], palette[2], palette[3]];
+  const pixels = new Uint8Array(rgba.length);
+
+  for (let y = 0; y < height; y++) {
+    await checkpoint(y, height, options, 'Restyling image');
+
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const luminance = (0.2126 * rgba[i] + 0.7152 * rgba[i + 1] + 0.0722 * rgba[i + 2]) / 255;
+      const position = luminance * (stops.length - 1);
+      const index = Math.min(stops.length - 2, Math.floor(position));
+      const t = position - index;
+
+      for (let c = 0; c < 3; c++) {
+        const mapped = stops[index][c] * (1 - t) + stops[index + 1][c] * t;
+        pixels[i + c] = rgba[i + c] * (1 - strength) + mapped * strength;
+      }
+      // Keep the source's shape
+      pixels[i + 3] = rgba[i + 3];
+    }
+  }
+
+  return encodePNG(width, height, pixels);
+}
+
+// One pyramid level of premultiplied RGBA sums and the weight of known pixels behind them
+function createLevel(width, height) {
+  return { width, height, color: new Float32Array(width * height * 4), weight: new Float32Array(width * height) };
+}
+
+// Half-size level summing 2x2 blocks, normalized so no pixel weighs more than a fully known one
+function shrinkLevel(level) {
+  const next = createLevel(Math.max(1, Math.ceil(level.width / 2)), Math.max(1, Math.ceil(level.height / 2)));
+
+  for (let y = 0; y < level.height; y++) {
+    for (let x = 0; x < level.width; x++) {
+      const from = y * level.width + x;
+      const to = (y >> 1) * next.width + (x >> 1);
+      next.weight[to] += level.weight[from];
+      for (let c = 0; c < 4; c++) {
+        next.color[to * 4 + c] += level.color[from * 4 + c];
+      }
+    }
+  }
+
+  for (let i = 0; i < next.weight.length; i++) {
+    if (next.weight[i] > 1) {
+      for (let c = 0; c < 4; c++) {
+        next.color[i * 4 + c] /= next.weight[i];
+      }
+      next.weight[i] = 1;
+    }
+  }
+  return next;
+}
+
+// Fill what a level doesn't know from the (already filled) level below it, sampled bilinearly
+function fillLevel(level, coarse) {
+  const sample = (x, y, c) => {
+    const fx = Math.max(0, Math.min(coarse.width - 1, (x + 0.5) / 2 - 0.5));
+    const fy = Math.max(0, Math.min(coarse.height - 1, (y + 0.5) / 2 - 0.5));
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const x1 = Math.min(coarse.width - 1, x0 + 1);
+    const y1 = Math.min(coarse.height - 1, y0 + 1);
+    const tx = fx - x0;
+    const ty = fy - y0;
+    const at = (px, py) => coarse.color[(py * coarse.width + px) * 4 + c];
+    return (at(x0, y0) * (1 - tx) + at(x1, y0) * tx) * (1 - ty) + (at(x0, y1) * (1 - tx) + at(x1, y1) * tx) * ty;
+  };
+
+  for (let y = 0; y < level.height; y++) {
+    for (let x = 0; x < level.width; x++) {
+      const i = y * level.width + x;
+      const missing = 1 - level.weight[i];
+      if (missing <= 0) continue;
+      for (let c = 0; c < 4; c++) {
+        level.color[i * 4 + c] += missing * sample(x, y, c);
+      }
+      level.weight[i] = 1;
+    }
+  }
+}
+
+/**
+ * Repaint masked areas by smoothly extending the colors around them (push-pull fill),
+ * with a grain derived from the prompt so different seeds give different results
+ * @param {{ width: number, height: number, rgba: Uint8Array }} source - Decoded source image
+ * @param {{ width: number, height: number, rgba: Uint8Array }} mask - Decoded mask, white is repainted
+ * @param {string} key - Prompt and seed the grain is derived from
+ * @param {number} strength - How strongly masked pixels are replaced (0-1)
+ * @param {Object} options - Render options with signal and onProgress
+ * @returns {Promise<Buffer>} PNG file contents
+ */
+async function inpaintImage(source, mask, key, strength, options = {}) {
+  const { width, height, rgba } = source;
+  const random = createRandom(hashString(key));
+
+  // Masks of another size are stretched over the image
+  const masked = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const my = Math.min(mask.height - 1, Math.floor(y * mask.height / height));
+    for (let x = 0; x < width; x++) {
+      const mx = Math.min(mask.width - 1, Math.floor(x * mask.width / width));
+      const m = (my * mask.width + mx) * 4;
+      masked[y * width + x] = (mask.rgba[m] + mask.rgba[m + 1] + mask.rgba[m + 2]) / 765;
+    }
+  }
+
+  // Known pixels, premultiplied by alpha so transparent areas don't bleed black into the fill
+  const levels = [createLevel(width, height)];
+  for (let i = 0; i < width * height; i++) {
+    const known = 1 - masked[i];
+    const alpha = rgba[i * 4 + 3] / 255;
+    levels[0].weight[i] = known;
+    for (let c = 0; c < 3; c++) {
+      levels[0].color[i * 4 + c] = known * rgba[i * 4 + c] * alpha;
+    }
+    levels[0].color[i * 4 + 3] = known * alpha * 255;
+  }
+
+  const { onProgress = () => {} } = options;
+  onProgress(0, 'Filling masked area');
+  while (levels[levels.length - 1].width > 1 || levels[levels.length - 1].height > 1) {
+    levels.push(shrinkLevel(levels[levels.length - 1]));
+  }
+  // Nothing known at all: fill with transparency
+  const top = levels[levels.length - 1];
+  if (top.weight[0] > 0) {
+    for (let c = 0; c < 4; c++) top.color[c] /= top.weight[0];
+  }
+  top.weight[0] = 1;
+  for (let l = levels.length - 2; l >= 0; l--) {
+    fillLevel(levels[l], levels[l + 1]);
+  }
+
+  const filled = levels[0].color;
+  const pixels = new Uint8Array(rgba.length);
+
+  for (let y = 0; y < height; y++) {
+    await checkpoint(y, height, options, 'Blending repainted area');
+
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      // Strength keeps some of the original in the masked area, elsewhere filled equals the source
+      const sourceAlpha = rgba[i * 4 + 3];
+      const alpha = sourceAlpha * (1 - strength) + filled[i * 4 + 3] * strength;
+      const grain = (random() - 0.5) * 12 * masked[i] * strength;
+
+      for (let c = 0; c < 3; c++) {
+        const premultiplied = rgba[i * 4 + c] * sourceAlpha / 255 * (1 - strength) + filled[i * 4 + c] * strength;
+        const value = alpha > 0 ? premultiplied / (alpha / 255) : 0;
+        pixels[i * 4 + c] = Math.max(0, Math.min(255, value + grain));
+      }
+      pixels[i * 4 + 3] = Math.min(255, alpha);
+    }
+  }
+
+  return encodePNG(width, height, pixels);
+}
+
+/**
+ * Deterministic offline provider for development and tests.
+ * The same prompt and seed always produce the same image, without a seed one is derived from the prompt.
+ */
+export default {
+  name: 'procedural',
+  label: 'Procedural (offline)',
+
+  isConfigured() {
+    return true;
+  },
+
+  async generate({ prompt, seed, width, height, count = 1 }, { signal, onProgress = () => {} } = {}) {
+    const w = Math.max(16, Math.min(MAX_SIZE, Math.round(width)));
+    const h = Math.max(16, Math.min(MAX_SIZE, Math.round(height)));
+    const text = prompt.trim().toLowerCase();
+    const baseSeed = seed ?? hashString(text);
+
+    // Like batched diffusion, image i of a batch uses seed + i
+    const photos = [];
+    for (let i = 0; i < count; i++) {
+      const png = await renderDesign(`${text}:${(baseSeed + i) >>> 0}`, w, h, {
+        signal,
+        onProgress: (progress, message) => {
+          onProgress((i + progress) / count, count > 1 ? `${message} (${i + 1} of ${count})` : message);
+        }
+      });
+      photos.push(toDataUrl(png.toString('base64')));
+    }
+
+    return { photos, seed: baseSeed };
+  },
+
+  async vary({ prompt, seed, image, strength, count = 1 }, { signal, onProgress = () => {} } = {}) {
+    const { mimeType, buffer } = parseDataUrl(image);
+    if (mimeType !== 'image/png') {
+      throw new Error('The procedural provider only makes variations of PNG images');
+    }
+
+    const source = decodePNG(buffer);
+    const text = prompt.trim().toLowerCase();
+    const baseSeed = seed ?? hashString(text);
+
+    const photos = [];
+    for (let i = 0; i < count; i++) {
+      const png = await restyleImage(source, `${text}:${(baseSeed + i) >>> 0}`, strength, {
+        signal,
+        onProgress: (progress, message) => {
+          onProgress((i + progress) / count, count > 1 ? `${message} (${i + 1} of ${count})` : message);
+        }
+      });
+      photos.push(toDataUrl(png.toString('base64')));
+    }
+
+    return { photos, seed: baseSeed };
+  },
+
+  async inpaint({ prompt, seed, image, mask, strength, count = 1 }, { signal, onProgress = () => {} } = {}) {
+    const parsedImage = parseDataUrl(image);
+    const parsedMask = parseDataUrl(mask);
+    if (parsedImage.mimeType !== 'image/png' || parsedMask.mimeType !== 'image/png') {
+      throw new Error('The procedural provider only inpaints PNG images and masks');
+    }
+
+    const source = decodePNG(parsedImage.buffer);
+    const maskImage = decodePNG(parsedMask.buffer);
+    const text = prompt.trim().toLowerCase();
+    const baseSeed = seed ?? hashString(text);
+
+    const photos = [];
+    for (let i = 0; i < count; i++) {
+      const png = await inpaintImage(source, maskImage, `${text}:${(baseSeed + i) >>> 0}`, strength, {
+        signal,
+        onProgress: (progress, message) => {
+          onProgress((i + progress) / count, count > 1 ? `${message} (${i + 1} of ${count})` : message);
+        }
+      });
+      photos.push(toDataUrl(png.toString('base64')));
+    }
+
+    return { photos, seed: baseSeed };
+  }
+};
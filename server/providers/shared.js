@@ -0,0 +1,59 @@
+import fetch from 'node-fetch';
+
+// Generation parameters used when a request doesn't specify its own
+export const DEFAULT_PARAMS = {
+  negativePrompt: 'low quality, blurry, distorted',
+  width: 1024,
+  height: 1024,
+  steps: 40,
+  guidance: 7.5,
+  count: 1
+};
+
+/**
+ * Wrap the user's prompt in the t-shirt design template
+ * @param {string} prompt - The user's prompt
+ * @returns {string} Prompt sent to the model
+ */
+export function buildDesignPrompt(prompt) {
+  return `A high-quality, detailed image for a t-shirt design: ${prompt}. The image should be suitable for printing on a t-shirt, with clean edges.`;
+}
+
+/**
+ * Turn base64 image data into the data URL returned to the client
+ * @param {string} base64 - Base64 encoded image
+ * @param {string} mimeType - Image MIME type
+ * @returns {string} Data URL
+ */
+export function toDataUrl(base64, mimeType = 'image/png') {
+  return `data:${mimeType};base64,${base64}`;
+}
+
+/**
+ * Split an image data URL into its MIME type and decoded bytes
+ * @param {string} dataUrl - Data URL such as "data:image/png;base64,..."
+ * @returns {{ mimeType: string, buffer: Buffer }|null} null when it isn't a base64 image data URL
+ */
+export function parseDataUrl(dataUrl) {
+  const match = /^data:(image\/[a-z+.-]+);base64,([a-z0-9+/=\s]+)$/i.exec(dataUrl || '');
+  if (!match) return null;
+  return { mimeType: match[1].toLowerCase(), buffer: Buffer.from(match[2], 'base64') };
+}
+
+/**
+ * Download an image and return it as a data URL
+ * @param {string} url - Image URL
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the download
+ * @returns {Promise<string>} Data URL
+ */
+export async function fetchImageAsDataUrl(url, { signal } = {}) {
+  const imageResponse = await fetch(url, { signal });
+  if (!imageResponse.ok) {
+    throw new Error('Failed to fetch generated image');
+  }
+
+  const mimeType = (imageResponse.headers.get('content-type') || 'image/png').split(';')[0];
+  const imageBuffer = await imageResponse.buffer();
+  return toDataUrl(imageBuffer.toString('base64'), mimeType);
+}
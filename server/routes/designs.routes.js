@@ -0,0 +1,139 @@
+import express from 'express';
+import * as dotenv from 'dotenv';
+
+import { createDesignStore } from '../storage/index.js';
+
+dotenv.config();
+
+const router = express.Router();
+const store = createDesignStore();
+
+// Fields a client may set on a design
+const DESIGN_FIELDS = ['name', 'modelType', 'color', 'fabricType', 'objects', 'fonts'];
+
+/**
+ * Pick and validate design fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether missing required fields are allowed (updates)
+ * @returns {{ data: Object, error: string|null }}
+ */
+function parseDesign(body = {}, partial = false) {
+  const data = {};
+  DESIGN_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+
+  if (!partial || data.objects !== undefined) {
+    if (!Array.isArray(data.objects)) {
+      return { data, error: 'objects must be an array' };
+    }
+    if (data.objects.some(obj => !obj || typeof obj !== 'object' || typeof obj.type !== 'string')) {
+      return { data, error: 'every object needs a type' };
+    }
+  }
+
+  if (data.fonts !== undefined) {
+    if (!Array.isArray(data.fonts)) {
+      return { data, error: 'fonts must be an array' };
+    }
+    if (data.fonts.some(font => typeof font?.family !== 'string' || typeof font.src !== 'string' || !font.src.startsWith('data:'))) {
+      return { data, error: 'every font needs a family and a data URL' };
+    }
+  }
+
+  if (!partial || data.modelType !== undefined) {
+    if (typeof data.modelType !== 'string' || !data.modelType) {
+      return { data, error: 'modelType is required' };
+    }
+  }
+
+  if (data.name !== undefined && typeof data.name !== 'string') {
+    return { data, error: 'name must be a string' };
+  }
+
+  if (!partial && !data.name) {
+    data.name = `Untitled design ${new Date().toLocaleString()}`;
+  }
+
+  return { data, error: null };
+}
+
+// Listing leaves out the object data and embedded fonts, which can be several megabytes per design
+function toSummary(design) {
+  const { objects = [], fonts, ...summary } = design;
+  return { ...summary, objectCount: objects.length };
+}
+
+function handleError(res, error) {
+  console.error('Error handling design request:', error);
+  res.status(500).json({
+    message: "Something went wrong",
+    details: error.message
+  });
+}
+
+router.route('/')
+  .get(async (req, res) => {
+    try {
+      const designs = await store.list();
+      res.status(200).json({ designs: designs.map(toSummary) });
+    } catch (error) {
+      handleError(res, error);
+    }
+  })
+  .post(async (req, res) => {
+    try {
+      const { data, error } = parseDesign(req.body);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const design = await store.create(data);
+      console.log(`Saved design "${design.name}" (${design.id})`);
+      res.status(201).json({ design });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+router.route('/:id')
+  .get(async (req, res) => {
+    try {
+      const design = await store.get(req.params.id);
+      if (!design) {
+        return res.status(404).json({ message: "Design not found" });
+      }
+      res.status(200).json({ design });
+    } catch (error) {
+      handleError(res, error);
+    }
+  })
+  .put(async (req, res) => {
+    try {
+      const { data, error } = parseDesign(req.body, true);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const design = await store.update(req.params.id, data);
+      if (!design) {
+        return res.status(404).json({ message: "Design not found" });
+      }
+      res.status(200).json({ design });
+    } catch (error) {
+      handleError(res, error);
+    }
+  })
+  .delete(async (req, res) => {
+    try {
+      const removed = await store.remove(req.params.id);
+      if (!removed) {
+        return res.status(404).json({ message: "Design not found" });
+      }
+      res.status(200).json({ id: req.params.id, message: "Design deleted" });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+export default router;
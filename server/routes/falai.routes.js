@@ -1,95 +1,385 @@
 import express from 'express';
 import * as dotenv from 'dotenv';
-import fetch from 'node-fetch';
+
+import {
+  getProvider,
+  getDefaultProviderName,
+  getBackgroundRemovalProviderName,
+  getUpscaleProviderName,
+  listProviders,
+  generateImage,
+  generateVariations,
+  supportsVariations,
+  inpaintImage,
+  supportsInpainting,
+  removeImageBackground,
+  supportsBackgroundRemoval,
+  upscaleImage,
+  supportsUpscaling,
+  resolveParams
+} from '../providers/index.js';
+import {
+  parseGenerationParams,
+  validateBaseImage,
+  DEFAULT_VARIATION_STRENGTH,
+  DEFAULT_INPAINT_STRENGTH,
+  INPAINT_MODES,
+  UPSCALE_FACTORS
+} from '../providers/params.js';
+import { createJobManager, isFinished, JOB_STATUS } from '../jobs/jobManager.js';
+import { createGenerationLimiter } from '../middleware/rateLimit.js';
+import { createModerator } from '../moderation/index.js';
+import { createGenerationCache } from '../cache/generationCache.js';
 
 dotenv.config();
 
 const router = express.Router();
+const jobs = createJobManager();
+// Every requested image counts against the daily quota
+const limiter = createGenerationLimiter({ cost: (req, res) => res.locals.params?.count || 1 });
+// Background removal and upscaling have their own budget, so editing photos never uses up generations
+const imageTaskLimiter = createGenerationLimiter({
+  ipMax: Number(process.env.IMAGE_TASK_RATE_LIMIT_MAX) || 10,
+  keyMax: Number(process.env.IMAGE_TASK_RATE_LIMIT_KEY_MAX) || 60,
+  ipDailyQuota: Number(process.env.IMAGE_TASK_DAILY_QUOTA) || 50,
+  keyDailyQuota: Number(process.env.IMAGE_TASK_DAILY_QUOTA_KEY) || 500,
+  label: 'image task'
+});
+const moderator = createModerator();
+const cache = createGenerationCache();
+
+// Keep idle event streams open through proxies
+const SSE_HEARTBEAT_INTERVAL = 15000;
+
+// Values accepted for the "cache" request option
+const CACHE_MODES = ['default', 'bypass'];
+
+// Requests that edit an image sent along with the prompt: the images they need and their default params
+const IMAGE_EDITS = {
+  variation: {
+    supports: supportsVariations,
+    unsupported: "can't make variations",
+    images: ['image'],
+    defaults: { strength: DEFAULT_VARIATION_STRENGTH }
+  },
+  inpaint: {
+    supports: supportsInpainting,
+    unsupported: "can't inpaint images",
+    images: ['image', 'mask'],
+    defaults: { strength: DEFAULT_INPAINT_STRENGTH, mode: INPAINT_MODES[0] },
+    validate: ({ mode }) => (mode === undefined || INPAINT_MODES.includes(mode)
+      ? null
+      : `mode must be one of: ${INPAINT_MODES.join(', ')}`)
+  }
+};
+
+/**
+ * Validate a generation request body
+ * @param {Object} body - Request body
+ * @param {Object} options - Parse options
+ * @param {string} options.edit - Key of IMAGE_EDITS when the request edits an image it sends
+ * @returns {{ error: string|null, provider: Object, params: Object, cacheMode: string }}
+ */
+function parseGenerationRequest(body = {}, { edit } = {}) {
+  const { prompt, provider: providerName, cache: cacheMode = 'default' } = body;
 
-// Validate API key
-function validateApiKey() {
-  if (!process.env.FAL_API_KEY) {
-    throw new Error('FAL_API_KEY is not set in environment variables');
+  if (!prompt) {
+    return { error: "Prompt is required" };
   }
+
+  if (!CACHE_MODES.includes(cacheMode)) {
+    return { error: `cache must be one of: ${CACHE_MODES.join(', ')}` };
+  }
+
+  const { error, params } = parseGenerationParams(body);
+  if (error) {
+    return { error };
+  }
+
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return { error: `Unknown provider "${providerName || getDefaultProviderName()}"` };
+  }
+
+  const imageEdit = IMAGE_EDITS[edit];
+  if (!imageEdit) {
+    delete params.strength;
+    return { error: null, provider, params: { prompt, ...params }, cacheMode };
+  }
+
+  if (!imageEdit.supports(provider)) {
+    return { error: `${provider.label} ${imageEdit.unsupported}` };
+  }
+
+  const images = {};
+  for (const field of imageEdit.images) {
+    const imageError = validateBaseImage(body[field], field);
+    if (imageError) {
+      return { error: imageError };
+    }
+    images[field] = body[field];
+  }
+
+  const editError = imageEdit.validate?.(body);
+  if (editError) {
+    return { error: editError };
+  }
+
+  // Fields the edit knows about, with its defaults where the request left them out
+  const editParams = Object.fromEntries(Object.entries(imageEdit.defaults)
+    .map(([name, value]) => [name, params[name] ?? body[name] ?? value]));
+
+  return {
+    error: null,
+    provider,
+    params: { prompt, ...params, ...editParams, ...images },
+    cacheMode
+  };
 }
 
-// Health check endpoint with more details
-router.route('/ping').get((req, res) => {
+// Validate before rate limiting so rejected requests don't use up the client's quota
+function validateRequest(options) {
+  return (req, res, next) => {
+    const { error, provider, params, cacheMode } = parseGenerationRequest(req.body, options);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.locals.provider = provider;
+    res.locals.params = params;
+    res.locals.cacheMode = cacheMode;
+    next();
+  };
+}
+
+const validateGeneration = validateRequest();
+const validateVariation = validateRequest({ edit: 'variation' });
+const validateInpaint = validateRequest({ edit: 'inpaint' });
+
+// Image tasks without a prompt: the provider model they need when the request doesn't pick one and their own options
+const IMAGE_TASKS = {
+  'remove-background': {
+    defaultProvider: getBackgroundRemovalProviderName,
+    supports: supportsBackgroundRemoval,
+    unsupported: "can't remove backgrounds",
+    parse: () => ({ params: {} })
+  },
+  upscale: {
+    defaultProvider: getUpscaleProviderName,
+    supports: supportsUpscaling,
+    unsupported: "can't upscale images",
+    parse: ({ scale = UPSCALE_FACTORS[0] }) => (UPSCALE_FACTORS.includes(Number(scale))
+      ? { params: { scale: Number(scale) } }
+      : { error: `scale must be one of: ${UPSCALE_FACTORS.join(', ')}` })
+  }
+};
+
+// Background removal and upscaling take just the image, their options and which provider's model to use
+function validateImageTask(task) {
+  const { defaultProvider, supports, unsupported, parse } = IMAGE_TASKS[task];
+
+  return (req, res, next) => {
+    const body = req.body || {};
+    const { image, provider: providerName, cache: cacheMode = 'default' } = body;
+
+    if (!CACHE_MODES.includes(cacheMode)) {
+      return res.status(400).json({ message: `cache must be one of: ${CACHE_MODES.join(', ')}` });
+    }
+
+    const name = providerName || defaultProvider();
+    const provider = getProvider(name);
+    if (!provider) {
+      return res.status(400).json({ message: `Unknown provider "${name}"` });
+    }
+    if (!supports(provider)) {
+      return res.status(400).json({ message: `${provider.label} ${unsupported}` });
+    }
+
+    const imageError = validateBaseImage(image);
+    if (imageError) {
+      return res.status(400).json({ message: imageError });
+    }
+
+    const { error, params } = parse(body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.locals.provider = provider;
+    // The task keeps these results apart from other edits of the same image in the cache
+    res.locals.params = { task, image, ...params };
+    res.locals.cacheMode = cacheMode;
+    next();
+  };
+}
+
+const validateBackgroundRemoval = validateImageTask('remove-background');
+const validateUpscale = validateImageTask('upscale');
+
+// Reject prompts we can't print before they reach a provider (or count against the quota)
+async function moderateGeneration(req, res, next) {
   try {
-    validateApiKey();
-    res.status(200).json({
-      status: 'ok',
-      message: 'Fal.ai Server is running',
-      apiKeyStatus: 'present',
-      timestamp: new Date().toISOString()
-    });
+    const verdict = await moderator.moderate(res.locals.params.prompt);
+    if (!verdict.allowed) {
+      console.log(`Rejected prompt (${verdict.category}): "${res.locals.params.prompt}"`);
+      return res.status(422).json({
+        message: "Prompt rejected",
+        reason: verdict.reason,
+        category: verdict.category,
+        ...(verdict.matches ? { matches: verdict.matches } : {})
+      });
+    }
+    next();
   } catch (error) {
-    res.status(200).json({
-      status: 'error',
-      message: 'Fal.ai Server is running but not properly configured',
-      apiKeyStatus: 'missing',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    next(error);
   }
-});
+}
 
-router.route('/').post(async (req, res) => {
+// Look the generation up in the cache, "bypass" skips the lookup but still stores the new result
+async function lookupCache(req, res, next) {
   try {
-    validateApiKey();
-    
-    const { prompt } = req.body;
-
-    if (!prompt) {
-      return res.status(400).json({ message: "Prompt is required" });
-    }
-
-    console.log(`Generating image using fal.ai for prompt: "${prompt}"`);
-
-    // Fal.ai API for image generation (using text-to-image model)
-    const response = await fetch('https://110602490-fast-sdxl.gateway.alpha.fal.ai/', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Key ${process.env.FAL_API_KEY}`
-      },
-      body: JSON.stringify({
-        prompt: `A high-quality, detailed image for a t-shirt design: ${prompt}. The image should be suitable for printing on a t-shirt, with clean edges.`,
-        negative_prompt: "low quality, blurry, distorted",
-        width: 1024,
-        height: 1024,
-        num_inference_steps: 40,
-        guidance_scale: 7.5,
-        num_images: 1
-      })
-    });
+    const { provider, params, cacheMode } = res.locals;
+    res.locals.cacheKey = cache.keyFor(provider.name, resolveParams(params));
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || `Fal.ai API responded with status: ${response.status}`);
+    if (cacheMode === 'bypass') {
+      res.locals.cacheStatus = 'bypass';
+    } else {
+      res.locals.cached = await cache.get(res.locals.cacheKey);
+      res.locals.cacheStatus = res.locals.cached ? 'hit' : 'miss';
     }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Middleware applying a limiter to requests the cache can't answer.
+ * Cached results cost nothing to serve, so they don't count against the client's limits.
+ * @param {Object} requestLimiter - Limiter from createGenerationLimiter()
+ * @returns {function}
+ */
+function limitUncached(requestLimiter) {
+  return (req, res, next) => {
+    if (res.locals.cached) {
+      return next();
+    }
+    requestLimiter.middleware(req, res, next);
+  };
+}
+
+// Run a generation and store its result for next time
+async function runAndCache(generate, cacheKey, options) {
+  const result = await generate(options);
+  await cache.set(cacheKey, result);
+  return result;
+}
+
+/**
+ * Answer a validated request with a generation job. Cache hits come back as an already finished job.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response, with the request's provider, params and cache state in res.locals
+ * @param {function(Object): Promise<Object>} generate - Runs the generation with the job's signal and onProgress
+ * @param {string} kind - What is being generated, for the log
+ */
+function respondWithJob(req, res, generate, kind) {
+  const { provider, params, cached, cacheKey, cacheStatus } = res.locals;
+  const meta = { provider: provider.name, cache: cacheStatus };
 
-    const data = await response.json();
+  let job;
+  if (cached) {
+    console.log(`Serving cached ${kind} job for prompt: "${params.prompt}"`);
+    job = jobs.complete(cached, meta);
+  } else {
+    console.log(`Queueing ${kind} job using ${provider.label} for prompt: "${params.prompt}"`);
+    job = jobs.submit((options) => runAndCache(generate, cacheKey, options), meta);
+  }
 
-    // Get the image URL or base64 data depending on the fal.ai response format
-    const imageUrl = data.images?.[0]?.url;
+  res.status(202).json({
+    job,
+    statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+    eventsUrl: `${req.baseUrl}/jobs/${job.id}/events`
+  });
+}
 
-    // If we have a URL, we need to fetch the image and convert to base64
-    if (imageUrl) {
-      const imageResponse = await fetch(imageUrl);
-      if (!imageResponse.ok) {
-        throw new Error('Failed to fetch generated image');
+/**
+ * Route handler for an image task, which answers once the image is ready
+ * @param {function(Object, Object, Object): Promise<Object>} run - Runs the task with a provider, its params and run options
+ * @param {string} kind - What the task is, for the log
+ * @returns {function(Object, Object)}
+ */
+function respondWithImage(run, kind) {
+  return async (req, res) => {
+    try {
+      const { provider, params, cached, cacheKey, cacheStatus } = res.locals;
+
+      if (cached) {
+        console.log(`Serving cached ${kind}`);
+        return res.status(200).json({ ...cached, cache: cacheStatus });
       }
-      const imageBuffer = await imageResponse.buffer();
-      const base64Image = imageBuffer.toString('base64');
 
-      // Return in the format expected by the client
-      res.status(200).json({ photo: `data:image/png;base64,${base64Image}` });
-    } else if (data.error) {
-      throw new Error(data.error);
-    } else {
-      throw new Error("Failed to generate image - no URL returned");
+      console.log(`Running ${kind} using ${provider.label}`);
+
+      const result = await runAndCache((options) => run(provider, params, options), cacheKey);
+      res.status(200).json({ ...result, cache: cacheStatus });
+    } catch (error) {
+      console.error(`Error running ${kind}:`, error);
+      res.status(500).json({
+        message: "Something went wrong",
+        details: error.message
+      });
     }
+  };
+}
+
+// Checks every generation goes through once its request is valid
+const generationChecks = [moderateGeneration, lookupCache, limitUncached(limiter)];
+
+// Health check endpoint with more details
+router.route('/ping').get((req, res) => {
+  const provider = getProvider();
+  const configured = Boolean(provider?.isConfigured());
+
+  res.status(200).json({
+    status: configured ? 'ok' : 'error',
+    message: configured
+      ? `AI Server is running with ${provider.label}`
+      : 'AI Server is running but not properly configured',
+    provider: getDefaultProviderName(),
+    backgroundRemovalProvider: getBackgroundRemovalProviderName(),
+    upscaleProvider: getUpscaleProviderName(),
+    providers: listProviders(),
+    apiKeyStatus: configured ? 'present' : 'missing',
+    ...(configured ? {} : { error: provider ? `${provider.label} is not configured` : `Unknown provider "${getDefaultProviderName()}"` }),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Remaining generations and image tasks for the requesting client
+router.route('/quota').get((req, res) => {
+  const status = limiter.status(req);
+  if (status.error) {
+    return res.status(401).json({ message: status.error });
+  }
+  res.status(200).json({ ...status, imageTasks: imageTaskLimiter.status(req) });
+});
+
+// Synchronous generation, answers once the image is ready
+router.route('/').post(validateGeneration, ...generationChecks, async (req, res) => {
+  try {
+    const { provider, params, cached, cacheKey, cacheStatus } = res.locals;
+
+    if (cached) {
+      console.log(`Serving cached image for prompt: "${params.prompt}"`);
+      return res.status(200).json({ ...cached, cache: cacheStatus });
+    }
+
+    console.log(`Generating image using ${provider.label} for prompt: "${params.prompt}"`);
+
+    const result = await runAndCache((options) => generateImage(provider, params, options), cacheKey);
+
+    // Return in the format expected by the client
+    res.status(200).json({ ...result, cache: cacheStatus });
   } catch (error) {
     console.error("Error generating image:", error);
     res.status(500).json({
@@ -99,4 +389,88 @@ router.route('/').post(async (req, res) => {
   }
 });
 
-export default router; 
\ No newline at end of file
+// Submit a generation job, progress is followed through /jobs/:id or /jobs/:id/events
+router.route('/jobs').post(validateGeneration, ...generationChecks, (req, res) => {
+  const { provider, params } = res.locals;
+  respondWithJob(req, res, (options) => generateImage(provider, params, options), 'image');
+});
+
+// Image-to-image variations of a base image, answered with a job like /jobs
+router.route('/variations').post(validateVariation, ...generationChecks, (req, res) => {
+  const { provider, params } = res.locals;
+  respondWithJob(req, res, (options) => generateVariations(provider, params, options), 'variation');
+});
+
+// Repaint the masked areas of an image, or fill a border the client added around it, answered with a job like /jobs
+router.route('/inpaint').post(validateInpaint, ...generationChecks, (req, res) => {
+  const { provider, params } = res.locals;
+  respondWithJob(req, res, (options) => inpaintImage(provider, params, options), params.mode);
+});
+
+// Cut the subject of an image out of its background
+router.route('/remove-background').post(validateBackgroundRemoval, lookupCache, limitUncached(imageTaskLimiter),
+  respondWithImage(removeImageBackground, 'background removal'));
+
+// Enlarge a low resolution image with a super-resolution model
+router.route('/upscale').post(validateUpscale, lookupCache, limitUncached(imageTaskLimiter),
+  respondWithImage(upscaleImage, 'upscale'));
+
+router.route('/jobs/:id')
+  .get((req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+    res.status(200).json({ job });
+  })
+  .delete((req, res) => {
+    const job = jobs.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+    if (job.status !== JOB_STATUS.CANCELLED) {
+      return res.status(409).json({ message: `Job already ${job.status}`, job });
+    }
+    res.status(200).json({ job });
+  });
+
+// Server-Sent Events: "progress" while queued/running, then one of "done", "failed" or "cancelled"
+router.route('/jobs/:id/events').get((req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ message: "Job not found" });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = (update) => {
+    const event = isFinished(update) ? update.status : 'progress';
+    res.write(`event: ${event}\ndata: ${JSON.stringify(update)}\n\n`);
+    if (isFinished(update)) {
+      close();
+    }
+  };
+
+  // Start with the current state so late subscribers catch up
+  send(job);
+  if (!isFinished(job)) {
+    unsubscribe = jobs.subscribe(job.id, send);
+    req.on('close', close);
+  }
+});
+
+export default router;
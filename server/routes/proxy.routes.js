@@ -0,0 +1,172 @@
+import express from 'express';
+import * as dotenv from 'dotenv';
+import fetch from 'node-fetch';
+import net from 'net';
+
+import { createGenerationLimiter } from '../middleware/rateLimit.js';
+import { detectImageType, sanitizeImage } from '../utils/images.js';
+import { isBlockedAddress, publicAgent } from '../utils/network.js';
+
+dotenv.config();
+
+const router = express.Router();
+
+// Proxied images are throttled per client like generations, with their own higher rate and no daily quota
+const limiter = createGenerationLimiter({
+  ipMax: Number(process.env.PROXY_RATE_LIMIT_MAX) || 30,
+  keyMax: Number(process.env.PROXY_RATE_LIMIT_KEY_MAX) || 120,
+  cost: () => 0,
+  label: 'image proxy'
+});
+
+const DEFAULT_MAX_MB = 10;
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 3;
+
+// Larger pictures can't be used as a texture anyway and would only tie up the browser
+const MAX_PIXELS = 40 * 1000 * 1000;
+
+// Proxied images don't change, let the browser keep them for a day
+const CACHE_MAX_AGE = 24 * 60 * 60;
+
+/**
+ * Error answered with its own status code instead of a 500
+ * @param {number} status - HTTP status code
+ * @param {string} message - Message sent to the client
+ * @returns {Error}
+ */
+function proxyError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Parse a URL the proxy may fetch: http(s), no credentials, no private IP literal
+ * @param {string} value - URL from the request
+ * @returns {URL}
+ */
+function parseImageUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw proxyError(400, 'url must be a valid URL');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw proxyError(400, 'url must use http or https');
+  }
+  if (url.username || url.password) {
+    throw proxyError(400, 'url must not contain credentials');
+  }
+
+  // Host names are checked when they resolve, IP literals never go through DNS
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw proxyError(403, 'Private network addresses are not allowed');
+  }
+  return url;
+}
+
+/**
+ * Download a remote image, checking every redirect target like the original URL
+ * @param {URL} url - Image URL
+ * @param {number} maxBytes - Largest accepted download
+ * @returns {Promise<Buffer>}
+ */
+async function downloadImage(url, maxBytes) {
+  const timeout = Number(process.env.PROXY_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  let target = url;
+
+  for (let redirects = 0; ; redirects++) {
+    let response;
+    try {
+      response = await fetch(target.href, {
+        agent: publicAgent,
+        redirect: 'manual',
+        size: maxBytes,
+        timeout,
+        headers: { 'Accept': 'image/png,image/jpeg,image/webp,image/*;q=0.8' }
+      });
+    } catch (error) {
+      if (error.code === 'EADDRBLOCKED') {
+        throw proxyError(403, 'Private network addresses are not allowed');
+      }
+      throw proxyError(502, error.type === 'request-timeout' ? 'The image server took too long to respond' : 'Could not reach the image server');
+    }
+
+    if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+      if (redirects >= MAX_REDIRECTS) {
+        throw proxyError(502, 'Too many redirects');
+      }
+      target = parseImageUrl(new URL(response.headers.get('location'), target).href);
+      continue;
+    }
+
+    if (!response.ok) {
+      throw proxyError(502, `The image server responded with status ${response.status}`);
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!contentType.startsWith('image/')) {
+      throw proxyError(415, 'The URL does not point to an image');
+    }
+
+    // Refuse early when the size is announced, node-fetch's size limit catches the rest
+    if (Number(response.headers.get('content-length')) > maxBytes) {
+      throw proxyError(413, `Images must be smaller than ${maxBytes / (1024 * 1024)}MB`);
+    }
+
+    try {
+      return await response.buffer();
+    } catch (error) {
+      if (error.type === 'max-size') {
+        throw proxyError(413, `Images must be smaller than ${maxBytes / (1024 * 1024)}MB`);
+      }
+      throw proxyError(502, error.type === 'body-timeout' ? 'The image server took too long to respond' : 'Could not download the image');
+    }
+  }
+}
+
+// GET /api/v1/proxy/image?url=... - Fetch a remote image and serve it from this origin
+router.route('/image').get(limiter.middleware, async (req, res) => {
+  try {
+    if (typeof req.query.url !== 'string' || !req.query.url.trim()) {
+      throw proxyError(400, 'url is required');
+    }
+
+    const maxBytes = (Number(process.env.PROXY_MAX_MB) || DEFAULT_MAX_MB) * 1024 * 1024;
+    const url = parseImageUrl(req.query.url.trim());
+    const downloaded = await downloadImage(url, maxBytes);
+
+    let image;
+    try {
+      image = sanitizeImage(downloaded);
+    } catch (error) {
+      throw proxyError(415, detectImageType(downloaded) ? 'The image is damaged or incomplete' : 'Images must be PNG, JPEG or WebP');
+    }
+    if (image.width * image.height > MAX_PIXELS) {
+      throw proxyError(413, `Images must have at most ${MAX_PIXELS / 1000000} megapixels`);
+    }
+
+    res.set({
+      'Content-Type': image.mimeType,
+      'Cache-Control': `public, max-age=${CACHE_MAX_AGE}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.status(200).send(image.buffer);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    console.error('Error proxying image:', error);
+    res.status(500).json({
+      message: "Something went wrong",
+      details: error.message
+    });
+  }
+});
+
+export default router;
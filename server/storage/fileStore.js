@@ -0,0 +1,100 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Designs are kept as one JSON file per design under server/data/designs
+const DEFAULT_DESIGNS_DIR = path.join(__dirname, '..', 'data', 'designs');
+
+// Only ids we generated ourselves are accepted, which also keeps paths inside the directory
+const ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+/**
+ * Create a design store that persists designs as JSON files on disk
+ * @param {Object} options - Store options
+ * @param {string} options.dir - Directory to keep the design files in
+ * @returns {Object} Design store
+ */
+export function createFileStore({ dir = process.env.DESIGNS_DIR || DEFAULT_DESIGNS_DIR } = {}) {
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  async function readDesign(id) {
+    if (!ID_PATTERN.test(id)) return null;
+
+    try {
+      const raw = await fs.readFile(fileFor(id), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function writeDesign(design) {
+    await fs.mkdir(dir, { recursive: true });
+
+    // Write to a temp file first so a crash never leaves a half-written design behind
+    const target = fileFor(design.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(design), 'utf8');
+    await fs.rename(temp, target);
+  }
+
+  return {
+    name: 'file',
+
+    async list() {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const designs = await Promise.all(
+        files
+          .filter(file => file.endsWith('.json'))
+          .map(file => readDesign(path.basename(file, '.json')))
+      );
+
+      return designs
+        .filter(Boolean)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+
+    get(id) {
+      return readDesign(id);
+    },
+
+    async create(data) {
+      const now = new Date().toISOString();
+      const design = { ...data, id: randomUUID(), createdAt: now, updatedAt: now };
+      await writeDesign(design);
+      return design;
+    },
+
+    async update(id, data) {
+      const existing = await readDesign(id);
+      if (!existing) return null;
+
+      const design = { ...existing, ...data, id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+      await writeDesign(design);
+      return design;
+    },
+
+    async remove(id) {
+      if (!ID_PATTERN.test(id)) return false;
+
+      try {
+        await fs.unlink(fileFor(id));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    }
+  };
+}
@@ -0,0 +1,23 @@
+import { createFileStore } from './fileStore.js';
+import { createMongoStore } from './mongoStore.js';
+
+// Available storage backends for saved designs
+const backends = {
+  file: createFileStore,
+  mongodb: createMongoStore
+};
+
+/**
+ * Create the design store selected by DESIGN_STORAGE (defaults to "file")
+ * @returns {Object} Design store with list/get/create/update/remove
+ */
+export function createDesignStore(type = process.env.DESIGN_STORAGE || 'file') {
+  const factory = backends[type];
+  if (!factory) {
+    throw new Error(`Unknown design storage "${type}", expected one of: ${Object.keys(backends).join(', ')}`);
+  }
+
+  const store = factory();
+  console.log(`Design storage: ${store.name}`);
+  return store;
+}
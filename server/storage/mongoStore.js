@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+import connectDB from '../mongodb/connect.js';
+import Design from '../mongodb/models/design.js';
+
+// Shape a mongoose document like the designs returned by the file store
+function toDesign(doc) {
+  if (!doc) return null;
+
+  const { _id, __v, createdAt, updatedAt, ...rest } = doc;
+  return {
+    ...rest,
+    id: _id.toString(),
+    createdAt: createdAt.toISOString(),
+    updatedAt: updatedAt.toISOString()
+  };
+}
+
+/**
+ * Create a design store backed by MongoDB
+ * @param {Object} options - Store options
+ * @param {string} options.url - MongoDB connection string
+ * @returns {Object} Design store
+ */
+export function createMongoStore({ url = process.env.MONGODB_URL } = {}) {
+  if (!url) {
+    throw new Error('MONGODB_URL is not set in environment variables');
+  }
+
+  // Connect lazily so the server still starts when the database is down
+  let connection = null;
+  const connect = () => {
+    if (!connection) {
+      connection = connectDB(url).catch((error) => {
+        connection = null;
+        throw error;
+      });
+    }
+    return connection;
+  };
+
+  return {
+    name: 'mongodb',
+
+    async list() {
+      await connect();
+      const docs = await Design.find({}).sort({ updatedAt: -1 }).lean();
+      return docs.map(toDesign);
+    },
+
+    async get(id) {
+      if (!mongoose.isValidObjectId(id)) return null;
+      await connect();
+      return toDesign(await Design.findById(id).lean());
+    },
+
+    async create(data) {
+      await connect();
+      const doc = await Design.create(data);
+      return toDesign(doc.toObject());
+    },
+
+    async update(id, data) {
+      if (!mongoose.isValidObjectId(id)) return null;
+      await connect();
+      const doc = await Design.findByIdAndUpdate(id, data, { new: true, runValidators: true }).lean();
+      return toDesign(doc);
+    },
+
+    async remove(id) {
+      if (!mongoose.isValidObjectId(id)) return false;
+      await connect();
+      const doc = await Design.findByIdAndDelete(id);
+      return Boolean(doc);
+    }
+  };
+}
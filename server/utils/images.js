@@ -0,0 +1,256 @@
+import { PNG_SIGNATURE, crc32 } from './png.js';
+
+// PNG chunks needed to display the image, text and other metadata chunks are dropped
+const PNG_CHUNKS = ['IHDR', 'PLTE', 'tRNS', 'gAMA', 'cHRM', 'sRGB', 'iCCP', 'IDAT', 'IEND'];
+
+// JPEG application segments worth keeping, by marker and the signature their data starts with
+const JPEG_SEGMENTS = { 0xe0: 'JFIF\0', 0xe2: 'ICC_PROFILE\0', 0xee: 'Adobe' };
+
+// WebP chunks needed to display the image, EXIF and XMP are dropped
+const WEBP_CHUNKS = ['VP8 ', 'VP8L', 'VP8X', 'ALPH', 'ANIM', 'ANMF', 'ICCP'];
+
+// VP8X flags of the chunks dropped above
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+/**
+ * Tell an image's type from its first bytes, whatever the server that sent it claimed
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} 'image/png', 'image/jpeg' or 'image/webp', null for anything else
+ */
+export function detectImageType(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return 'image/png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+function sanitizePNG(buffer) {
+  const parts = [PNG_SIGNATURE];
+  let width = 0;
+  let height = 0;
+  let hasData = false;
+
+  for (let offset = 8; offset + 12 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const end = offset + 12 + length;
+    if (end > buffer.length) break;
+
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    if (crc32(buffer.subarray(offset + 4, end - 4)) !== buffer.readUInt32BE(end - 4)) {
+      throw new Error(`Corrupt PNG image, bad ${type} checksum`);
+    }
+
+    if (type === 'IHDR') {
+      width = buffer.readUInt32BE(offset + 8);
+      height = buffer.readUInt32BE(offset + 12);
+    } else if (type === 'IDAT') {
+      hasData = true;
+    }
+
+    if (PNG_CHUNKS.includes(type)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+
+    if (type === 'IEND') {
+      if (!width || !height || !hasData) break;
+      return { buffer: Buffer.concat(parts), width, height };
+    }
+    offset = end;
+  }
+
+  throw new Error('Incomplete PNG image');
+}
+
+/**
+ * Read the orientation tag from EXIF data
+ * @param {Buffer} tiff - EXIF data after its "Exif\0\0" header
+ * @returns {number} Orientation 1-8, 1 when there is none
+ */
+function readExifOrientation(tiff) {
+  if (tiff.length < 8) return 1;
+
+  const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+  const read16 = (offset) => littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  const read32 = (offset) => littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+
+  const directory = read32(4);
+  if (directory + 2 > tiff.length) return 1;
+
+  for (let entry = directory + 2, i = read16(directory); i > 0 && entry + 12 <= tiff.length; i--, entry += 12) {
+    if (read16(entry) === EXIF_ORIENTATION_TAG) {
+      const orientation = read16(entry + 8);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  }
+  return 1;
+}
+
+/**
+ * An EXIF segment holding nothing but the orientation, so photos stay upright without their metadata
+ * @param {number} orientation - EXIF orientation 2-8
+ * @returns {Buffer} APP1 segment
+ */
+function exifOrientationSegment(orientation) {
+  const segment = Buffer.alloc(36);
+  segment.writeUInt16BE(0xffe1, 0);
+  segment.writeUInt16BE(34, 2);
+  segment.write('Exif\0\0MM\0*', 4, 'latin1');
+  segment.writeUInt32BE(8, 14);                     // first directory right after the TIFF header
+  segment.writeUInt16BE(1, 18);                     // one entry
+  segment.writeUInt16BE(EXIF_ORIENTATION_TAG, 20);
+  segment.writeUInt16BE(3, 22);                     // type: short
+  segment.writeUInt32BE(1, 24);                     // count
+  segment.writeUInt16BE(orientation, 28);
+  return segment;                                   // next directory offset stays 0
+}
+
+const isStartOfFrame = (marker) => marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+const isRestartMarker = (marker) => marker >= 0xd0 && marker <= 0xd7;
+
+function sanitizeJPEG(buffer) {
+  const parts = [buffer.subarray(0, 2)];
+  let width = 0;
+  let height = 0;
+  let orientation = 1;
+  let hasJFIF = false;
+  let hasScan = false;
+  let offset = 2;
+
+  while (offset + 1 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw new Error('Corrupt JPEG image');
+    }
+    // Markers may be padded with any number of 0xFF bytes
+    while (buffer[offset + 1] === 0xff && offset + 2 < buffer.length) offset++;
+
+    const marker = buffer[offset + 1];
+    if (marker === 0xd9) break;
+
+    if (offset + 4 > buffer.length) break;
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length || end < offset + 4) {
+      throw new Error('Corrupt JPEG image');
+    }
+    const data = buffer.subarray(offset + 4, end);
+
+    if ((marker >= 0xe0 && marker <= 0xef) || marker === 0xfe) {
+      // Application data and comments: keep what affects the colors, remember the orientation
+      const signature = JPEG_SEGMENTS[marker];
+      if (signature && data.toString('latin1', 0, signature.length) === signature) {
+        parts.push(buffer.subarray(offset, end));
+        hasJFIF = hasJFIF || marker === 0xe0;
+      } else if (marker === 0xe1 && data.toString('latin1', 0, 6) === 'Exif\0\0') {
+        orientation = readExifOrientation(data.subarray(6));
+      }
+    } else {
+      if (isStartOfFrame(marker) && data.length >= 5) {
+        height = data.readUInt16BE(1);
+        width = data.readUInt16BE(3);
+      }
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+
+    if (marker === 0xda) {
+      // The scan's data runs until the next marker that isn't a stuffed 0xFF00 or a restart marker
+      let scanEnd = offset;
+      while (scanEnd + 1 < buffer.length &&
+        !(buffer[scanEnd] === 0xff && buffer[scanEnd + 1] !== 0 && !isRestartMarker(buffer[scanEnd + 1]))) {
+        scanEnd++;
+      }
+      if (scanEnd + 1 >= buffer.length) scanEnd = buffer.length;
+      parts.push(buffer.subarray(offset, scanEnd));
+      offset = scanEnd;
+      hasScan = true;
+    }
+  }
+
+  if (!width || !height || !hasScan) {
+    throw new Error('Incomplete JPEG image');
+  }
+
+  if (orientation !== 1) {
+    parts.splice(hasJFIF ? 2 : 1, 0, exifOrientationSegment(orientation));
+  }
+  // Anything after the end of image marker is left behind
+  parts.push(Buffer.from([0xff, 0xd9]));
+  return { buffer: Buffer.concat(parts), width, height };
+}
+
+function sanitizeWebP(buffer) {
+  const parts = [];
+  let width = 0;
+  let height = 0;
+  const riffEnd = Math.min(buffer.length, 8 + buffer.readUInt32LE(4));
+
+  for (let offset = 12; offset + 8 <= riffEnd;) {
+    const type = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const end = offset + 8 + size;
+    if (end > riffEnd) {
+      throw new Error('Incomplete WebP image');
+    }
+    const data = buffer.subarray(offset + 8, end);
+
+    if (WEBP_CHUNKS.includes(type)) {
+      // Chunks are padded to an even size
+      const chunk = Buffer.concat([buffer.subarray(offset, end), Buffer.alloc(size & 1)]);
+
+      if (type === 'VP8X' && data.length >= 10) {
+        chunk[8] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG);
+        width = data.readUIntLE(4, 3) + 1;
+        height = data.readUIntLE(7, 3) + 1;
+      } else if (type === 'VP8L' && !width && data.length >= 5) {
+        const bits = data.readUInt32LE(1);
+        width = (bits & 0x3fff) + 1;
+        height = ((bits >> 14) & 0x3fff) + 1;
+      } else if (type === 'VP8 ' && !width && data.length >= 10) {
+        width = data.readUInt16LE(6) & 0x3fff;
+        height = data.readUInt16LE(8) & 0x3fff;
+      }
+      parts.push(chunk);
+    }
+    offset = end + (size & 1);
+  }
+
+  if (!width || !height) {
+    throw new Error('Incomplete WebP image');
+  }
+
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+  return { buffer: Buffer.concat([header, body]), width, height };
+}
+
+const SANITIZERS = {
+  'image/png': sanitizePNG,
+  'image/jpeg': sanitizeJPEG,
+  'image/webp': sanitizeWebP
+};
+
+/**
+ * Rewrite a PNG, JPEG or WebP file with only what's needed to display it.
+ * Metadata, comments and anything appended after the image are dropped, so a file that is
+ * also valid as another format (or carries a script) doesn't survive the trip.
+ * @param {Buffer} buffer - File contents
+ * @returns {{ mimeType: string, buffer: Buffer, width: number, height: number }}
+ */
+export function sanitizeImage(buffer) {
+  const mimeType = detectImageType(buffer);
+  if (!mimeType) {
+    throw new Error('Not a PNG, JPEG or WebP image');
+  }
+  return { mimeType, ...SANITIZERS[mimeType](buffer) };
+}
@@ -0,0 +1,98 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Addresses a server-side fetch must never reach: private networks, loopback, link-local
+// (which includes cloud metadata services), carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, type]) => blockList.addSubnet(address, prefix, type));
+
+/**
+ * The IPv4 address inside an IPv4-mapped or IPv4-compatible IPv6 address
+ * @param {string} address - IPv6 address
+ * @returns {string|null}
+ */
+function embeddedIPv4(address) {
+  const match = /^::(?:ffff:)?(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+  if (!match) return null;
+  if (match[1]) return match[1];
+
+  const high = parseInt(match[2], 16);
+  const low = parseInt(match[3], 16);
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+/**
+ * Whether an IP address belongs to a private, local or reserved network
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} true for blocked addresses and anything that isn't an IP address
+ */
+export function isBlockedAddress(address) {
+  const version = net.isIP(address);
+  if (version === 4) {
+    return blockList.check(address, 'ipv4');
+  }
+  if (version === 6) {
+    const ipv4 = embeddedIPv4(address);
+    return ipv4 ? blockList.check(ipv4, 'ipv4') : blockList.check(address, 'ipv6');
+  }
+  return true;
+}
+
+/**
+ * dns.lookup that refuses host names resolving to a blocked address.
+ * Checking at connect time also covers redirects and DNS answers that change between requests.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      const blockedError = new Error(`${hostname} resolves to a private network address`);
+      blockedError.code = 'EADDRBLOCKED';
+      return callback(blockedError);
+    }
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * node-fetch agent option that only connects to public addresses.
+ * IP literals skip the DNS lookup, check them with isBlockedAddress() first.
+ * @param {URL} url - URL being fetched
+ * @returns {http.Agent}
+ */
+export function publicAgent(url) {
+  return url.protocol === 'http:' ? httpAgent : httpsAgent;
+}
@@ -0,0 +1,170 @@
+import zlib from 'zlib';
+
+export const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC32 lookup table used by PNG chunks
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC32 checksum as used by PNG chunks
+ * @param {Buffer} buffer - Bytes to check
+ * @returns {number}
+ */
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode raw RGBA pixels as a PNG
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Uint8Array|Buffer} rgba - Pixel data, 4 bytes per pixel, row by row
+ * @returns {Buffer} PNG file contents
+ */
+export function encodePNG(width, height, rgba) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 6;  // color type: RGBA
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // no interlace
+
+  // Every scanline starts with a filter byte (0 = none)
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(rgba.buffer, rgba.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Bytes per pixel of the 8-bit color types we decode: grayscale, RGB, grayscale + alpha, RGBA
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+// Largest image we decode, checked before inflating so a small compressed file can't expand to gigabytes
+export const MAX_DECODE_PIXELS = 4096 * 4096;
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Decode a PNG to raw RGBA pixels.
+ * Supports the non-interlaced 8-bit images browsers export from canvases, not palettes or 16-bit depth.
+ * @param {Buffer} png - PNG file contents
+ * @returns {{ width: number, height: number, rgba: Uint8Array }}
+ */
+export function decodePNG(png) {
+  if (png.length < 8 || !png.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let width = 0;
+  let height = 0;
+  let channels = 0;
+  const data = [];
+
+  for (let offset = 8; offset + 8 <= png.length;) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('ascii', offset + 4, offset + 8);
+    const body = png.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      channels = CHANNELS[body[9]];
+      if (body[8] !== 8 || !channels || body[12] !== 0) {
+        throw new Error('Unsupported PNG format, expected a non-interlaced 8-bit image');
+      }
+    } else if (type === 'IDAT') {
+      data.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  if (!width || !height || data.length === 0) {
+    throw new Error('Incomplete PNG image');
+  }
+  if (width * height > MAX_DECODE_PIXELS) {
+    throw new Error(`PNG image is too large, the limit is ${MAX_DECODE_PIXELS} pixels`);
+  }
+
+  const stride = width * channels;
+  let raw;
+  try {
+    raw = zlib.inflateSync(Buffer.concat(data), { maxOutputLength: (stride + 1) * height });
+  } catch (error) {
+    throw new Error('Invalid PNG image data');
+  }
+  if (raw.length < (stride + 1) * height) {
+    throw new Error('Incomplete PNG image');
+  }
+
+  // Undo the per-scanline filters in place, then expand to RGBA
+  const pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const value = raw[y * (stride + 1) + 1 + x];
+      const left = x >= channels ? pixels[line + x - channels] : 0;
+      const up = y > 0 ? pixels[line - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[line - stride + x - channels] : 0;
+
+      let predicted = 0;
+      if (filter === 1) predicted = left;
+      else if (filter === 2) predicted = up;
+      else if (filter === 3) predicted = (left + up) >> 1;
+      else if (filter === 4) predicted = paeth(left, up, upLeft);
+      pixels[line + x] = (value + predicted) & 0xff;
+    }
+  }
+
+  const rgba = new Uint8Array(width * height * 4);
+  for (let i = 0, j = 0; i < rgba.length; i += 4, j += channels) {
+    const gray = channels < 3;
+    rgba[i] = pixels[j];
+    rgba[i + 1] = gray ? pixels[j] : pixels[j + 1];
+    rgba[i + 2] = gray ? pixels[j] : pixels[j + 2];
+    rgba[i + 3] = channels === 2 ? pixels[j + 1] : channels === 4 ? pixels[j + 3] : 255;
+  }
+
+  return { width, height, rgba };
+}